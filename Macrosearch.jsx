@@ -1,473 +1,7053 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, query, addDoc, serverTimestamp, orderBy } from 'firebase/firestore';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator, signOut, EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup, createUserWithEmailAndPassword, signInWithEmailAndPassword, signInWithPopup, signInWithCredential, sendPasswordResetEmail } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, collection, doc, getDoc, getDocs, onSnapshot, query, addDoc, setDoc, updateDoc, deleteDoc, deleteField, arrayUnion, arrayRemove, writeBatch, serverTimestamp, orderBy, where, limit, startAfter, endAt, getCountFromServer, Timestamp } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator, ref as storageRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
 
 // --- CONFIGURACIÓN DE FIREBASE Y VARIABLES GLOBALES (MANDATORIO) ---
 const firebaseConfig = typeof _firebase_config !== 'undefined' ? JSON.parse(_firebase_config) : {};
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-macrosearch-app';
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// En desarrollo se puede apuntar a los emuladores locales de Firebase (ver README)
+const useEmulators = typeof __use_firebase_emulators !== 'undefined' && Boolean(__use_firebase_emulators);
 // --- FIN DE CONFIGURACIÓN DE FIREBASE ---
 
+// --- IDIOMAS ---
+
+// La interfaz y las respuestas del modelo siguen el idioma elegido. Los textos están en MENSAJES
+// y los componentes los leen con t('clave'); los nombres científicos nunca se traducen.
+const IDIOMAS = {
+    es: { nombre: 'Español', regional: 'es-CO' },
+    en: { nombre: 'English', regional: 'en-US' },
+    pt: { nombre: 'Português', regional: 'pt-BR' },
+};
+const DEFAULT_LOCALE = 'es';
+const LOCALE_STORAGE_KEY = 'macrosearch:idioma';
+
+// Idioma guardado o, la primera vez, el del navegador si está disponible
+const detectLocale = () => {
+    const guardado = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (IDIOMAS[guardado]) return guardado;
+    const navegador = (navigator.language || '').slice(0, 2).toLowerCase();
+    return IDIOMAS[navegador] ? navegador : DEFAULT_LOCALE;
+};
+
+// Busca la clave en el idioma pedido y, si falta, en español. "{n}" se sustituye por params.n
+const translate = (locale, clave, params) => {
+    const texto = MENSAJES[locale]?.[clave] ?? MENSAJES[DEFAULT_LOCALE][clave] ?? clave;
+    return params ? texto.replace(/\{(\w+)\}/g, (marca, nombre) => String(params[nombre] ?? marca)) : texto;
+};
+
+// Acepta Timestamp de Firestore, Date, texto ISO o "YYYY-MM-DD" (fecha local, sin zona horaria)
+const toDateValue = (valor) => {
+    if (!valor) return null;
+    if (valor.toDate) return valor.toDate();
+    if (valor instanceof Date) return valor;
+    const soloFecha = /^(\d{4})-(\d{2})-(\d{2})$/.exec(valor);
+    return soloFecha ? new Date(soloFecha[1], soloFecha[2] - 1, soloFecha[3]) : new Date(valor);
+};
+
+const createI18n = (locale) => {
+    const { regional } = IDIOMAS[locale];
+    const formatDate = (valor) => toDateValue(valor)?.toLocaleDateString(regional) ?? '';
+    const formatDateTime = (valor) => toDateValue(valor)?.toLocaleString(regional) ?? '';
+    const formatNumber = (valor, decimales = 0) => valor.toLocaleString(regional, { maximumFractionDigits: decimales });
+    return { locale, t: (clave, params) => translate(locale, clave, params), formatDate, formatDateTime, formatNumber };
+};
+
+const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+const useI18n = () => useContext(I18nContext);
+
+const MENSAJES = {
+    es: {
+        // Comunes
+        'comun.cancelar': 'Cancelar',
+        'comun.ocultar': 'Ocultar',
+        'comun.procesando': 'Procesando...',
+        'comun.y': ' y ',
+        'comun.errorDesconocido': 'error desconocido',
+        'comun.na': 'N/A',
+        'comun.guardando': 'Guardando...',
+        'comun.cerrar': 'Cerrar',
+        'comun.latitud': 'Latitud',
+        'comun.longitud': 'Longitud',
+        'comun.nd': 'N/D',
+
+        // Cuentas de usuario
+        'cuenta.error.app/missing-config': 'Falta la configuración de Firebase.',
+        'cuenta.error.auth/invalid-email': 'El correo no tiene un formato válido.',
+        'cuenta.error.auth/missing-password': 'Escribe la contraseña.',
+        'cuenta.error.auth/weak-password': 'La contraseña debe tener al menos 6 caracteres.',
+        'cuenta.error.auth/invalid-credential': 'Correo o contraseña incorrectos.',
+        'cuenta.error.auth/wrong-password': 'Correo o contraseña incorrectos.',
+        'cuenta.error.auth/user-not-found': 'No existe una cuenta con ese correo.',
+        'cuenta.error.auth/user-disabled': 'Esta cuenta está deshabilitada.',
+        'cuenta.error.auth/email-already-in-use': 'Ya existe una cuenta con ese correo. Inicia sesión con ella.',
+        'cuenta.error.auth/credential-already-in-use': 'Esa cuenta ya está registrada.',
+        'cuenta.error.auth/provider-already-linked': 'Esta cuenta ya está vinculada a ese método de acceso.',
+        'cuenta.error.auth/popup-closed-by-user': 'Se cerró la ventana de Google antes de terminar.',
+        'cuenta.error.auth/cancelled-popup-request': 'Se cerró la ventana de Google antes de terminar.',
+        'cuenta.error.auth/popup-blocked': 'El navegador bloqueó la ventana de Google. Permite las ventanas emergentes.',
+        'cuenta.error.auth/operation-not-allowed': 'Este método de acceso no está habilitado en el proyecto de Firebase.',
+        'cuenta.error.auth/too-many-requests': 'Demasiados intentos. Espera unos minutos y vuelve a probar.',
+        'cuenta.error.auth/network-request-failed': 'Sin conexión con el servidor de autenticación.',
+        'cuenta.error.desconocido': 'No se pudo completar el acceso ({detalle}).',
+        'cuenta.proveedor.password': 'correo y contraseña',
+        'cuenta.proveedor.google.com': 'Google',
+        'cuenta.cargando': 'Cargando sesión...',
+        'cuenta.creada': 'Cuenta creada.',
+        'cuenta.creadaConAnalisis': 'Cuenta creada. Tus análisis se conservaron en ella.',
+        'cuenta.googleVinculada': 'Cuenta de Google vinculada.',
+        'cuenta.googleVinculadaConAnalisis': 'Cuenta de Google vinculada. Tus análisis se conservaron.',
+        'cuenta.faltaCorreo': 'Escribe tu correo para enviarte el enlace.',
+        'cuenta.correoRestablecer': 'Te enviamos un correo para restablecer la contraseña.',
+        'cuenta.sesionAnonima': 'Sesión anónima: tus análisis solo se conservan en este navegador.',
+        'cuenta.sesionIniciadaComo': 'Sesión iniciada como',
+        'cuenta.conMetodos': 'con {metodos}',
+        'cuenta.crearOIniciar': 'Crear cuenta o iniciar sesión',
+        'cuenta.titulo': 'Cuenta',
+        'cuenta.cerrarSesion': 'Cerrar sesión',
+        'cuenta.crear': 'Crear cuenta',
+        'cuenta.yaTengo': 'Ya tengo cuenta',
+        'cuenta.ayudaRegistro': 'La cuenta nueva conserva los análisis de esta sesión y te permite abrirlos en otros dispositivos.',
+        'cuenta.ayudaIngreso': 'Al entrar en una cuenta existente, los análisis de esta sesión anónima no se transfieren a ella.',
+        'cuenta.correo': 'Correo',
+        'cuenta.contrasena': 'Contraseña',
+        'cuenta.iniciarSesion': 'Iniciar sesión',
+        'cuenta.olvidaste': '¿Olvidaste tu contraseña?',
+        'cuenta.continuarGoogle': 'Continuar con Google',
+        'cuenta.vincularGoogle': 'Vincular cuenta de Google',
+        'cuenta.googleYaRegistrada': 'Esa cuenta de Google ya está registrada. Puedes entrar con ella, pero los análisis de esta sesión no se transfieren.',
+        'cuenta.entrarConEsa': 'Entrar con esa cuenta',
+        'cuenta.idUsuario': 'ID de usuario:',
+
+        // Índices bióticos
+        'bmwp.variante.colombia': 'BMWP/Col (Colombia)',
+        'bmwp.variante.iberia': 'IBMWP (Península Ibérica)',
+        'bmwp.calidad.colombia.I': 'Buena',
+        'bmwp.calidad.colombia.II': 'Aceptable',
+        'bmwp.calidad.colombia.III': 'Dudosa',
+        'bmwp.calidad.colombia.IV': 'Crítica',
+        'bmwp.calidad.colombia.V': 'Muy crítica',
+        'bmwp.calidad.iberia.I': 'Aguas muy limpias',
+        'bmwp.calidad.iberia.II': 'Algunos efectos de contaminación',
+        'bmwp.calidad.iberia.III': 'Aguas contaminadas',
+        'bmwp.calidad.iberia.IV': 'Aguas muy contaminadas',
+        'bmwp.calidad.iberia.V': 'Aguas fuertemente contaminadas',
+
+        // Catálogo taxonómico
+        'taxonomia.nivel.clase': 'Clase',
+        'taxonomia.nivel.orden': 'Orden',
+        'taxonomia.nivel.familia': 'Familia',
+        'taxonomia.aviso.noCatalogado': '{nivel} "{nombre}" no está en el catálogo de referencia.',
+        'taxonomia.aviso.familiaFueraDeOrden': 'La familia {familia} pertenece al orden {esperado}, no a {recibido}.',
+        'taxonomia.aviso.ordenFueraDeClase': 'El orden {orden} pertenece a la clase {esperado}, no a {recibido}.',
+        'taxonomia.estado.verificado': 'Taxonomía verificada',
+        'taxonomia.estado.inconsistente': 'Jerarquía inconsistente',
+        'taxonomia.estado.no_verificado': 'No verificado en catálogo',
+
+        // Servicio de identificación
+        'identificacion.error.quota': 'Se agotó la cuota del servicio de identificación. Espera unos minutos o revisa el plan de la clave de API.',
+        'identificacion.error.invalid_image': 'El servicio rechazó la imagen por formato o tamaño no válidos. Prueba con otra foto.',
+        'identificacion.error.safety': 'El modelo bloqueó la respuesta por sus filtros de seguridad. Prueba con otra foto del espécimen.',
+        'identificacion.error.malformed': 'El modelo devolvió una respuesta que no se pudo interpretar. Vuelve a intentarlo.',
+        'identificacion.error.auth': 'La clave de API no es válida o no tiene permiso para usar el modelo.',
+        'identificacion.error.server': 'El servicio de identificación no está disponible en este momento.',
+        'identificacion.error.timeout': 'El servicio de identificación tardó demasiado en responder.',
+        'identificacion.error.network': 'No se pudo conectar con el servicio de identificación.',
+        'identificacion.error.cancelled': 'Análisis cancelado.',
+        'identificacion.error.http': 'El servicio de identificación rechazó la solicitud.',
+        'identificacion.error.config': 'El servicio de identificación no está bien configurado; revisa __identification_config.',
+
+        // Instrucciones para el modelo
+        'prompt.identificar': 'Identifica el macroinvertebrado acuático en esta imagen. Proporciona su nombre, información básica, clasificación taxonómica y su significado como bioindicador. Indica tu confianza (0 a 1) y los rasgos que la justifican, y hasta 3 taxones alternativos con su confianza y razonamiento. Redacta todos los textos en español, pero escribe los nombres científicos y los nombres de clase, orden y familia en latín, sin traducirlos. Formatea la respuesta como JSON estricto siguiendo el esquema proporcionado.',
+        'prompt.longitud': 'La longitud corporal estimada del espécimen es de {mm} mm, medida sobre una regla de referencia en la foto; tenla en cuenta para descartar taxones de otro tamaño.',
+
+        // Ubicación de la captura
+        'ubicacion.origen.exif': 'GPS de la foto',
+        'ubicacion.origen.manual': 'marcada a mano',
+        'ubicacion.origen.sitio': 'del sitio de muestreo',
+
+        // Carga por lotes
+        'lote.estado.pending': 'Pendiente',
+        'lote.estado.analyzing': 'Analizando',
+        'lote.estado.done': 'Listo',
+        'lote.estado.failed': 'Falló',
+        'lote.estado.cancelled': 'Cancelado',
+        'lote.estado.offline': 'En cola sin conexión',
+        'lote.estado.duplicate': 'Ya analizada',
+
+        // Informe imprimible
+        'informe.tituloDocumento': 'Informe MacroSearch',
+        'informe.titulo': 'Informe de macroinvertebrados',
+        'informe.resumen': '{n} especímenes · generado el {fecha}',
+        'informe.clasificacion': 'Clasificación:',
+        'informe.confirmada': 'confirmada',
+        'informe.sinConfirmar': 'sin confirmar',
+        'informe.muestreo': 'Muestreo:',
+        'informe.significadoEcologico': 'Significado ecológico:',
+
+        // Categorías de bioindicador
+        'categoria.sensible': 'Sensible',
+        'categoria.moderado': 'Moderado',
+        'categoria.tolerante': 'Tolerante',
+        'categoria.sin_dato': 'Sin dato',
+
+        // Estadios de vida
+        'estadio.larva': 'Larva',
+        'estadio.ninfa': 'Ninfa',
+        'estadio.pupa': 'Pupa',
+        'estadio.adulto': 'Adulto',
+
+        // Campos editables
+        'campo.nombreCientifico': 'Nombre científico',
+        'campo.nombreComun': 'Nombre común',
+        'campo.clasificacion.clase': 'Clase',
+        'campo.clasificacion.orden': 'Orden',
+        'campo.clasificacion.familia': 'Familia',
+        'campo.significadoEcologico': 'Significado ecológico',
+        'campo.anotaciones.numeroIndividuos': 'Individuos',
+        'campo.anotaciones.estadioVida': 'Estadio',
+        'campo.anotaciones.microhabitat': 'Microhábitat',
+        'campo.anotaciones.colector': 'Colector',
+        'campo.anotaciones.notas': 'Notas',
+        'campo.anotaciones.etiquetas': 'Etiquetas',
+        'campo.ubicacion': 'Ubicación',
+
+        // Roles de proyecto
+        'rol.owner': 'Responsable',
+        'rol.reviewer': 'Revisor',
+        'rol.contributor': 'Colaborador',
+        'rol.viewer': 'Lector',
+        'historial.soloCargados': 'Búsqueda y categoría: solo en los resultados cargados',
+        'historial.exportaFiltrado': 'se exporta todo lo que cumple los filtros',
+
+        // Equipo y proyectos
+        'equipo.usuarioSinNombre': 'Usuario {id}',
+        'equipo.tuNombre': 'Tu nombre en los proyectos',
+        'equipo.nombreVisible': 'Nombre visible para el equipo',
+        'equipo.nombreAyuda': 'Se guarda al crear un proyecto o unirte a uno.',
+        'equipo.nuevoProyecto': 'Nuevo Proyecto',
+        'equipo.nombreProyecto': 'Nombre del proyecto *',
+        'equipo.descripcion': 'Descripción (campaña, cuenca, grupo...)',
+        'equipo.crearProyecto': 'Crear Proyecto',
+        'equipo.unirseConInvitacion': 'Unirse con una Invitación',
+        'equipo.codigoInvitacion': 'Código de invitación',
+        'equipo.unirse': 'Unirse',
+        'equipo.espacioPersonal': 'Espacio personal',
+        'equipo.espacioPersonalAyuda': 'Los análisis de este espacio solo los ves tú. Crea un proyecto o únete a uno para compartir los datos de una campaña con tu equipo.',
+        'equipo.tuRol': 'Tu rol: {rol}',
+        'equipo.miembros': 'Miembros ({n})',
+        'equipo.tu': '(tú)',
+        'equipo.quitar': 'Quitar',
+        'equipo.invitaciones': 'Invitaciones',
+        'equipo.crearInvitacion': 'Crear invitación',
+        'equipo.invitacionAyuda': 'Comparte el código con quien deba unirse. Sirve para una sola persona y caduca a los {dias} días si nadie lo usa.',
+        'equipo.usadaPor': 'Usada por {nombre}',
+        'equipo.caducada': 'Caducada',
+        'equipo.caduca': 'Caduca el {fecha}',
+        'equipo.revocar': 'Revocar',
+        'equipo.sinInvitaciones': 'No hay invitaciones activas.',
+
+        // Mapa
+        'mapa.acercar': 'Acercar',
+        'mapa.alejar': 'Alejar',
+        'mapa.ajustar': 'Ajustar a los puntos',
+
+        // Cámara y edición de imagen
+        'camara.noDisponible': 'Este navegador no permite usar la cámara. Abre la app con HTTPS o usa "Elegir archivo".',
+        'camara.error.NotAllowedError': 'Permiso de cámara denegado. Habilítalo en la configuración del navegador.',
+        'camara.error.NotFoundError': 'No se encontró ninguna cámara en este dispositivo.',
+        'camara.error.NotReadableError': 'La cámara está siendo usada por otra aplicación.',
+        'camara.error.OverconstrainedError': 'La cámara no admite la resolución solicitada.',
+        'camara.error.desconocido': 'No se pudo abrir la cámara.',
+        'camara.errorCaptura': 'No se pudo capturar la foto.',
+        'camara.capturar': 'Capturar',
+        'editor.errorAbrir': 'No se pudo abrir la imagen.',
+        'editor.errorAplicar': 'No se pudo generar la imagen editada.',
+        'editor.abriendo': 'Abriendo imagen...',
+        'editor.recortar': 'Recortar',
+        'editor.lineaRegla': 'Línea de la regla',
+        'editor.lineaEspecimen': 'Línea del espécimen',
+        'editor.girarIzquierda': 'Girar a la izquierda',
+        'editor.girarDerecha': 'Girar a la derecha',
+        'editor.quitarRecorte': 'Quitar recorte',
+        'editor.brillo': 'Brillo: {n}%',
+        'editor.medir': 'Medir el espécimen (opcional)',
+        'editor.medirAyuda': 'Traza una línea amarilla sobre la regla, indica cuánto mide y traza la línea azul de la cabeza al final del abdomen.',
+        'editor.reglaMide': 'La línea de la regla mide',
+        'editor.longitudEstimada': 'Longitud estimada: {mm} mm',
+        'editor.trazaAmbas': 'Traza ambas líneas para estimar la longitud.',
+        'editor.aplicando': 'Aplicando...',
+        'editor.aplicar': 'Aplicar',
+
+        // Muestreos
+        'muestreo.nuevo': 'Nuevo Evento de Muestreo',
+        'muestreo.nombreSitio': 'Nombre del sitio *',
+        'muestreo.rio': 'Río o quebrada',
+        'muestreo.notasHabitat': 'Notas del hábitat (sustrato, caudal, vegetación...)',
+        'muestreo.coordenadasInvalidas': 'Escribe latitud y longitud en grados decimales (WGS84), o deja ambas vacías.',
+        'muestreo.crear': 'Crear Evento',
+
+        // Verificación de identificaciones
+        'revision.titulo': 'Verificar identificación',
+        'revision.sugerenciaPrincipal': 'Sugerencia principal',
+        'revision.corregir': 'Corregir manualmente',
+        'revision.ahoraNo': 'Ahora no',
+        'revision.confirmar': 'Confirmar',
+
+        // Filtros del historial
+        'historial.buscar': 'Buscar por nombre científico, común o taxón...',
+        'historial.todasCategorias': 'Todas las categorías',
+        'historial.todosEventos': 'Todos los eventos',
+        'historial.taxon': 'Taxón',
+        'historial.desde': 'Desde',
+        'historial.hasta': 'Hasta',
+        'historial.aplicar': 'Aplicar',
+        'historial.limpiar': 'Limpiar filtros',
+
+        // Edición de análisis
+        'editorAnalisis.identificacion': 'Identificación',
+        'editorAnalisis.anotaciones': 'Anotaciones de campo',
+        'editorAnalisis.numeroIndividuos': 'Nº de individuos',
+        'editorAnalisis.sinIndicar': 'Sin indicar',
+        'editorAnalisis.microhabitatEjemplo': 'Piedra, hojarasca, arena...',
+        'editorAnalisis.etiquetas': 'Etiquetas (separadas por comas)',
+        'editorAnalisis.guardar': 'Guardar cambios',
+
+        // Tarjeta de análisis
+        'tarjeta.confianza': 'Confianza del modelo: {valor}',
+        'tarjeta.confirmado': 'Confirmado',
+        'tarjeta.sinConfirmar': 'Sin confirmar',
+        'tarjeta.sugerenciaModelo': 'Sugerencia del modelo:',
+        'tarjeta.informacionBasica': 'Información Básica',
+        'tarjeta.longitud': 'Longitud estimada con regla: {mm} mm',
+        'tarjeta.clasificacion': 'Clasificación Taxonómica',
+        'tarjeta.nombreReferencia': 'Nombre de referencia: {nombre}',
+        'tarjeta.normalizado': 'Normalizado:',
+        'tarjeta.significadoEcologico': 'Significado Ecológico (Bioindicador)',
+        'tarjeta.anotaciones': 'Anotaciones de Campo',
+        'tarjeta.editado': 'Editado por una persona ({n} cambios)',
+        'tarjeta.analizadoEl': 'Analizado el: {fecha}',
+        'tarjeta.por': 'por {nombre}',
+        'tarjeta.generadoEn': 'generado en {idioma}',
+
+        // Vista del historial
+        'historial.titulo': 'Historial de Análisis ({n})',
+        'historial.verificacion': '{n} identificaciones confirmadas · el modelo acertó la familia en {pct}% de ellas',
+        'historial.pendientesConfirmar': '{n} pendientes de confirmar',
+        'historial.cargando': 'Cargando historial...',
+        'historial.imagenesAntiguas': '{n} análisis antiguos guardan la imagen dentro del documento, lo que hace lenta la carga del historial.',
+        'historial.migrando': 'Migrando...',
+        'historial.migrar': 'Migrar a Storage',
+        'historial.seleccionados': '{n} seleccionados',
+        'historial.cargados': '{n} análisis cargados',
+        'historial.quitarSeleccion': 'Quitar selección',
+        'historial.informePdf': 'Informe PDF',
+        'historial.seleccionarExportar': 'Seleccionar para exportar',
+        'historial.imagenAnalizada': 'Imagen analizada',
+        'historial.confirmarIdentificacion': 'Confirmar identificación',
+        'historial.eliminarPregunta': '¿Eliminar este análisis?',
+        'historial.eliminar': 'Eliminar',
+        'historial.editar': 'Editar',
+        'historial.vacio': 'Aún no tienes análisis. ¡Ve a la pestaña \'Analizar\' para empezar!',
+        'historial.sinCoincidencias': 'Ningún análisis coincide con los filtros.',
+        'historial.cargarMas': 'Cargar más',
+        'tarjeta.sinDescripcion': 'Sin descripción para el taxón confirmado.',
+        'tarjeta.categoriaFamilia': 'Categoría según la familia confirmada: {categoria}',
+
+        // Vista de eventos
+        'eventos.soloLectura': 'Tu rol en este proyecto es de solo lectura.',
+        'eventos.titulo': 'Eventos de Muestreo ({n})',
+        'eventos.rioNoEspecificado': 'Río no especificado',
+        'eventos.calidad': 'Calidad',
+        'eventos.clase': 'Clase {clase}',
+        'eventos.sinDatos': 'Sin datos',
+        'eventos.especimenes': 'Especímenes ({n})',
+        'eventos.sinConfirmar': 'sin confirmar',
+        'eventos.sinEspecimenes': 'Aún no hay especímenes en este evento. Selecciónalo en \'Analizar\' antes de subir imágenes.',
+        'eventos.sinConfirmarAviso': '{n} especímenes sin confirmar no cuentan en el índice. Confírmalos en el Historial.',
+        'eventos.familiasSinPuntaje': 'Familias sin puntaje en {variante}: {familias}',
+        'eventos.vacio': 'Aún no tienes eventos de muestreo. Crea uno para agrupar tus especímenes.',
+
+        // Vista del mapa
+        'mapa.titulo': 'Mapa ({n})',
+        'mapa.ubicarEspecimen': 'Haz clic en el mapa para ubicar {nombre}.',
+        'mapa.limite': 'El mapa carga como máximo {n} especímenes con ubicación, sin un orden particular: puede que falten algunos, también los más recientes.',
+        'mapa.filtrarTaxon': 'Filtrar por taxón',
+        'mapa.todos': 'Todos',
+        'mapa.mostrarSitios': 'Mostrar sitios de muestreo',
+        'mapa.sitioMuestreo': 'Sitio de muestreo',
+        'mapa.sinUbicacion': 'Sin ubicación ({n})',
+        'mapa.sinUbicacionAyuda': 'Elige un análisis del historial y márcalo en el mapa.',
+        'mapa.sinUbicacionCargados': 'Solo aparecen los análisis ya cargados en el Historial; carga más páginas allí para ver otros.',
+        'mapa.ninguno': 'Ninguno',
+
+        // Vista de estadísticas
+        'estadisticas.titulo': 'Estadísticas',
+        'estadisticas.soloConfirmados': 'Solo identificaciones confirmadas',
+        'estadisticas.vacio': 'Todavía no hay análisis para resumir.',
+        'estadisticas.vacioConfirmados': 'Todavía no hay análisis para resumir con la identificación confirmada.',
+        'estadisticas.analisis': 'Análisis',
+        'estadisticas.individuos': 'Individuos',
+        'estadisticas.riquezaEpt': 'Riqueza EPT',
+        'estadisticas.porcentajeEpt': '% EPT',
+        'estadisticas.limite': 'Se resumen los {n} análisis más recientes.',
+        'estadisticas.grafico.categorias': 'Sensibles y tolerantes',
+        'estadisticas.grafico.categoriasDescripcion': 'Individuos según el significado ecológico del taxón.',
+        'estadisticas.grafico.clases': 'Individuos por clase',
+        'estadisticas.grafico.ordenes': 'Individuos por orden',
+        'estadisticas.grafico.familias': 'Individuos por familia',
+        'estadisticas.grafico.eptMes': '% EPT por mes',
+        'estadisticas.grafico.eptMesDescripcion': 'Ephemeroptera, Plecoptera y Trichoptera sobre el total de individuos, por mes de colecta.',
+        'estadisticas.grafico.riquezaMes': 'Riqueza EPT por mes',
+        'estadisticas.grafico.riquezaMesDescripcion': 'Familias EPT distintas por mes de colecta.',
+        'estadisticas.grafico.eptSitio': '% EPT por sitio',
+        'estadisticas.grafico.eptSitioDescripcion': 'Solo análisis asociados a un evento de muestreo.',
+        'estadisticas.grafico.riquezaSitio': 'Riqueza EPT por sitio',
+
+        // Errores de la aplicación
+        'error.cargarProyectos': 'Error al cargar los proyectos del equipo.',
+        'error.cargarHistorial': 'Error al cargar el historial de Firebase.',
+        'error.cargarEspecimenesEventos': 'Error al cargar los especímenes de los eventos.',
+        'error.cargarMapa': 'Error al cargar los especímenes del mapa.',
+        'error.cargarEstadisticas': 'Error al cargar los análisis para las estadísticas.',
+        'error.cargarEventos': 'Error al cargar los eventos de muestreo.',
+        'error.guardarAnalisis': 'No se pudo guardar el análisis en el historial.',
+        'error.migrarImagenes': 'No se pudieron migrar {n} imágenes.',
+        'error.crearEvento': 'No se pudo crear el evento de muestreo.',
+        'error.actualizarVariante': 'No se pudo actualizar la variante del índice.',
+        'error.guardarCambios': 'No se pudieron guardar los cambios.',
+        'error.guardarUbicacion': 'No se pudo guardar la ubicación del análisis.',
+        'error.eliminar': 'No se pudo eliminar el análisis.',
+        'error.deshacer': 'No se pudo deshacer la eliminación.',
+        'error.guardarEnDispositivo': 'No se pudo guardar la foto en el dispositivo.',
+        'error.leerImagen': 'No se pudo leer la imagen. Prueba con otro archivo PNG o JPEG.',
+        'error.imagenGrande': 'La imagen es demasiado grande. Por favor, usa un archivo menor a {mb}MB.',
+        'error.sinImagen': 'Por favor, sube una imagen primero.',
+        'error.proveedor': 'Error al comunicarse con {proveedor}: {detalle}',
+        'error.guardarConfirmacion': 'No se pudo guardar la identificación confirmada.',
+        'error.crearProyecto': 'No se pudo crear el proyecto.',
+        'error.invitacionInvalida': 'El código de invitación no existe o ya caducó.',
+        'error.unirseProyecto': 'No se pudo unir al proyecto con esa invitación.',
+        'error.crearInvitacion': 'No se pudo crear la invitación.',
+        'error.revocarInvitacion': 'No se pudo revocar la invitación.',
+        'error.cambiarRol': 'No se pudo cambiar el rol del miembro.',
+        'error.quitarMiembro': 'No se pudo quitar al miembro del proyecto.',
+        'error.ventanaInforme': 'El navegador bloqueó la ventana del informe. Permite las ventanas emergentes para imprimir.',
+
+        // Sin conexión
+        'offline.fotoGuardada': 'Sin conexión: la foto quedó guardada en el dispositivo y se analizará al recuperar la señal.',
+        'offline.analisisGuardado': 'Sin conexión: el análisis se guardará en el historial al recuperar la señal.',
+
+        // Lote y estadísticas
+        'lote.formatoNoSoportado': 'Formato no soportado (solo PNG o JPEG).',
+        'lote.imagenGrande': 'La imagen supera los {mb}MB.',
+        'estadisticas.otros': 'Otros ({n})',
+        'estadisticas.errorExportar': 'No se pudo exportar el gráfico.',
+        'error.exportar': 'No se pudieron reunir los análisis para exportar.',
+        'error.exportarVacio': 'Ningún análisis cumple los filtros.',
+
+        // Aplicación
+        'app.idioma': 'Idioma',
+        'app.espacioTrabajo': 'Espacio de trabajo',
+        'app.espacioPersonal': 'Espacio personal',
+        'app.sinConexion': 'Sin conexión',
+        'app.sincronizando': 'Sincronizando...',
+        'app.pendientes': '{n} pendientes',
+        'app.pestana.upload': 'Analizar',
+        'app.pestana.history': 'Historial',
+        'app.pestana.map': 'Mapa',
+        'app.pestana.stats': 'Estadísticas',
+        'app.pestana.events': 'Muestreos',
+        'app.pestana.team': 'Equipo',
+        'app.errorSesion': 'No se pudo iniciar la sesión: {detalle}',
+        'app.reintentar': 'Reintentar',
+        'app.autenticando': 'Autenticando...',
+        'app.soloLectura': 'Tu rol en {proyecto} es de solo lectura. Consulta los análisis en el Historial o pide al responsable un rol de colaborador.',
+        'app.esteProyecto': 'este proyecto',
+        'app.cargarImagen': '1. Cargar Imagen',
+        'app.conectando': 'Conectando a Firebase...',
+        'app.eventoMuestreo': 'Evento de muestreo',
+        'app.sinEvento': 'Sin evento (análisis suelto)',
+        'app.vistaPrevia': 'Vista previa',
+        'app.usarCamara': 'Usar cámara',
+        'app.editarImagen': 'Editar imagen',
+        'app.tomadaEl': 'Tomada el {fecha}',
+        'app.longitudEstimada': 'Longitud estimada: {mm} mm (regla de {referencia} mm)',
+        'app.ubicacion': 'Ubicación:',
+        'app.cambiar': 'Cambiar',
+        'app.quitar': 'Quitar',
+        'app.sinGps': 'La foto no tiene ubicación GPS.',
+        'app.marcarEnMapa': 'Marcar en el mapa',
+        'app.puntoColecta': 'Punto de colecta',
+        'app.puntoColectaAyuda': 'Haz clic en el punto donde se colectó el espécimen.',
+        'app.buscandoDuplicados': 'Buscando análisis anteriores...',
+        'app.analizar': 'Analizar Macroinvertebrado',
+        'app.cancelarAnalisis': 'Cancelar análisis',
+        'app.pendientesSincronizar': 'Pendientes de sincronizar ({n})',
+        'app.sincronizarAhora': 'Sincronizar ahora',
+        'app.yaAnalizada': 'ya analizada',
+        'app.intentos': '{n} intentos',
+        'app.descartar': 'Descartar',
+        'app.descartarFallidas': 'Descartar las fallidas',
+        'app.sincronizacionFallida': 'No se pudo sincronizar tras {n} intentos. Descártala o vuelve a capturarla.',
+        'app.resultados': '2. Resultados de la Identificación',
+        'app.analisisGuardado': 'Análisis guardado en el historial.',
+        'app.confirmarGuardar': 'Confirmar y guardar',
+        'app.guardarSinConfirmar': 'Guardar sin confirmar',
+        'app.guardarParaRevision': 'Guardar para revisión',
+        'app.analizando': 'Analizando imagen y generando informe...',
+        'app.vacio': 'Sube una imagen de un macroinvertebrado para iniciar el análisis.',
+        'app.vacioAyuda': 'El resultado aparecerá aquí para que lo confirmes o corrijas antes de guardarlo.',
+        'app.equipoTitulo': 'Equipo y Proyectos',
+        'app.analisisEliminado': 'Análisis eliminado:',
+        'app.deshacer': 'Deshacer',
+        'app.identificacion': 'Identificación: {proveedor}',
+
+        // Carga por lotes
+        'lote.titulo': 'Carga por Lotes',
+        'lote.arrastrar': 'Arrastra aquí una carpeta o varias fotos',
+        'lote.elegirFotos': 'Elegir fotos',
+        'lote.elegirCarpeta': 'Elegir carpeta',
+        'lote.listos': '{n}/{total} listos',
+        'lote.fallidos': '{n} fallidos',
+        'lote.yaAnalizadas': '{n} ya analizadas',
+        'lote.limpiar': 'Limpiar',
+        'lote.mismaFoto': 'Misma foto que',
+        'lote.fotoCasiIdentica': 'Foto casi idéntica que',
+        'lote.analizarIgualmente': 'Analizar igualmente',
+
+        // Fotos repetidas
+        'duplicado.reutilizado': 'Se mantiene el análisis existente; no se creó un registro nuevo.',
+        'duplicado.exacto': 'Esta misma foto ya fue analizada.',
+        'duplicado.similar': 'Una foto casi idéntica ya fue analizada (diferencia {distancia} de 64).',
+        'duplicado.fotoAnterior': 'Foto analizada anteriormente',
+        'duplicado.usarExistente': 'Usar el análisis existente',
+        'duplicado.analizarDeNuevo': 'Analizar de nuevo',
+    },
+    en: {
+        // Comunes
+        'comun.cancelar': 'Cancel',
+        'comun.ocultar': 'Hide',
+        'comun.procesando': 'Processing...',
+        'comun.y': ' and ',
+        'comun.errorDesconocido': 'unknown error',
+        'comun.na': 'N/A',
+        'comun.guardando': 'Saving...',
+        'comun.cerrar': 'Close',
+        'comun.latitud': 'Latitude',
+        'comun.longitud': 'Longitude',
+        'comun.nd': 'N/A',
+
+        // Cuentas de usuario
+        'cuenta.error.app/missing-config': 'The Firebase configuration is missing.',
+        'cuenta.error.auth/invalid-email': 'The email address is not valid.',
+        'cuenta.error.auth/missing-password': 'Enter the password.',
+        'cuenta.error.auth/weak-password': 'The password must be at least 6 characters long.',
+        'cuenta.error.auth/invalid-credential': 'Incorrect email or password.',
+        'cuenta.error.auth/wrong-password': 'Incorrect email or password.',
+        'cuenta.error.auth/user-not-found': 'There is no account with that email.',
+        'cuenta.error.auth/user-disabled': 'This account is disabled.',
+        'cuenta.error.auth/email-already-in-use': 'An account with that email already exists. Sign in with it.',
+        'cuenta.error.auth/credential-already-in-use': 'That account is already registered.',
+        'cuenta.error.auth/provider-already-linked': 'This account is already linked to that sign-in method.',
+        'cuenta.error.auth/popup-closed-by-user': 'The Google window was closed before finishing.',
+        'cuenta.error.auth/cancelled-popup-request': 'The Google window was closed before finishing.',
+        'cuenta.error.auth/popup-blocked': 'The browser blocked the Google window. Allow pop-ups.',
+        'cuenta.error.auth/operation-not-allowed': 'This sign-in method is not enabled in the Firebase project.',
+        'cuenta.error.auth/too-many-requests': 'Too many attempts. Wait a few minutes and try again.',
+        'cuenta.error.auth/network-request-failed': 'No connection to the authentication server.',
+        'cuenta.error.desconocido': 'Sign-in could not be completed ({detalle}).',
+        'cuenta.proveedor.password': 'email and password',
+        'cuenta.proveedor.google.com': 'Google',
+        'cuenta.cargando': 'Loading session...',
+        'cuenta.creada': 'Account created.',
+        'cuenta.creadaConAnalisis': 'Account created. Your analyses were kept in it.',
+        'cuenta.googleVinculada': 'Google account linked.',
+        'cuenta.googleVinculadaConAnalisis': 'Google account linked. Your analyses were kept.',
+        'cuenta.faltaCorreo': 'Enter your email so we can send you the link.',
+        'cuenta.correoRestablecer': 'We sent you an email to reset your password.',
+        'cuenta.sesionAnonima': 'Anonymous session: your analyses are only kept in this browser.',
+        'cuenta.sesionIniciadaComo': 'Signed in as',
+        'cuenta.conMetodos': 'with {metodos}',
+        'cuenta.crearOIniciar': 'Create an account or sign in',
+        'cuenta.titulo': 'Account',
+        'cuenta.cerrarSesion': 'Sign out',
+        'cuenta.crear': 'Create account',
+        'cuenta.yaTengo': 'I already have an account',
+        'cuenta.ayudaRegistro': 'The new account keeps the analyses from this session and lets you open them on other devices.',
+        'cuenta.ayudaIngreso': 'When you sign in to an existing account, the analyses from this anonymous session are not transferred to it.',
+        'cuenta.correo': 'Email',
+        'cuenta.contrasena': 'Password',
+        'cuenta.iniciarSesion': 'Sign in',
+        'cuenta.olvidaste': 'Forgot your password?',
+        'cuenta.continuarGoogle': 'Continue with Google',
+        'cuenta.vincularGoogle': 'Link Google account',
+        'cuenta.googleYaRegistrada': 'That Google account is already registered. You can sign in with it, but the analyses from this session are not transferred.',
+        'cuenta.entrarConEsa': 'Sign in with that account',
+        'cuenta.idUsuario': 'User ID:',
+
+        // Índices bióticos
+        'bmwp.variante.colombia': 'BMWP/Col (Colombia)',
+        'bmwp.variante.iberia': 'IBMWP (Iberian Peninsula)',
+        'bmwp.calidad.colombia.I': 'Good',
+        'bmwp.calidad.colombia.II': 'Acceptable',
+        'bmwp.calidad.colombia.III': 'Doubtful',
+        'bmwp.calidad.colombia.IV': 'Critical',
+        'bmwp.calidad.colombia.V': 'Very critical',
+        'bmwp.calidad.iberia.I': 'Very clean water',
+        'bmwp.calidad.iberia.II': 'Some effects of pollution',
+        'bmwp.calidad.iberia.III': 'Polluted water',
+        'bmwp.calidad.iberia.IV': 'Very polluted water',
+        'bmwp.calidad.iberia.V': 'Heavily polluted water',
+
+        // Catálogo taxonómico
+        'taxonomia.nivel.clase': 'Class',
+        'taxonomia.nivel.orden': 'Order',
+        'taxonomia.nivel.familia': 'Family',
+        'taxonomia.aviso.noCatalogado': '{nivel} "{nombre}" is not in the reference catalog.',
+        'taxonomia.aviso.familiaFueraDeOrden': 'The family {familia} belongs to the order {esperado}, not to {recibido}.',
+        'taxonomia.aviso.ordenFueraDeClase': 'The order {orden} belongs to the class {esperado}, not to {recibido}.',
+        'taxonomia.estado.verificado': 'Taxonomy verified',
+        'taxonomia.estado.inconsistente': 'Inconsistent hierarchy',
+        'taxonomia.estado.no_verificado': 'Not verified in catalog',
+
+        // Servicio de identificación
+        'identificacion.error.quota': 'The identification service quota is exhausted. Wait a few minutes or check the API key plan.',
+        'identificacion.error.invalid_image': 'The service rejected the image because of an invalid format or size. Try another photo.',
+        'identificacion.error.safety': 'The model blocked the response with its safety filters. Try another photo of the specimen.',
+        'identificacion.error.malformed': 'The model returned a response that could not be read. Try again.',
+        'identificacion.error.auth': 'The API key is not valid or is not allowed to use the model.',
+        'identificacion.error.server': 'The identification service is not available right now.',
+        'identificacion.error.timeout': 'The identification service took too long to respond.',
+        'identificacion.error.network': 'Could not connect to the identification service.',
+        'identificacion.error.cancelled': 'Analysis cancelled.',
+        'identificacion.error.http': 'The identification service rejected the request.',
+        'identificacion.error.config': 'The identification service is not configured correctly; check __identification_config.',
+
+        // Instrucciones para el modelo
+        'prompt.identificar': 'Identify the aquatic macroinvertebrate in this image. Provide its name, basic information, taxonomic classification and its significance as a bioindicator. State your confidence (0 to 1) and the features that justify it, and up to 3 alternative taxa with their confidence and reasoning. Write all text in English, but keep scientific names and class, order and family names in Latin, untranslated. Format the response as strict JSON following the provided schema.',
+        'prompt.longitud': 'The estimated body length of the specimen is {mm} mm, measured against a reference ruler in the photo; use it to rule out taxa of a different size.',
+
+        // Ubicación de la captura
+        'ubicacion.origen.exif': 'photo GPS',
+        'ubicacion.origen.manual': 'placed by hand',
+        'ubicacion.origen.sitio': 'from the sampling site',
+
+        // Carga por lotes
+        'lote.estado.pending': 'Pending',
+        'lote.estado.analyzing': 'Analyzing',
+        'lote.estado.done': 'Done',
+        'lote.estado.failed': 'Failed',
+        'lote.estado.cancelled': 'Cancelled',
+        'lote.estado.offline': 'Queued offline',
+        'lote.estado.duplicate': 'Already analyzed',
+
+        // Informe imprimible
+        'informe.tituloDocumento': 'MacroSearch report',
+        'informe.titulo': 'Macroinvertebrate report',
+        'informe.resumen': '{n} specimens · generated on {fecha}',
+        'informe.clasificacion': 'Classification:',
+        'informe.confirmada': 'confirmed',
+        'informe.sinConfirmar': 'unconfirmed',
+        'informe.muestreo': 'Sampling:',
+        'informe.significadoEcologico': 'Ecological significance:',
+
+        // Categorías de bioindicador
+        'categoria.sensible': 'Sensitive',
+        'categoria.moderado': 'Moderate',
+        'categoria.tolerante': 'Tolerant',
+        'categoria.sin_dato': 'No data',
+
+        // Estadios de vida
+        'estadio.larva': 'Larva',
+        'estadio.ninfa': 'Nymph',
+        'estadio.pupa': 'Pupa',
+        'estadio.adulto': 'Adult',
+
+        // Campos editables
+        'campo.nombreCientifico': 'Scientific name',
+        'campo.nombreComun': 'Common name',
+        'campo.clasificacion.clase': 'Class',
+        'campo.clasificacion.orden': 'Order',
+        'campo.clasificacion.familia': 'Family',
+        'campo.significadoEcologico': 'Ecological significance',
+        'campo.anotaciones.numeroIndividuos': 'Individuals',
+        'campo.anotaciones.estadioVida': 'Life stage',
+        'campo.anotaciones.microhabitat': 'Microhabitat',
+        'campo.anotaciones.colector': 'Collector',
+        'campo.anotaciones.notas': 'Notes',
+        'campo.anotaciones.etiquetas': 'Tags',
+        'campo.ubicacion': 'Location',
+
+        // Roles de proyecto
+        'rol.owner': 'Owner',
+        'rol.reviewer': 'Reviewer',
+        'rol.contributor': 'Contributor',
+        'rol.viewer': 'Viewer',
+        'historial.soloCargados': 'Search and category: loaded results only',
+        'historial.exportaFiltrado': 'exports everything matching the filters',
+
+        // Equipo y proyectos
+        'equipo.usuarioSinNombre': 'User {id}',
+        'equipo.tuNombre': 'Your name in projects',
+        'equipo.nombreVisible': 'Name shown to the team',
+        'equipo.nombreAyuda': 'It is saved when you create or join a project.',
+        'equipo.nuevoProyecto': 'New Project',
+        'equipo.nombreProyecto': 'Project name *',
+        'equipo.descripcion': 'Description (campaign, basin, group...)',
+        'equipo.crearProyecto': 'Create Project',
+        'equipo.unirseConInvitacion': 'Join with an Invitation',
+        'equipo.codigoInvitacion': 'Invitation code',
+        'equipo.unirse': 'Join',
+        'equipo.espacioPersonal': 'Personal space',
+        'equipo.espacioPersonalAyuda': 'Only you can see the analyses in this space. Create or join a project to share a campaign\'s data with your team.',
+        'equipo.tuRol': 'Your role: {rol}',
+        'equipo.miembros': 'Members ({n})',
+        'equipo.tu': '(you)',
+        'equipo.quitar': 'Remove',
+        'equipo.invitaciones': 'Invitations',
+        'equipo.crearInvitacion': 'Create invitation',
+        'equipo.invitacionAyuda': 'Share the code with whoever needs to join. It works for one person and expires after {dias} days if unused.',
+        'equipo.usadaPor': 'Used by {nombre}',
+        'equipo.caducada': 'Expired',
+        'equipo.caduca': 'Expires on {fecha}',
+        'equipo.revocar': 'Revoke',
+        'equipo.sinInvitaciones': 'There are no active invitations.',
+
+        // Mapa
+        'mapa.acercar': 'Zoom in',
+        'mapa.alejar': 'Zoom out',
+        'mapa.ajustar': 'Fit to points',
+
+        // Cámara y edición de imagen
+        'camara.noDisponible': 'This browser does not allow camera access. Open the app over HTTPS or use "Choose file".',
+        'camara.error.NotAllowedError': 'Camera permission denied. Enable it in the browser settings.',
+        'camara.error.NotFoundError': 'No camera was found on this device.',
+        'camara.error.NotReadableError': 'The camera is being used by another application.',
+        'camara.error.OverconstrainedError': 'The camera does not support the requested resolution.',
+        'camara.error.desconocido': 'Could not open the camera.',
+        'camara.errorCaptura': 'Could not capture the photo.',
+        'camara.capturar': 'Capture',
+        'editor.errorAbrir': 'Could not open the image.',
+        'editor.errorAplicar': 'Could not generate the edited image.',
+        'editor.abriendo': 'Opening image...',
+        'editor.recortar': 'Crop',
+        'editor.lineaRegla': 'Ruler line',
+        'editor.lineaEspecimen': 'Specimen line',
+        'editor.girarIzquierda': 'Rotate left',
+        'editor.girarDerecha': 'Rotate right',
+        'editor.quitarRecorte': 'Remove crop',
+        'editor.brillo': 'Brightness: {n}%',
+        'editor.medir': 'Measure the specimen (optional)',
+        'editor.medirAyuda': 'Draw a yellow line along the ruler, enter its length and draw the blue line from the head to the end of the abdomen.',
+        'editor.reglaMide': 'The ruler line measures',
+        'editor.longitudEstimada': 'Estimated length: {mm} mm',
+        'editor.trazaAmbas': 'Draw both lines to estimate the length.',
+        'editor.aplicando': 'Applying...',
+        'editor.aplicar': 'Apply',
+
+        // Muestreos
+        'muestreo.nuevo': 'New Sampling Event',
+        'muestreo.nombreSitio': 'Site name *',
+        'muestreo.rio': 'River or stream',
+        'muestreo.notasHabitat': 'Habitat notes (substrate, flow, vegetation...)',
+        'muestreo.coordenadasInvalidas': 'Enter latitude and longitude in decimal degrees (WGS84), or leave both empty.',
+        'muestreo.crear': 'Create Event',
+
+        // Verificación de identificaciones
+        'revision.titulo': 'Verify identification',
+        'revision.sugerenciaPrincipal': 'Main suggestion',
+        'revision.corregir': 'Correct manually',
+        'revision.ahoraNo': 'Not now',
+        'revision.confirmar': 'Confirm',
+
+        // Filtros del historial
+        'historial.buscar': 'Search by scientific name, common name or taxon...',
+        'historial.todasCategorias': 'All categories',
+        'historial.todosEventos': 'All events',
+        'historial.taxon': 'Taxon',
+        'historial.desde': 'From',
+        'historial.hasta': 'To',
+        'historial.aplicar': 'Apply',
+        'historial.limpiar': 'Clear filters',
+
+        // Edición de análisis
+        'editorAnalisis.identificacion': 'Identification',
+        'editorAnalisis.anotaciones': 'Field notes',
+        'editorAnalisis.numeroIndividuos': 'No. of individuals',
+        'editorAnalisis.sinIndicar': 'Not specified',
+        'editorAnalisis.microhabitatEjemplo': 'Stone, leaf litter, sand...',
+        'editorAnalisis.etiquetas': 'Tags (comma-separated)',
+        'editorAnalisis.guardar': 'Save changes',
+
+        // Tarjeta de análisis
+        'tarjeta.confianza': 'Model confidence: {valor}',
+        'tarjeta.confirmado': 'Confirmed',
+        'tarjeta.sinConfirmar': 'Unconfirmed',
+        'tarjeta.sugerenciaModelo': 'Model suggestion:',
+        'tarjeta.informacionBasica': 'Basic Information',
+        'tarjeta.longitud': 'Length estimated with ruler: {mm} mm',
+        'tarjeta.clasificacion': 'Taxonomic Classification',
+        'tarjeta.nombreReferencia': 'Reference name: {nombre}',
+        'tarjeta.normalizado': 'Normalized:',
+        'tarjeta.significadoEcologico': 'Ecological Significance (Bioindicator)',
+        'tarjeta.anotaciones': 'Field Notes',
+        'tarjeta.editado': 'Edited by a person ({n} changes)',
+        'tarjeta.analizadoEl': 'Analyzed on: {fecha}',
+        'tarjeta.por': 'by {nombre}',
+        'tarjeta.generadoEn': 'generated in {idioma}',
+
+        // Vista del historial
+        'historial.titulo': 'Analysis History ({n})',
+        'historial.verificacion': '{n} confirmed identifications · the model got the family right in {pct}% of them',
+        'historial.pendientesConfirmar': '{n} awaiting confirmation',
+        'historial.cargando': 'Loading history...',
+        'historial.imagenesAntiguas': '{n} older analyses store the image inside the document, which slows down loading the history.',
+        'historial.migrando': 'Migrating...',
+        'historial.migrar': 'Migrate to Storage',
+        'historial.seleccionados': '{n} selected',
+        'historial.cargados': '{n} analyses loaded',
+        'historial.quitarSeleccion': 'Clear selection',
+        'historial.informePdf': 'PDF report',
+        'historial.seleccionarExportar': 'Select for export',
+        'historial.imagenAnalizada': 'Analyzed image',
+        'historial.confirmarIdentificacion': 'Confirm identification',
+        'historial.eliminarPregunta': 'Delete this analysis?',
+        'historial.eliminar': 'Delete',
+        'historial.editar': 'Edit',
+        'historial.vacio': 'You have no analyses yet. Go to the \'Analyze\' tab to get started!',
+        'historial.sinCoincidencias': 'No analyses match the filters.',
+        'historial.cargarMas': 'Load more',
+        'tarjeta.sinDescripcion': 'No description for the confirmed taxon.',
+        'tarjeta.categoriaFamilia': 'Category from the confirmed family: {categoria}',
+
+        // Vista de eventos
+        'eventos.soloLectura': 'Your role in this project is read-only.',
+        'eventos.titulo': 'Sampling Events ({n})',
+        'eventos.rioNoEspecificado': 'River not specified',
+        'eventos.calidad': 'Quality',
+        'eventos.clase': 'Class {clase}',
+        'eventos.sinDatos': 'No data',
+        'eventos.especimenes': 'Specimens ({n})',
+        'eventos.sinConfirmar': 'unconfirmed',
+        'eventos.sinEspecimenes': 'There are no specimens in this event yet. Select it in \'Analyze\' before uploading images.',
+        'eventos.sinConfirmarAviso': '{n} unconfirmed specimens do not count toward the index. Confirm them in History.',
+        'eventos.familiasSinPuntaje': 'Families without a score in {variante}: {familias}',
+        'eventos.vacio': 'You have no sampling events yet. Create one to group your specimens.',
+
+        // Vista del mapa
+        'mapa.titulo': 'Map ({n})',
+        'mapa.ubicarEspecimen': 'Click on the map to place {nombre}.',
+        'mapa.limite': 'The map loads at most {n} specimens with a location, in no particular order: some may be missing, including the most recent.',
+        'mapa.filtrarTaxon': 'Filter by taxon',
+        'mapa.todos': 'All',
+        'mapa.mostrarSitios': 'Show sampling sites',
+        'mapa.sitioMuestreo': 'Sampling site',
+        'mapa.sinUbicacion': 'No location ({n})',
+        'mapa.sinUbicacionAyuda': 'Pick an analysis from the history and mark it on the map.',
+        'mapa.sinUbicacionCargados': 'Only analyses already loaded in the History appear; load more pages there to see others.',
+        'mapa.ninguno': 'None',
+
+        // Vista de estadísticas
+        'estadisticas.titulo': 'Statistics',
+        'estadisticas.soloConfirmados': 'Confirmed identifications only',
+        'estadisticas.vacio': 'There are no analyses to summarize yet.',
+        'estadisticas.vacioConfirmados': 'There are no analyses with a confirmed identification to summarize yet.',
+        'estadisticas.analisis': 'Analyses',
+        'estadisticas.individuos': 'Individuals',
+        'estadisticas.riquezaEpt': 'EPT richness',
+        'estadisticas.porcentajeEpt': '% EPT',
+        'estadisticas.limite': 'Summarizing the {n} most recent analyses.',
+        'estadisticas.grafico.categorias': 'Sensitive and tolerant',
+        'estadisticas.grafico.categoriasDescripcion': 'Individuals by the ecological significance of the taxon.',
+        'estadisticas.grafico.clases': 'Individuals by class',
+        'estadisticas.grafico.ordenes': 'Individuals by order',
+        'estadisticas.grafico.familias': 'Individuals by family',
+        'estadisticas.grafico.eptMes': '% EPT by month',
+        'estadisticas.grafico.eptMesDescripcion': 'Ephemeroptera, Plecoptera and Trichoptera over all individuals, by collection month.',
+        'estadisticas.grafico.riquezaMes': 'EPT richness by month',
+        'estadisticas.grafico.riquezaMesDescripcion': 'Distinct EPT families by collection month.',
+        'estadisticas.grafico.eptSitio': '% EPT by site',
+        'estadisticas.grafico.eptSitioDescripcion': 'Only analyses linked to a sampling event.',
+        'estadisticas.grafico.riquezaSitio': 'EPT richness by site',
+
+        // Errores de la aplicación
+        'error.cargarProyectos': 'Error loading the team projects.',
+        'error.cargarHistorial': 'Error loading the history from Firebase.',
+        'error.cargarEspecimenesEventos': 'Error loading the event specimens.',
+        'error.cargarMapa': 'Error loading the map specimens.',
+        'error.cargarEstadisticas': 'Error loading the analyses for the statistics.',
+        'error.cargarEventos': 'Error loading the sampling events.',
+        'error.guardarAnalisis': 'The analysis could not be saved to the history.',
+        'error.migrarImagenes': '{n} images could not be migrated.',
+        'error.crearEvento': 'The sampling event could not be created.',
+        'error.actualizarVariante': 'The index variant could not be updated.',
+        'error.guardarCambios': 'The changes could not be saved.',
+        'error.guardarUbicacion': 'The analysis location could not be saved.',
+        'error.eliminar': 'The analysis could not be deleted.',
+        'error.deshacer': 'The deletion could not be undone.',
+        'error.guardarEnDispositivo': 'The photo could not be saved on the device.',
+        'error.leerImagen': 'The image could not be read. Try another PNG or JPEG file.',
+        'error.imagenGrande': 'The image is too large. Please use a file smaller than {mb}MB.',
+        'error.sinImagen': 'Please upload an image first.',
+        'error.proveedor': 'Error communicating with {proveedor}: {detalle}',
+        'error.guardarConfirmacion': 'The confirmed identification could not be saved.',
+        'error.crearProyecto': 'The project could not be created.',
+        'error.invitacionInvalida': 'The invitation code does not exist or has expired.',
+        'error.unirseProyecto': 'Could not join the project with that invitation.',
+        'error.crearInvitacion': 'The invitation could not be created.',
+        'error.revocarInvitacion': 'The invitation could not be revoked.',
+        'error.cambiarRol': 'The member\'s role could not be changed.',
+        'error.quitarMiembro': 'The member could not be removed from the project.',
+        'error.ventanaInforme': 'The browser blocked the report window. Allow pop-ups to print.',
+
+        // Sin conexión
+        'offline.fotoGuardada': 'Offline: the photo was saved on the device and will be analyzed when the connection returns.',
+        'offline.analisisGuardado': 'Offline: the analysis will be saved to the history when the connection returns.',
+
+        // Lote y estadísticas
+        'lote.formatoNoSoportado': 'Unsupported format (PNG or JPEG only).',
+        'lote.imagenGrande': 'The image exceeds {mb}MB.',
+        'estadisticas.otros': 'Others ({n})',
+        'estadisticas.errorExportar': 'The chart could not be exported.',
+        'error.exportar': 'Could not gather the analyses to export.',
+        'error.exportarVacio': 'No analysis matches the filters.',
+
+        // Aplicación
+        'app.idioma': 'Language',
+        'app.espacioTrabajo': 'Workspace',
+        'app.espacioPersonal': 'Personal space',
+        'app.sinConexion': 'Offline',
+        'app.sincronizando': 'Syncing...',
+        'app.pendientes': '{n} pending',
+        'app.pestana.upload': 'Analyze',
+        'app.pestana.history': 'History',
+        'app.pestana.map': 'Map',
+        'app.pestana.stats': 'Statistics',
+        'app.pestana.events': 'Sampling',
+        'app.pestana.team': 'Team',
+        'app.errorSesion': 'Could not sign in: {detalle}',
+        'app.reintentar': 'Retry',
+        'app.autenticando': 'Authenticating...',
+        'app.soloLectura': 'Your role in {proyecto} is read-only. Browse the analyses in History or ask the owner for a contributor role.',
+        'app.esteProyecto': 'this project',
+        'app.cargarImagen': '1. Upload Image',
+        'app.conectando': 'Connecting to Firebase...',
+        'app.eventoMuestreo': 'Sampling event',
+        'app.sinEvento': 'No event (standalone analysis)',
+        'app.vistaPrevia': 'Preview',
+        'app.usarCamara': 'Use camera',
+        'app.editarImagen': 'Edit image',
+        'app.tomadaEl': 'Taken on {fecha}',
+        'app.longitudEstimada': 'Estimated length: {mm} mm ({referencia} mm ruler)',
+        'app.ubicacion': 'Location:',
+        'app.cambiar': 'Change',
+        'app.quitar': 'Remove',
+        'app.sinGps': 'The photo has no GPS location.',
+        'app.marcarEnMapa': 'Mark on the map',
+        'app.puntoColecta': 'Collection point',
+        'app.puntoColectaAyuda': 'Click on the spot where the specimen was collected.',
+        'app.buscandoDuplicados': 'Looking for earlier analyses...',
+        'app.analizar': 'Analyze Macroinvertebrate',
+        'app.cancelarAnalisis': 'Cancel analysis',
+        'app.pendientesSincronizar': 'Waiting to sync ({n})',
+        'app.sincronizarAhora': 'Sync now',
+        'app.yaAnalizada': 'already analyzed',
+        'app.intentos': '{n} attempts',
+        'app.descartar': 'Discard',
+        'app.descartarFallidas': 'Discard failed ones',
+        'app.sincronizacionFallida': 'Could not sync after {n} attempts. Discard it or capture it again.',
+        'app.resultados': '2. Identification Results',
+        'app.analisisGuardado': 'Analysis saved to the history.',
+        'app.confirmarGuardar': 'Confirm and save',
+        'app.guardarSinConfirmar': 'Save without confirming',
+        'app.guardarParaRevision': 'Save for review',
+        'app.analizando': 'Analyzing image and generating report...',
+        'app.vacio': 'Upload an image of a macroinvertebrate to start the analysis.',
+        'app.vacioAyuda': 'The result will appear here so you can confirm or correct it before saving.',
+        'app.equipoTitulo': 'Team and Projects',
+        'app.analisisEliminado': 'Analysis deleted:',
+        'app.deshacer': 'Undo',
+        'app.identificacion': 'Identification: {proveedor}',
+
+        // Carga por lotes
+        'lote.titulo': 'Batch Upload',
+        'lote.arrastrar': 'Drag a folder or several photos here',
+        'lote.elegirFotos': 'Choose photos',
+        'lote.elegirCarpeta': 'Choose folder',
+        'lote.listos': '{n}/{total} done',
+        'lote.fallidos': '{n} failed',
+        'lote.yaAnalizadas': '{n} already analyzed',
+        'lote.limpiar': 'Clear',
+        'lote.mismaFoto': 'Same photo as',
+        'lote.fotoCasiIdentica': 'Nearly identical photo to',
+        'lote.analizarIgualmente': 'Analyze anyway',
+
+        // Fotos repetidas
+        'duplicado.reutilizado': 'The existing analysis was kept; no new record was created.',
+        'duplicado.exacto': 'This exact photo has already been analyzed.',
+        'duplicado.similar': 'A nearly identical photo has already been analyzed (difference {distancia} of 64).',
+        'duplicado.fotoAnterior': 'Previously analyzed photo',
+        'duplicado.usarExistente': 'Use the existing analysis',
+        'duplicado.analizarDeNuevo': 'Analyze again',
+    },
+    pt: {
+        // Comunes
+        'comun.cancelar': 'Cancelar',
+        'comun.ocultar': 'Ocultar',
+        'comun.procesando': 'Processando...',
+        'comun.y': ' e ',
+        'comun.errorDesconocido': 'erro desconhecido',
+        'comun.na': 'N/D',
+        'comun.guardando': 'Salvando...',
+        'comun.cerrar': 'Fechar',
+        'comun.latitud': 'Latitude',
+        'comun.longitud': 'Longitude',
+        'comun.nd': 'N/D',
+
+        // Cuentas de usuario
+        'cuenta.error.app/missing-config': 'A configuração do Firebase está ausente.',
+        'cuenta.error.auth/invalid-email': 'O e-mail não tem um formato válido.',
+        'cuenta.error.auth/missing-password': 'Digite a senha.',
+        'cuenta.error.auth/weak-password': 'A senha deve ter pelo menos 6 caracteres.',
+        'cuenta.error.auth/invalid-credential': 'E-mail ou senha incorretos.',
+        'cuenta.error.auth/wrong-password': 'E-mail ou senha incorretos.',
+        'cuenta.error.auth/user-not-found': 'Não existe uma conta com esse e-mail.',
+        'cuenta.error.auth/user-disabled': 'Esta conta está desativada.',
+        'cuenta.error.auth/email-already-in-use': 'Já existe uma conta com esse e-mail. Entre com ela.',
+        'cuenta.error.auth/credential-already-in-use': 'Essa conta já está registrada.',
+        'cuenta.error.auth/provider-already-linked': 'Esta conta já está vinculada a esse método de acesso.',
+        'cuenta.error.auth/popup-closed-by-user': 'A janela do Google foi fechada antes de terminar.',
+        'cuenta.error.auth/cancelled-popup-request': 'A janela do Google foi fechada antes de terminar.',
+        'cuenta.error.auth/popup-blocked': 'O navegador bloqueou a janela do Google. Permita janelas pop-up.',
+        'cuenta.error.auth/operation-not-allowed': 'Este método de acesso não está habilitado no projeto do Firebase.',
+        'cuenta.error.auth/too-many-requests': 'Muitas tentativas. Aguarde alguns minutos e tente novamente.',
+        'cuenta.error.auth/network-request-failed': 'Sem conexão com o servidor de autenticação.',
+        'cuenta.error.desconocido': 'Não foi possível concluir o acesso ({detalle}).',
+        'cuenta.proveedor.password': 'e-mail e senha',
+        'cuenta.proveedor.google.com': 'Google',
+        'cuenta.cargando': 'Carregando sessão...',
+        'cuenta.creada': 'Conta criada.',
+        'cuenta.creadaConAnalisis': 'Conta criada. Suas análises foram mantidas nela.',
+        'cuenta.googleVinculada': 'Conta do Google vinculada.',
+        'cuenta.googleVinculadaConAnalisis': 'Conta do Google vinculada. Suas análises foram mantidas.',
+        'cuenta.faltaCorreo': 'Digite seu e-mail para enviarmos o link.',
+        'cuenta.correoRestablecer': 'Enviamos um e-mail para redefinir sua senha.',
+        'cuenta.sesionAnonima': 'Sessão anônima: suas análises só ficam guardadas neste navegador.',
+        'cuenta.sesionIniciadaComo': 'Sessão iniciada como',
+        'cuenta.conMetodos': 'com {metodos}',
+        'cuenta.crearOIniciar': 'Criar conta ou entrar',
+        'cuenta.titulo': 'Conta',
+        'cuenta.cerrarSesion': 'Sair',
+        'cuenta.crear': 'Criar conta',
+        'cuenta.yaTengo': 'Já tenho conta',
+        'cuenta.ayudaRegistro': 'A nova conta mantém as análises desta sessão e permite abri-las em outros dispositivos.',
+        'cuenta.ayudaIngreso': 'Ao entrar em uma conta existente, as análises desta sessão anônima não são transferidas para ela.',
+        'cuenta.correo': 'E-mail',
+        'cuenta.contrasena': 'Senha',
+        'cuenta.iniciarSesion': 'Entrar',
+        'cuenta.olvidaste': 'Esqueceu sua senha?',
+        'cuenta.continuarGoogle': 'Continuar com o Google',
+        'cuenta.vincularGoogle': 'Vincular conta do Google',
+        'cuenta.googleYaRegistrada': 'Essa conta do Google já está registrada. Você pode entrar com ela, mas as análises desta sessão não são transferidas.',
+        'cuenta.entrarConEsa': 'Entrar com essa conta',
+        'cuenta.idUsuario': 'ID do usuário:',
+
+        // Índices bióticos
+        'bmwp.variante.colombia': 'BMWP/Col (Colômbia)',
+        'bmwp.variante.iberia': 'IBMWP (Península Ibérica)',
+        'bmwp.calidad.colombia.I': 'Boa',
+        'bmwp.calidad.colombia.II': 'Aceitável',
+        'bmwp.calidad.colombia.III': 'Duvidosa',
+        'bmwp.calidad.colombia.IV': 'Crítica',
+        'bmwp.calidad.colombia.V': 'Muito crítica',
+        'bmwp.calidad.iberia.I': 'Águas muito limpas',
+        'bmwp.calidad.iberia.II': 'Alguns efeitos de poluição',
+        'bmwp.calidad.iberia.III': 'Águas poluídas',
+        'bmwp.calidad.iberia.IV': 'Águas muito poluídas',
+        'bmwp.calidad.iberia.V': 'Águas fortemente poluídas',
+
+        // Catálogo taxonómico
+        'taxonomia.nivel.clase': 'Classe',
+        'taxonomia.nivel.orden': 'Ordem',
+        'taxonomia.nivel.familia': 'Família',
+        'taxonomia.aviso.noCatalogado': '{nivel} "{nombre}" não está no catálogo de referência.',
+        'taxonomia.aviso.familiaFueraDeOrden': 'A família {familia} pertence à ordem {esperado}, não a {recibido}.',
+        'taxonomia.aviso.ordenFueraDeClase': 'A ordem {orden} pertence à classe {esperado}, não a {recibido}.',
+        'taxonomia.estado.verificado': 'Taxonomia verificada',
+        'taxonomia.estado.inconsistente': 'Hierarquia inconsistente',
+        'taxonomia.estado.no_verificado': 'Não verificado no catálogo',
+
+        // Servicio de identificación
+        'identificacion.error.quota': 'A cota do serviço de identificação se esgotou. Aguarde alguns minutos ou verifique o plano da chave de API.',
+        'identificacion.error.invalid_image': 'O serviço rejeitou a imagem por formato ou tamanho inválido. Tente outra foto.',
+        'identificacion.error.safety': 'O modelo bloqueou a resposta por seus filtros de segurança. Tente outra foto do espécime.',
+        'identificacion.error.malformed': 'O modelo retornou uma resposta que não pôde ser interpretada. Tente novamente.',
+        'identificacion.error.auth': 'A chave de API não é válida ou não tem permissão para usar o modelo.',
+        'identificacion.error.server': 'O serviço de identificação não está disponível no momento.',
+        'identificacion.error.timeout': 'O serviço de identificação demorou demais para responder.',
+        'identificacion.error.network': 'Não foi possível conectar ao serviço de identificação.',
+        'identificacion.error.cancelled': 'Análise cancelada.',
+        'identificacion.error.http': 'O serviço de identificação rejeitou a solicitação.',
+        'identificacion.error.config': 'O serviço de identificação não está configurado corretamente; verifique __identification_config.',
+
+        // Instrucciones para el modelo
+        'prompt.identificar': 'Identifique o macroinvertebrado aquático nesta imagem. Forneça seu nome, informações básicas, classificação taxonômica e seu significado como bioindicador. Indique sua confiança (0 a 1) e as características que a justificam, e até 3 táxons alternativos com sua confiança e raciocínio. Redija todos os textos em português, mas escreva os nomes científicos e os nomes de classe, ordem e família em latim, sem traduzi-los. Formate a resposta como JSON estrito seguindo o esquema fornecido.',
+        'prompt.longitud': 'O comprimento corporal estimado do espécime é de {mm} mm, medido sobre uma régua de referência na foto; leve-o em conta para descartar táxons de outro tamanho.',
+
+        // Ubicación de la captura
+        'ubicacion.origen.exif': 'GPS da foto',
+        'ubicacion.origen.manual': 'marcada à mão',
+        'ubicacion.origen.sitio': 'do local de amostragem',
+
+        // Carga por lotes
+        'lote.estado.pending': 'Pendente',
+        'lote.estado.analyzing': 'Analisando',
+        'lote.estado.done': 'Pronto',
+        'lote.estado.failed': 'Falhou',
+        'lote.estado.cancelled': 'Cancelado',
+        'lote.estado.offline': 'Na fila sem conexão',
+        'lote.estado.duplicate': 'Já analisada',
+
+        // Informe imprimible
+        'informe.tituloDocumento': 'Relatório MacroSearch',
+        'informe.titulo': 'Relatório de macroinvertebrados',
+        'informe.resumen': '{n} espécimes · gerado em {fecha}',
+        'informe.clasificacion': 'Classificação:',
+        'informe.confirmada': 'confirmada',
+        'informe.sinConfirmar': 'não confirmada',
+        'informe.muestreo': 'Amostragem:',
+        'informe.significadoEcologico': 'Significado ecológico:',
+
+        // Categorías de bioindicador
+        'categoria.sensible': 'Sensível',
+        'categoria.moderado': 'Moderado',
+        'categoria.tolerante': 'Tolerante',
+        'categoria.sin_dato': 'Sem dado',
+
+        // Estadios de vida
+        'estadio.larva': 'Larva',
+        'estadio.ninfa': 'Ninfa',
+        'estadio.pupa': 'Pupa',
+        'estadio.adulto': 'Adulto',
+
+        // Campos editables
+        'campo.nombreCientifico': 'Nome científico',
+        'campo.nombreComun': 'Nome comum',
+        'campo.clasificacion.clase': 'Classe',
+        'campo.clasificacion.orden': 'Ordem',
+        'campo.clasificacion.familia': 'Família',
+        'campo.significadoEcologico': 'Significado ecológico',
+        'campo.anotaciones.numeroIndividuos': 'Indivíduos',
+        'campo.anotaciones.estadioVida': 'Estágio',
+        'campo.anotaciones.microhabitat': 'Micro-habitat',
+        'campo.anotaciones.colector': 'Coletor',
+        'campo.anotaciones.notas': 'Notas',
+        'campo.anotaciones.etiquetas': 'Etiquetas',
+        'campo.ubicacion': 'Localização',
+
+        // Roles de proyecto
+        'rol.owner': 'Responsável',
+        'rol.reviewer': 'Revisor',
+        'rol.contributor': 'Colaborador',
+        'rol.viewer': 'Leitor',
+        'historial.soloCargados': 'Busca e categoria: só nos resultados carregados',
+        'historial.exportaFiltrado': 'exporta tudo o que atende aos filtros',
+
+        // Equipo y proyectos
+        'equipo.usuarioSinNombre': 'Usuário {id}',
+        'equipo.tuNombre': 'Seu nome nos projetos',
+        'equipo.nombreVisible': 'Nome visível para a equipe',
+        'equipo.nombreAyuda': 'É salvo ao criar um projeto ou entrar em um.',
+        'equipo.nuevoProyecto': 'Novo Projeto',
+        'equipo.nombreProyecto': 'Nome do projeto *',
+        'equipo.descripcion': 'Descrição (campanha, bacia, grupo...)',
+        'equipo.crearProyecto': 'Criar Projeto',
+        'equipo.unirseConInvitacion': 'Entrar com um Convite',
+        'equipo.codigoInvitacion': 'Código do convite',
+        'equipo.unirse': 'Entrar',
+        'equipo.espacioPersonal': 'Espaço pessoal',
+        'equipo.espacioPersonalAyuda': 'Só você vê as análises deste espaço. Crie um projeto ou entre em um para compartilhar os dados de uma campanha com sua equipe.',
+        'equipo.tuRol': 'Sua função: {rol}',
+        'equipo.miembros': 'Membros ({n})',
+        'equipo.tu': '(você)',
+        'equipo.quitar': 'Remover',
+        'equipo.invitaciones': 'Convites',
+        'equipo.crearInvitacion': 'Criar convite',
+        'equipo.invitacionAyuda': 'Compartilhe o código com quem deve entrar. Serve para uma só pessoa e expira após {dias} dias se ninguém o usar.',
+        'equipo.usadaPor': 'Usado por {nombre}',
+        'equipo.caducada': 'Expirado',
+        'equipo.caduca': 'Expira em {fecha}',
+        'equipo.revocar': 'Revogar',
+        'equipo.sinInvitaciones': 'Não há convites ativos.',
+
+        // Mapa
+        'mapa.acercar': 'Aproximar',
+        'mapa.alejar': 'Afastar',
+        'mapa.ajustar': 'Ajustar aos pontos',
+
+        // Cámara y edición de imagen
+        'camara.noDisponible': 'Este navegador não permite usar a câmera. Abra o app com HTTPS ou use "Escolher arquivo".',
+        'camara.error.NotAllowedError': 'Permissão de câmera negada. Ative-a nas configurações do navegador.',
+        'camara.error.NotFoundError': 'Nenhuma câmera foi encontrada neste dispositivo.',
+        'camara.error.NotReadableError': 'A câmera está sendo usada por outro aplicativo.',
+        'camara.error.OverconstrainedError': 'A câmera não suporta a resolução solicitada.',
+        'camara.error.desconocido': 'Não foi possível abrir a câmera.',
+        'camara.errorCaptura': 'Não foi possível capturar a foto.',
+        'camara.capturar': 'Capturar',
+        'editor.errorAbrir': 'Não foi possível abrir a imagem.',
+        'editor.errorAplicar': 'Não foi possível gerar a imagem editada.',
+        'editor.abriendo': 'Abrindo imagem...',
+        'editor.recortar': 'Recortar',
+        'editor.lineaRegla': 'Linha da régua',
+        'editor.lineaEspecimen': 'Linha do espécime',
+        'editor.girarIzquierda': 'Girar para a esquerda',
+        'editor.girarDerecha': 'Girar para a direita',
+        'editor.quitarRecorte': 'Remover recorte',
+        'editor.brillo': 'Brilho: {n}%',
+        'editor.medir': 'Medir o espécime (opcional)',
+        'editor.medirAyuda': 'Trace uma linha amarela sobre a régua, informe quanto ela mede e trace a linha azul da cabeça ao fim do abdômen.',
+        'editor.reglaMide': 'A linha da régua mede',
+        'editor.longitudEstimada': 'Comprimento estimado: {mm} mm',
+        'editor.trazaAmbas': 'Trace as duas linhas para estimar o comprimento.',
+        'editor.aplicando': 'Aplicando...',
+        'editor.aplicar': 'Aplicar',
+
+        // Muestreos
+        'muestreo.nuevo': 'Novo Evento de Amostragem',
+        'muestreo.nombreSitio': 'Nome do local *',
+        'muestreo.rio': 'Rio ou córrego',
+        'muestreo.notasHabitat': 'Notas do habitat (substrato, vazão, vegetação...)',
+        'muestreo.coordenadasInvalidas': 'Digite latitude e longitude em graus decimais (WGS84), ou deixe ambas vazias.',
+        'muestreo.crear': 'Criar Evento',
+
+        // Verificación de identificaciones
+        'revision.titulo': 'Verificar identificação',
+        'revision.sugerenciaPrincipal': 'Sugestão principal',
+        'revision.corregir': 'Corrigir manualmente',
+        'revision.ahoraNo': 'Agora não',
+        'revision.confirmar': 'Confirmar',
+
+        // Filtros del historial
+        'historial.buscar': 'Buscar por nome científico, comum ou táxon...',
+        'historial.todasCategorias': 'Todas as categorias',
+        'historial.todosEventos': 'Todos os eventos',
+        'historial.taxon': 'Táxon',
+        'historial.desde': 'De',
+        'historial.hasta': 'Até',
+        'historial.aplicar': 'Aplicar',
+        'historial.limpiar': 'Limpar filtros',
+
+        // Edición de análisis
+        'editorAnalisis.identificacion': 'Identificação',
+        'editorAnalisis.anotaciones': 'Anotações de campo',
+        'editorAnalisis.numeroIndividuos': 'Nº de indivíduos',
+        'editorAnalisis.sinIndicar': 'Não informado',
+        'editorAnalisis.microhabitatEjemplo': 'Pedra, folhiço, areia...',
+        'editorAnalisis.etiquetas': 'Etiquetas (separadas por vírgulas)',
+        'editorAnalisis.guardar': 'Salvar alterações',
+
+        // Tarjeta de análisis
+        'tarjeta.confianza': 'Confiança do modelo: {valor}',
+        'tarjeta.confirmado': 'Confirmado',
+        'tarjeta.sinConfirmar': 'Não confirmado',
+        'tarjeta.sugerenciaModelo': 'Sugestão do modelo:',
+        'tarjeta.informacionBasica': 'Informações Básicas',
+        'tarjeta.longitud': 'Comprimento estimado com régua: {mm} mm',
+        'tarjeta.clasificacion': 'Classificação Taxonômica',
+        'tarjeta.nombreReferencia': 'Nome de referência: {nombre}',
+        'tarjeta.normalizado': 'Normalizado:',
+        'tarjeta.significadoEcologico': 'Significado Ecológico (Bioindicador)',
+        'tarjeta.anotaciones': 'Anotações de Campo',
+        'tarjeta.editado': 'Editado por uma pessoa ({n} alterações)',
+        'tarjeta.analizadoEl': 'Analisado em: {fecha}',
+        'tarjeta.por': 'por {nombre}',
+        'tarjeta.generadoEn': 'gerado em {idioma}',
+
+        // Vista del historial
+        'historial.titulo': 'Histórico de Análises ({n})',
+        'historial.verificacion': '{n} identificações confirmadas · o modelo acertou a família em {pct}% delas',
+        'historial.pendientesConfirmar': '{n} aguardando confirmação',
+        'historial.cargando': 'Carregando histórico...',
+        'historial.imagenesAntiguas': '{n} análises antigas guardam a imagem dentro do documento, o que deixa o carregamento do histórico lento.',
+        'historial.migrando': 'Migrando...',
+        'historial.migrar': 'Migrar para o Storage',
+        'historial.seleccionados': '{n} selecionados',
+        'historial.cargados': '{n} análises carregadas',
+        'historial.quitarSeleccion': 'Limpar seleção',
+        'historial.informePdf': 'Relatório PDF',
+        'historial.seleccionarExportar': 'Selecionar para exportar',
+        'historial.imagenAnalizada': 'Imagem analisada',
+        'historial.confirmarIdentificacion': 'Confirmar identificação',
+        'historial.eliminarPregunta': 'Excluir esta análise?',
+        'historial.eliminar': 'Excluir',
+        'historial.editar': 'Editar',
+        'historial.vacio': 'Você ainda não tem análises. Vá para a aba \'Analisar\' para começar!',
+        'historial.sinCoincidencias': 'Nenhuma análise corresponde aos filtros.',
+        'historial.cargarMas': 'Carregar mais',
+        'tarjeta.sinDescripcion': 'Sem descrição para o táxon confirmado.',
+        'tarjeta.categoriaFamilia': 'Categoria segundo a família confirmada: {categoria}',
+
+        // Vista de eventos
+        'eventos.soloLectura': 'Sua função neste projeto é somente leitura.',
+        'eventos.titulo': 'Eventos de Amostragem ({n})',
+        'eventos.rioNoEspecificado': 'Rio não especificado',
+        'eventos.calidad': 'Qualidade',
+        'eventos.clase': 'Classe {clase}',
+        'eventos.sinDatos': 'Sem dados',
+        'eventos.especimenes': 'Espécimes ({n})',
+        'eventos.sinConfirmar': 'não confirmado',
+        'eventos.sinEspecimenes': 'Ainda não há espécimes neste evento. Selecione-o em \'Analisar\' antes de enviar imagens.',
+        'eventos.sinConfirmarAviso': '{n} espécimes não confirmados não contam no índice. Confirme-os no Histórico.',
+        'eventos.familiasSinPuntaje': 'Famílias sem pontuação em {variante}: {familias}',
+        'eventos.vacio': 'Você ainda não tem eventos de amostragem. Crie um para agrupar seus espécimes.',
+
+        // Vista del mapa
+        'mapa.titulo': 'Mapa ({n})',
+        'mapa.ubicarEspecimen': 'Clique no mapa para localizar {nombre}.',
+        'mapa.limite': 'O mapa carrega no máximo {n} espécimes com localização, sem uma ordem específica: alguns podem faltar, inclusive os mais recentes.',
+        'mapa.filtrarTaxon': 'Filtrar por táxon',
+        'mapa.todos': 'Todos',
+        'mapa.mostrarSitios': 'Mostrar pontos de amostragem',
+        'mapa.sitioMuestreo': 'Ponto de amostragem',
+        'mapa.sinUbicacion': 'Sem localização ({n})',
+        'mapa.sinUbicacionAyuda': 'Escolha uma análise do histórico e marque-a no mapa.',
+        'mapa.sinUbicacionCargados': 'Só aparecem as análises já carregadas no Histórico; carregue mais páginas lá para ver outras.',
+        'mapa.ninguno': 'Nenhum',
+
+        // Vista de estadísticas
+        'estadisticas.titulo': 'Estatísticas',
+        'estadisticas.soloConfirmados': 'Somente identificações confirmadas',
+        'estadisticas.vacio': 'Ainda não há análises para resumir.',
+        'estadisticas.vacioConfirmados': 'Ainda não há análises com identificação confirmada para resumir.',
+        'estadisticas.analisis': 'Análises',
+        'estadisticas.individuos': 'Indivíduos',
+        'estadisticas.riquezaEpt': 'Riqueza EPT',
+        'estadisticas.porcentajeEpt': '% EPT',
+        'estadisticas.limite': 'Resumindo as {n} análises mais recentes.',
+        'estadisticas.grafico.categorias': 'Sensíveis e tolerantes',
+        'estadisticas.grafico.categoriasDescripcion': 'Indivíduos segundo o significado ecológico do táxon.',
+        'estadisticas.grafico.clases': 'Indivíduos por classe',
+        'estadisticas.grafico.ordenes': 'Indivíduos por ordem',
+        'estadisticas.grafico.familias': 'Indivíduos por família',
+        'estadisticas.grafico.eptMes': '% EPT por mês',
+        'estadisticas.grafico.eptMesDescripcion': 'Ephemeroptera, Plecoptera e Trichoptera sobre o total de indivíduos, por mês de coleta.',
+        'estadisticas.grafico.riquezaMes': 'Riqueza EPT por mês',
+        'estadisticas.grafico.riquezaMesDescripcion': 'Famílias EPT distintas por mês de coleta.',
+        'estadisticas.grafico.eptSitio': '% EPT por ponto',
+        'estadisticas.grafico.eptSitioDescripcion': 'Somente análises associadas a um evento de amostragem.',
+        'estadisticas.grafico.riquezaSitio': 'Riqueza EPT por ponto',
+
+        // Errores de la aplicación
+        'error.cargarProyectos': 'Erro ao carregar os projetos da equipe.',
+        'error.cargarHistorial': 'Erro ao carregar o histórico do Firebase.',
+        'error.cargarEspecimenesEventos': 'Erro ao carregar os espécimes dos eventos.',
+        'error.cargarMapa': 'Erro ao carregar os espécimes do mapa.',
+        'error.cargarEstadisticas': 'Erro ao carregar as análises para as estatísticas.',
+        'error.cargarEventos': 'Erro ao carregar os eventos de amostragem.',
+        'error.guardarAnalisis': 'Não foi possível salvar a análise no histórico.',
+        'error.migrarImagenes': 'Não foi possível migrar {n} imagens.',
+        'error.crearEvento': 'Não foi possível criar o evento de amostragem.',
+        'error.actualizarVariante': 'Não foi possível atualizar a variante do índice.',
+        'error.guardarCambios': 'Não foi possível salvar as alterações.',
+        'error.guardarUbicacion': 'Não foi possível salvar a localização da análise.',
+        'error.eliminar': 'Não foi possível excluir a análise.',
+        'error.deshacer': 'Não foi possível desfazer a exclusão.',
+        'error.guardarEnDispositivo': 'Não foi possível salvar a foto no dispositivo.',
+        'error.leerImagen': 'Não foi possível ler a imagem. Tente outro arquivo PNG ou JPEG.',
+        'error.imagenGrande': 'A imagem é grande demais. Use um arquivo menor que {mb}MB.',
+        'error.sinImagen': 'Envie uma imagem primeiro.',
+        'error.proveedor': 'Erro ao se comunicar com {proveedor}: {detalle}',
+        'error.guardarConfirmacion': 'Não foi possível salvar a identificação confirmada.',
+        'error.crearProyecto': 'Não foi possível criar o projeto.',
+        'error.invitacionInvalida': 'O código de convite não existe ou expirou.',
+        'error.unirseProyecto': 'Não foi possível entrar no projeto com esse convite.',
+        'error.crearInvitacion': 'Não foi possível criar o convite.',
+        'error.revocarInvitacion': 'Não foi possível revogar o convite.',
+        'error.cambiarRol': 'Não foi possível alterar a função do membro.',
+        'error.quitarMiembro': 'Não foi possível remover o membro do projeto.',
+        'error.ventanaInforme': 'O navegador bloqueou a janela do relatório. Permita pop-ups para imprimir.',
+
+        // Sin conexión
+        'offline.fotoGuardada': 'Sem conexão: a foto foi salva no dispositivo e será analisada quando a conexão voltar.',
+        'offline.analisisGuardado': 'Sem conexão: a análise será salva no histórico quando a conexão voltar.',
+
+        // Lote y estadísticas
+        'lote.formatoNoSoportado': 'Formato não suportado (somente PNG ou JPEG).',
+        'lote.imagenGrande': 'A imagem ultrapassa {mb}MB.',
+        'estadisticas.otros': 'Outros ({n})',
+        'estadisticas.errorExportar': 'Não foi possível exportar o gráfico.',
+        'error.exportar': 'Não foi possível reunir as análises para exportar.',
+        'error.exportarVacio': 'Nenhuma análise atende aos filtros.',
+
+        // Aplicación
+        'app.idioma': 'Idioma',
+        'app.espacioTrabajo': 'Espaço de trabalho',
+        'app.espacioPersonal': 'Espaço pessoal',
+        'app.sinConexion': 'Sem conexão',
+        'app.sincronizando': 'Sincronizando...',
+        'app.pendientes': '{n} pendentes',
+        'app.pestana.upload': 'Analisar',
+        'app.pestana.history': 'Histórico',
+        'app.pestana.map': 'Mapa',
+        'app.pestana.stats': 'Estatísticas',
+        'app.pestana.events': 'Amostragens',
+        'app.pestana.team': 'Equipe',
+        'app.errorSesion': 'Não foi possível iniciar a sessão: {detalle}',
+        'app.reintentar': 'Tentar novamente',
+        'app.autenticando': 'Autenticando...',
+        'app.soloLectura': 'Sua função em {proyecto} é somente leitura. Consulte as análises no Histórico ou peça ao responsável uma função de colaborador.',
+        'app.esteProyecto': 'este projeto',
+        'app.cargarImagen': '1. Carregar Imagem',
+        'app.conectando': 'Conectando ao Firebase...',
+        'app.eventoMuestreo': 'Evento de amostragem',
+        'app.sinEvento': 'Sem evento (análise avulsa)',
+        'app.vistaPrevia': 'Pré-visualização',
+        'app.usarCamara': 'Usar câmera',
+        'app.editarImagen': 'Editar imagem',
+        'app.tomadaEl': 'Tirada em {fecha}',
+        'app.longitudEstimada': 'Comprimento estimado: {mm} mm (régua de {referencia} mm)',
+        'app.ubicacion': 'Localização:',
+        'app.cambiar': 'Alterar',
+        'app.quitar': 'Remover',
+        'app.sinGps': 'A foto não tem localização GPS.',
+        'app.marcarEnMapa': 'Marcar no mapa',
+        'app.puntoColecta': 'Ponto de coleta',
+        'app.puntoColectaAyuda': 'Clique no ponto onde o espécime foi coletado.',
+        'app.buscandoDuplicados': 'Procurando análises anteriores...',
+        'app.analizar': 'Analisar Macroinvertebrado',
+        'app.cancelarAnalisis': 'Cancelar análise',
+        'app.pendientesSincronizar': 'Aguardando sincronização ({n})',
+        'app.sincronizarAhora': 'Sincronizar agora',
+        'app.yaAnalizada': 'já analisada',
+        'app.intentos': '{n} tentativas',
+        'app.descartar': 'Descartar',
+        'app.descartarFallidas': 'Descartar as que falharam',
+        'app.sincronizacionFallida': 'Não foi possível sincronizar após {n} tentativas. Descarte-a ou capture-a novamente.',
+        'app.resultados': '2. Resultados da Identificação',
+        'app.analisisGuardado': 'Análise salva no histórico.',
+        'app.confirmarGuardar': 'Confirmar e salvar',
+        'app.guardarSinConfirmar': 'Salvar sem confirmar',
+        'app.guardarParaRevision': 'Salvar para revisão',
+        'app.analizando': 'Analisando imagem e gerando relatório...',
+        'app.vacio': 'Envie uma imagem de um macroinvertebrado para iniciar a análise.',
+        'app.vacioAyuda': 'O resultado aparecerá aqui para que você o confirme ou corrija antes de salvar.',
+        'app.equipoTitulo': 'Equipe e Projetos',
+        'app.analisisEliminado': 'Análise excluída:',
+        'app.deshacer': 'Desfazer',
+        'app.identificacion': 'Identificação: {proveedor}',
+
+        // Carga por lotes
+        'lote.titulo': 'Envio em Lote',
+        'lote.arrastrar': 'Arraste aqui uma pasta ou várias fotos',
+        'lote.elegirFotos': 'Escolher fotos',
+        'lote.elegirCarpeta': 'Escolher pasta',
+        'lote.listos': '{n}/{total} prontos',
+        'lote.fallidos': '{n} com falha',
+        'lote.yaAnalizadas': '{n} já analisadas',
+        'lote.limpiar': 'Limpar',
+        'lote.mismaFoto': 'Mesma foto que',
+        'lote.fotoCasiIdentica': 'Foto quase idêntica a',
+        'lote.analizarIgualmente': 'Analisar mesmo assim',
+
+        // Fotos repetidas
+        'duplicado.reutilizado': 'A análise existente foi mantida; nenhum registro novo foi criado.',
+        'duplicado.exacto': 'Esta mesma foto já foi analisada.',
+        'duplicado.similar': 'Uma foto quase idêntica já foi analisada (diferença {distancia} de 64).',
+        'duplicado.fotoAnterior': 'Foto analisada anteriormente',
+        'duplicado.usarExistente': 'Usar a análise existente',
+        'duplicado.analizarDeNuevo': 'Analisar novamente',
+    },
+};
+
+// --- CUENTAS DE USUARIO ---
+
+// Códigos de error de Firebase Auth con mensaje propio en el catálogo (cuenta.error.<código>)
+const AUTH_ERROR_CODES = [
+    'app/missing-config',
+    'auth/invalid-email',
+    'auth/missing-password',
+    'auth/weak-password',
+    'auth/invalid-credential',
+    'auth/wrong-password',
+    'auth/user-not-found',
+    'auth/user-disabled',
+    'auth/email-already-in-use',
+    'auth/credential-already-in-use',
+    'auth/provider-already-linked',
+    'auth/popup-closed-by-user',
+    'auth/cancelled-popup-request',
+    'auth/popup-blocked',
+    'auth/operation-not-allowed',
+    'auth/too-many-requests',
+    'auth/network-request-failed',
+];
+
+const authErrorMessage = (error, t) => (AUTH_ERROR_CODES.includes(error?.code)
+    ? t(`cuenta.error.${error.code}`)
+    : t('cuenta.error.desconocido', { detalle: error?.code || error?.message || t('comun.errorDesconocido') }));
+
+// Datos de la cuenta que usa la interfaz (el objeto User de Firebase muta al vincular)
+const describeUser = (user) => ({
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email,
+    displayName: user.displayName,
+    providers: user.providerData.map(provider => provider.providerId),
+});
+
+// Métodos de acceso con nombre en el catálogo (cuenta.proveedor.<id>)
+const PROVIDER_IDS = ['password', 'google.com'];
+
 // Custom Hook para manejar la lógica de Firebase
 const useFirebase = () => {
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
+    const [storage, setStorage] = useState(null);
     const [userId, setUserId] = useState(null);
+    const [account, setAccount] = useState(null);
+    const [authError, setAuthError] = useState(null); // Fallo al abrir la sesión inicial ({ code } de Firebase)
     const [isAuthReady, setIsAuthReady] = useState(false);
 
+    // Sin sesión (al arrancar o tras cerrar sesión) se abre una sesión anónima
+    const startAnonymousSession = useCallback((authInstance) => {
+        signInAnonymously(authInstance).catch(error => {
+            console.error("Error signing in anonymously:", error);
+            setAuthError(error);
+            setIsAuthReady(true); // Aunque falló, la auth ha terminado
+        });
+    }, []);
+
     useEffect(() => {
         if (!Object.keys(firebaseConfig).length) {
             console.error("Firebase config is missing.");
+            setAuthError({ code: 'app/missing-config' });
+            setIsAuthReady(true);
             return;
         }
 
         const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
+        // Caché persistente: el historial sigue legible sin conexión y las escrituras se encolan
+        const firestore = initializeFirestore(app, {
+            localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+        });
         const authInstance = getAuth(app);
+        const storageInstance = getStorage(app);
+
+        if (useEmulators) {
+            connectAuthEmulator(authInstance, 'http://127.0.0.1:9099', { disableWarnings: true });
+            connectFirestoreEmulator(firestore, '127.0.0.1', 8080);
+            connectStorageEmulator(storageInstance, '127.0.0.1', 9199);
+        }
 
         setDb(firestore);
         setAuth(authInstance);
+        setStorage(storageInstance);
+
+        // Mientras se prueba el token custom no se abre la sesión anónima
+        let tokenPending = Boolean(initialAuthToken);
 
         const unsubscribe = onAuthStateChanged(authInstance, (user) => {
             if (user) {
                 setUserId(user.uid);
+                setAccount(describeUser(user));
+                setAuthError(null);
                 setIsAuthReady(true);
             } else {
-                // Si no hay token inicial, intentar inicio de sesión anónimo
-                if (!initialAuthToken) {
-                    signInAnonymously(authInstance).then((credential) => {
-                        setUserId(credential.user.uid);
-                        setIsAuthReady(true);
-                    }).catch(error => {
-                        console.error("Error signing in anonymously:", error);
-                        setIsAuthReady(true); // Aunque falló, la auth ha terminado
-                    });
+                setUserId(null);
+                setAccount(null);
+                if (!tokenPending) {
+                    setIsAuthReady(false);
+                    startAnonymousSession(authInstance);
                 }
             }
         });
 
         // Intentar inicio de sesión con token custom si está disponible
         if (initialAuthToken) {
-            signInWithCustomToken(authInstance, initialAuthToken).then((credential) => {
-                setUserId(credential.user.uid);
-                setIsAuthReady(true);
+            signInWithCustomToken(authInstance, initialAuthToken).then(() => {
+                tokenPending = false;
             }).catch(error => {
                 console.error("Error signing in with custom token:", error);
                 // Si falla el token, intentar anónimo
-                signInAnonymously(authInstance).then((credential) => {
-                    setUserId(credential.user.uid);
-                    setIsAuthReady(true);
-                }).catch(err => {
-                    console.error("Error signing in anonymously after token failure:", err);
-                    setIsAuthReady(true);
-                });
+                tokenPending = false;
+                startAnonymousSession(authInstance);
             });
         }
 
         return () => unsubscribe();
-    }, []);
+    }, [startAnonymousSession]);
+
+    const retrySignIn = useCallback(() => {
+        if (!auth) return;
+        setAuthError(null);
+        setIsAuthReady(false);
+        startAnonymousSession(auth);
+    }, [auth, startAnonymousSession]);
+
+    // Una sesión anónima se vincula a la cuenta nueva: conserva el mismo uid y, con él, todos sus análisis
+    const registerWithEmail = useCallback(async (email, password) => {
+        const credential = EmailAuthProvider.credential(email, password);
+        const result = auth.currentUser?.isAnonymous
+            ? await linkWithCredential(auth.currentUser, credential)
+            : await createUserWithEmailAndPassword(auth, email, password);
+        setAccount(describeUser(result.user));
+    }, [auth]);
+
+    // Entrar en una cuenta existente cambia de uid: lo anónimo se queda en la sesión anterior
+    const signInWithEmail = useCallback(async (email, password) => {
+        await signInWithEmailAndPassword(auth, email, password);
+    }, [auth]);
+
+    const continueWithGoogle = useCallback(async () => {
+        const provider = new GoogleAuthProvider();
+        const result = auth.currentUser
+            ? await linkWithPopup(auth.currentUser, provider)
+            : await signInWithPopup(auth, provider);
+        setAccount(describeUser(result.user));
+    }, [auth]);
+
+    // Cuando la cuenta de Google ya existía, se entra con ella usando la credencial del error
+    const signInWithExistingCredential = useCallback(async (credential) => {
+        await signInWithCredential(auth, credential);
+    }, [auth]);
+
+    const resetPassword = useCallback((email) => sendPasswordResetEmail(auth, email), [auth]);
+
+    const signOutUser = useCallback(() => signOut(auth), [auth]);
 
-    return { db, userId, isAuthReady };
+    const accountActions = useMemo(() => ({
+        registerWithEmail,
+        signInWithEmail,
+        continueWithGoogle,
+        signInWithExistingCredential,
+        resetPassword,
+        signOut: signOutUser,
+    }), [registerWithEmail, signInWithEmail, continueWithGoogle, signInWithExistingCredential, resetPassword, signOutUser]);
+
+    return { db, storage, userId, account, authError, retrySignIn, accountActions, isAuthReady };
+};
+
+// --- ÍNDICES BIÓTICOS BMWP / ASPT ---
+
+// Puntajes por familia. BMWP/Col según Roldán (2003); IBMWP según Alba-Tercedor et al. (2002).
+const BMWP_PUNTAJES = {
+    colombia: {
+        10: ['Anomalopodidae', 'Atriplectididae', 'Blephariceridae', 'Calamoceratidae', 'Chordodidae', 'Gomphidae', 'Hydridae', 'Lampyridae', 'Limnesiidae', 'Odontoceridae', 'Oligoneuriidae', 'Perlidae', 'Polythoridae', 'Psephenidae', 'Ptilodactylidae'],
+        9: ['Ampullariidae', 'Dytiscidae', 'Ephemeridae', 'Euthyplociidae', 'Gyrinidae', 'Hydraenidae', 'Hydrobiosidae', 'Leptophlebiidae', 'Philopotamidae', 'Polycentropodidae', 'Polymitarcyidae', 'Xiphocentronidae'],
+        8: ['Gerridae', 'Hebridae', 'Helicopsychidae', 'Hydrobiidae', 'Leptoceridae', 'Lestidae', 'Palaemonidae', 'Pleidae', 'Pseudothelphusidae', 'Saldidae', 'Simuliidae', 'Veliidae'],
+        7: ['Baetidae', 'Caenidae', 'Calopterygidae', 'Coenagrionidae', 'Corixidae', 'Dixidae', 'Dryopidae', 'Glossosomatidae', 'Hyalellidae', 'Hydropsychidae', 'Hydroptilidae', 'Leptohyphidae', 'Naucoridae', 'Notonectidae', 'Planariidae', 'Psychodidae', 'Scirtidae'],
+        6: ['Aeshnidae', 'Ancylidae', 'Corydalidae', 'Elmidae', 'Libellulidae', 'Limnichidae', 'Lutrochidae', 'Megapodagrionidae', 'Sialidae', 'Staphylinidae'],
+        5: ['Belostomatidae', 'Gelastocoridae', 'Mesoveliidae', 'Nepidae', 'Planorbidae', 'Pyralidae', 'Tabanidae', 'Thiaridae'],
+        4: ['Chrysomelidae', 'Dolichopodidae', 'Empididae', 'Haliplidae', 'Hydrometridae', 'Lymnaeidae', 'Noteridae', 'Sphaeriidae', 'Stratiomyidae'],
+        3: ['Ceratopogonidae', 'Cyclobdellidae', 'Glossiphoniidae', 'Hydrophilidae', 'Physidae', 'Tipulidae'],
+        2: ['Chironomidae', 'Culicidae', 'Muscidae', 'Sciomyzidae', 'Syrphidae'],
+        1: ['Tubificidae'],
+    },
+    iberia: {
+        10: ['Aphelocheiridae', 'Athericidae', 'Beraeidae', 'Blephariceridae', 'Brachycentridae', 'Capniidae', 'Chloroperlidae', 'Ephemeridae', 'Goeridae', 'Heptageniidae', 'Lepidostomatidae', 'Leptoceridae', 'Leptophlebiidae', 'Leuctridae', 'Molannidae', 'Odontoceridae', 'Perlidae', 'Perlodidae', 'Phryganeidae', 'Potamanthidae', 'Sericostomatidae', 'Siphlonuridae', 'Taeniopterygidae'],
+        8: ['Aeshnidae', 'Astacidae', 'Calopterygidae', 'Cordulegastridae', 'Corduliidae', 'Glossosomatidae', 'Gomphidae', 'Lestidae', 'Libellulidae', 'Philopotamidae', 'Psychomyiidae'],
+        7: ['Ecnomidae', 'Ephemerellidae', 'Limnephilidae', 'Nemouridae', 'Polycentropodidae', 'Prosopistomatidae', 'Rhyacophilidae'],
+        6: ['Ancylidae', 'Coenagrionidae', 'Corophiidae', 'Gammaridae', 'Hydroptilidae', 'Neritidae', 'Oligoneuriidae', 'Platycnemididae', 'Polymitarcyidae', 'Thiaridae', 'Unionidae', 'Viviparidae'],
+        5: ['Clambidae', 'Dendrocoelidae', 'Dryopidae', 'Dugesiidae', 'Elmidae', 'Helophoridae', 'Hydraenidae', 'Hydrochidae', 'Hydropsychidae', 'Planariidae', 'Simuliidae', 'Tipulidae'],
+        4: ['Anthomyiidae', 'Baetidae', 'Caenidae', 'Ceratopogonidae', 'Chrysomelidae', 'Curculionidae', 'Dixidae', 'Dolichopodidae', 'Empididae', 'Haliplidae', 'Limoniidae', 'Piscicolidae', 'Psychodidae', 'Rhagionidae', 'Sciomyzidae', 'Sialidae', 'Stratiomyidae', 'Tabanidae'],
+        3: ['Asellidae', 'Bithyniidae', 'Corixidae', 'Dytiscidae', 'Erpobdellidae', 'Gerridae', 'Glossiphoniidae', 'Gyrinidae', 'Hirudinidae', 'Hydrobiidae', 'Hydrometridae', 'Hydrophilidae', 'Hygrobiidae', 'Lymnaeidae', 'Mesoveliidae', 'Naucoridae', 'Nepidae', 'Notonectidae', 'Physidae', 'Planorbidae', 'Pleidae', 'Scirtidae', 'Sphaeriidae', 'Valvatidae', 'Veliidae'],
+        2: ['Chironomidae', 'Culicidae', 'Ephydridae', 'Thaumaleidae'],
+        1: ['Syrphidae', 'Tubificidae'],
+    },
+};
+
+// Clases de calidad del agua (límite inferior exclusivo del puntaje BMWP), las mismas en ambas variantes.
+// El nombre de cada variante y de cada calidad está en MENSAJES: bmwp.variante.<variante> y bmwp.calidad.<variante>.<clase>
+const CLASES_CALIDAD_BMWP = [
+    { min: 100, clase: 'I', color: 'bg-sky-100 text-sky-800' },
+    { min: 60, clase: 'II', color: 'bg-green-100 text-green-800' },
+    { min: 35, clase: 'III', color: 'bg-yellow-100 text-yellow-800' },
+    { min: 15, clase: 'IV', color: 'bg-orange-100 text-orange-800' },
+    { min: -Infinity, clase: 'V', color: 'bg-red-100 text-red-800' },
+];
+
+const BMWP_VARIANTES = {
+    colombia: { clases: CLASES_CALIDAD_BMWP },
+    iberia: { clases: CLASES_CALIDAD_BMWP },
+};
+
+// Normaliza nombres de familia para compararlos (mayúsculas, tildes y espacios)
+const normalizarNombre = (nombre) => (nombre || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+
+// Índice familia -> puntaje por variante, construido una sola vez
+const BMWP_INDICE = Object.fromEntries(
+    Object.entries(BMWP_PUNTAJES).map(([variante, tabla]) => [
+        variante,
+        Object.fromEntries(Object.entries(tabla).flatMap(([puntaje, familias]) =>
+            familias.map(familia => [normalizarNombre(familia), Number(puntaje)])
+        )),
+    ])
+);
+
+const puntajeFamilia = (familia, variante = 'colombia') => BMWP_INDICE[variante]?.[normalizarNombre(familia)] ?? null;
+
+// Calcula BMWP, ASPT y la clase de calidad a partir de los análisis de un evento.
+// Cada familia puntúa una sola vez, sin importar cuántos especímenes tenga.
+// Solo cuentan las identificaciones confirmadas por una persona.
+const calcularIndiceBMWP = (analisis, variante = 'colombia') => {
+    const familias = new Map();
+    const sinPuntaje = new Set();
+    const confirmados = analisis.filter(item => item.estadoVerificacion === 'confirmado');
+
+    confirmados.forEach(item => {
+        const familia = item.clasificacion?.familia;
+        if (!familia) return;
+        const puntaje = puntajeFamilia(familia, variante);
+        if (puntaje === null) {
+            sinPuntaje.add(familia);
+        } else {
+            familias.set(normalizarNombre(familia), { familia, puntaje });
+        }
+    });
+
+    const bmwp = [...familias.values()].reduce((total, f) => total + f.puntaje, 0);
+    const aspt = familias.size ? bmwp / familias.size : 0;
+    const clase = familias.size
+        ? BMWP_VARIANTES[variante].clases.find(c => bmwp > c.min)
+        : null;
+
+    return {
+        bmwp,
+        aspt,
+        clase,
+        familiasPuntuadas: [...familias.values()],
+        familiasSinPuntaje: [...sinPuntaje],
+        sinConfirmar: analisis.length - confirmados.length,
+    };
+};
+
+// --- CATÁLOGO TAXONÓMICO DE REFERENCIA ---
+
+// Macroinvertebrados de agua dulce: (filo) clase -> orden -> familia, con nombres comunes en español.
+// Los nombres canónicos coinciden con los de las tablas BMWP.
+const CATALOGO_TAXONOMICO = {
+    Insecta: {
+        filo: 'Arthropoda',
+        nombreComun: 'Insectos',
+        ordenes: {
+            Ephemeroptera: {
+                nombreComun: 'Efímeras, moscas de mayo',
+                familias: {
+                    Baetidae: 'Baétidos', Caenidae: 'Cénidos', Ephemerellidae: 'Efemerélidos', Ephemeridae: 'Efeméridos',
+                    Euthyplociidae: 'Eutiplócidos', Heptageniidae: 'Heptagénidos', Leptohyphidae: 'Leptohífidos', Leptophlebiidae: 'Leptoflébidos',
+                    Oligoneuriidae: 'Oligoneúridos', Polymitarcyidae: 'Polimitárcidos', Potamanthidae: 'Potamántidos', Prosopistomatidae: 'Prosopistomátidos',
+                    Siphlonuridae: 'Sifonúridos',
+                },
+            },
+            Plecoptera: {
+                nombreComun: 'Moscas de piedra',
+                familias: {
+                    Capniidae: 'Cápnidos', Chloroperlidae: 'Cloropérlidos', Gripopterygidae: 'Gripopterígidos', Leuctridae: 'Léuctridos',
+                    Nemouridae: 'Nemúridos', Perlidae: 'Pérlidos', Perlodidae: 'Perlódidos', Taeniopterygidae: 'Teniopterígidos',
+                },
+            },
+            Trichoptera: {
+                nombreComun: 'Tricópteros, frigáneas',
+                familias: {
+                    Anomalopodidae: 'Anomalopódidos', Atriplectididae: 'Atripléctidos', Beraeidae: 'Beraeidos', Brachycentridae: 'Braquicéntridos',
+                    Calamoceratidae: 'Calamoceratidos', Ecnomidae: 'Ecnómidos', Glossosomatidae: 'Glosomátidos', Goeridae: 'Goéridos',
+                    Helicopsychidae: 'Helicopsíquidos (tricópteros caracol)', Hydrobiosidae: 'Hidrobiósidos', Hydropsychidae: 'Hidropsíquidos', Hydroptilidae: 'Hidroptílidos',
+                    Lepidostomatidae: 'Lepidostomátidos', Leptoceridae: 'Leptocéridos', Limnephilidae: 'Limnefílidos', Molannidae: 'Molánidos',
+                    Odontoceridae: 'Odontocéridos', Philopotamidae: 'Filopotámidos', Phryganeidae: 'Frigánidos', Polycentropodidae: 'Policentropódidos',
+                    Psychomyiidae: 'Psicomíidos', Rhyacophilidae: 'Riacofílidos', Sericostomatidae: 'Sericostomátidos', Xiphocentronidae: 'Xifocentrónidos',
+                },
+            },
+            Odonata: {
+                nombreComun: 'Libélulas y caballitos del diablo',
+                familias: {
+                    Aeshnidae: 'Ésnidos', Calopterygidae: 'Calopterígidos', Coenagrionidae: 'Caballitos del diablo', Cordulegastridae: 'Cordulegástridos',
+                    Corduliidae: 'Cordúlidos', Gomphidae: 'Gónfidos', Lestidae: 'Léstidos', Libellulidae: 'Libélulas',
+                    Megapodagrionidae: 'Megapodagriónidos', Platycnemididae: 'Platicnemídidos', Polythoridae: 'Politóridos',
+                },
+            },
+            Coleoptera: {
+                nombreComun: 'Escarabajos acuáticos',
+                familias: {
+                    Chrysomelidae: 'Crisomélidos', Clambidae: 'Clámbidos', Curculionidae: 'Gorgojos', Dryopidae: 'Driópidos',
+                    Dytiscidae: 'Ditíscidos', Elmidae: 'Élmidos', Gyrinidae: 'Girínidos', Haliplidae: 'Halíplidos',
+                    Helophoridae: 'Helofóridos', Hydraenidae: 'Hidrénidos', Hydrochidae: 'Hidróquidos', Hydrophilidae: 'Hidrofílidos',
+                    Hygrobiidae: 'Higróbidos', Lampyridae: 'Luciérnagas', Limnichidae: 'Límnicidos', Lutrochidae: 'Lutróquidos',
+                    Noteridae: 'Notéridos', Psephenidae: 'Centavitos', Ptilodactylidae: 'Ptilodactílidos', Scirtidae: 'Escírtidos',
+                    Staphylinidae: 'Estafilínidos',
+                },
+            },
+            Hemiptera: {
+                nombreComun: 'Chinches acuáticas',
+                familias: {
+                    Aphelocheiridae: 'Afeloquéiridos', Belostomatidae: 'Chinches gigantes de agua', Corixidae: 'Coríxidos', Gelastocoridae: 'Chinches sapo',
+                    Gerridae: 'Patinadores', Hebridae: 'Hébridos', Hydrometridae: 'Hidrométridos', Mesoveliidae: 'Mesovélidos',
+                    Naucoridae: 'Naucóridos', Nepidae: 'Escorpiones de agua', Notonectidae: 'Nadadores de espalda', Pleidae: 'Pléidos',
+                    Saldidae: 'Sáldidos', Veliidae: 'Vélidos',
+                },
+            },
+            Diptera: {
+                nombreComun: 'Moscas y mosquitos',
+                familias: {
+                    Anthomyiidae: 'Antomíidos', Athericidae: 'Atéricidos', Blephariceridae: 'Blefarocéridos', Ceratopogonidae: 'Jejenes, ceratopogónidos',
+                    Chironomidae: 'Quironómidos', Culicidae: 'Mosquitos', Dixidae: 'Díxidos', Dolichopodidae: 'Dolicopódidos',
+                    Empididae: 'Empídidos', Ephydridae: 'Efídridos', Limoniidae: 'Limónidos', Muscidae: 'Múscidos',
+                    Psychodidae: 'Psicódidos', Rhagionidae: 'Ragiónidos', Sciomyzidae: 'Sciomízidos', Simuliidae: 'Moscas negras, simúlidos',
+                    Stratiomyidae: 'Estratiómidos', Syrphidae: 'Sírfidos', Tabanidae: 'Tábanos', Thaumaleidae: 'Taumaleidos',
+                    Tipulidae: 'Típulas',
+                },
+            },
+            Megaloptera: {
+                nombreComun: 'Megalópteros',
+                familias: { Corydalidae: 'Corydálidos, moscas dobson', Sialidae: 'Siálidos' },
+            },
+            Lepidoptera: {
+                nombreComun: 'Polillas acuáticas',
+                familias: { Crambidae: 'Crámbidos', Pyralidae: 'Pirálidos' },
+            },
+        },
+    },
+    Gastropoda: {
+        filo: 'Mollusca',
+        nombreComun: 'Caracoles',
+        ordenes: {
+            Architaenioglossa: { nombreComun: 'Caracoles manzana y vivíparos', familias: { Ampullariidae: 'Caracoles manzana', Viviparidae: 'Vivipáridos' } },
+            Caenogastropoda: { nombreComun: 'Cenogasterópodos', familias: { Thiaridae: 'Tiáridos' } },
+            Cycloneritida: { nombreComun: 'Nerítidos', familias: { Neritidae: 'Nerítidos' } },
+            Ectobranchia: { nombreComun: 'Valvátidos', familias: { Valvatidae: 'Valvátidos' } },
+            Hygrophila: {
+                nombreComun: 'Caracoles pulmonados',
+                familias: { Ancylidae: 'Lapas de agua dulce', Lymnaeidae: 'Limneidos', Physidae: 'Físidos', Planorbidae: 'Planórbidos' },
+            },
+            Littorinimorpha: { nombreComun: 'Litorinimorfos', familias: { Bithyniidae: 'Bitínidos', Hydrobiidae: 'Hidróbidos' } },
+        },
+    },
+    Bivalvia: {
+        filo: 'Mollusca',
+        nombreComun: 'Almejas y mejillones',
+        ordenes: {
+            Sphaeriida: { nombreComun: 'Almejitas de agua dulce', familias: { Sphaeriidae: 'Esféridos' } },
+            Unionida: { nombreComun: 'Náyades', familias: { Unionidae: 'Uniónidos' } },
+        },
+    },
+    Clitellata: {
+        filo: 'Annelida',
+        nombreComun: 'Lombrices y sanguijuelas',
+        ordenes: {
+            Haplotaxida: { nombreComun: 'Lombrices acuáticas', familias: { Naididae: 'Naídidos', Tubificidae: 'Tubifícidos' } },
+            Rhynchobdellida: { nombreComun: 'Sanguijuelas con probóscide', familias: { Glossiphoniidae: 'Glosifónidos', Piscicolidae: 'Piscicólidos' } },
+            Arhynchobdellida: {
+                nombreComun: 'Sanguijuelas sin probóscide',
+                familias: { Cyclobdellidae: 'Ciclobdélidos', Erpobdellidae: 'Erpobdélidos', Hirudinidae: 'Sanguijuelas medicinales' },
+            },
+        },
+    },
+    Malacostraca: {
+        filo: 'Arthropoda',
+        nombreComun: 'Crustáceos',
+        ordenes: {
+            Decapoda: {
+                nombreComun: 'Camarones y cangrejos',
+                familias: { Astacidae: 'Cangrejos de río', Atyidae: 'Camarones átidos', Palaemonidae: 'Camarones de río', Pseudothelphusidae: 'Cangrejos de agua dulce' },
+            },
+            Amphipoda: { nombreComun: 'Anfípodos', familias: { Corophiidae: 'Corófidos', Gammaridae: 'Gammáridos', Hyalellidae: 'Hialélidos' } },
+            Isopoda: { nombreComun: 'Isópodos', familias: { Asellidae: 'Asélidos' } },
+        },
+    },
+    Turbellaria: {
+        filo: 'Platyhelminthes',
+        nombreComun: 'Planarias',
+        ordenes: {
+            Tricladida: { nombreComun: 'Planarias', familias: { Dendrocoelidae: 'Dendrocélidos', Dugesiidae: 'Dugésidos', Planariidae: 'Planáridos' } },
+        },
+    },
+    Arachnida: {
+        filo: 'Arthropoda',
+        nombreComun: 'Ácaros acuáticos',
+        ordenes: {
+            Trombidiformes: { nombreComun: 'Ácaros de agua', familias: { Limnesiidae: 'Limnésidos' } },
+        },
+    },
+    Hydrozoa: {
+        filo: 'Cnidaria',
+        nombreComun: 'Hidras',
+        ordenes: {
+            Anthoathecata: { nombreComun: 'Hidras', familias: { Hydridae: 'Hidras' } },
+        },
+    },
+    Gordioida: {
+        filo: 'Nematomorpha',
+        nombreComun: 'Gusanos crin de caballo',
+        ordenes: {
+            Gordioidea: { nombreComun: 'Gordiáceos', familias: { Chordodidae: 'Cordódidos' } },
+        },
+    },
+};
+
+// Grafías alternativas frecuentes (sinónimos, nombres tradicionales o en español)
+const ALIAS_TAXONOMICOS = {
+    clase: {
+        insectos: 'Insecta', insecto: 'Insecta', hexapoda: 'Insecta',
+        gasteropoda: 'Gastropoda', gasteropodos: 'Gastropoda', gastropodos: 'Gastropoda',
+        bivalvos: 'Bivalvia', pelecypoda: 'Bivalvia',
+        oligochaeta: 'Clitellata', oligoquetos: 'Clitellata', hirudinea: 'Clitellata', hirudineos: 'Clitellata',
+        crustacea: 'Malacostraca', crustaceos: 'Malacostraca',
+        rhabditophora: 'Turbellaria', turbelarios: 'Turbellaria',
+        acari: 'Arachnida', hydracarina: 'Arachnida',
+        nematomorpha: 'Gordioida',
+    },
+    orden: {
+        heteroptera: 'Hemiptera', tubificida: 'Haplotaxida', basommatophora: 'Hygrophila', neritopsina: 'Cycloneritida',
+        veneroida: 'Sphaeriida', seriata: 'Tricladida', hydra: 'Anthoathecata',
+    },
+    familia: {
+        helodidae: 'Scirtidae', hirudidae: 'Hirudinidae', cordulegasteridae: 'Cordulegastridae',
+        lymnessiidae: 'Limnesiidae', pseudothelpusidae: 'Pseudothelphusidae', planorbiidae: 'Planorbidae',
+        sphaeridae: 'Sphaeriidae', ancylinae: 'Ancylidae',
+    },
+};
+
+// Índices por nivel: nombre normalizado -> datos canónicos
+const CATALOGO_INDICE = (() => {
+    const indice = { clase: new Map(), orden: new Map(), familia: new Map() };
+    Object.entries(CATALOGO_TAXONOMICO).forEach(([clase, datosClase]) => {
+        indice.clase.set(normalizarNombre(clase), { nombre: clase, filo: datosClase.filo, nombreComun: datosClase.nombreComun });
+        Object.entries(datosClase.ordenes).forEach(([orden, datosOrden]) => {
+            indice.orden.set(normalizarNombre(orden), { nombre: orden, clase, nombreComun: datosOrden.nombreComun });
+            Object.entries(datosOrden.familias).forEach(([familia, nombreComun]) => {
+                indice.familia.set(normalizarNombre(familia), { nombre: familia, orden, clase, nombreComun });
+            });
+        });
+    });
+    return indice;
+})();
+
+const NOMBRES_CATALOGO = {
+    clase: [...CATALOGO_INDICE.clase.values()].map(t => t.nombre).sort(),
+    orden: [...CATALOGO_INDICE.orden.values()].map(t => t.nombre).sort(),
+    familia: [...CATALOGO_INDICE.familia.values()].map(t => t.nombre).sort(),
+};
+
+const distanciaEdicion = (a, b) => {
+    const fila = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = fila[0];
+        fila[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const arriba = fila[j];
+            fila[j] = Math.min(fila[j] + 1, fila[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = arriba;
+        }
+    }
+    return fila[b.length];
+};
+
+// Busca un nombre en un nivel del catálogo: exacto, por alias o con errores de escritura leves
+const buscarTaxon = (nivel, nombre) => {
+    const clave = normalizarNombre(nombre);
+    if (!clave) return null;
+
+    const exacto = CATALOGO_INDICE[nivel].get(clave);
+    if (exacto) return { ...exacto, coincidencia: 'exacta' };
+
+    const alias = ALIAS_TAXONOMICOS[nivel][clave];
+    if (alias) return { ...CATALOGO_INDICE[nivel].get(normalizarNombre(alias)), coincidencia: 'alias' };
+
+    // También se aceptan los nombres comunes de clases y órdenes
+    if (nivel !== 'familia') {
+        const porNombreComun = [...CATALOGO_INDICE[nivel].values()].find(t => normalizarNombre(t.nombreComun) === clave);
+        if (porNombreComun) return { ...porNombreComun, coincidencia: 'alias' };
+    }
+
+    const tolerancia = clave.length >= 8 ? 2 : 1;
+    const candidatos = [...CATALOGO_INDICE[nivel].entries()]
+        .map(([normalizado, taxon]) => ({ taxon, distancia: distanciaEdicion(clave, normalizado) }))
+        .filter(c => c.distancia <= tolerancia)
+        .sort((a, b) => a.distancia - b.distancia);
+
+    // Si dos nombres están igual de cerca no se adivina
+    if (!candidatos.length || (candidatos[1] && candidatos[1].distancia === candidatos[0].distancia)) return null;
+    return { ...candidatos[0].taxon, coincidencia: 'aproximada' };
+};
+
+const NIVELES_TAXONOMICOS = ['clase', 'orden', 'familia'];
+
+// Contrasta una clasificación con el catálogo. estado: 'verificado' | 'inconsistente' | 'no_verificado'.
+// Los avisos se redactan en el idioma del análisis
+const validarTaxonomia = (clasificacion = {}, idioma = DEFAULT_LOCALE) => {
+    const canonica = { ...clasificacion };
+    const correcciones = [];
+    const avisos = [];
+    const encontrados = {};
+    let desconocido = false;
+
+    NIVELES_TAXONOMICOS.forEach(campo => {
+        const original = clasificacion[campo];
+        if (!original) return;
+        const taxon = buscarTaxon(campo, original);
+        if (!taxon) {
+            desconocido = true;
+            avisos.push(translate(idioma, 'taxonomia.aviso.noCatalogado', { nivel: translate(idioma, `taxonomia.nivel.${campo}`), nombre: original }));
+            return;
+        }
+        encontrados[campo] = taxon;
+        if (taxon.nombre !== original) {
+            correcciones.push({ campo, original, canonico: taxon.nombre });
+            canonica[campo] = taxon.nombre;
+        }
+    });
+
+    let inconsistente = false;
+    const { familia, orden, clase } = encontrados;
+    if (familia && orden && familia.orden !== orden.nombre) {
+        inconsistente = true;
+        avisos.push(translate(idioma, 'taxonomia.aviso.familiaFueraDeOrden', { familia: familia.nombre, esperado: familia.orden, recibido: orden.nombre }));
+    }
+    const ordenEsperado = familia?.orden ? CATALOGO_INDICE.orden.get(normalizarNombre(familia.orden)) : orden;
+    if (ordenEsperado && clase && ordenEsperado.clase !== clase.nombre) {
+        inconsistente = true;
+        avisos.push(translate(idioma, 'taxonomia.aviso.ordenFueraDeClase', { orden: ordenEsperado.nombre, esperado: ordenEsperado.clase, recibido: clase.nombre }));
+    }
+
+    // Completar niveles superiores vacíos a partir del nivel más bajo reconocido
+    if (!inconsistente && ordenEsperado) {
+        if (!canonica.orden) canonica.orden = ordenEsperado.nombre;
+        if (!canonica.clase) canonica.clase = ordenEsperado.clase;
+    }
+
+    const nivelMasBajo = familia || orden || clase;
+    return {
+        clasificacion: canonica,
+        estado: inconsistente ? 'inconsistente' : (desconocido || !nivelMasBajo) ? 'no_verificado' : 'verificado',
+        nombreComunCatalogo: nivelMasBajo?.nombreComun || null,
+        correcciones,
+        avisos,
+    };
+};
+
+// Colores de cada estado; el texto está en MENSAJES (taxonomia.estado.<estado>)
+const ESTADOS_VALIDACION = {
+    verificado: { color: 'bg-green-100 text-green-800' },
+    inconsistente: { color: 'bg-orange-100 text-orange-800' },
+    no_verificado: { color: 'bg-gray-100 text-gray-600' },
+};
+
+// --- SOLICITUDES AL SERVICIO DE IDENTIFICACIÓN ---
+
+// Cada intento tiene su propio tiempo límite; solo se reintentan los errores pasajeros
+// (429, 5xx y tiempo agotado). Un 400 o una respuesta ilegible no mejoran al repetirlos.
+const DEFAULT_REQUEST_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000; // 1s, 2s, 4s... si el servidor no envía Retry-After
+const MAX_RETRY_DELAY_MS = 60 * 1000; // Si hay que esperar más, se informa en lugar de bloquear la app
+const MAX_ERROR_DETAIL_LENGTH = 200;
+
+// Error con `codigo` (identificacion.error.<codigo> en MENSAJES). El mensaje queda en español para la consola;
+// la interfaz lo muestra en el idioma activo con identificationErrorMessage
+const createIdentificationError = (codigo, detalle = '', { status = null, reintentable = false, retryAfterMs = null } = {}) => {
+    const recortado = detalle ? String(detalle).slice(0, MAX_ERROR_DETAIL_LENGTH) : '';
+    const texto = translate(DEFAULT_LOCALE, `identificacion.error.${codigo}`);
+    const error = new Error(recortado ? `${texto} (${recortado})` : texto);
+    error.name = 'IdentificationError';
+    return Object.assign(error, { codigo, detalle: recortado, status, reintentable, retryAfterMs });
+};
+
+const identificationErrorMessage = (error, t) => {
+    if (!error?.codigo) return error?.message || t('comun.errorDesconocido');
+    const texto = t(`identificacion.error.${error.codigo}`);
+    return error.detalle ? `${texto} (${error.detalle})` : texto;
+};
+
+// Los errores de la interfaz se guardan como { clave, params } del catálogo o como el error del proveedor,
+// y se traducen al mostrarse para que sigan el idioma elegido
+const uiErrorMessage = (error, t) => (error?.clave ? t(error.clave, error.params) : identificationErrorMessage(error, t));
+
+const isCancellation = (error) => error?.codigo === 'cancelled';
+
+// Retry-After admite segundos o una fecha HTTP
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Espera cancelable entre reintentos
+const waitFor = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createIdentificationError('cancelled'));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(createIdentificationError('cancelled'));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Traduce una respuesta HTTP fallida; el cuerpo suele traer { error: { message } }
+const classifyHttpError = async (response) => {
+    const body = await response.json().catch(() => null);
+    const detalle = body?.error?.message || `HTTP ${response.status}`;
+    const { status } = response;
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+
+    if (status === 429) return createIdentificationError('quota', detalle, { status, reintentable: true, retryAfterMs });
+    if (status >= 500) return createIdentificationError('server', detalle, { status, reintentable: true, retryAfterMs });
+    if (status === 401 || status === 403) return createIdentificationError('auth', detalle, { status });
+    if (status === 413 || status === 415 || (status === 400 && /image|imagen|mime|inline/i.test(detalle))) {
+        return createIdentificationError('invalid_image', detalle, { status });
+    }
+    return createIdentificationError('http', detalle, { status });
+};
+
+// Un intento: POST con tiempo límite que devuelve el cuerpo JSON de la respuesta
+const postJsonOnce = async (url, payload, { signal, timeoutMs }) => {
+    // Una señal ya cancelada no vuelve a emitir 'abort'
+    if (signal?.aborted) throw createIdentificationError('cancelled');
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: controller.signal,
+        });
+        if (!response.ok) throw await classifyHttpError(response);
+
+        try {
+            return await response.json();
+        } catch (e) {
+            if (controller.signal.aborted) throw e;
+            throw createIdentificationError('malformed', 'el cuerpo de la respuesta no es JSON');
+        }
+    } catch (e) {
+        if (signal?.aborted) throw createIdentificationError('cancelled');
+        if (timedOut) throw createIdentificationError('timeout', `${timeoutMs / 1000} s`, { reintentable: true });
+        if (e.codigo) throw e;
+        if (e instanceof TypeError) throw createIdentificationError('network', e.message);
+        throw e;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+// Repite el POST solo ante errores pasajeros, respetando Retry-After
+const postJsonWithRetry = async (url, payload, { signal, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await postJsonOnce(url, payload, { signal, timeoutMs });
+        } catch (e) {
+            const delay = e.retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+            if (!e.reintentable || attempt >= maxAttempts || delay > MAX_RETRY_DELAY_MS) throw e;
+            console.warn(`Intento ${attempt} fallido, nuevo intento en ${Math.round(delay / 1000)} s:`, e);
+            await waitFor(delay, signal);
+        }
+    }
+};
+
+// --- PROVEEDORES DE IDENTIFICACIÓN ---
+
+// Configuración inyectada igual que la de Firebase: { provider, model, apiKey, endpoint }.
+// Si no es JSON válido la app carga igual y el error se muestra al analizar
+const readIdentificationConfig = () => {
+    if (typeof __identification_config === 'undefined') return {};
+    try {
+        return JSON.parse(__identification_config);
+    } catch (e) {
+        return { provider: null, error: `__identification_config no es JSON válido: ${e.message}` };
+    }
+};
+
+const identificationConfig = readIdentificationConfig();
+
+const DEFAULT_GEMINI_CONFIG = {
+    model: 'gemini-2.5-flash-preview-09-2025',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta/models',
+    apiKey: '',
+    timeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+};
+
+// Motivos de Gemini para cortar una respuesta por políticas de contenido
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'RECITATION', 'IMAGE_SAFETY'];
+
+// Estructura de esquema JSON deseada para el análisis
+const RESPONSE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        nombreCientifico: { "type": "STRING", "description": "Nombre científico (ej. Ephemeroptera o el más específico posible)" },
+        nombreComun: { "type": "STRING", "description": "Nombre común (ej. Mosca de mayo, si aplica)" },
+        informacionBasica: { "type": "STRING", "description": "Una descripción concisa y relevante del macroinvertebrado, su hábitat y tamaño." },
+        clasificacion: {
+            "type": "OBJECT",
+            "properties": {
+                "orden": { "type": "STRING" },
+                "familia": { "type": "STRING" },
+                "clase": { "type": "STRING" }
+            },
+            "description": "Clasificación taxonómica principal."
+        },
+        significadoEcologico: { "type": "STRING", "description": "Su rol como bioindicador de la calidad del agua (ej. Sensible a la contaminación, tolerante)." },
+        confianza: { "type": "NUMBER", "description": "Confianza en la identificación principal, entre 0 y 1." },
+        razonamiento: { "type": "STRING", "description": "Rasgos morfológicos visibles que sustentan la identificación principal." },
+        alternativas: {
+            "type": "ARRAY",
+            "description": "Hasta 3 taxones alternativos plausibles, de mayor a menor confianza.",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "nombreCientifico": { "type": "STRING" },
+                    "clasificacion": {
+                        "type": "OBJECT",
+                        "properties": {
+                            "orden": { "type": "STRING" },
+                            "familia": { "type": "STRING" },
+                            "clase": { "type": "STRING" }
+                        }
+                    },
+                    "confianza": { "type": "NUMBER" },
+                    "razonamiento": { "type": "STRING" }
+                },
+                "required": ["nombreCientifico", "clasificacion", "confianza", "razonamiento"]
+            }
+        }
+    },
+    "required": ["nombreCientifico", "nombreComun", "informacionBasica", "clasificacion", "significadoEcologico", "confianza", "alternativas"]
 };
 
-// Constante para la URL de la imagen del logo cargado
-const LOGO_URL = "uploaded:Imagen de WhatsApp 2025-12-01 a las 04.00.31_c74834a8.jpg-26512028-7436-4c81-802c-3a4d70b4d0bd";
+const MAX_ALTERNATIVES = 3;
+
+// Instrucciones en el idioma elegido (prompt.* en MENSAJES): el modelo redacta los textos en ese idioma
+// y deja los nombres científicos en latín.
+// contexto: { idioma, longitudMm } (longitud corporal estimada con la regla de referencia)
+const buildUserPrompt = (contexto = {}) => {
+    const idioma = contexto.idioma || DEFAULT_LOCALE;
+    const prompt = translate(idioma, 'prompt.identificar');
+    return contexto.longitudMm ? `${prompt} ${translate(idioma, 'prompt.longitud', { mm: contexto.longitudMm })}` : prompt;
+};
+
+// Proveedor Gemini (visión + salida estructurada)
+const createGeminiProvider = (config) => {
+    const { model, endpoint, apiKey, timeoutMs, maxAttempts } = { ...DEFAULT_GEMINI_CONFIG, ...config };
+
+    // Envía una imagen (Base64 sin prefijo) y devuelve el JSON ya parseado.
+    // Los fallos llegan clasificados (ver createIdentificationError).
+    const identify = async (base64Data, mimeType, contexto, { signal } = {}) => {
+        const payload = {
+            contents: [
+                {
+                    role: "user",
+                    parts: [
+                        { text: buildUserPrompt(contexto) },
+                        {
+                            inlineData: {
+                                mimeType: mimeType,
+                                data: base64Data
+                            }
+                        }
+                    ]
+                }
+            ],
+            generationConfig: {
+                responseMimeType: "application/json",
+                responseSchema: RESPONSE_SCHEMA
+            }
+        };
+
+        const apiUrl = `${endpoint}/${model}:generateContent?key=${apiKey}`;
+        const result = await postJsonWithRetry(apiUrl, payload, { signal, timeoutMs, maxAttempts });
+
+        // Un bloqueo llega con HTTP 200: en promptFeedback o como motivo de fin del candidato
+        const blockReason = result.promptFeedback?.blockReason;
+        const candidate = result.candidates?.[0];
+        if (blockReason || GEMINI_BLOCK_REASONS.includes(candidate?.finishReason)) {
+            throw createIdentificationError('safety', blockReason || candidate.finishReason);
+        }
+
+        const jsonText = candidate?.content?.parts?.[0]?.text;
+        if (!jsonText) throw createIdentificationError('malformed', 'respuesta vacía');
+        if (candidate.finishReason === 'MAX_TOKENS') throw createIdentificationError('malformed', 'respuesta truncada');
+
+        try {
+            return JSON.parse(jsonText);
+        } catch (e) {
+            throw createIdentificationError('malformed', `JSON no válido: ${e.message}`);
+        }
+    };
+
+    return { id: 'gemini', nombre: 'Gemini', modelo: model, identify };
+};
+
+// Respuestas de ejemplo para desarrollar y hacer demostraciones sin red
+const MOCK_RESPONSES = [
+    {
+        nombreCientifico: 'Baetis sp.',
+        nombreComun: 'Efímera, mosca de mayo (ninfa)',
+        informacionBasica: 'Ninfa de cuerpo alargado de 4 a 10 mm, con tres cercos caudales y branquias laminares en el abdomen. Vive sobre piedras en corrientes rápidas y bien oxigenadas.',
+        clasificacion: { clase: 'Insecta', orden: 'Ephemeroptera', familia: 'Baetidae' },
+        significadoEcologico: 'Moderadamente sensible a la contaminación orgánica; su presencia indica aguas de calidad aceptable a buena.',
+        confianza: 0.82,
+        razonamiento: 'Tres cercos caudales, antenas largas y branquias laminares simples en los segmentos abdominales.',
+        alternativas: [
+            { nombreCientifico: 'Leptohyphidae', clasificacion: { clase: 'Insecta', orden: 'Ephemeroptera', familia: 'Leptohyphidae' }, confianza: 0.1, razonamiento: 'Tamaño y cercos similares, aunque no se ven opérculos branquiales.' },
+            { nombreCientifico: 'Leptophlebiidae', clasificacion: { clase: 'Insecta', orden: 'Ephemeroptera', familia: 'Leptophlebiidae' }, confianza: 0.05, razonamiento: 'Forma general compatible; las branquias no parecen bifurcadas.' },
+        ],
+    },
+    {
+        nombreCientifico: 'Anacroneuria sp.',
+        nombreComun: 'Mosca de piedra (ninfa)',
+        informacionBasica: 'Ninfa robusta de hasta 25 mm con dos cercos y branquias torácicas. Depredadora, habita bajo piedras en quebradas frías de montaña.',
+        clasificacion: { clase: 'Insecta', orden: 'Plecoptera', familia: 'Perlidae' },
+        significadoEcologico: 'Muy sensible a la contaminación y a la falta de oxígeno; indicadora de aguas muy limpias.',
+        confianza: 0.91,
+        razonamiento: 'Dos cercos largos, dos uñas tarsales y branquias ramificadas en la base de las patas.',
+        alternativas: [
+            { nombreCientifico: 'Gripopterygidae', clasificacion: { clase: 'Insecta', orden: 'Plecoptera', familia: 'Gripopterygidae' }, confianza: 0.06, razonamiento: 'También Plecoptera, pero carecería del penacho branquial anal.' },
+        ],
+    },
+    {
+        nombreCientifico: 'Chironomus sp.',
+        nombreComun: 'Gusano rojo (larva de quironómido)',
+        informacionBasica: 'Larva vermiforme de color rojo por la hemoglobina, de 5 a 20 mm. Vive enterrada en sedimentos finos con abundante materia orgánica.',
+        clasificacion: { clase: 'Insecta', orden: 'Diptera', familia: 'Chironomidae' },
+        significadoEcologico: 'Muy tolerante a la contaminación orgánica y a bajas concentraciones de oxígeno.',
+        confianza: 0.64,
+        razonamiento: 'Larva vermiforme roja con cápsula cefálica esclerotizada y pseudopatas protorácicas.',
+        alternativas: [
+            { nombreCientifico: 'Ceratopogonidae', clasificacion: { clase: 'Insecta', orden: 'Diptera', familia: 'Ceratopogonidae' }, confianza: 0.2, razonamiento: 'Larva delgada similar, pero sin pseudopatas.' },
+            { nombreCientifico: 'Tubificidae', clasificacion: { clase: 'Clitellata', orden: 'Haplotaxida', familia: 'Tubificidae' }, confianza: 0.1, razonamiento: 'Color rojo y hábitat en sedimentos, aunque no tendría cápsula cefálica.' },
+        ],
+    },
+];
+
+// Los textos de MOCK_RESPONSES en los demás idiomas, en el mismo orden (alternativas: su razonamiento)
+const MOCK_TEXTOS = {
+    en: [
+        {
+            nombreComun: 'Mayfly (nymph)',
+            informacionBasica: 'Elongated nymph, 4 to 10 mm long, with three caudal filaments and plate-like gills on the abdomen. Lives on stones in fast, well-oxygenated currents.',
+            significadoEcologico: 'Moderately sensitive to organic pollution; its presence indicates acceptable to good water quality.',
+            razonamiento: 'Three caudal filaments, long antennae and simple plate-like gills on the abdominal segments.',
+            alternativas: [
+                'Similar size and filaments, although no operculate gills are visible.',
+                'Compatible overall shape; the gills do not look forked.',
+            ],
+        },
+        {
+            nombreComun: 'Stonefly (nymph)',
+            informacionBasica: 'Robust nymph up to 25 mm long with two cerci and thoracic gills. A predator that lives under stones in cold mountain streams.',
+            significadoEcologico: 'Very sensitive to pollution and low oxygen; an indicator of very clean water.',
+            razonamiento: 'Two long cerci, two tarsal claws and branched gills at the base of the legs.',
+            alternativas: [
+                'Also Plecoptera, but it would lack the anal gill tuft.',
+            ],
+        },
+        {
+            nombreComun: 'Bloodworm (chironomid larva)',
+            informacionBasica: 'Worm-like larva, red from haemoglobin, 5 to 20 mm long. Lives buried in fine sediments rich in organic matter.',
+            significadoEcologico: 'Very tolerant of organic pollution and low oxygen concentrations.',
+            razonamiento: 'Red worm-like larva with a sclerotized head capsule and prothoracic prolegs.',
+            alternativas: [
+                'Similar slender larva, but without prolegs.',
+                'Red colour and sediment habitat, although it would have no head capsule.',
+            ],
+        },
+    ],
+    pt: [
+        {
+            nombreComun: 'Efêmera (ninfa)',
+            informacionBasica: 'Ninfa de corpo alongado, de 4 a 10 mm, com três cercos caudais e brânquias laminares no abdômen. Vive sobre pedras em correntezas rápidas e bem oxigenadas.',
+            significadoEcologico: 'Moderadamente sensível à poluição orgânica; sua presença indica água de qualidade aceitável a boa.',
+            razonamiento: 'Três cercos caudais, antenas longas e brânquias laminares simples nos segmentos abdominais.',
+            alternativas: [
+                'Tamanho e cercos semelhantes, embora não se vejam opérculos branquiais.',
+                'Forma geral compatível; as brânquias não parecem bifurcadas.',
+            ],
+        },
+        {
+            nombreComun: 'Plecóptero (ninfa)',
+            informacionBasica: 'Ninfa robusta de até 25 mm, com dois cercos e brânquias torácicas. Predadora, vive sob pedras em riachos frios de montanha.',
+            significadoEcologico: 'Muito sensível à poluição e à falta de oxigênio; indicadora de água muito limpa.',
+            razonamiento: 'Dois cercos longos, duas garras tarsais e brânquias ramificadas na base das pernas.',
+            alternativas: [
+                'Também Plecoptera, mas não teria o tufo branquial anal.',
+            ],
+        },
+        {
+            nombreComun: 'Larva vermelha (quironomídeo)',
+            informacionBasica: 'Larva vermiforme, vermelha pela hemoglobina, de 5 a 20 mm. Vive enterrada em sedimentos finos com muita matéria orgânica.',
+            significadoEcologico: 'Muito tolerante à poluição orgânica e a baixas concentrações de oxigênio.',
+            razonamiento: 'Larva vermiforme vermelha com cápsula cefálica esclerotizada e falsas pernas protorácicas.',
+            alternativas: [
+                'Larva delgada semelhante, mas sem falsas pernas.',
+                'Cor vermelha e hábitat em sedimentos, embora não teria cápsula cefálica.',
+            ],
+        },
+    ],
+};
+
+// Proveedor local: devuelve respuestas fijas, en el idioma pedido, tras una pequeña espera simulada
+const createMockProvider = (config) => {
+    const delay = config.delay ?? 800;
+
+    const identify = async (base64Data, mimeType, contexto = {}, { signal } = {}) => {
+        await waitFor(delay, signal);
+        // La misma imagen siempre recibe la misma respuesta
+        const index = base64Data.length % MOCK_RESPONSES.length;
+        const respuesta = MOCK_RESPONSES[index];
+        const textos = MOCK_TEXTOS[contexto.idioma]?.[index];
+        if (!textos) return respuesta;
+        return {
+            ...respuesta,
+            ...textos,
+            alternativas: respuesta.alternativas.map((alt, i) => ({ ...alt, razonamiento: textos.alternativas[i] })),
+        };
+    };
+
+    return { id: 'mock', nombre: 'Simulado (sin red)', modelo: 'mock', identify };
+};
+
+const IDENTIFICATION_PROVIDERS = {
+    gemini: createGeminiProvider,
+    mock: createMockProvider,
+};
+
+// Sustituye al proveedor cuando la configuración no sirve: la interfaz avisa y cada análisis falla con el motivo
+const createMisconfiguredProvider = (detalle) => ({
+    id: 'config',
+    nombre: 'Sin configurar',
+    modelo: null,
+    configError: detalle,
+    identify: async () => {
+        throw createIdentificationError('config', detalle);
+    },
+});
+
+const createIdentificationProvider = (config) => {
+    if (config.error) return createMisconfiguredProvider(config.error);
+    const factory = IDENTIFICATION_PROVIDERS[config.provider || 'gemini'];
+    if (!factory) return createMisconfiguredProvider(`proveedor de identificación desconocido: ${config.provider}`);
+    return factory(config);
+};
+
+const identificationProvider = createIdentificationProvider(identificationConfig);
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const normalizeClassification = (clasificacion = {}) => ({
+    clase: asText(clasificacion.clase ?? clasificacion.class),
+    orden: asText(clasificacion.orden ?? clasificacion.order),
+    familia: asText(clasificacion.familia ?? clasificacion.family),
+});
+
+// Acepta 0-1 o porcentaje (0-100); null si el proveedor no la informa
+const normalizeConfidence = (value) => {
+    const number = Number(value);
+    if (value === null || value === undefined || Number.isNaN(number)) return null;
+    return Math.min(1, Math.max(0, number > 1 ? number / 100 : number));
+};
+
+// Lleva la salida de cualquier proveedor a la forma que renderiza AnalysisCard.
+// idioma: el de los textos que redactó el modelo, se guarda con el análisis
+const normalizeIdentification = (raw, provider, idioma = DEFAULT_LOCALE) => ({
+    nombreCientifico: asText(raw?.nombreCientifico ?? raw?.scientificName),
+    nombreComun: asText(raw?.nombreComun ?? raw?.commonName),
+    informacionBasica: asText(raw?.informacionBasica ?? raw?.description),
+    clasificacion: normalizeClassification(raw?.clasificacion || raw?.classification),
+    significadoEcologico: asText(raw?.significadoEcologico ?? raw?.ecologicalSignificance),
+    confianza: normalizeConfidence(raw?.confianza ?? raw?.confidence),
+    razonamiento: asText(raw?.razonamiento ?? raw?.reasoning),
+    alternativas: (Array.isArray(raw?.alternativas ?? raw?.alternatives) ? (raw.alternativas ?? raw.alternatives) : [])
+        .slice(0, MAX_ALTERNATIVES)
+        .map(alt => ({
+            nombreCientifico: asText(alt?.nombreCientifico ?? alt?.scientificName),
+            clasificacion: normalizeClassification(alt?.clasificacion || alt?.classification),
+            confianza: normalizeConfidence(alt?.confianza ?? alt?.confidence),
+            razonamiento: asText(alt?.razonamiento ?? alt?.reasoning),
+        })),
+    identificadoPor: { proveedor: provider.id, modelo: provider.modelo },
+    idioma,
+});
+
+const resumenValidacion = ({ estado, correcciones, avisos, nombreComunCatalogo }) => ({ estado, correcciones, avisos, nombreComunCatalogo });
+
+// Normaliza los nombres al catálogo de referencia y marca jerarquías inconsistentes o taxones desconocidos
+const validateIdentification = (result) => {
+    const validacion = validarTaxonomia(result.clasificacion, result.idioma);
+    // Si el nombre científico repetía una grafía corregida, se corrige también
+    const correccionNombre = validacion.correcciones.find(c => normalizarNombre(c.original) === normalizarNombre(result.nombreCientifico));
+
+    return {
+        ...result,
+        nombreCientifico: correccionNombre ? correccionNombre.canonico : result.nombreCientifico,
+        clasificacion: validacion.clasificacion,
+        alternativas: result.alternativas.map(alt => ({ ...alt, clasificacion: validarTaxonomia(alt.clasificacion).clasificacion })),
+        validacionTaxonomica: resumenValidacion(validacion),
+    };
+};
+
+// contexto: { idioma, longitudMm }; opciones: { signal } para cancelar la solicitud con un AbortController
+const identifyMacroinvertebrate = async (base64Data, mimeType, contexto = {}, { signal } = {}) => {
+    const raw = await identificationProvider.identify(base64Data, mimeType, contexto, { signal });
+    const result = normalizeIdentification(raw, identificationProvider, contexto.idioma);
+    if (!result.nombreCientifico) throw createIdentificationError('malformed', 'falta el nombre científico');
+    return validateIdentification(result);
+};
+
+// --- VERIFICACIÓN DE IDENTIFICACIONES ---
+
+const esConfirmado = (item) => item.estadoVerificacion === 'confirmado';
+
+// Sugerencia original del modelo, para compararla después con lo confirmado
+const extractModelSuggestion = (result) => ({
+    nombreCientifico: result.nombreCientifico,
+    nombreComun: result.nombreComun,
+    clasificacion: result.clasificacion,
+    confianza: result.confianza ?? null,
+    razonamiento: result.razonamiento || '',
+    alternativas: result.alternativas || [],
+    validacionTaxonomica: result.validacionTaxonomica || null,
+});
+
+const mismoTaxon = (a = {}, b = {}) => normalizarNombre(a.familia) === normalizarNombre(b.familia)
+    && normalizarNombre(a.orden) === normalizarNombre(b.orden);
+
+// Los textos del modelo describen al taxón que sugirió: si la identificación vigente es otra
+// familia u orden se vacían y la categoría se deduce de la familia elegida
+const descripcionTaxonCorregido = (clasificacion) => ({
+    nombreComun: '',
+    informacionBasica: '',
+    significadoEcologico: '',
+    categoriaBioindicador: categoriaPorFamilia(clasificacion.familia),
+});
+
+// Identificación confirmada por una persona. origen: 'modelo' | 'alternativa' | 'correccion'
+const buildConfirmedIdentification = (sugerencia, { nombreCientifico, clasificacion, origen }, idioma) => ({
+    nombreCientifico,
+    clasificacion,
+    origen,
+    validacionTaxonomica: resumenValidacion(validarTaxonomia(clasificacion, idioma)),
+    coincideConModelo: mismoTaxon(clasificacion, sugerencia.clasificacion),
+    confirmadoEn: serverTimestamp(),
+});
+
+// Documento a guardar: los campos de primer nivel reflejan la identificación vigente
+const buildAnalysisRecord = (result, seleccion = null) => {
+    const { confianza, razonamiento, alternativas, ...campos } = result;
+    const sugerenciaModelo = extractModelSuggestion(result);
+    const categoria = inferirCategoriaBioindicador(campos.significadoEcologico);
+    if (!seleccion) {
+        return { ...campos, categoriaBioindicador: categoria, sugerenciaModelo, identificacionConfirmada: null, estadoVerificacion: 'pendiente' };
+    }
+    const identificacionConfirmada = buildConfirmedIdentification(sugerenciaModelo, seleccion, campos.idioma);
+    return {
+        ...campos,
+        nombreCientifico: seleccion.nombreCientifico,
+        nombreComun: seleccion.origen === 'modelo' ? campos.nombreComun : '',
+        clasificacion: seleccion.clasificacion,
+        validacionTaxonomica: identificacionConfirmada.validacionTaxonomica,
+        categoriaBioindicador: categoria,
+        ...(identificacionConfirmada.coincideConModelo ? {} : descripcionTaxonCorregido(seleccion.clasificacion)),
+        sugerenciaModelo,
+        identificacionConfirmada,
+        estadoVerificacion: 'confirmado',
+    };
+};
+
+// Cambios para confirmar un análisis ya guardado (los antiguos no tienen sugerenciaModelo)
+const buildConfirmationUpdate = (item, seleccion) => {
+    const sugerenciaModelo = item.sugerenciaModelo || extractModelSuggestion(item);
+    const identificacionConfirmada = buildConfirmedIdentification(sugerenciaModelo, seleccion, item.idioma);
+    return {
+        nombreCientifico: seleccion.nombreCientifico,
+        clasificacion: seleccion.clasificacion,
+        ...(seleccion.origen === 'modelo' ? {} : { nombreComun: '' }),
+        ...(identificacionConfirmada.coincideConModelo ? {} : descripcionTaxonCorregido(seleccion.clasificacion)),
+        validacionTaxonomica: identificacionConfirmada.validacionTaxonomica,
+        sugerenciaModelo,
+        identificacionConfirmada,
+        estadoVerificacion: 'confirmado',
+    };
+};
+
+// Corrección de quien no puede confirmar: cambia la identificación vigente y la deja pendiente de revisión
+const buildProposedCorrection = (item, { nombreCientifico, clasificacion }) => {
+    const sugerenciaModelo = item.sugerenciaModelo || extractModelSuggestion(item);
+    return {
+        nombreCientifico,
+        clasificacion,
+        nombreComun: '',
+        ...(mismoTaxon(clasificacion, sugerenciaModelo.clasificacion) ? {} : descripcionTaxonCorregido(clasificacion)),
+        validacionTaxonomica: resumenValidacion(validarTaxonomia(clasificacion, item.idioma)),
+        sugerenciaModelo,
+        identificacionConfirmada: null,
+        estadoVerificacion: 'pendiente',
+    };
+};
+
+const formatConfidence = (confianza, sinDato = 'N/D') => (confianza === null || confianza === undefined ? sinDato : `${Math.round(confianza * 100)}%`);
+
+const confidenceColor = (confianza) => {
+    if (confianza === null || confianza === undefined) return 'bg-gray-100 text-gray-600';
+    if (confianza >= 0.8) return 'bg-green-100 text-green-800';
+    if (confianza >= 0.5) return 'bg-yellow-100 text-yellow-800';
+    return 'bg-red-100 text-red-800';
+};
+
+// Lee un archivo y devuelve su contenido en Base64 (sin el prefijo data:)
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+// --- PREPARACIÓN DE IMÁGENES ---
+
+// El original va a Storage; al proveedor de identificación solo se envía una copia reducida
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024; // Limite de 20MB para el original
+const ANALYSIS_MAX_DIMENSION = 1600;
+const THUMBNAIL_MAX_DIMENSION = 320;
+const PREPARED_MIME_TYPE = 'image/jpeg';
+
+// Reduce la imagen para que su lado mayor no supere maxDimension y la re-codifica como JPEG
+const resizeImage = async (blob, maxDimension, quality) => {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (result) => result ? resolve(result) : reject(new Error("No se pudo procesar la imagen.")),
+            PREPARED_MIME_TYPE,
+            quality
+        );
+    });
+};
+
+// Genera la copia para el análisis (en Base64) y la miniatura para el historial
+const prepareImage = async (file) => {
+    const analysisBlob = await resizeImage(file, ANALYSIS_MAX_DIMENSION, 0.85);
+    const thumbnail = await resizeImage(file, THUMBNAIL_MAX_DIMENSION, 0.7);
+    return {
+        base64: await readFileAsBase64(analysisBlob),
+        mimeType: PREPARED_MIME_TYPE,
+        thumbnail,
+    };
+};
+
+// Los documentos antiguos guardaban la imagen completa como data-URL
+const isLegacyImage = (item) => typeof item.imageUrl === 'string' && item.imageUrl.startsWith('data:');
+
+// Todos los análisis con la imagen en el documento, no solo los de las páginas cargadas (';' sigue a ':')
+const legacyImagesQuery = (collectionRef) => query(collectionRef, where('imageUrl', '>=', 'data:'), where('imageUrl', '<', 'data;'));
+const LEGACY_MIGRATION_PAGE_SIZE = 10; // Cada documento puede pesar cerca de 1 MB
+
+const getThumbnailSrc = (item) => item.thumbnailUrl || item.imageUrl;
+
+// Rutas en Storage de las imágenes de un análisis; se conocen antes de subir nada
+const specimenImagePaths = (projectId, userId, analysisId) => {
+    const basePath = `${workspacePath(projectId, userId)}/images/${analysisId}`;
+    return { imagePath: `${basePath}/original`, thumbnailPath: `${basePath}/thumbnail.jpg`, editedImagePath: `${basePath}/edited.jpg` };
+};
+
+// Borra las imágenes de un análisis; las que no llegaron a subirse se ignoran
+const deleteSpecimenImages = (storage, paths) => {
+    Object.values(paths).filter(Boolean).forEach(path => {
+        deleteObject(storageRef(storage, path)).catch(e => {
+            if (e.code !== 'storage/object-not-found') console.error(`Error al borrar ${path}:`, e);
+        });
+    });
+};
+
+// --- DETECCIÓN DE IMÁGENES DUPLICADAS ---
+
+// Dos huellas por imagen: SHA-256 del archivo (copia exacta) y un dHash de 64 bits de la
+// miniatura, que tolera re-codificaciones y cambios de tamaño (casi idéntica).
+const PERCEPTUAL_HASH_BLOCKS = 4; // Bloques de 16 bits para buscar candidatos en Firestore
+const DUPLICATE_MAX_DISTANCE = 3; // Con 4 bloques, una distancia <= 3 garantiza un bloque idéntico
+const DUPLICATE_CANDIDATES_LIMIT = 30;
+
+const sha256Hex = async (blob) => {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// dHash: compara cada píxel con su vecino derecho en una versión 9x8 en escala de grises
+const perceptualHash = async (blob) => {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = 9;
+    canvas.height = 8;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, 9, 8);
+    bitmap.close();
+
+    const { data } = ctx.getImageData(0, 0, 9, 8);
+    const gris = (x, y) => {
+        const i = (y * 9 + x) * 4;
+        return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    };
+
+    let hex = '';
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x += 4) {
+            let nibble = 0;
+            for (let bit = 0; bit < 4; bit++) {
+                nibble = (nibble << 1) | (gris(x + bit, y) < gris(x + bit + 1, y) ? 1 : 0);
+            }
+            hex += nibble.toString(16);
+        }
+    }
+    return hex;
+};
+
+const hammingDistance = (a, b) => {
+    let distancia = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diferencia = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diferencia) {
+            distancia += diferencia & 1;
+            diferencia >>= 1;
+        }
+    }
+    return distancia;
+};
+
+// "0:3fa1", "1:07c2"...: el índice evita que bloques iguales en posiciones distintas coincidan
+const perceptualHashBlocks = (hash) => {
+    const size = hash.length / PERCEPTUAL_HASH_BLOCKS;
+    return Array.from({ length: PERCEPTUAL_HASH_BLOCKS }, (_, i) => `${i}:${hash.slice(i * size, (i + 1) * size)}`);
+};
+
+const computeImageHashes = async (original, thumbnail) => {
+    const [sha256, perceptual] = await Promise.all([sha256Hex(original), perceptualHash(thumbnail)]);
+    return { sha256, perceptual };
+};
+
+// Campos del documento
+const imageHashFields = (hashes) => ({
+    hashSha256: hashes.sha256,
+    hashPerceptual: hashes.perceptual,
+    hashPerceptualBloques: perceptualHashBlocks(hashes.perceptual),
+});
+
+// Elige el análisis más parecido: primero la copia exacta, luego la menor distancia dentro del umbral
+const pickDuplicateMatch = (hashes, exactos, candidatos) => {
+    if (exactos.length) return { analysis: exactos[0], exacto: true, distancia: 0 };
+
+    return candidatos
+        .filter(item => item.hashPerceptual)
+        .map(item => ({ analysis: item, exacto: false, distancia: hammingDistance(hashes.perceptual, item.hashPerceptual) }))
+        .filter(match => match.distancia <= DUPLICATE_MAX_DISTANCE)
+        .sort((a, b) => a.distancia - b.distancia)[0] || null;
+};
+
+// --- UBICACIÓN Y FECHA DE CAPTURA (EXIF) ---
+
+// Las fotos de teléfono traen GPS y hora en el bloque EXIF del JPEG. Se leen del archivo original,
+// porque la copia re-codificada en el canvas pierde los metadatos.
+const EXIF_SCAN_BYTES = 256 * 1024; // El bloque APP1 va al principio del archivo
+const EXIF_TAGS = {
+    fechaHora: 0x0132,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    fechaOriginal: 0x9003,
+    latitudRef: 0x0001,
+    latitud: 0x0002,
+    longitudRef: 0x0003,
+    longitud: 0x0004,
+};
+
+const EMPTY_CAPTURE_METADATA = { ubicacion: null, fechaCaptura: null, medicion: null };
+
+// "2024:05:12 10:31:00" (hora local de la cámara, sin zona) -> "2024-05-12T10:31:00"
+const exifDateToIso = (texto) => {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(texto || '');
+    if (!match) return null;
+    const iso = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+    return Number.isNaN(new Date(iso).getTime()) ? null : iso;
+};
+
+// Recorre el TIFF incrustado en APP1 y devuelve { ubicacion, fechaCaptura } o null
+const parseExif = (view, tiffStart) => {
+    const little = view.getUint16(tiffStart) === 0x4949; // 'II' = little endian, 'MM' = big endian
+    const u16 = (offset) => view.getUint16(tiffStart + offset, little);
+    const u32 = (offset) => view.getUint32(tiffStart + offset, little);
+
+    const readIfd = (ifdOffset) => {
+        const entries = {};
+        const count = u16(ifdOffset);
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            entries[u16(entry)] = { count: u32(entry + 4), valueOffset: entry + 8 };
+        }
+        return entries;
+    };
+
+    // Los valores de más de 4 bytes se guardan aparte y el campo contiene su posición
+    const readAscii = (entry) => {
+        if (!entry) return null;
+        const start = entry.count > 4 ? u32(entry.valueOffset) : entry.valueOffset;
+        let text = '';
+        for (let i = 0; i < entry.count - 1; i++) text += String.fromCharCode(view.getUint8(tiffStart + start + i));
+        return text.trim() || null;
+    };
+
+    const readRationals = (entry) => {
+        if (!entry) return null;
+        const start = u32(entry.valueOffset);
+        return Array.from({ length: entry.count }, (_, i) => {
+            const denominador = u32(start + i * 8 + 4);
+            return denominador ? u32(start + i * 8) / denominador : 0;
+        });
+    };
+
+    const toDecimal = (partes, ref) => {
+        if (!partes || partes.length < 3) return null;
+        const grados = partes[0] + partes[1] / 60 + partes[2] / 3600;
+        return Math.round((ref === 'S' || ref === 'W' ? -grados : grados) * 1e6) / 1e6;
+    };
+
+    const ifd0 = readIfd(u32(4));
+    const exif = ifd0[EXIF_TAGS.exifIfd] ? readIfd(u32(ifd0[EXIF_TAGS.exifIfd].valueOffset)) : {};
+    const gps = ifd0[EXIF_TAGS.gpsIfd] ? readIfd(u32(ifd0[EXIF_TAGS.gpsIfd].valueOffset)) : {};
+
+    const latitud = toDecimal(readRationals(gps[EXIF_TAGS.latitud]), readAscii(gps[EXIF_TAGS.latitudRef]));
+    const longitud = toDecimal(readRationals(gps[EXIF_TAGS.longitud]), readAscii(gps[EXIF_TAGS.longitudRef]));
+    // 0,0 es lo que escriben algunas cámaras cuando no tienen señal GPS
+    const ubicacionValida = latitud !== null && longitud !== null && Math.abs(latitud) <= 90 && Math.abs(longitud) <= 180 && (latitud || longitud);
+
+    return {
+        ubicacion: ubicacionValida ? { latitud, longitud, origen: 'exif' } : null,
+        fechaCaptura: exifDateToIso(readAscii(exif[EXIF_TAGS.fechaOriginal]) || readAscii(ifd0[EXIF_TAGS.fechaHora])),
+    };
+};
+
+const readExifMetadata = async (file) => {
+    if (file.type !== 'image/jpeg') return null;
+    const view = new DataView(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+            return parseExif(view, offset + 10);
+        }
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // Empiezan los datos de la imagen
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+};
+
+// Nunca falla: una foto sin EXIF o con EXIF dañado simplemente no aporta metadatos
+const readCaptureMetadata = async (file) => {
+    try {
+        return (await readExifMetadata(file)) || EMPTY_CAPTURE_METADATA;
+    } catch (e) {
+        console.warn("No se pudieron leer los metadatos EXIF:", e);
+        return EMPTY_CAPTURE_METADATA;
+    }
+};
+
+// Campos del documento; la fecha viaja como texto ISO hasta aquí para poder guardarse en IndexedDB
+const captureMetadataFields = (captura) => ({
+    ubicacion: captura?.ubicacion || null,
+    fechaCaptura: captura?.fechaCaptura ? Timestamp.fromDate(new Date(captura.fechaCaptura)) : null,
+    medicion: captura?.medicion || null,
+});
+
+const formatCoordinates = ({ latitud, longitud }) => `${latitud.toFixed(5)}, ${longitud.toFixed(5)}`;
+
+// --- CARGA POR LOTES ---
+
+const ACCEPTED_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+const BATCH_CONCURRENCY = 3; // Análisis simultáneos como máximo
+
+// El texto de cada estado está en MENSAJES (lote.estado.<estado>)
+const BATCH_STATUS_COLORS = {
+    pending: 'bg-gray-100 text-gray-600',
+    analyzing: 'bg-sky-100 text-sky-700',
+    done: 'bg-green-100 text-green-700',
+    failed: 'bg-red-100 text-red-700',
+    cancelled: 'bg-yellow-100 text-yellow-700',
+    offline: 'bg-purple-100 text-purple-700',
+    duplicate: 'bg-orange-100 text-orange-700',
+};
+
+// Recorre una entrada arrastrada (archivo o carpeta) y devuelve todos sus archivos
+const collectDroppedFiles = async (entry) => {
+    if (entry.isFile) {
+        return new Promise((resolve) => entry.file(file => resolve([file]), () => resolve([])));
+    }
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        const entries = [];
+        // readEntries devuelve los resultados por bloques hasta que responde vacío
+        let block;
+        do {
+            block = await new Promise((resolve) => reader.readEntries(resolve, () => resolve([])));
+            entries.push(...block);
+        } while (block.length > 0);
+        const nested = await Promise.all(entries.map(collectDroppedFiles));
+        return nested.flat();
+    }
+    return [];
+};
+
+const createBatchItem = (file, projectId) => ({
+    id: `${file.name}-${file.size}-${file.lastModified}-${Math.random().toString(36).slice(2, 8)}`,
+    file,
+    projectId: projectId || null, // Cambiar de espacio a mitad del lote no mueve sus resultados
+    status: 'pending',
+    error: null,
+    result: null,
+    duplicate: null, // Análisis anterior con la misma foto; si está, reintentar fuerza el análisis
+});
+
+// Constante para la URL de la imagen del logo cargado
+const LOGO_URL = "uploaded:Imagen de WhatsApp 2025-12-01 a las 04.00.31_c74834a8.jpg-26512028-7436-4c81-802c-3a4d70b4d0bd";
+
+// --- EXPORTACIÓN (CSV, DARWIN CORE E INFORME IMPRIMIBLE) ---
+
+// YYYY-MM-DD en la hora local: toISOString() daría la fecha UTC, que de noche ya es el día siguiente
+const formatIsoDate = (date) => (date
+    ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+    : '');
+
+const analysisDate = (item) => (item.timestamp?.toDate ? item.timestamp.toDate() : null);
+
+// Fecha de colecta: la del evento de muestreo o la de la foto (EXIF). La del análisis no sirve
+// de sustituto: se puede analizar días después de colectar, así que sin ninguna de las dos queda vacía
+const collectionDate = (item, event) => event?.fecha
+    || (item.fechaCaptura?.toDate ? formatIsoDate(item.fechaCaptura.toDate()) : '');
+
+// Ubicación del espécimen: la de la foto o el pin manual; si no hay, la del sitio de muestreo
+const specimenLocation = (item, event) => item.ubicacion
+    || (typeof event?.latitud === 'number' ? { latitud: event.latitud, longitud: event.longitud, origen: 'sitio' } : null);
+
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: (item) => ... }]
+const toCSV = (items, columns) => [
+    columns.map(c => csvValue(c.header)).join(','),
+    ...items.map(item => columns.map(c => csvValue(c.value(item))).join(',')),
+].join('\r\n');
+
+const analysisCsvColumns = (eventsById) => [
+    { header: 'id', value: (item) => item.id },
+    { header: 'fechaAnalisis', value: (item) => formatIsoDate(analysisDate(item)) },
+    { header: 'nombreCientifico', value: (item) => item.nombreCientifico },
+    { header: 'nombreComun', value: (item) => item.nombreComun },
+    { header: 'clase', value: (item) => item.clasificacion?.clase },
+    { header: 'orden', value: (item) => item.clasificacion?.orden },
+    { header: 'familia', value: (item) => item.clasificacion?.familia },
+    { header: 'estadoVerificacion', value: (item) => item.estadoVerificacion || 'pendiente' },
+    { header: 'validacionTaxonomica', value: (item) => item.validacionTaxonomica?.estado },
+    { header: 'confianzaModelo', value: (item) => (item.sugerenciaModelo || item).confianza ?? '' },
+    { header: 'sitio', value: (item) => eventsById[item.eventId]?.sitio },
+    { header: 'rio', value: (item) => eventsById[item.eventId]?.rio },
+    { header: 'fechaMuestreo', value: (item) => eventsById[item.eventId]?.fecha },
+    { header: 'fechaCaptura', value: (item) => (item.fechaCaptura?.toDate ? item.fechaCaptura.toDate().toISOString() : '') },
+    { header: 'latitud', value: (item) => specimenLocation(item, eventsById[item.eventId])?.latitud },
+    { header: 'longitud', value: (item) => specimenLocation(item, eventsById[item.eventId])?.longitud },
+    { header: 'origenUbicacion', value: (item) => specimenLocation(item, eventsById[item.eventId])?.origen },
+    { header: 'longitudEstimadaMm', value: (item) => item.medicion?.longitudEstimadaMm },
+    { header: 'duplicadoDe', value: (item) => item.duplicadoDe },
+    { header: 'significadoEcologico', value: (item) => item.significadoEcologico },
+    { header: 'numeroIndividuos', value: (item) => item.anotaciones?.numeroIndividuos },
+    { header: 'estadioVida', value: (item) => item.anotaciones?.estadioVida },
+    { header: 'microhabitat', value: (item) => item.anotaciones?.microhabitat },
+    { header: 'colector', value: (item) => item.anotaciones?.colector },
+    { header: 'etiquetas', value: (item) => (item.anotaciones?.etiquetas || []).join('; ') },
+    { header: 'notas', value: (item) => item.anotaciones?.notas },
+    { header: 'imageUrl', value: (item) => (isLegacyImage(item) ? '' : item.imageUrl) },
+];
+
+// Vocabulario de lifeStage recomendado por GBIF
+const LIFE_STAGE_DWC = { larva: 'larva', ninfa: 'nymph', pupa: 'pupa', adulto: 'adult' };
+
+// Rango taxonómico más bajo que se conoce para la ocurrencia
+const taxonRank = (clasificacion = {}) => {
+    if (clasificacion.familia) return 'family';
+    if (clasificacion.orden) return 'order';
+    if (clasificacion.clase) return 'class';
+    return '';
+};
+
+// Términos Darwin Core (https://dwc.tdwg.org/terms/) para un archivo de ocurrencias
+const darwinCoreColumns = (eventsById) => [
+    { header: 'occurrenceID', value: (item) => `urn:macrosearch:${appId}:${item.id}` },
+    { header: 'basisOfRecord', value: () => 'HumanObservation' },
+    { header: 'eventDate', value: (item) => collectionDate(item, eventsById[item.eventId]) },
+    { header: 'eventID', value: (item) => item.eventId || '' },
+    { header: 'scientificName', value: (item) => item.clasificacion?.familia || item.clasificacion?.orden || item.nombreCientifico },
+    { header: 'taxonRank', value: (item) => taxonRank(item.clasificacion) },
+    { header: 'kingdom', value: () => 'Animalia' },
+    { header: 'phylum', value: (item) => buscarTaxon('clase', item.clasificacion?.clase)?.filo || '' },
+    { header: 'class', value: (item) => item.clasificacion?.clase },
+    { header: 'order', value: (item) => item.clasificacion?.orden },
+    { header: 'family', value: (item) => item.clasificacion?.familia },
+    { header: 'individualCount', value: (item) => item.anotaciones?.numeroIndividuos },
+    { header: 'lifeStage', value: (item) => LIFE_STAGE_DWC[item.anotaciones?.estadioVida] || '' },
+    { header: 'recordedBy', value: (item) => item.anotaciones?.colector },
+    { header: 'occurrenceRemarks', value: (item) => [item.anotaciones?.microhabitat && `Microhábitat: ${item.anotaciones.microhabitat}`, item.anotaciones?.notas].filter(Boolean).join('. ') },
+    { header: 'vernacularName', value: (item) => item.nombreComun || item.validacionTaxonomica?.nombreComunCatalogo },
+    { header: 'identificationVerificationStatus', value: (item) => (esConfirmado(item) ? 'verified' : 'unverified') },
+    { header: 'identificationRemarks', value: (item) => {
+        const sugerencia = item.sugerenciaModelo || item;
+        return `Identificación asistida por ${item.identificadoPor?.modelo || 'IA'}; confianza ${formatConfidence(sugerencia.confianza)}`;
+    } },
+    { header: 'locality', value: (item) => eventsById[item.eventId]?.sitio },
+    { header: 'waterBody', value: (item) => eventsById[item.eventId]?.rio },
+    { header: 'decimalLatitude', value: (item) => specimenLocation(item, eventsById[item.eventId])?.latitud },
+    { header: 'decimalLongitude', value: (item) => specimenLocation(item, eventsById[item.eventId])?.longitud },
+    { header: 'geodeticDatum', value: (item) => (specimenLocation(item, eventsById[item.eventId]) ? 'WGS84' : '') },
+    { header: 'habitat', value: (item) => eventsById[item.eventId]?.notasHabitat },
+    { header: 'associatedMedia', value: (item) => (isLegacyImage(item) ? '' : item.imageUrl) },
+];
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// HTML autónomo para imprimir o guardar como PDF desde el navegador, en el idioma de la interfaz
+const buildPrintableReport = (items, eventsById, { locale, t, formatDate }) => {
+    const sinDato = t('comun.na');
+    const filas = items.map(item => {
+        const event = eventsById[item.eventId];
+        return `
+        <article>
+            <img src="${escapeHtml(getThumbnailSrc(item))}" alt="">
+            <div>
+                <h2><em>${escapeHtml(item.nombreCientifico)}</em></h2>
+                <p class="sub">${escapeHtml(item.nombreComun)}</p>
+                <p><strong>${escapeHtml(t('informe.clasificacion'))}</strong> ${escapeHtml(item.clasificacion?.clase || sinDato)} › ${escapeHtml(item.clasificacion?.orden || sinDato)} › ${escapeHtml(item.clasificacion?.familia || sinDato)}
+                    (${escapeHtml(t(esConfirmado(item) ? 'informe.confirmada' : 'informe.sinConfirmar'))})</p>
+                ${event ? `<p><strong>${escapeHtml(t('informe.muestreo'))}</strong> ${escapeHtml(event.sitio)}${event.rio ? `, ${escapeHtml(event.rio)}` : ''} · ${escapeHtml(formatDate(event.fecha))}</p>` : ''}
+                <p><strong>${escapeHtml(t('informe.significadoEcologico'))}</strong> ${escapeHtml(item.significadoEcologico || t(`categoria.${categoriaBioindicador(item)}`))}</p>
+            </div>
+        </article>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('informe.tituloDocumento'))}</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; margin: 24px; }
+    h1 { color: #075985; margin-bottom: 4px; }
+    article { display: flex; gap: 16px; padding: 12px 0; border-bottom: 1px solid #e0f2fe; page-break-inside: avoid; }
+    article img { width: 140px; height: 140px; object-fit: cover; border-radius: 8px; flex-shrink: 0; }
+    h2 { font-size: 18px; margin: 0; color: #0369a1; }
+    p { margin: 4px 0; font-size: 13px; }
+    .sub { color: #0ea5e9; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(t('informe.titulo'))}</h1>
+    <p>MacroSearch UTN &amp; IMRH · ${escapeHtml(t('informe.resumen', { n: items.length, fecha: formatDate(new Date()) }))}</p>
+    ${filas}
+</body>
+</html>`;
+};
+
+const downloadFile = (filename, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Algunos navegadores inician la descarga después del clic: liberar la URL enseguida la cancela
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// --- CAPTURA SIN CONEXIÓN (INDEXEDDB) ---
+
+// Las fotos tomadas sin señal se guardan en el navegador y se analizan al volver la conexión
+const OFFLINE_DB_NAME = 'macrosearch-offline';
+const OFFLINE_DB_VERSION = 1;
+const PENDING_STORE = 'pendingCaptures';
+
+const openOfflineDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(PENDING_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Ejecuta una operación sobre el almacén de capturas pendientes y devuelve su resultado
+const withPendingStore = async (mode, operation) => {
+    const database = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(PENDING_STORE, mode);
+        const request = operation(transaction.objectStore(PENDING_STORE));
+        transaction.oncomplete = () => {
+            database.close();
+            resolve(request?.result);
+        };
+        transaction.onerror = () => {
+            database.close();
+            reject(transaction.error);
+        };
+    });
+};
+
+const listPendingCaptures = () => withPendingStore('readonly', store => store.getAll());
+const putPendingCapture = (capture) => withPendingStore('readwrite', store => store.put(capture));
+const deletePendingCapture = (id) => withPendingStore('readwrite', store => store.delete(id));
+
+// El Blob se guarda tal cual: IndexedDB admite archivos binarios
+const createPendingCapture = (file, uid, eventId, projectId, idioma) => ({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    uid, // Solo la sincroniza quien la capturó, aunque otra cuenta use después el mismo navegador
+    file,
+    fileName: file.name || 'captura.jpg',
+    eventId: eventId || null,
+    projectId: projectId || null, // Espacio de trabajo activo al capturar
+    idioma, // El análisis diferido responde en el idioma que había al capturar
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    error: null,
+    fallida: false, // Agotó MAX_SYNC_ATTEMPTS: ya no se reintenta
+});
+
+// Las capturas guardadas antes de registrar el uid las adopta la sesión que las encuentre
+const isOwnPendingCapture = (capture, uid) => !capture.uid || capture.uid === uid;
+
+// Tras estos intentos fallidos la captura se marca como fallida y solo queda descartarla
+const MAX_SYNC_ATTEMPTS = 5;
+
+// serverTimestamp() no se puede clonar en IndexedDB: la hora de confirmación se guarda en milisegundos
+// y vuelve a ser Timestamp al sincronizar
+const toPendingRecord = (record) => (record?.identificacionConfirmada
+    ? { ...record, identificacionConfirmada: { ...record.identificacionConfirmada, confirmadoEn: Date.now() } }
+    : record);
+
+const fromPendingRecord = (record) => (typeof record?.identificacionConfirmada?.confirmadoEn === 'number'
+    ? { ...record, identificacionConfirmada: { ...record.identificacionConfirmada, confirmadoEn: Timestamp.fromMillis(record.identificacionConfirmada.confirmadoEn) } }
+    : record);
+
+// Las capturas guardadas antes de los idiomas traen el error como texto
+const pendingCaptureError = (error, t) => (typeof error === 'string' ? error : uiErrorMessage(error, t));
+
+// Distingue la falta de red de otros fallos: el navegador sin conexión, el error de red del proveedor
+// de identificación o Firestore sin servicio. Un TypeError cualquiera es un fallo del código, no de la red
+const isNetworkError = (error) => !navigator.onLine || error?.codigo === 'network' || error?.code === 'unavailable';
+
+// Hook con el estado de conexión del navegador
+const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const goOnline = () => setIsOnline(true);
+        const goOffline = () => setIsOnline(false);
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        return () => {
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+// --- FILTROS Y PAGINACIÓN DEL HISTORIAL ---
+
+const HISTORY_PAGE_SIZE = 24;
+
+// El texto de cada categoría está en MENSAJES (categoria.<clave>)
+const CATEGORIAS_BIOINDICADOR = {
+    sensible: { color: 'bg-sky-100 text-sky-800' },
+    moderado: { color: 'bg-green-100 text-green-800' },
+    tolerante: { color: 'bg-orange-100 text-orange-800' },
+    sin_dato: { color: 'bg-gray-100 text-gray-600' },
+};
+
+// Clasifica el texto libre de significadoEcologico, que puede venir en español, inglés o portugués.
+// "intolerante"/"intolerant" se revisa antes que "tolerante"/"tolerant" e "insensitive" antes que "sensitive".
+const inferirCategoriaBioindicador = (texto) => {
+    const t = normalizarNombre(texto);
+    if (!t) return 'sin_dato';
+    if (/moderad|moderat|intermedi|medianamente|facultativ/.test(t)) return 'moderado';
+    if (/insensitiv|insensivel/.test(t)) return 'tolerante';
+    if (/intoleran|sensible|sensitiv|sensivel|exigente|aguas muy limpias|very clean|aguas muito limpas/.test(t)) return 'sensible';
+    if (/toleran|resist/.test(t)) return 'tolerante';
+    return 'sin_dato';
+};
+
+// Sin texto del modelo la categoría sale del puntaje BMWP/Col de la familia (1 muy tolerante, 10 muy sensible)
+const categoriaPorFamilia = (familia) => {
+    const puntaje = puntajeFamilia(familia);
+    if (puntaje === null) return 'sin_dato';
+    if (puntaje >= 7) return 'sensible';
+    return puntaje >= 4 ? 'moderado' : 'tolerante';
+};
+
+// Los análisis antiguos no guardan la categoría: se deduce al vuelo
+const categoriaBioindicador = (item) => item.categoriaBioindicador || inferirCategoriaBioindicador(item.significadoEcologico);
+
+const EMPTY_HISTORY_FILTERS = { eventId: '', nivel: 'familia', valor: '', desde: '', hasta: '', categoria: '', texto: '' };
+
+// Filtros que resuelve Firestore (requieren los índices de firestore.indexes.json)
+const buildHistoryConstraints = (filters) => {
+    const constraints = [];
+    if (filters.eventId) constraints.push(where('eventId', '==', filters.eventId));
+    if (filters.valor) {
+        const canonico = buscarTaxon(filters.nivel, filters.valor)?.nombre || filters.valor.trim();
+        constraints.push(where(`clasificacion.${filters.nivel}`, '==', canonico));
+    }
+    if (filters.desde) constraints.push(where('timestamp', '>=', Timestamp.fromDate(new Date(`${filters.desde}T00:00:00`))));
+    if (filters.hasta) {
+        const hasta = new Date(`${filters.hasta}T00:00:00`);
+        hasta.setDate(hasta.getDate() + 1); // Incluye todo el día final
+        constraints.push(where('timestamp', '<', Timestamp.fromDate(hasta)));
+    }
+    constraints.push(orderBy('timestamp', 'desc'));
+    return constraints;
+};
+
+// Firestore no tiene búsqueda de texto: la categoría y el texto se filtran sobre lo ya cargado
+const matchesClientFilters = (item, filters) => {
+    if (filters.categoria && categoriaBioindicador(item) !== filters.categoria) return false;
+    const texto = normalizarNombre(filters.texto);
+    if (!texto) return true;
+    return [item.nombreCientifico, item.nombreComun, item.clasificacion?.clase, item.clasificacion?.orden, item.clasificacion?.familia]
+        .some(nombre => normalizarNombre(nombre).includes(texto));
+};
+
+const hasServerFilters = (filters) => Boolean(filters.eventId || filters.valor || filters.desde || filters.hasta);
+
+// --- EDICIÓN Y ANOTACIONES ---
+
+// Valores guardados en anotaciones.estadioVida; el texto está en MENSAJES (estadio.<valor>)
+const ESTADIOS_VIDA = ['larva', 'ninfa', 'pupa', 'adulto'];
+
+const MAX_CAMBIOS_REGISTRADOS = 20; // El registro de cambios vive en el propio documento
+const UNDO_DELETE_MS = 8000;
+
+const parseEtiquetas = (texto) => [...new Set(texto.split(',').map(t => t.trim()).filter(Boolean))];
+
+// Valores iniciales del formulario de edición a partir de un análisis guardado
+const analysisToEditForm = (item) => ({
+    nombreCientifico: item.nombreCientifico || '',
+    nombreComun: item.nombreComun || '',
+    clase: item.clasificacion?.clase || '',
+    orden: item.clasificacion?.orden || '',
+    familia: item.clasificacion?.familia || '',
+    significadoEcologico: item.significadoEcologico || '',
+    numeroIndividuos: item.anotaciones?.numeroIndividuos ?? '',
+    estadioVida: item.anotaciones?.estadioVida || '',
+    microhabitat: item.anotaciones?.microhabitat || '',
+    colector: item.anotaciones?.colector || '',
+    notas: item.anotaciones?.notas || '',
+    etiquetas: (item.anotaciones?.etiquetas || []).join(', '),
+});
+
+// Devuelve los cambios para updateDoc y la entrada del registro de cambios.
+// Tocar la identificación cuenta como corrección humana: la sugerencia del modelo se conserva aparte.
+// Sin permiso para confirmar, la corrección queda pendiente de revisión.
+const buildEditUpdate = (item, form, { puedeConfirmar = true } = {}) => {
+    const { clasificacion } = validarTaxonomia({ clase: form.clase.trim(), orden: form.orden.trim(), familia: form.familia.trim() });
+    const anotaciones = {
+        numeroIndividuos: form.numeroIndividuos === '' ? null : Math.max(0, parseInt(form.numeroIndividuos, 10) || 0),
+        estadioVida: form.estadioVida || null,
+        microhabitat: form.microhabitat.trim(),
+        colector: form.colector.trim(),
+        notas: form.notas.trim(),
+        etiquetas: parseEtiquetas(form.etiquetas),
+    };
+    const nuevos = {
+        nombreCientifico: form.nombreCientifico.trim(),
+        nombreComun: form.nombreComun.trim(),
+        'clasificacion.clase': clasificacion.clase,
+        'clasificacion.orden': clasificacion.orden,
+        'clasificacion.familia': clasificacion.familia,
+        significadoEcologico: form.significadoEcologico.trim(),
+        ...Object.fromEntries(Object.entries(anotaciones).map(([campo, valor]) => [`anotaciones.${campo}`, valor])),
+    };
+    const anteriores = {
+        nombreCientifico: item.nombreCientifico || '',
+        nombreComun: item.nombreComun || '',
+        'clasificacion.clase': item.clasificacion?.clase || '',
+        'clasificacion.orden': item.clasificacion?.orden || '',
+        'clasificacion.familia': item.clasificacion?.familia || '',
+        significadoEcologico: item.significadoEcologico || '',
+        'anotaciones.numeroIndividuos': item.anotaciones?.numeroIndividuos ?? null,
+        'anotaciones.estadioVida': item.anotaciones?.estadioVida || null,
+        'anotaciones.microhabitat': item.anotaciones?.microhabitat || '',
+        'anotaciones.colector': item.anotaciones?.colector || '',
+        'anotaciones.notas': item.anotaciones?.notas || '',
+        'anotaciones.etiquetas': item.anotaciones?.etiquetas || [],
+    };
+
+    const cambios = Object.keys(nuevos)
+        .filter(campo => JSON.stringify(nuevos[campo]) !== JSON.stringify(anteriores[campo]))
+        .map(campo => ({ campo, anterior: anteriores[campo], nuevo: nuevos[campo] }));
+    if (!cambios.length) return { update: null, cambios };
+
+    const editado = (campo) => cambios.some(c => c.campo === campo);
+    const cambioIdentificacion = cambios.some(c => c.campo === 'nombreCientifico' || c.campo.startsWith('clasificacion.'));
+    const correccion = { nombreCientifico: nuevos.nombreCientifico || clasificacion.familia || clasificacion.orden, clasificacion, origen: 'correccion' };
+    const identificacion = cambioIdentificacion
+        ? (puedeConfirmar ? buildConfirmationUpdate(item, correccion) : buildProposedCorrection(item, correccion))
+        : {};
+    // La categoría solo se recalcula si cambia el texto o la identificación: sin texto sale de la familia,
+    // como en los análisis corregidos, y una edición de las anotaciones no la toca
+    const significadoVigente = editado('significadoEcologico')
+        ? nuevos.significadoEcologico
+        : (identificacion.significadoEcologico ?? item.significadoEcologico ?? '');
+    const recalcularCategoria = editado('significadoEcologico') || cambioIdentificacion;
+    // Los textos que la persona no reescribió ceden ante los que deduce la identificación nueva
+    const update = {
+        ...identificacion,
+        ...(editado('nombreComun') && { nombreComun: nuevos.nombreComun }),
+        ...(editado('significadoEcologico') && { significadoEcologico: nuevos.significadoEcologico }),
+        ...(recalcularCategoria && {
+            categoriaBioindicador: significadoVigente
+                ? inferirCategoriaBioindicador(significadoVigente)
+                : categoriaPorFamilia(clasificacion.familia),
+        }),
+        anotaciones,
+        // serverTimestamp() no se admite dentro de arreglos: se usa la hora del cliente
+        historialCambios: [...(item.historialCambios || []), { fecha: Timestamp.now(), cambios }].slice(-MAX_CAMBIOS_REGISTRADOS),
+    };
+    return { update, cambios };
+};
+
+const formatCambio = (valor) => {
+    if (valor === null || valor === undefined || valor === '') return '—';
+    if (typeof valor.latitud === 'number') return formatCoordinates(valor);
+    return Array.isArray(valor) ? valor.join(', ') || '—' : String(valor);
+};
+
+// --- ESPACIOS DE TRABAJO COMPARTIDOS ---
+
+// Un proyecto agrupa los análisis y muestreos de un equipo; cada miembro tiene un rol.
+// Las mismas reglas se aplican en firestore.rules y storage.rules.
+// El nombre de cada rol está en MENSAJES (rol.<clave>)
+const ROLES_PROYECTO = {
+    owner: { puedeEscribir: true, puedeRevisar: true, puedeAdministrar: true },
+    reviewer: { puedeEscribir: true, puedeRevisar: true, puedeAdministrar: false },
+    contributor: { puedeEscribir: true, puedeRevisar: false, puedeAdministrar: false },
+    viewer: { puedeEscribir: false, puedeRevisar: false, puedeAdministrar: false },
+};
+
+const ROLES_INVITABLES = ['viewer', 'contributor', 'reviewer'];
+const INVITATION_TTL_DAYS = 14;
+const INVITATION_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Sin 0/O ni 1/I para dictarlo sin errores
+const ACTIVE_PROJECT_STORAGE_KEY = 'macrosearch:proyectoActivo';
+
+// Ruta base de los datos: el espacio personal o el de un proyecto compartido
+const workspacePath = (projectId, userId) => (
+    projectId ? `artifacts/${appId}/projects/${projectId}` : `artifacts/${appId}/users/${userId}`
+);
+
+// El código es el ID del documento de invitación: quien lo conoce puede unirse
+const createInvitationCode = () => Array.from(
+    crypto.getRandomValues(new Uint8Array(10)),
+    byte => INVITATION_ALPHABET[byte % INVITATION_ALPHABET.length],
+).join('');
+
+const normalizeInvitationCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Rol en el espacio activo; en el espacio personal el usuario puede hacerlo todo
+const rolEnProyecto = (project, userId) => {
+    if (!project) return 'owner';
+    const rol = project.roles?.[userId];
+    return ROLES_PROYECTO[rol] ? rol : 'viewer';
+};
+
+const permisosEnProyecto = (project, userId) => ROLES_PROYECTO[rolEnProyecto(project, userId)];
+
+// Revisores y responsables modifican cualquier análisis o muestreo; los colaboradores solo los suyos
+const puedeModificarRegistro = (permisos, item, userId) => (
+    permisos.puedeRevisar || (permisos.puedeEscribir && item.creadoPor === userId)
+);
+
+const nombreMiembro = (project, uid, t) => project?.nombres?.[uid] || t('equipo.usuarioSinNombre', { id: uid.slice(0, 6) });
+
+// Panel del equipo: crear o unirse a proyectos y, para el responsable, gestionar miembros e invitaciones.
+// Se define fuera de App para que los campos no pierdan el foco al re-renderizar.
+const WorkspacePanel = ({ project, userId, defaultAlias = '', invitations, onCreateProject, onJoinProject, onCreateInvitation, onRevokeInvitation, onChangeRole, onRemoveMember, disabled }) => {
+    const { t, formatDate } = useI18n();
+    const [nombre, setNombre] = useState('');
+    const [descripcion, setDescripcion] = useState('');
+    const [alias, setAlias] = useState(defaultAlias);
+    const [codigo, setCodigo] = useState('');
+    const [rolInvitacion, setRolInvitacion] = useState('contributor');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const permisos = permisosEnProyecto(project, userId);
+    const inputClass = "w-full border border-sky-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-sky-400";
+    const buttonClass = "w-full px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 font-medium shadow transition duration-300";
+
+    const run = async (action, onDone) => {
+        setIsSaving(true);
+        const ok = await action();
+        setIsSaving(false);
+        if (ok) onDone();
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!nombre.trim()) return;
+        run(() => onCreateProject({ nombre: nombre.trim(), descripcion: descripcion.trim(), alias: alias.trim() }), () => {
+            setNombre('');
+            setDescripcion('');
+        });
+    };
+
+    const handleJoin = (e) => {
+        e.preventDefault();
+        if (!normalizeInvitationCode(codigo)) return;
+        run(() => onJoinProject(normalizeInvitationCode(codigo), alias.trim()), () => setCodigo(''));
+    };
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-1 space-y-6">
+                <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 space-y-3">
+                    <h3 className="text-xl font-bold text-sky-800 mb-2">{t('equipo.tuNombre')}</h3>
+                    <input className={inputClass} placeholder={t('equipo.nombreVisible')} value={alias} onChange={(e) => setAlias(e.target.value)} />
+                    <p className="text-xs text-gray-500">{t('equipo.nombreAyuda')}</p>
+                </div>
+
+                <form onSubmit={handleCreate} className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 space-y-3">
+                    <h3 className="text-xl font-bold text-sky-800 mb-2">{t('equipo.nuevoProyecto')}</h3>
+                    <input className={inputClass} placeholder={t('equipo.nombreProyecto')} value={nombre} onChange={(e) => setNombre(e.target.value)} required />
+                    <textarea className={inputClass} rows={2} placeholder={t('equipo.descripcion')} value={descripcion} onChange={(e) => setDescripcion(e.target.value)} />
+                    <button type="submit" className={buttonClass} disabled={disabled || isSaving || !nombre.trim()}>
+                        {t(isSaving ? 'comun.guardando' : 'equipo.crearProyecto')}
+                    </button>
+                </form>
+
+                <form onSubmit={handleJoin} className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 space-y-3">
+                    <h3 className="text-xl font-bold text-sky-800 mb-2">{t('equipo.unirseConInvitacion')}</h3>
+                    <input className={`${inputClass} font-mono uppercase`} placeholder={t('equipo.codigoInvitacion')} value={codigo} onChange={(e) => setCodigo(e.target.value)} />
+                    <button type="submit" className={buttonClass} disabled={disabled || isSaving || !normalizeInvitationCode(codigo)}>
+                        {t('equipo.unirse')}
+                    </button>
+                </form>
+            </div>
+
+            <div className="lg:col-span-2 space-y-6">
+                {!project ? (
+                    <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 text-gray-600">
+                        <h3 className="text-2xl font-extrabold text-sky-700 mb-2">{t('equipo.espacioPersonal')}</h3>
+                        <p>{t('equipo.espacioPersonalAyuda')}</p>
+                    </div>
+                ) : (
+                    <>
+                        <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100">
+                            <h3 className="text-2xl font-extrabold text-sky-700">{project.nombre}</h3>
+                            {project.descripcion && <p className="text-gray-600 mt-1">{project.descripcion}</p>}
+                            <p className="text-sm text-sky-500 mt-2">{t('equipo.tuRol', { rol: t(`rol.${rolEnProyecto(project, userId)}`) })}</p>
+
+                            <h4 className="font-semibold text-sky-800 border-b pb-1 mt-6 mb-2">{t('equipo.miembros', { n: project.miembrosIds.length })}</h4>
+                            <ul className="divide-y divide-sky-50">
+                                {project.miembrosIds.map(uid => {
+                                    const rol = project.roles?.[uid];
+                                    const editable = permisos.puedeAdministrar && rol !== 'owner';
+                                    return (
+                                        <li key={uid} className="flex items-center gap-3 py-2 text-sm">
+                                            <span className="flex-1 text-gray-700">
+                                                {nombreMiembro(project, uid, t)}
+                                                {uid === userId && <span className="text-gray-400"> {t('equipo.tu')}</span>}
+                                            </span>
+                                            {editable ? (
+                                                <>
+                                                    <select className="border border-sky-200 rounded-lg px-2 py-1 text-sm" value={rol} onChange={(e) => onChangeRole(uid, e.target.value)}>
+                                                        {ROLES_INVITABLES.map(clave => <option key={clave} value={clave}>{t(`rol.${clave}`)}</option>)}
+                                                    </select>
+                                                    <button onClick={() => onRemoveMember(uid)} className="text-xs text-red-600 hover:underline">{t('equipo.quitar')}</button>
+                                                </>
+                                            ) : (
+                                                <span className="px-2 py-0.5 rounded-full bg-sky-100 text-sky-700 text-xs">{ROLES_PROYECTO[rol] ? t(`rol.${rol}`) : rol}</span>
+                                            )}
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </div>
+
+                        {permisos.puedeAdministrar && (
+                            <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100">
+                                <h4 className="font-semibold text-sky-800 border-b pb-1 mb-3">{t('equipo.invitaciones')}</h4>
+                                <div className="flex flex-wrap gap-2 mb-4">
+                                    <select className="border border-sky-200 rounded-lg px-3 py-2 text-sm" value={rolInvitacion} onChange={(e) => setRolInvitacion(e.target.value)}>
+                                        {ROLES_INVITABLES.map(clave => <option key={clave} value={clave}>{t(`rol.${clave}`)}</option>)}
+                                    </select>
+                                    <button
+                                        onClick={() => run(() => onCreateInvitation(rolInvitacion), () => {})}
+                                        disabled={disabled || isSaving}
+                                        className="px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 text-sm font-medium shadow"
+                                    >
+                                        {t('equipo.crearInvitacion')}
+                                    </button>
+                                </div>
+                                <p className="text-xs text-gray-500 mb-3">
+                                    {t('equipo.invitacionAyuda', { dias: INVITATION_TTL_DAYS })}
+                                </p>
+                                <ul className="divide-y divide-sky-50">
+                                    {invitations.map(invitation => (
+                                        <li key={invitation.id} className="flex items-center gap-3 py-2 text-sm">
+                                            <span className="font-mono text-sky-800 select-all">{invitation.id}</span>
+                                            <span className="px-2 py-0.5 rounded-full bg-sky-100 text-sky-700 text-xs">{t(`rol.${invitation.rol}`)}</span>
+                                            <span className="flex-1 text-xs text-gray-500">
+                                                {invitation.usadaPor
+                                                    ? t('equipo.usadaPor', { nombre: nombreMiembro(project, invitation.usadaPor, t) })
+                                                    : invitation.expiraEn?.toDate && (invitation.expiraEn.toDate() < new Date()
+                                                        ? t('equipo.caducada')
+                                                        : t('equipo.caduca', { fecha: formatDate(invitation.expiraEn) }))}
+                                            </span>
+                                            <button onClick={() => onRevokeInvitation(invitation.id)} className="text-xs text-red-600 hover:underline">{t('equipo.revocar')}</button>
+                                        </li>
+                                    ))}
+                                    {invitations.length === 0 && <li className="py-2 text-sm text-gray-500">{t('equipo.sinInvitaciones')}</li>}
+                                </ul>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Panel de la cuenta: estado de la sesión, registro/ingreso con correo o Google y cierre de sesión.
+// Se define fuera de App para que los campos no pierdan el foco al re-renderizar.
+const AccountPanel = ({ account, actions }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [mode, setMode] = useState('registro'); // 'registro' o 'ingreso'
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+    const [feedback, setFeedback] = useState(null); // { tipo: 'error' | 'info', texto }
+    const [googleConflict, setGoogleConflict] = useState(null); // Credencial de una cuenta de Google ya existente
+
+    if (!account) {
+        return <p className="text-sm text-gray-500 mb-6">{t('cuenta.cargando')}</p>;
+    }
+
+    const run = async (action, successText) => {
+        setIsWorking(true);
+        setFeedback(null);
+        try {
+            await action();
+            setPassword('');
+            if (successText) setFeedback({ tipo: 'info', texto: successText });
+            return true;
+        } catch (e) {
+            console.error("Error de autenticación:", e);
+            setFeedback({ tipo: 'error', texto: authErrorMessage(e, t) });
+            return false;
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (mode === 'registro') {
+            run(() => actions.registerWithEmail(email.trim(), password),
+                t(account.isAnonymous ? 'cuenta.creadaConAnalisis' : 'cuenta.creada'));
+        } else {
+            run(() => actions.signInWithEmail(email.trim(), password));
+        }
+    };
+
+    const handleGoogle = async () => {
+        setIsWorking(true);
+        setFeedback(null);
+        try {
+            await actions.continueWithGoogle();
+            setFeedback({ tipo: 'info', texto: t(account.isAnonymous ? 'cuenta.googleVinculadaConAnalisis' : 'cuenta.googleVinculada') });
+        } catch (e) {
+            if (e.code === 'auth/credential-already-in-use') {
+                setGoogleConflict(GoogleAuthProvider.credentialFromError(e));
+            } else {
+                console.error("Error de autenticación con Google:", e);
+                setFeedback({ tipo: 'error', texto: authErrorMessage(e, t) });
+            }
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleReset = () => {
+        if (!email.trim()) {
+            setFeedback({ tipo: 'error', texto: t('cuenta.faltaCorreo') });
+            return;
+        }
+        run(() => actions.resetPassword(email.trim()), t('cuenta.correoRestablecer'));
+    };
+
+    const metodos = account.providers.map(id => (PROVIDER_IDS.includes(id) ? t(`cuenta.proveedor.${id}`) : id)).join(t('comun.y'));
+    const inputClass = "w-full border border-sky-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-sky-400";
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow mb-6 text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+                {account.isAnonymous ? (
+                    <span className="flex-1 text-yellow-800">{t('cuenta.sesionAnonima')}</span>
+                ) : (
+                    <span className="flex-1 text-gray-700">
+                        {t('cuenta.sesionIniciadaComo')} <span className="font-semibold">{account.displayName || account.email}</span>
+                        {metodos && <span className="text-gray-500"> · {t('cuenta.conMetodos', { metodos })}</span>}
+                    </span>
+                )}
+                <button onClick={() => setIsOpen(open => !open)} className="text-sky-600 hover:underline">
+                    {t(isOpen ? 'comun.ocultar' : account.isAnonymous ? 'cuenta.crearOIniciar' : 'cuenta.titulo')}
+                </button>
+                {!account.isAnonymous && (
+                    <button onClick={() => run(actions.signOut)} disabled={isWorking} className="text-red-600 hover:underline">{t('cuenta.cerrarSesion')}</button>
+                )}
+            </div>
+
+            {isOpen && (
+                <div className="mt-4 border-t border-sky-50 pt-4 space-y-3 max-w-md">
+                    {account.isAnonymous && (
+                        <>
+                            <div className="flex gap-2">
+                                {[['registro', t('cuenta.crear')], ['ingreso', t('cuenta.yaTengo')]].map(([clave, texto]) => (
+                                    <button
+                                        key={clave}
+                                        type="button"
+                                        onClick={() => { setMode(clave); setFeedback(null); }}
+                                        className={`px-3 py-1 rounded-full font-medium ${mode === clave ? 'bg-sky-600 text-white' : 'text-sky-600 hover:bg-sky-100'}`}
+                                    >
+                                        {texto}
+                                    </button>
+                                ))}
+                            </div>
+                            <p className="text-xs text-gray-500">
+                                {t(mode === 'registro' ? 'cuenta.ayudaRegistro' : 'cuenta.ayudaIngreso')}
+                            </p>
+                            <form onSubmit={handleSubmit} className="space-y-2">
+                                <input className={inputClass} type="email" autoComplete="email" placeholder={t('cuenta.correo')} value={email} onChange={(e) => setEmail(e.target.value)} required />
+                                <input
+                                    className={inputClass}
+                                    type="password"
+                                    autoComplete={mode === 'registro' ? 'new-password' : 'current-password'}
+                                    placeholder={t('cuenta.contrasena')}
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    required
+                                />
+                                <div className="flex items-center gap-3">
+                                    <button type="submit" disabled={isWorking} className="px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 font-medium shadow">
+                                        {t(isWorking ? 'comun.procesando' : mode === 'registro' ? 'cuenta.crear' : 'cuenta.iniciarSesion')}
+                                    </button>
+                                    {mode === 'ingreso' && (
+                                        <button type="button" onClick={handleReset} disabled={isWorking} className="text-xs text-sky-600 hover:underline">{t('cuenta.olvidaste')}</button>
+                                    )}
+                                </div>
+                            </form>
+                        </>
+                    )}
+
+                    {!account.providers.includes('google.com') && (
+                        <button onClick={handleGoogle} disabled={isWorking} className="px-4 py-2 rounded-xl border border-sky-200 text-sky-700 hover:bg-sky-50 disabled:text-gray-300 font-medium">
+                            {t(account.isAnonymous ? 'cuenta.continuarGoogle' : 'cuenta.vincularGoogle')}
+                        </button>
+                    )}
+
+                    {googleConflict && (
+                        <div className="p-3 rounded-xl bg-yellow-50 border border-yellow-300 text-yellow-800 space-y-2">
+                            <p>{t('cuenta.googleYaRegistrada')}</p>
+                            <div className="space-x-2">
+                                <button onClick={() => setGoogleConflict(null)} className="px-3 py-1 rounded-lg text-gray-600 hover:bg-white">{t('comun.cancelar')}</button>
+                                <button
+                                    onClick={async () => {
+                                        if (await run(() => actions.signInWithExistingCredential(googleConflict))) setGoogleConflict(null);
+                                    }}
+                                    className="px-3 py-1 rounded-lg bg-yellow-600 text-white hover:bg-yellow-700"
+                                >
+                                    {t('cuenta.entrarConEsa')}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {feedback && (
+                        <p className={feedback.tipo === 'error' ? 'text-red-600' : 'text-green-700'} role={feedback.tipo === 'error' ? 'alert' : undefined}>{feedback.texto}</p>
+                    )}
+                    <p className="text-xs text-gray-400">{t('cuenta.idUsuario')} <span className="font-mono">{account.uid}</span></p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- MAPA DE ESPECÍMENES Y SITIOS ---
+
+// El mapa no depende de un servicio en línea: dibuja una cuadrícula de coordenadas y, si se configura
+// __map_config = { tileUrl: 'http://localhost:8081/{z}/{x}/{y}.png', attribution, maxZoom }, teselas servidas localmente.
+// Si no es JSON válido el mapa se queda en la cuadrícula de coordenadas en lugar de impedir que cargue la app
+const readMapConfig = () => {
+    if (typeof __map_config === 'undefined') return {};
+    try {
+        return JSON.parse(__map_config) || {};
+    } catch (e) {
+        console.error("__map_config no es JSON válido; el mapa se dibuja sin teselas:", e);
+        return {};
+    }
+};
+
+const mapConfig = readMapConfig();
+
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 480;
+const TILE_SIZE = 256;
+const MAP_MIN_ZOOM = 2;
+const MAP_MAX_ZOOM = mapConfig.maxZoom || 18;
+const MAP_MAX_POINTS = 500; // Especímenes con ubicación que se cargan en el mapa
+const DEFAULT_MAP_VIEW = { latitud: 4.6, longitud: -74.1, zoom: 5 }; // Colombia
+const GRID_STEPS = [0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 30];
+
+const MAP_POINT_COLORS = {
+    sensible: '#0284c7',
+    moderado: '#16a34a',
+    tolerante: '#ea580c',
+    sin_dato: '#6b7280',
+    sitio: '#7c3aed',
+};
+
+// Proyección Web Mercator en coordenadas de mundo [0, 1], la misma que usan las teselas
+const lonToWorldX = (longitud) => (longitud + 180) / 360;
+const latToWorldY = (latitud) => {
+    const seno = Math.sin(Math.max(-85, Math.min(85, latitud)) * Math.PI / 180);
+    return 0.5 - Math.log((1 + seno) / (1 - seno)) / (4 * Math.PI);
+};
+const worldXToLon = (x) => x * 360 - 180;
+const worldYToLat = (y) => Math.atan(Math.sinh(Math.PI - 2 * Math.PI * y)) * 180 / Math.PI;
+
+// Centro y zoom que muestran todos los puntos
+const fitMapView = (points) => {
+    if (!points.length) {
+        return { x: lonToWorldX(DEFAULT_MAP_VIEW.longitud), y: latToWorldY(DEFAULT_MAP_VIEW.latitud), zoom: DEFAULT_MAP_VIEW.zoom };
+    }
+    const xs = points.map(p => lonToWorldX(p.longitud));
+    const ys = points.map(p => latToWorldY(p.latitud));
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const ancho = Math.max(maxX - minX, 1e-9);
+    const alto = Math.max(maxY - minY, 1e-9);
+    const zoom = Math.floor(Math.log2(Math.min(MAP_WIDTH / (ancho * TILE_SIZE), MAP_HEIGHT / (alto * TILE_SIZE)) * 0.8));
+    return { x: (minX + maxX) / 2, y: (minY + maxY) / 2, zoom: Math.max(MAP_MIN_ZOOM, Math.min(points.length === 1 ? 13 : MAP_MAX_ZOOM, zoom)) };
+};
+
+// Mapa SVG con cuadrícula, teselas opcionales y desplazamiento con el puntero.
+// points: [{ id, latitud, longitud, color, forma: 'circulo' | 'cuadrado', etiqueta, detalle }]
+// Con onPick, un clic sin arrastrar devuelve { latitud, longitud } para colocar un marcador.
+const CoordinateMap = ({ points, onPick, pickHint, initialPoints }) => {
+    const { t } = useI18n();
+    const [view, setView] = useState(() => fitMapView(initialPoints || points));
+    const [selectedId, setSelectedId] = useState(null);
+    const dragRef = useRef(null);
+    const svgRef = useRef(null);
+    const hasFitted = useRef(Boolean(initialPoints?.length || points.length));
+
+    // Los puntos suelen llegar después del primer render: se encuadran una sola vez
+    useEffect(() => {
+        if (!hasFitted.current && points.length) {
+            hasFitted.current = true;
+            setView(fitMapView(points));
+        }
+    }, [points]);
+
+    const scale = TILE_SIZE * 2 ** view.zoom;
+    const originX = view.x * scale - MAP_WIDTH / 2;
+    const originY = view.y * scale - MAP_HEIGHT / 2;
+    const toScreen = (latitud, longitud) => [lonToWorldX(longitud) * scale - originX, latToWorldY(latitud) * scale - originY];
+
+    // Píxeles de pantalla -> unidades del viewBox (el SVG se escala con el contenedor)
+    const svgPoint = (event) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        return [(event.clientX - rect.left) * MAP_WIDTH / rect.width, (event.clientY - rect.top) * MAP_HEIGHT / rect.height];
+    };
+
+    const handlePointerDown = (event) => {
+        dragRef.current = { start: svgPoint(event), view, moved: false };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const [x, y] = svgPoint(event);
+        const dx = x - drag.start[0];
+        const dy = y - drag.start[1];
+        if (Math.abs(dx) + Math.abs(dy) > 4) drag.moved = true;
+        if (drag.moved) {
+            setView({ ...drag.view, x: drag.view.x - dx / scale, y: Math.max(0, Math.min(1, drag.view.y - dy / scale)) });
+        }
+    };
+
+    const handlePointerUp = (event) => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (!drag || drag.moved || !onPick) return;
+        const [x, y] = svgPoint(event);
+        const longitud = worldXToLon((originX + x) / scale);
+        onPick({
+            latitud: Math.round(worldYToLat((originY + y) / scale) * 1e6) / 1e6,
+            longitud: Math.round((((longitud + 540) % 360) - 180) * 1e6) / 1e6,
+        });
+    };
+
+    const zoomBy = (delta) => setView(current => ({ ...current, zoom: Math.max(MAP_MIN_ZOOM, Math.min(MAP_MAX_ZOOM, current.zoom + delta)) }));
+
+    // Teselas visibles (se repiten horizontalmente al dar la vuelta al mundo)
+    const tiles = [];
+    if (mapConfig.tileUrl) {
+        const n = 2 ** view.zoom;
+        for (let tx = Math.floor(originX / TILE_SIZE); tx * TILE_SIZE < originX + MAP_WIDTH; tx++) {
+            for (let ty = Math.max(0, Math.floor(originY / TILE_SIZE)); ty < n && ty * TILE_SIZE < originY + MAP_HEIGHT; ty++) {
+                const url = mapConfig.tileUrl.replace('{z}', view.zoom).replace('{x}', ((tx % n) + n) % n).replace('{y}', ty);
+                tiles.push(<image key={`${tx}/${ty}`} href={url} x={tx * TILE_SIZE - originX} y={ty * TILE_SIZE - originY} width={TILE_SIZE} height={TILE_SIZE} />);
+            }
+        }
+    }
+
+    // Cuadrícula de coordenadas con un paso acorde al zoom
+    const minLon = worldXToLon(originX / scale);
+    const maxLon = worldXToLon((originX + MAP_WIDTH) / scale);
+    const maxLat = worldYToLat(Math.max(0, originY / scale));
+    const minLat = worldYToLat(Math.min(1, (originY + MAP_HEIGHT) / scale));
+    const step = GRID_STEPS.find(s => s >= (maxLon - minLon) / 6) || 30;
+    const decimales = Math.max(0, -Math.floor(Math.log10(step)));
+    const meridianos = [];
+    for (let lon = Math.ceil(minLon / step) * step; lon <= maxLon; lon += step) meridianos.push(lon);
+    const paralelos = [];
+    for (let lat = Math.ceil(minLat / step) * step; lat <= maxLat; lat += step) paralelos.push(lat);
+
+    const selected = points.find(p => p.id === selectedId);
+
+    return (
+        <div>
+            <div className="relative">
+                <svg
+                    ref={svgRef}
+                    viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+                    className={`w-full h-auto bg-sky-50 rounded-xl border border-sky-100 touch-none select-none ${onPick ? 'cursor-crosshair' : 'cursor-grab'}`}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerLeave={() => { dragRef.current = null; }}
+                >
+                    {tiles}
+                    {meridianos.map(lon => {
+                        const [x] = toScreen(0, lon);
+                        return (
+                            <g key={`lon${lon}`}>
+                                <line x1={x} y1={0} x2={x} y2={MAP_HEIGHT} stroke="#bae6fd" strokeWidth="1" />
+                                <text x={x + 3} y={MAP_HEIGHT - 6} fontSize="11" fill="#0369a1">{lon.toFixed(decimales)}°</text>
+                            </g>
+                        );
+                    })}
+                    {paralelos.map(lat => {
+                        const [, y] = toScreen(lat, 0);
+                        return (
+                            <g key={`lat${lat}`}>
+                                <line x1={0} y1={y} x2={MAP_WIDTH} y2={y} stroke="#bae6fd" strokeWidth="1" />
+                                <text x={4} y={y - 3} fontSize="11" fill="#0369a1">{lat.toFixed(decimales)}°</text>
+                            </g>
+                        );
+                    })}
+                    {points.map(point => {
+                        const [x, y] = toScreen(point.latitud, point.longitud);
+                        const common = {
+                            fill: point.color,
+                            stroke: point.id === selectedId ? '#111827' : '#ffffff',
+                            strokeWidth: 2,
+                            className: 'cursor-pointer',
+                            onPointerDown: (e) => e.stopPropagation(),
+                            onPointerUp: (e) => e.stopPropagation(),
+                            onClick: () => setSelectedId(point.id === selectedId ? null : point.id),
+                        };
+                        return point.forma === 'cuadrado'
+                            ? <rect key={point.id} x={x - 7} y={y - 7} width={14} height={14} {...common}><title>{point.etiqueta}</title></rect>
+                            : <circle key={point.id} cx={x} cy={y} r={6} {...common}><title>{point.etiqueta}</title></circle>;
+                    })}
+                    {mapConfig.attribution && (
+                        <text x={MAP_WIDTH - 6} y={14} fontSize="10" fill="#475569" textAnchor="end">{mapConfig.attribution}</text>
+                    )}
+                </svg>
+                <div className="absolute top-2 right-2 flex flex-col gap-1">
+                    <button type="button" onClick={() => zoomBy(1)} className="h-8 w-8 rounded-lg bg-white shadow text-sky-700 font-bold hover:bg-sky-50" aria-label={t('mapa.acercar')}>+</button>
+                    <button type="button" onClick={() => zoomBy(-1)} className="h-8 w-8 rounded-lg bg-white shadow text-sky-700 font-bold hover:bg-sky-50" aria-label={t('mapa.alejar')}>−</button>
+                    <button type="button" onClick={() => setView(fitMapView(points))} className="h-8 w-8 rounded-lg bg-white shadow text-sky-700 text-xs hover:bg-sky-50" title={t('mapa.ajustar')}>⤢</button>
+                </div>
+            </div>
+            {pickHint && <p className="text-xs text-gray-500 mt-2">{pickHint}</p>}
+            {selected && (
+                <div className="mt-2 p-3 rounded-xl bg-white border border-sky-100 text-sm">
+                    <p className="font-semibold text-sky-800">{selected.etiqueta}</p>
+                    {selected.detalle && <p className="text-gray-600">{selected.detalle}</p>}
+                    <p className="text-xs text-gray-400">{formatCoordinates(selected)}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- CÁMARA Y EDICIÓN DE IMAGEN ---
+
+const EDITED_MAX_DIMENSION = 4000; // La imagen editada se guarda en Storage junto al original (edited.jpg)
+const EDITOR_PREVIEW_MAX_DIMENSION = 1200;
+const MIN_CROP_SIZE = 16; // px de la imagen; un recorte menor se descarta
+
+// Errores de getUserMedia con mensaje propio (camara.error.<nombre> en MENSAJES)
+const CAMERA_ERRORS = ['NotAllowedError', 'NotFoundError', 'NotReadableError', 'OverconstrainedError'];
+
+const canvasToJpegFile = (canvas, name) => new Promise((resolve, reject) => {
+    canvas.toBlob(
+        (blob) => blob ? resolve(new File([blob], name, { type: PREPARED_MIME_TYPE })) : reject(new Error("No se pudo procesar la imagen.")),
+        PREPARED_MIME_TYPE,
+        0.92
+    );
+});
+
+// Dibuja el bitmap girado (múltiplos de 90°) con su esquina superior izquierda en (-offsetX, -offsetY)
+const drawRotated = (ctx, bitmap, rotacion, escala, offsetX = 0, offsetY = 0) => {
+    const girado = rotacion % 180 !== 0;
+    const ancho = (girado ? bitmap.height : bitmap.width) * escala;
+    const alto = (girado ? bitmap.width : bitmap.height) * escala;
+    ctx.save();
+    ctx.translate(ancho / 2 - offsetX, alto / 2 - offsetY);
+    ctx.rotate(rotacion * Math.PI / 180);
+    ctx.drawImage(bitmap, -bitmap.width * escala / 2, -bitmap.height * escala / 2, bitmap.width * escala, bitmap.height * escala);
+    ctx.restore();
+};
+
+// Safari no implementa ctx.filter: el brillo se aplica píxel a píxel
+const applyBrightness = (ctx, ancho, alto, brillo) => {
+    const imageData = ctx.getImageData(0, 0, ancho, alto);
+    const factor = brillo / 100;
+    for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data[i] *= factor;
+        imageData.data[i + 1] *= factor;
+        imageData.data[i + 2] *= factor;
+    }
+    ctx.putImageData(imageData, 0, 0);
+};
+
+// Genera la imagen final: girada, recortada (en píxeles de la imagen girada) y con el brillo ajustado.
+// Devuelve { file, escala }: escala pasa de píxeles de la imagen girada a píxeles del archivo final
+const renderEditedImage = async (bitmap, { rotacion, brillo, recorte }, name) => {
+    const girado = rotacion % 180 !== 0;
+    const area = recorte || { x: 0, y: 0, ancho: girado ? bitmap.height : bitmap.width, alto: girado ? bitmap.width : bitmap.height };
+    const escala = Math.min(1, EDITED_MAX_DIMENSION / Math.max(area.ancho, area.alto));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(area.ancho * escala);
+    canvas.height = Math.round(area.alto * escala);
+    const ctx = canvas.getContext('2d');
+    const filtroNativo = 'filter' in ctx;
+    if (filtroNativo) ctx.filter = `brightness(${brillo}%)`;
+    drawRotated(ctx, bitmap, rotacion, escala, area.x * escala, area.y * escala);
+    if (!filtroNativo && brillo !== 100) applyBrightness(ctx, canvas.width, canvas.height, brillo);
+
+    return { file: await canvasToJpegFile(canvas, name), escala };
+};
+
+const lineLength = (linea) => (linea ? Math.hypot(linea[1].x - linea[0].x, linea[1].y - linea[0].y) : 0);
+
+// Longitud del espécimen a partir de una línea trazada sobre una regla de longitud conocida
+const estimateLengthMm = (regla, especimen, referenciaMm) => {
+    if (!(referenciaMm > 0) || lineLength(regla) < 5 || lineLength(especimen) < 1) return null;
+    return Math.round(lineLength(especimen) / lineLength(regla) * referenciaMm * 10) / 10;
+};
+
+// Vista de la cámara trasera (getUserMedia) con botón de captura.
+// Se define fuera de App para conservar el flujo de vídeo entre renderizados.
+const CameraCapture = ({ onCapture, onCancel }) => {
+    const { t } = useI18n();
+    const videoRef = useRef(null);
+    const [cameraError, setCameraError] = useState(null);
+    const [isReady, setIsReady] = useState(false);
+
+    useEffect(() => {
+        if (!navigator.mediaDevices?.getUserMedia) {
+            setCameraError(t('camara.noDisponible'));
+            return;
+        }
+
+        let stream = null;
+        let cancelled = false;
+        navigator.mediaDevices.getUserMedia({
+            video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+            audio: false,
+        }).then((mediaStream) => {
+            if (cancelled) {
+                mediaStream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            stream = mediaStream;
+            videoRef.current.srcObject = mediaStream;
+        }).catch((e) => {
+            console.error("Error al abrir la cámara:", e);
+            setCameraError(t(CAMERA_ERRORS.includes(e.name) ? `camara.error.${e.name}` : 'camara.error.desconocido'));
+        });
+
+        // Apagar la cámara al cerrar la vista
+        return () => {
+            cancelled = true;
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    const capture = async () => {
+        const video = videoRef.current;
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        try {
+            onCapture(await canvasToJpegFile(canvas, `camara-${Date.now()}.jpg`));
+        } catch (e) {
+            console.error("Error al capturar la foto:", e);
+            setCameraError(t('camara.errorCaptura'));
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            {cameraError ? (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{cameraError}</div>
+            ) : (
+                <video ref={videoRef} autoPlay playsInline muted onLoadedMetadata={() => setIsReady(true)} className="w-full rounded-lg bg-black" />
+            )}
+            <div className="flex gap-2">
+                <button type="button" onClick={onCancel} className="flex-1 px-4 py-2 rounded-xl text-gray-600 hover:bg-gray-100">{t('comun.cancelar')}</button>
+                <button
+                    type="button"
+                    onClick={capture}
+                    disabled={!isReady || Boolean(cameraError)}
+                    className="flex-1 px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 font-medium shadow"
+                >
+                    {t('camara.capturar')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Editor previo al análisis: girar, recortar, ajustar brillo y medir con una regla de referencia.
+// Las coordenadas se guardan en píxeles de la imagen girada; girar reinicia el recorte y las líneas.
+const ImageEditor = ({ file, onApply, onCancel }) => {
+    const { t } = useI18n();
+    const [bitmap, setBitmap] = useState(null);
+    const [rotacion, setRotacion] = useState(0);
+    const [brillo, setBrillo] = useState(100);
+    const [recorte, setRecorte] = useState(null); // { x, y, ancho, alto }
+    const [herramienta, setHerramienta] = useState('recorte'); // 'recorte' | 'regla' | 'especimen'
+    const [regla, setRegla] = useState(null); // [{ x, y }, { x, y }]
+    const [especimen, setEspecimen] = useState(null);
+    const [referenciaMm, setReferenciaMm] = useState('10');
+    const [isApplying, setIsApplying] = useState(false);
+    const [editorError, setEditorError] = useState(null);
+    const canvasRef = useRef(null);
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let loaded = null;
+        createImageBitmap(file).then((result) => {
+            if (cancelled) result.close();
+            else setBitmap(loaded = result);
+        }).catch((e) => {
+            console.error("Error al abrir la imagen en el editor:", e);
+            setEditorError(t('editor.errorAbrir'));
+        });
+        return () => {
+            cancelled = true;
+            loaded?.close();
+        };
+    }, [file]);
+
+    const girado = rotacion % 180 !== 0;
+    const ancho = bitmap ? (girado ? bitmap.height : bitmap.width) : 0;
+    const alto = bitmap ? (girado ? bitmap.width : bitmap.height) : 0;
+
+    // La vista previa se dibuja reducida; el brillo se previsualiza con CSS
+    useEffect(() => {
+        if (!bitmap || !canvasRef.current) return;
+        const escala = Math.min(1, EDITOR_PREVIEW_MAX_DIMENSION / Math.max(ancho, alto));
+        const canvas = canvasRef.current;
+        canvas.width = Math.round(ancho * escala);
+        canvas.height = Math.round(alto * escala);
+        drawRotated(canvas.getContext('2d'), bitmap, rotacion, escala);
+    }, [bitmap, rotacion, ancho, alto]);
+
+    const toImagePoint = (event) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(ancho, (event.clientX - rect.left) * ancho / rect.width)),
+            y: Math.max(0, Math.min(alto, (event.clientY - rect.top) * alto / rect.height)),
+        };
+    };
+
+    const updateDrag = (inicio, punto) => {
+        if (herramienta === 'recorte') {
+            setRecorte({ x: Math.min(inicio.x, punto.x), y: Math.min(inicio.y, punto.y), ancho: Math.abs(punto.x - inicio.x), alto: Math.abs(punto.y - inicio.y) });
+        } else {
+            (herramienta === 'regla' ? setRegla : setEspecimen)([inicio, punto]);
+        }
+    };
+
+    const handlePointerDown = (event) => {
+        event.currentTarget.setPointerCapture(event.pointerId);
+        dragRef.current = toImagePoint(event);
+        updateDrag(dragRef.current, dragRef.current);
+    };
+
+    const handlePointerMove = (event) => {
+        if (dragRef.current) updateDrag(dragRef.current, toImagePoint(event));
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+        if (recorte && (recorte.ancho < MIN_CROP_SIZE || recorte.alto < MIN_CROP_SIZE)) setRecorte(null);
+    };
+
+    const rotate = (grados) => {
+        setRotacion(current => (current + grados + 360) % 360);
+        setRecorte(null);
+        setRegla(null);
+        setEspecimen(null);
+    };
+
+    const referencia = parseFloat(referenciaMm);
+    const longitudMm = estimateLengthMm(regla, especimen, referencia);
+
+    const apply = async () => {
+        setIsApplying(true);
+        try {
+            const nombre = `${(file.name || 'imagen').replace(/\.[^.]+$/, '')}-editada.jpg`;
+            const { file: edited, escala } = await renderEditedImage(bitmap, { rotacion, brillo, recorte }, nombre);
+            // La regla se trazó sobre la imagen girada sin reducir: pxPorMm se da en píxeles de la imagen guardada
+            const medicion = longitudMm
+                ? { longitudEstimadaMm: longitudMm, referenciaMm: referencia, pxPorMm: Math.round(lineLength(regla) * escala / referencia * 100) / 100 }
+                : null;
+            onApply(edited, medicion);
+        } catch (e) {
+            console.error("Error al aplicar la edición:", e);
+            setEditorError(t('editor.errorAplicar'));
+            setIsApplying(false);
+        }
+    };
+
+    const toolClass = (clave) => `px-3 py-1 rounded-full text-xs font-medium ${herramienta === clave ? 'bg-sky-600 text-white' : 'text-sky-700 bg-sky-50 hover:bg-sky-100'}`;
+    const trazo = Math.max(ancho, alto) / 300; // Grosor visible a cualquier resolución
+
+    if (editorError) {
+        return (
+            <div className="space-y-3">
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{editorError}</div>
+                <button type="button" onClick={onCancel} className="w-full px-4 py-2 rounded-xl text-gray-600 hover:bg-gray-100">{t('comun.cerrar')}</button>
+            </div>
+        );
+    }
+
+    if (!bitmap) return <p className="text-sm text-sky-600">{t('editor.abriendo')}</p>;
+
+    return (
+        <div className="space-y-3 text-sm">
+            <div className="flex flex-wrap gap-2">
+                <button type="button" onClick={() => setHerramienta('recorte')} className={toolClass('recorte')}>{t('editor.recortar')}</button>
+                <button type="button" onClick={() => setHerramienta('regla')} className={toolClass('regla')}>{t('editor.lineaRegla')}</button>
+                <button type="button" onClick={() => setHerramienta('especimen')} className={toolClass('especimen')}>{t('editor.lineaEspecimen')}</button>
+            </div>
+
+            <div className="relative">
+                <canvas ref={canvasRef} className="w-full h-auto rounded-lg" style={{ filter: `brightness(${brillo}%)` }} />
+                <svg
+                    ref={svgRef}
+                    viewBox={`0 0 ${ancho} ${alto}`}
+                    preserveAspectRatio="none"
+                    className="absolute inset-0 w-full h-full touch-none cursor-crosshair"
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                >
+                    {recorte && (
+                        <>
+                            {/* Oscurece lo que queda fuera del recorte */}
+                            <path
+                                d={`M0 0H${ancho}V${alto}H0Z M${recorte.x} ${recorte.y}v${recorte.alto}h${recorte.ancho}v${-recorte.alto}Z`}
+                                fill="rgba(0,0,0,0.45)"
+                                fillRule="evenodd"
+                            />
+                            <rect x={recorte.x} y={recorte.y} width={recorte.ancho} height={recorte.alto} fill="none" stroke="#ffffff" strokeWidth={trazo} strokeDasharray={`${trazo * 4} ${trazo * 2}`} />
+                        </>
+                    )}
+                    {[[regla, '#facc15'], [especimen, '#22d3ee']].map(([linea, color]) => linea && (
+                        <line key={color} x1={linea[0].x} y1={linea[0].y} x2={linea[1].x} y2={linea[1].y} stroke={color} strokeWidth={trazo * 1.5} strokeLinecap="round" />
+                    ))}
+                </svg>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3">
+                <button type="button" onClick={() => rotate(-90)} className="px-3 py-1 rounded-lg bg-sky-50 text-sky-700 hover:bg-sky-100" aria-label={t('editor.girarIzquierda')}>⟲ 90°</button>
+                <button type="button" onClick={() => rotate(90)} className="px-3 py-1 rounded-lg bg-sky-50 text-sky-700 hover:bg-sky-100" aria-label={t('editor.girarDerecha')}>⟳ 90°</button>
+                {recorte && <button type="button" onClick={() => setRecorte(null)} className="text-xs text-sky-600 hover:underline">{t('editor.quitarRecorte')}</button>}
+            </div>
+
+            <label className="block">
+                <span className="text-sky-800 font-medium">{t('editor.brillo', { n: brillo })}</span>
+                <input type="range" min="50" max="200" step="5" value={brillo} onChange={(e) => setBrillo(Number(e.target.value))} className="w-full accent-sky-600" />
+            </label>
+
+            {/* Calibración opcional: una línea sobre la regla y otra a lo largo del cuerpo */}
+            <div className="p-3 rounded-xl bg-sky-50 space-y-2">
+                <p className="text-sky-800 font-medium">{t('editor.medir')}</p>
+                <p className="text-xs text-gray-600">{t('editor.medirAyuda')}</p>
+                <label className="flex items-center gap-2">
+                    <span className="text-gray-700">{t('editor.reglaMide')}</span>
+                    <input type="number" min="0.1" step="any" value={referenciaMm} onChange={(e) => setReferenciaMm(e.target.value)} className="w-20 border border-sky-200 rounded-lg px-2 py-1" />
+                    <span className="text-gray-700">mm</span>
+                </label>
+                <p className={longitudMm ? 'text-sky-800 font-semibold' : 'text-xs text-gray-500'}>
+                    {longitudMm ? t('editor.longitudEstimada', { mm: longitudMm }) : t('editor.trazaAmbas')}
+                </p>
+            </div>
+
+            <div className="flex gap-2">
+                <button type="button" onClick={onCancel} className="flex-1 px-4 py-2 rounded-xl text-gray-600 hover:bg-gray-100">{t('comun.cancelar')}</button>
+                <button type="button" onClick={apply} disabled={isApplying} className="flex-1 px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 font-medium shadow">
+                    {t(isApplying ? 'editor.aplicando' : 'editor.aplicar')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- ESTADÍSTICAS Y GRÁFICOS ---
+
+const STATS_MAX_ANALYSES = 2000; // Análisis más recientes que se cargan en el panel
+const STATS_MAX_BARS = 15; // El resto se agrupa en "Otros"
+const ORDENES_EPT = ['ephemeroptera', 'plecoptera', 'trichoptera'];
+
+// Los gráficos se dibujan con atributos SVG (no clases) para que la imagen exportada se vea igual
+const CHART_WIDTH = 640;
+const CHART_FONT = 'ui-sans-serif, system-ui, sans-serif';
+const CHART_COLORS = { barra: '#0284c7', ept: '#16a34a', riqueza: '#7c3aed', texto: '#374151', eje: '#d1d5db' };
+
+// Abundancia del análisis: el número de individuos anotado o 1 espécimen
+const individuos = (item) => (item.anotaciones?.numeroIndividuos > 0 ? item.anotaciones.numeroIndividuos : 1);
+
+const esEPT = (item) => ORDENES_EPT.includes(normalizarNombre(item.clasificacion?.orden));
+
+// Taxón EPT para la riqueza: la familia o, si no se identificó, el orden
+const taxonEPT = (item) => normalizarNombre(item.clasificacion?.familia || item.clasificacion?.orden);
+
+// Riqueza (taxones EPT distintos) y porcentaje de individuos EPT de un conjunto de análisis
+const resumenEPT = (items) => {
+    const total = items.reduce((suma, item) => suma + individuos(item), 0);
+    const ept = items.filter(esEPT);
+    const individuosEPT = ept.reduce((suma, item) => suma + individuos(item), 0);
+    return {
+        individuos: total,
+        riqueza: new Set(ept.map(taxonEPT)).size,
+        porcentaje: total ? individuosEPT / total * 100 : 0,
+    };
+};
+
+// Individuos por valor de un campo; devuelve [{ etiqueta, valor }] de mayor a menor
+const contarIndividuos = (items, obtenerClave, sinDato) => {
+    const conteo = new Map();
+    items.forEach(item => {
+        const clave = obtenerClave(item) || sinDato;
+        conteo.set(clave, (conteo.get(clave) || 0) + individuos(item));
+    });
+    return [...conteo].map(([etiqueta, valor]) => ({ etiqueta, valor })).sort((a, b) => b.valor - a.valor);
+};
+
+// Agrupa la cola larga para que el gráfico siga siendo legible
+const limitarBarras = (datos, t) => (datos.length <= STATS_MAX_BARS ? datos : [
+    ...datos.slice(0, STATS_MAX_BARS - 1),
+    { etiqueta: t('estadisticas.otros', { n: datos.length - STATS_MAX_BARS + 1 }), valor: datos.slice(STATS_MAX_BARS - 1).reduce((suma, d) => suma + d.valor, 0) },
+]);
+
+const agruparResumenEPT = (items, obtenerGrupo) => {
+    const grupos = new Map();
+    items.forEach(item => {
+        const grupo = obtenerGrupo(item);
+        if (!grupo) return;
+        grupos.set(grupo, [...(grupos.get(grupo) || []), item]);
+    });
+    return [...grupos].map(([grupo, analisis]) => ({ grupo, ...resumenEPT(analisis) }));
+};
+
+// Todo lo que muestra el panel. Los análisis repetidos a propósito (duplicadoDe) no cuentan.
+// t rotula las barras que no son nombres de taxones ("Sin dato", "Otros", categorías)
+const calcularEstadisticas = (analisis, eventsById, { soloConfirmados }, t) => {
+    const items = analisis.filter(item => !item.duplicadoDe && (!soloConfirmados || esConfirmado(item)));
+    const porNivel = (campo) => limitarBarras(contarIndividuos(items, item => item.clasificacion?.[campo], t('categoria.sin_dato')), t);
+    return {
+        analisis: items.length,
+        ...resumenEPT(items),
+        porClase: porNivel('clase'),
+        porOrden: porNivel('orden'),
+        porFamilia: porNivel('familia'),
+        porCategoria: Object.keys(CATEGORIAS_BIOINDICADOR).map(clave => ({
+            etiqueta: t(`categoria.${clave}`),
+            valor: items.filter(item => categoriaBioindicador(item) === clave).reduce((suma, item) => suma + individuos(item), 0),
+            color: MAP_POINT_COLORS[clave],
+        })),
+        // Mes de colecta (YYYY-MM), en orden cronológico
+        porMes: agruparResumenEPT(items, item => collectionDate(item, eventsById[item.eventId]).slice(0, 7))
+            .sort((a, b) => a.grupo.localeCompare(b.grupo)),
+        porSitio: agruparResumenEPT(items, item => eventsById[item.eventId]?.sitio)
+            .sort((a, b) => a.grupo.localeCompare(b.grupo)),
+    };
+};
+
+// Barras horizontales: datos [{ etiqueta, valor, color? }]. Sin formato, los valores siguen el idioma activo
+const BarChart = ({ datos, color = CHART_COLORS.barra, formato, maximo }) => {
+    const { formatNumber } = useI18n();
+    const formatear = formato || formatNumber;
+    const etiquetaAncho = 170;
+    const filaAlto = 24;
+    const alto = datos.length * filaAlto + 8;
+    const tope = maximo ?? Math.max(1, ...datos.map(d => d.valor));
+    const anchoBarras = CHART_WIDTH - etiquetaAncho - 60;
+
+    return (
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${CHART_WIDTH} ${alto}`} width="100%" fontFamily={CHART_FONT} fontSize="12">
+            <rect width={CHART_WIDTH} height={alto} fill="#ffffff" />
+            {datos.map((d, i) => {
+                const y = i * filaAlto + 4;
+                const ancho = Math.max(d.valor > 0 ? 2 : 0, d.valor / tope * anchoBarras);
+                return (
+                    <g key={d.etiqueta}>
+                        <text x={etiquetaAncho - 8} y={y + 15} textAnchor="end" fill={CHART_COLORS.texto}>
+                            {d.etiqueta.length > 24 ? `${d.etiqueta.slice(0, 23)}…` : d.etiqueta}
+                        </text>
+                        <rect x={etiquetaAncho} y={y + 3} width={ancho} height={filaAlto - 8} rx="3" fill={d.color || color} />
+                        <text x={etiquetaAncho + ancho + 6} y={y + 15} fill={CHART_COLORS.texto}>{formatear(d.valor)}</text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+// Serie temporal: puntos [{ etiqueta, valor }] unidos por una línea
+const LineChart = ({ puntos, color, formato, maximo }) => {
+    const { formatNumber } = useI18n();
+    const formatear = formato || formatNumber;
+    const alto = 220;
+    const margen = { izquierda: 48, derecha: 16, arriba: 16, abajo: 40 };
+    const tope = maximo ?? Math.max(1, ...puntos.map(p => p.valor));
+    const ancho = CHART_WIDTH - margen.izquierda - margen.derecha;
+    const altoUtil = alto - margen.arriba - margen.abajo;
+    const x = (i) => margen.izquierda + (puntos.length > 1 ? i / (puntos.length - 1) * ancho : ancho / 2);
+    const y = (valor) => margen.arriba + altoUtil - valor / tope * altoUtil;
+    const marcas = [0, 0.25, 0.5, 0.75, 1].map(f => f * tope);
+    // Con muchos periodos solo se rotulan algunos
+    const pasoEtiquetas = Math.ceil(puntos.length / 8);
+
+    return (
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${CHART_WIDTH} ${alto}`} width="100%" fontFamily={CHART_FONT} fontSize="11">
+            <rect width={CHART_WIDTH} height={alto} fill="#ffffff" />
+            {marcas.map(valor => (
+                <g key={valor}>
+                    <line x1={margen.izquierda} x2={CHART_WIDTH - margen.derecha} y1={y(valor)} y2={y(valor)} stroke={CHART_COLORS.eje} strokeWidth="1" />
+                    <text x={margen.izquierda - 6} y={y(valor) + 4} textAnchor="end" fill={CHART_COLORS.texto}>{formatear(valor)}</text>
+                </g>
+            ))}
+            <polyline points={puntos.map((p, i) => `${x(i)},${y(p.valor)}`).join(' ')} fill="none" stroke={color} strokeWidth="2" />
+            {puntos.map((p, i) => (
+                <g key={p.etiqueta}>
+                    <circle cx={x(i)} cy={y(p.valor)} r="3.5" fill={color} />
+                    {i % pasoEtiquetas === 0 && (
+                        <text x={x(i)} y={alto - margen.abajo + 18} textAnchor="middle" fill={CHART_COLORS.texto}>{p.etiqueta}</text>
+                    )}
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+const serializeSvg = (svg) => new XMLSerializer().serializeToString(svg);
+
+// PNG al doble de resolución para que se lea bien en los informes
+const svgToPngBlob = (svg, escala = 2) => new Promise((resolve, reject) => {
+    const { width, height } = svg.viewBox.baseVal;
+    const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * escala;
+        canvas.height = height * escala;
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("No se pudo generar la imagen.")), 'image/png');
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("No se pudo generar la imagen."));
+    };
+    image.src = url;
+});
+
+// Tarjeta con título y botones para descargar el gráfico como SVG o PNG
+const ChartCard = ({ titulo, archivo, descripcion, children }) => {
+    const { t } = useI18n();
+    const contenedorRef = useRef(null);
+    const [exportError, setExportError] = useState(null);
+
+    const exportar = async (formato) => {
+        const svg = contenedorRef.current?.querySelector('svg');
+        if (!svg) return;
+        setExportError(null);
+        try {
+            if (formato === 'svg') {
+                downloadFile(`${archivo}.svg`, serializeSvg(svg), 'image/svg+xml');
+            } else {
+                downloadFile(`${archivo}.png`, await svgToPngBlob(svg), 'image/png');
+            }
+        } catch (e) {
+            console.error("Error al exportar el gráfico:", e);
+            setExportError(t('estadisticas.errorExportar'));
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100">
+            <div className="flex justify-between items-start gap-2 mb-3">
+                <div>
+                    <h3 className="text-lg font-bold text-sky-800">{titulo}</h3>
+                    {descripcion && <p className="text-xs text-gray-500">{descripcion}</p>}
+                </div>
+                <div className="flex gap-2 text-xs shrink-0">
+                    <button onClick={() => exportar('png')} className="px-2 py-1 rounded-lg bg-sky-50 text-sky-700 hover:bg-sky-100">PNG</button>
+                    <button onClick={() => exportar('svg')} className="px-2 py-1 rounded-lg bg-sky-50 text-sky-700 hover:bg-sky-100">SVG</button>
+                </div>
+            </div>
+            <div ref={contenedorRef}>{children}</div>
+            {exportError && <p className="text-xs text-red-600 mt-2">{exportError}</p>}
+        </div>
+    );
+};
+
+// Formulario para crear un evento de muestreo (sitio + fecha)
+// Se define fuera de App para que los campos no pierdan el foco al re-renderizar.
+const SamplingEventForm = ({ onCreate, disabled }) => {
+    const { t } = useI18n();
+    const [sitio, setSitio] = useState('');
+    const [rio, setRio] = useState('');
+    const [fecha, setFecha] = useState(() => formatIsoDate(new Date()));
+    const [notasHabitat, setNotasHabitat] = useState('');
+    const [latitud, setLatitud] = useState('');
+    const [longitud, setLongitud] = useState('');
+    const [variante, setVariante] = useState('colombia');
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Las coordenadas del sitio son opcionales, pero van juntas
+    const lat = latitud === '' ? null : Number(latitud);
+    const lon = longitud === '' ? null : Number(longitud);
+    const coordenadasValidas = (lat === null && lon === null)
+        || (lat !== null && lon !== null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!sitio.trim() || !fecha || !coordenadasValidas) return;
+
+        setIsSaving(true);
+        const created = await onCreate({ sitio: sitio.trim(), rio: rio.trim(), fecha, notasHabitat: notasHabitat.trim(), variante, latitud: lat, longitud: lon });
+        setIsSaving(false);
+        if (created) {
+            setSitio('');
+            setRio('');
+            setNotasHabitat('');
+            setLatitud('');
+            setLongitud('');
+        }
+    };
+
+    const inputClass = "w-full border border-sky-200 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-sky-400";
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 space-y-3">
+            <h3 className="text-xl font-bold text-sky-800 mb-2">{t('muestreo.nuevo')}</h3>
+            <input className={inputClass} placeholder={t('muestreo.nombreSitio')} value={sitio} onChange={(e) => setSitio(e.target.value)} required />
+            <input className={inputClass} placeholder={t('muestreo.rio')} value={rio} onChange={(e) => setRio(e.target.value)} />
+            <input className={inputClass} type="date" value={fecha} onChange={(e) => setFecha(e.target.value)} required />
+            <textarea className={inputClass} rows={3} placeholder={t('muestreo.notasHabitat')} value={notasHabitat} onChange={(e) => setNotasHabitat(e.target.value)} />
+            <div className="grid grid-cols-2 gap-2">
+                <input className={inputClass} type="number" step="any" min="-90" max="90" placeholder={t('comun.latitud')} value={latitud} onChange={(e) => setLatitud(e.target.value)} />
+                <input className={inputClass} type="number" step="any" min="-180" max="180" placeholder={t('comun.longitud')} value={longitud} onChange={(e) => setLongitud(e.target.value)} />
+            </div>
+            {!coordenadasValidas && <p className="text-xs text-red-600">{t('muestreo.coordenadasInvalidas')}</p>}
+            <select className={inputClass} value={variante} onChange={(e) => setVariante(e.target.value)}>
+                {Object.keys(BMWP_VARIANTES).map(clave => (
+                    <option key={clave} value={clave}>{t(`bmwp.variante.${clave}`)}</option>
+                ))}
+            </select>
+            <button
+                type="submit"
+                className="w-full px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 font-medium shadow transition duration-300"
+                disabled={disabled || isSaving || !sitio.trim() || !coordenadasValidas}
+            >
+                {t(isSaving ? 'comun.guardando' : 'muestreo.crear')}
+            </button>
+        </form>
+    );
+};
+
+// Panel para aceptar la sugerencia del modelo, elegir una alternativa o corregir a nivel de orden/familia
+const IdentificationReview = ({ suggestion, onConfirm, onCancel, confirmLabel, cancelLabel }) => {
+    const { t } = useI18n();
+    const opciones = useMemo(() => [
+        { ...suggestion, origen: 'modelo' },
+        ...(suggestion.alternativas || []).map(alt => ({ ...alt, origen: 'alternativa' })),
+    ], [suggestion]);
+    const [seleccion, setSeleccion] = useState(0); // índice en opciones o 'correccion'
+    const [correccion, setCorreccion] = useState(() => ({ ...suggestion.clasificacion }));
+    const [isSaving, setIsSaving] = useState(false);
+
+    const correccionValida = Boolean(correccion.familia?.trim() || correccion.orden?.trim());
+
+    const handleConfirm = async () => {
+        let resultado;
+        if (seleccion === 'correccion') {
+            // La corrección manual también se lleva a la grafía canónica del catálogo
+            const { clasificacion } = validarTaxonomia({
+                clase: correccion.clase?.trim() || '',
+                orden: correccion.orden?.trim() || '',
+                familia: correccion.familia?.trim() || '',
+            });
+            resultado = { nombreCientifico: clasificacion.familia || clasificacion.orden, clasificacion, origen: 'correccion' };
+        } else {
+            const opcion = opciones[seleccion];
+            resultado = { nombreCientifico: opcion.nombreCientifico, clasificacion: opcion.clasificacion, origen: opcion.origen };
+        }
+        setIsSaving(true);
+        await onConfirm(resultado);
+        setIsSaving(false);
+    };
+
+    const inputClass = "w-full border border-sky-200 rounded-lg px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-sky-400";
+
+    return (
+        <div className="mt-4 p-4 rounded-xl border border-sky-200 bg-white space-y-3">
+            <h4 className="font-semibold text-sky-800">{t('revision.titulo')}</h4>
+            {opciones.map((opcion, index) => (
+                <label key={index} className={`flex gap-3 p-2 rounded-lg cursor-pointer ${seleccion === index ? 'bg-sky-50 ring-1 ring-sky-300' : 'hover:bg-gray-50'}`}>
+                    <input type="radio" name="identificacion" checked={seleccion === index} onChange={() => setSeleccion(index)} className="mt-1" />
+                    <div className="flex-1 text-sm">
+                        <div className="flex flex-wrap items-center gap-2">
+                            <span className="font-medium text-gray-800">{opcion.nombreCientifico}</span>
+                            <span className={`px-2 py-0.5 rounded-full text-xs ${confidenceColor(opcion.confianza)}`}>{formatConfidence(opcion.confianza, t('comun.nd'))}</span>
+                            {opcion.origen === 'modelo' && <span className="text-xs text-sky-600">{t('revision.sugerenciaPrincipal')}</span>}
+                        </div>
+                        <p className="text-xs text-gray-500">{opcion.clasificacion?.orden || t('comun.na')} · {opcion.clasificacion?.familia || t('comun.na')}</p>
+                        {opcion.razonamiento && <p className="text-xs text-gray-600 mt-1">{opcion.razonamiento}</p>}
+                    </div>
+                </label>
+            ))}
+            <label className={`flex gap-3 p-2 rounded-lg cursor-pointer ${seleccion === 'correccion' ? 'bg-sky-50 ring-1 ring-sky-300' : 'hover:bg-gray-50'}`}>
+                <input type="radio" name="identificacion" checked={seleccion === 'correccion'} onChange={() => setSeleccion('correccion')} className="mt-1" />
+                <div className="flex-1 text-sm space-y-2">
+                    <span className="font-medium text-gray-800">{t('revision.corregir')}</span>
+                    {seleccion === 'correccion' && (
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                            {NIVELES_TAXONOMICOS.map(campo => (
+                                <input
+                                    key={campo}
+                                    className={inputClass}
+                                    placeholder={t(`taxonomia.nivel.${campo}`)}
+                                    list={`catalogo-${campo}`}
+                                    value={correccion[campo] || ''}
+                                    onChange={(e) => setCorreccion({ ...correccion, [campo]: e.target.value })}
+                                />
+                            ))}
+                            {NIVELES_TAXONOMICOS.map(campo => (
+                                <datalist key={campo} id={`catalogo-${campo}`}>
+                                    {NOMBRES_CATALOGO[campo].map(nombre => <option key={nombre} value={nombre} />)}
+                                </datalist>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </label>
+            <div className="flex justify-end gap-2">
+                {onCancel && (
+                    <button onClick={onCancel} className="px-4 py-2 rounded-xl text-sm text-gray-600 hover:bg-gray-100">{cancelLabel || t('revision.ahoraNo')}</button>
+                )}
+                <button
+                    onClick={handleConfirm}
+                    disabled={isSaving || (seleccion === 'correccion' && !correccionValida)}
+                    className="px-4 py-2 rounded-xl text-sm text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 font-medium shadow"
+                >
+                    {isSaving ? t('comun.guardando') : confirmLabel || t('revision.confirmar')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Barra de filtros del historial. Los filtros que consultan Firestore se aplican con un botón
+// para no relanzar la consulta con cada tecla; el texto y la categoría filtran al instante.
+const HistoryFiltersBar = ({ filters, samplingEvents, onApply, onChange }) => {
+    const { t, formatDate } = useI18n();
+    const { eventId, nivel, valor, desde, hasta } = filters;
+    const [draft, setDraft] = useState({ eventId, nivel, valor, desde, hasta });
+
+    // Mantener el borrador al día cuando los filtros aplicados cambian desde fuera (p. ej. al limpiar)
+    useEffect(() => setDraft({ eventId, nivel, valor, desde, hasta }), [eventId, nivel, valor, desde, hasta]);
+
+    const inputClass = "border border-sky-200 rounded-lg px-3 py-2 text-sm";
+    const setField = (campo) => (e) => setDraft({ ...draft, [campo]: e.target.value });
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow mb-4 space-y-3 text-sm">
+            <div className="flex flex-wrap gap-3">
+                <input
+                    className={`${inputClass} flex-1 min-w-[12rem]`}
+                    type="search"
+                    placeholder={t('historial.buscar')}
+                    value={filters.texto}
+                    onChange={(e) => onChange({ texto: e.target.value })}
+                />
+                <select className={inputClass} value={filters.categoria} onChange={(e) => onChange({ categoria: e.target.value })}>
+                    <option value="">{t('historial.todasCategorias')}</option>
+                    {Object.keys(CATEGORIAS_BIOINDICADOR).map(clave => (
+                        <option key={clave} value={clave}>{t(`categoria.${clave}`)}</option>
+                    ))}
+                </select>
+                <span className="self-center text-xs text-gray-400">{t('historial.soloCargados')}</span>
+            </div>
+            <form
+                className="flex flex-wrap items-center gap-3"
+                onSubmit={(e) => { e.preventDefault(); onApply(draft); }}
+            >
+                <select className={inputClass} value={draft.eventId} onChange={setField('eventId')}>
+                    <option value="">{t('historial.todosEventos')}</option>
+                    {samplingEvents.map(event => (
+                        <option key={event.id} value={event.id}>{event.sitio} · {formatDate(event.fecha)}</option>
+                    ))}
+                </select>
+                <select className={inputClass} value={draft.nivel} onChange={setField('nivel')}>
+                    {NIVELES_TAXONOMICOS.map(campo => <option key={campo} value={campo}>{t(`taxonomia.nivel.${campo}`)}</option>)}
+                </select>
+                <input className={inputClass} placeholder={t('historial.taxon')} list={`filtro-${draft.nivel}`} value={draft.valor} onChange={setField('valor')} />
+                <datalist id={`filtro-${draft.nivel}`}>
+                    {NOMBRES_CATALOGO[draft.nivel].map(nombre => <option key={nombre} value={nombre} />)}
+                </datalist>
+                <label className="flex items-center gap-1 text-gray-500">
+                    {t('historial.desde')} <input className={inputClass} type="date" value={draft.desde} onChange={setField('desde')} />
+                </label>
+                <label className="flex items-center gap-1 text-gray-500">
+                    {t('historial.hasta')} <input className={inputClass} type="date" value={draft.hasta} onChange={setField('hasta')} />
+                </label>
+                <button type="submit" className="px-4 py-2 rounded-full bg-sky-600 text-white font-medium hover:bg-sky-700">{t('historial.aplicar')}</button>
+                <button type="button" onClick={() => onApply(EMPTY_HISTORY_FILTERS)} className="text-sky-600 hover:underline">{t('historial.limpiar')}</button>
+            </form>
+        </div>
+    );
+};
+
+// Formulario para editar la identificación y las anotaciones de campo de un análisis
+const AnalysisEditor = ({ item, onSave, onCancel }) => {
+    const { t } = useI18n();
+    const [form, setForm] = useState(() => analysisToEditForm(item));
+    const [isSaving, setIsSaving] = useState(false);
+
+    const setField = (campo) => (e) => setForm({ ...form, [campo]: e.target.value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        await onSave(form);
+        setIsSaving(false);
+    };
+
+    const inputClass = "w-full border border-sky-200 rounded-lg px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-sky-400";
+    const labelClass = "block text-xs font-medium text-sky-800 mb-1";
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3 text-sm">
+            <h4 className="font-semibold text-sky-800 border-b pb-1">{t('editorAnalisis.identificacion')}</h4>
+            <div>
+                <label className={labelClass}>{t('campo.nombreCientifico')}</label>
+                <input className={inputClass} value={form.nombreCientifico} onChange={setField('nombreCientifico')} />
+            </div>
+            <div>
+                <label className={labelClass}>{t('campo.nombreComun')}</label>
+                <input className={inputClass} value={form.nombreComun} onChange={setField('nombreComun')} />
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+                {NIVELES_TAXONOMICOS.map(campo => (
+                    <div key={campo}>
+                        <label className={labelClass}>{t(`taxonomia.nivel.${campo}`)}</label>
+                        <input className={inputClass} list={`editar-${campo}`} value={form[campo]} onChange={setField(campo)} />
+                        <datalist id={`editar-${campo}`}>
+                            {NOMBRES_CATALOGO[campo].map(nombre => <option key={nombre} value={nombre} />)}
+                        </datalist>
+                    </div>
+                ))}
+            </div>
+            <div>
+                <label className={labelClass}>{t('campo.significadoEcologico')}</label>
+                <textarea className={inputClass} rows={2} value={form.significadoEcologico} onChange={setField('significadoEcologico')} />
+            </div>
+
+            <h4 className="font-semibold text-sky-800 border-b pb-1 pt-2">{t('editorAnalisis.anotaciones')}</h4>
+            <div className="grid grid-cols-2 gap-2">
+                <div>
+                    <label className={labelClass}>{t('editorAnalisis.numeroIndividuos')}</label>
+                    <input className={inputClass} type="number" min="0" value={form.numeroIndividuos} onChange={setField('numeroIndividuos')} />
+                </div>
+                <div>
+                    <label className={labelClass}>{t('campo.anotaciones.estadioVida')}</label>
+                    <select className={inputClass} value={form.estadioVida} onChange={setField('estadioVida')}>
+                        <option value="">{t('editorAnalisis.sinIndicar')}</option>
+                        {ESTADIOS_VIDA.map(clave => <option key={clave} value={clave}>{t(`estadio.${clave}`)}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className={labelClass}>{t('campo.anotaciones.microhabitat')}</label>
+                    <input className={inputClass} placeholder={t('editorAnalisis.microhabitatEjemplo')} value={form.microhabitat} onChange={setField('microhabitat')} />
+                </div>
+                <div>
+                    <label className={labelClass}>{t('campo.anotaciones.colector')}</label>
+                    <input className={inputClass} value={form.colector} onChange={setField('colector')} />
+                </div>
+            </div>
+            <div>
+                <label className={labelClass}>{t('editorAnalisis.etiquetas')}</label>
+                <input className={inputClass} value={form.etiquetas} onChange={setField('etiquetas')} />
+            </div>
+            <div>
+                <label className={labelClass}>{t('campo.anotaciones.notas')}</label>
+                <textarea className={inputClass} rows={2} value={form.notas} onChange={setField('notas')} />
+            </div>
+
+            <div className="flex justify-end gap-2 pt-2">
+                <button type="button" onClick={onCancel} className="px-4 py-2 rounded-xl text-gray-600 hover:bg-gray-100">{t('comun.cancelar')}</button>
+                <button type="submit" disabled={isSaving} className="px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 font-medium shadow">
+                    {t(isSaving ? 'comun.guardando' : 'editorAnalisis.guardar')}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// Componente principal de la aplicación
+const App = () => {
+    const { db, storage, userId, account, authError, retrySignIn, accountActions, isAuthReady } = useFirebase();
+    const isOnline = useOnlineStatus();
+    const [locale, setLocale] = useState(detectLocale);
+    const i18n = useMemo(() => createI18n(locale), [locale]);
+    const { t, formatDate, formatDateTime, formatNumber } = i18n;
+
+    // El idioma elegido se recuerda en el dispositivo y se declara en <html> para lectores de pantalla
+    const changeLocale = useCallback((nuevo) => {
+        setLocale(nuevo);
+        localStorage.setItem(LOCALE_STORAGE_KEY, nuevo);
+    }, []);
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+    const [imageFile, setImageFile] = useState(null);
+    const [base64Image, setBase64Image] = useState(null);
+    const [thumbnailBlob, setThumbnailBlob] = useState(null);
+    const [captureMetadata, setCaptureMetadata] = useState(EMPTY_CAPTURE_METADATA); // GPS y fecha de la foto actual
+    const [isPickingLocation, setIsPickingLocation] = useState(false);
+    const [sourceFile, setSourceFile] = useState(null); // Foto sin editar, base de cada edición
+    const [imageTool, setImageTool] = useState(null); // 'camera' | 'editor' | null
+    const [imageHashes, setImageHashes] = useState(null); // { sha256, perceptual } de la foto actual
+    const [duplicateMatch, setDuplicateMatch] = useState(null); // { analysis, exacto, distancia, reutilizado }
+    const [isCheckingDuplicate, setIsCheckingDuplicate] = useState(false);
+    const [duplicateOfId, setDuplicateOfId] = useState(null); // Análisis anterior cuando se vuelve a analizar a propósito
+    const imageLoadRef = useRef(0); // Descarta comprobaciones de una foto que ya se reemplazó
+    const analysisAbortRef = useRef(null); // AbortController del análisis individual en curso
+    const batchAbortRef = useRef(new Map()); // id del elemento del lote en curso -> AbortController
+    const [mapItems, setMapItems] = useState([]);
+    const [mapFilter, setMapFilter] = useState({ nivel: 'familia', valor: '', sitios: true });
+    const [placingId, setPlacingId] = useState(''); // Análisis sin ubicación que se está colocando en el mapa
+    const [statsItems, setStatsItems] = useState([]);
+    const [statsOptions, setStatsOptions] = useState({ soloConfirmados: false });
+    const [isMigrating, setIsMigrating] = useState(false);
+    const [legacyImageCount, setLegacyImageCount] = useState(0);
+    const [isResultSaved, setIsResultSaved] = useState(false);
+    const [reviewingId, setReviewingId] = useState(null); // Análisis del historial en verificación
+    const [historyFilters, setHistoryFilters] = useState(EMPTY_HISTORY_FILTERS);
+    const [historyPages, setHistoryPages] = useState([]); // Un arreglo de análisis por página
+    const [historyCursors, setHistoryCursors] = useState([]); // Último documento de cada página, salvo la final
+    const [hasMoreHistory, setHasMoreHistory] = useState(false);
+    const lastHistoryDocRef = useRef(null); // Último documento de la página final: cursor de la siguiente
+    const [countsRevision, setCountsRevision] = useState(0); // Sube tras guardar, confirmar o eliminar
+    const [isExporting, setIsExporting] = useState(false);
+    const [historySentinel, setHistorySentinel] = useState(null);
+    const [historyCounts, setHistoryCounts] = useState({ total: 0, confirmados: 0, aciertos: 0 });
+    const [eventSpecimens, setEventSpecimens] = useState({}); // eventId -> análisis
+    const [editingId, setEditingId] = useState(null);
+    const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+    const [pendingDelete, setPendingDelete] = useState(null); // { id, data } mientras se puede deshacer
+    const pendingDeleteTimer = useRef(null);
+    const pendingDeleteRef = useRef(null); // Copia para el temporizador, que no ve el estado actualizado
+    const [pendingCaptures, setPendingCaptures] = useState([]);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [offlineNotice, setOfflineNotice] = useState(null); // Clave del catálogo
+    const isSyncingRef = useRef(false);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [analysisResult, setAnalysisResult] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null); // { clave, params } o error del proveedor (ver uiErrorMessage)
+    const [activeTab, setActiveTab] = useState('upload'); // 'upload', 'history', 'map', 'stats', 'events' o 'team'
+    const [projects, setProjects] = useState([]);
+    const [projectsReady, setProjectsReady] = useState(false);
+    const [activeProjectId, setActiveProjectId] = useState(() => localStorage.getItem(ACTIVE_PROJECT_STORAGE_KEY) || null);
+    const [projectInvitations, setProjectInvitations] = useState([]);
+    const [samplingEvents, setSamplingEvents] = useState([]);
+    const [selectedEventId, setSelectedEventId] = useState('');
+    const [batchQueue, setBatchQueue] = useState([]);
+    const [isDragging, setIsDragging] = useState(false);
+
+    // Componente del logo: Usa la imagen cargada directamente
+    const MacroSearchLogo = () => (
+        <img
+            src={LOGO_URL}
+            alt="MacroSearch UTN-IMRH Logo"
+            className="h-12 w-auto" // Aumentado el tamaño para que sea más visible en la parte superior
+            onError={(e) => { e.target.onerror = null; e.target.src = "https://placehold.co/120x40/ffffff/0e7490?text=MacroSearch"; }}
+        />
+    );
+
+    // --- LÓGICA DE FIREBASE FIRESTORE ---
+
+    const activeProject = useMemo(() => projects.find(project => project.id === activeProjectId) || null, [projects, activeProjectId]);
+    // Mientras no cargan los proyectos, un proyecto activo se trata como de solo lectura
+    const permisos = activeProjectId ? permisosEnProyecto(activeProject || {}, userId) : ROLES_PROYECTO.owner;
+
+    const isActiveProjectLoaded = Boolean(activeProject);
+
+    // Colecciones del espacio de trabajo (personal o del proyecto activo).
+    // El proyecto activo se consulta solo cuando consta que el usuario es miembro.
+    const getWorkspaceCollectionRef = useCallback((nombre, projectId = activeProjectId) => {
+        if (db && userId && !(projectId && projectId === activeProjectId && !isActiveProjectLoaded)) {
+            return collection(db, `${workspacePath(projectId, userId)}/${nombre}`);
+        }
+        return null;
+    }, [db, userId, activeProjectId, isActiveProjectLoaded]);
+
+    const getAnalysisCollectionRef = useCallback((projectId) => getWorkspaceCollectionRef('analyses', projectId), [getWorkspaceCollectionRef]);
+    // Copia de lo eliminado mientras se puede deshacer: las reglas solo dejan restaurar exactamente eso
+    const getDeletedAnalysisCollectionRef = useCallback(() => getWorkspaceCollectionRef('deletedAnalyses'), [getWorkspaceCollectionRef]);
+
+    // Busca en el espacio de trabajo una foto idéntica o casi idéntica. Nunca falla: sin
+    // respuesta de Firestore la foto se trata como nueva.
+    const findDuplicateAnalysis = useCallback(async (hashes, projectId) => {
+        const collectionRef = getAnalysisCollectionRef(projectId);
+        if (!collectionRef) return null;
+
+        try {
+            const [exactos, candidatos] = await Promise.all([
+                getDocs(query(collectionRef, where('hashSha256', '==', hashes.sha256), limit(1))),
+                getDocs(query(collectionRef, where('hashPerceptualBloques', 'array-contains-any', perceptualHashBlocks(hashes.perceptual)), limit(DUPLICATE_CANDIDATES_LIMIT))),
+            ]);
+            const toItems = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+            return pickDuplicateMatch(hashes, toItems(exactos), toItems(candidatos));
+        } catch (e) {
+            console.warn("No se pudo comprobar si la imagen está duplicada:", e);
+            return null;
+        }
+    }, [getAnalysisCollectionRef]);
+    const getEventsCollectionRef = useCallback(() => getWorkspaceCollectionRef('samplingEvents'), [getWorkspaceCollectionRef]);
+    const getProjectsCollectionRef = useCallback(() => (db ? collection(db, `artifacts/${appId}/projects`) : null), [db]);
+    const getInvitationsCollectionRef = useCallback(() => (db ? collection(db, `artifacts/${appId}/invitations`) : null), [db]);
+
+    // 0. Proyectos de los que el usuario es miembro (se vacían al cambiar de cuenta)
+    useEffect(() => {
+        setProjects([]);
+        setProjectsReady(false);
+        const collectionRef = getProjectsCollectionRef();
+        if (!isAuthReady || !collectionRef || !userId) return;
+
+        const q = query(collectionRef, where('miembrosIds', 'array-contains', userId));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setProjects(snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => a.nombre.localeCompare(b.nombre)));
+            setProjectsReady(true);
+        }, (error) => {
+            console.error("Error al cargar los proyectos:", error);
+            setError({ clave: 'error.cargarProyectos' });
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, userId, getProjectsCollectionRef]);
+
+    // 0a. Invitaciones vigentes del proyecto activo (solo las ve el responsable)
+    useEffect(() => {
+        const collectionRef = getInvitationsCollectionRef();
+        if (!collectionRef || !activeProject || !permisos.puedeAdministrar) {
+            setProjectInvitations([]);
+            return;
+        }
+
+        const q = query(collectionRef, where('projectId', '==', activeProject.id), where('creadoPor', '==', userId));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setProjectInvitations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => console.error("Error al cargar las invitaciones:", error));
+
+        return () => unsubscribe();
+    }, [getInvitationsCollectionRef, activeProject, permisos.puedeAdministrar, userId]);
+
+    // 1. Cargar Historial (Tiempo Real con onSnapshot, solo las páginas visibles).
+    // Cada página escucha su propio tramo entre cursores; las cerradas terminan en su último documento
+    // (endAt) para que lo que entra arriba no empuje documentos fuera de la vista. Al pedir otra página
+    // se vuelven a abrir las mismas consultas, que Firestore reanuda bajando solo los cambios.
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        const collectionRef = getAnalysisCollectionRef();
+        if (!collectionRef) return;
+
+        // Ordenado por fecha descendente, con los filtros que resuelve Firestore
+        const constraints = buildHistoryConstraints(historyFilters);
+        setHistoryPages(current => current.slice(0, historyCursors.length + 1));
+
+        const unsubscribes = [null, ...historyCursors].map((inicio, pagina) => {
+            const fin = historyCursors[pagina];
+            const q = query(collectionRef, ...constraints,
+                ...(inicio ? [startAfter(inicio)] : []),
+                fin ? endAt(fin) : limit(HISTORY_PAGE_SIZE));
+
+            return onSnapshot(q, (snapshot) => {
+                const analyses = snapshot.docs.map(doc => ({
+                    id: doc.id,
+                    ...doc.data()
+                }));
+                setHistoryPages(current => Object.assign([...current], { [pagina]: analyses }));
+                if (!fin) {
+                    lastHistoryDocRef.current = snapshot.docs[snapshot.size - 1] || null;
+                    setHasMoreHistory(snapshot.size === HISTORY_PAGE_SIZE);
+                }
+            }, (error) => {
+                console.error("Error al cargar el historial:", error);
+                setError({ clave: 'error.cargarHistorial' });
+            });
+        });
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [isAuthReady, db, userId, getAnalysisCollectionRef, historyFilters, historyCursors]);
+
+    const history = useMemo(() => historyPages.flat(), [historyPages]);
+
+    // 1a. Totales del historial sin descargar los documentos (consultas de agregación).
+    // No se repiten con cada snapshot: solo al cambiar de espacio y tras los cambios propios (countsRevision)
+    useEffect(() => {
+        const collectionRef = getAnalysisCollectionRef();
+        if (!isAuthReady || !collectionRef) return;
+
+        // Los repetidos a propósito no cuentan. Se restan en lugar de filtrar con duplicadoDe == null
+        // porque los análisis anteriores a las huellas no tienen el campo y ese filtro los dejaría fuera.
+        const contar = (...filtros) => getCountFromServer(query(collectionRef, ...filtros)).then(snapshot => snapshot.data().count);
+        const sinRepetidos = (...filtros) => Promise.all([contar(...filtros), contar(...filtros, where('duplicadoDe', '!=', null))])
+            .then(([todos, repetidos]) => todos - repetidos);
+
+        let cancelled = false;
+        Promise.all([
+            sinRepetidos(),
+            sinRepetidos(where('estadoVerificacion', '==', 'confirmado')),
+            sinRepetidos(where('identificacionConfirmada.coincideConModelo', '==', true)),
+        ]).then(([total, confirmados, aciertos]) => {
+            if (cancelled) return;
+            setHistoryCounts({ total, confirmados, aciertos });
+        }).catch(e => console.error("Error al contar los análisis:", e));
+        getCountFromServer(legacyImagesQuery(collectionRef)).then(snapshot => {
+            if (!cancelled) setLegacyImageCount(snapshot.data().count);
+        }).catch(e => console.error("Error al contar los análisis con la imagen en el documento:", e));
+
+        return () => { cancelled = true; };
+    }, [isAuthReady, getAnalysisCollectionRef, countsRevision]);
+
+    // 1c. Especímenes de cada evento (solo mientras se ve la pestaña de muestreos)
+    useEffect(() => {
+        const collectionRef = getAnalysisCollectionRef();
+        if (activeTab !== 'events' || !collectionRef || !samplingEvents.length) return;
+
+        // Firestore admite hasta 30 valores en un filtro 'in'
+        const ids = samplingEvents.map(event => event.id);
+        const chunks = [];
+        for (let i = 0; i < ids.length; i += 30) chunks.push(ids.slice(i, i + 30));
+
+        const unsubscribes = chunks.map(chunk => onSnapshot(query(collectionRef, where('eventId', 'in', chunk)), (snapshot) => {
+            setEventSpecimens(current => {
+                const next = { ...current };
+                chunk.forEach(id => { next[id] = []; });
+                // Un análisis repetido a propósito es el mismo individuo: no entra en el índice del muestreo
+                snapshot.docs
+                    .filter(doc => !doc.data().duplicadoDe)
+                    .forEach(doc => next[doc.data().eventId].push({ id: doc.id, ...doc.data() }));
+                return next;
+            });
+        }, (error) => {
+            console.error("Error al cargar los especímenes de los eventos:", error);
+            setError({ clave: 'error.cargarEspecimenesEventos' });
+        }));
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [activeTab, samplingEvents, getAnalysisCollectionRef]);
+
+    // 1d. Especímenes con ubicación para el mapa (solo mientras se ve la pestaña)
+    useEffect(() => {
+        const collectionRef = getAnalysisCollectionRef();
+        if (activeTab !== 'map' || !collectionRef) return;
+
+        // El rango deja fuera los documentos sin ubicación y no necesita índice compuesto
+        const q = query(collectionRef, where('ubicacion.latitud', '>=', -90), limit(MAP_MAX_POINTS));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setMapItems(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("Error al cargar el mapa:", error);
+            setError({ clave: 'error.cargarMapa' });
+        });
+
+        return () => unsubscribe();
+    }, [activeTab, getAnalysisCollectionRef]);
+
+    // 1e. Análisis para el panel de estadísticas (solo mientras se ve la pestaña)
+    useEffect(() => {
+        const collectionRef = getAnalysisCollectionRef();
+        if (activeTab !== 'stats' || !collectionRef) return;
+
+        const q = query(collectionRef, orderBy('timestamp', 'desc'), limit(STATS_MAX_ANALYSES));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setStatsItems(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => {
+            console.error("Error al cargar las estadísticas:", error);
+            setError({ clave: 'error.cargarEstadisticas' });
+        });
+
+        return () => unsubscribe();
+    }, [activeTab, getAnalysisCollectionRef]);
+
+    // 1b. Cargar Eventos de Muestreo
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        const collectionRef = getEventsCollectionRef();
+        if (!collectionRef) return;
+
+        const q = query(collectionRef, orderBy('fecha', 'desc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setSamplingEvents(snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            })));
+        }, (error) => {
+            console.error("Error al cargar los eventos de muestreo:", error);
+            setError({ clave: 'error.cargarEventos' });
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId, getEventsCollectionRef]);
+
+    // 2a. Subir original y miniatura a Storage; devuelve solo las referencias
+    // edited: la foto recortada o ajustada en el editor, que es la analizada; el original se guarda sin tocar
+    const uploadSpecimenImages = useCallback(async (analysisId, original, thumbnail, projectId = activeProjectId, edited = null) => {
+        const { imagePath, thumbnailPath, editedImagePath } = specimenImagePaths(projectId, userId, analysisId);
+
+        const [imageSnapshot, thumbnailSnapshot, editedSnapshot] = await Promise.all([
+            uploadBytes(storageRef(storage, imagePath), original, { contentType: original.type || PREPARED_MIME_TYPE }),
+            uploadBytes(storageRef(storage, thumbnailPath), thumbnail, { contentType: PREPARED_MIME_TYPE }),
+            edited && uploadBytes(storageRef(storage, editedImagePath), edited, { contentType: PREPARED_MIME_TYPE }),
+        ]);
+
+        return {
+            imagePath,
+            imageUrl: await getDownloadURL(imageSnapshot.ref),
+            thumbnailPath,
+            thumbnailUrl: await getDownloadURL(thumbnailSnapshot.ref),
+            ...(editedSnapshot && { editedImagePath, editedImageUrl: await getDownloadURL(editedSnapshot.ref) }),
+        };
+    }, [storage, userId, activeProjectId]);
+
+    // 2. Guardar un Análisis (projectId permite guardar capturas hechas en otro espacio)
+    // timestamp: hora del análisis; las capturas sin conexión conservan la de la foto en lugar de la de sincronización
+    const saveAnalysis = useCallback(async (analysisData, { original, edited = null, thumbnail, captura = null, hashes = null, eventId = selectedEventId, projectId = activeProjectId, timestamp = null }) => {
+        if (!db || !storage || !userId) return false;
+
+        let analysisRef = null;
+        try {
+            const collectionRef = getAnalysisCollectionRef(projectId);
+            if (!collectionRef) throw new Error("Referencia de colección no disponible.");
+
+            // Se reserva el ID del documento para nombrar los archivos en Storage
+            analysisRef = doc(collectionRef);
+            const imageRefs = await uploadSpecimenImages(analysisRef.id, original, thumbnail, projectId, edited);
+
+            // Las huellas permiten reconocer la misma foto en subidas posteriores; no son imprescindibles
+            const huellas = hashes || await computeImageHashes(edited || original, thumbnail).catch((e) => {
+                console.warn("No se pudieron calcular las huellas de la imagen:", e);
+                return null;
+            });
+
+            await setDoc(analysisRef, {
+                ...analysisData,
+                ...imageRefs,
+                ...captureMetadataFields(captura),
+                ...(huellas && imageHashFields(huellas)),
+                eventId: eventId || null,
+                duplicadoDe: analysisData.duplicadoDe || null,
+                creadoPor: userId,
+                timestamp: timestamp || serverTimestamp(),
+            });
+            setCountsRevision(n => n + 1);
+            return true;
+        } catch (e) {
+            console.error("Error al guardar el análisis en Firestore: ", e);
+            // Sin documento que las referencie, las imágenes ya subidas quedarían huérfanas
+            if (analysisRef) deleteSpecimenImages(storage, specimenImagePaths(projectId, userId, analysisRef.id));
+            // Mostrar un error en la interfaz si es crítico
+            setError({ clave: 'error.guardarAnalisis' });
+            return false;
+        }
+    }, [db, storage, userId, getAnalysisCollectionRef, uploadSpecimenImages, selectedEventId, activeProjectId]);
+
+    // 2b. Migrar análisis antiguos con la imagen en Base64 dentro del documento
+    const migrateLegacyImages = useCallback(async () => {
+        const collectionRef = getAnalysisCollectionRef();
+        if (!collectionRef || !storage) return;
+
+        setIsMigrating(true);
+        let failed = 0;
+        // Por tandas, para no descargar de una vez todos los documentos con la imagen dentro.
+        // Los que fallan siguen cumpliendo la consulta: se avanza desde el último de la tanda anterior
+        let ultimo = null;
+        try {
+            for (;;) {
+                const snapshot = await getDocs(query(legacyImagesQuery(collectionRef), ...(ultimo ? [startAfter(ultimo)] : []), limit(LEGACY_MIGRATION_PAGE_SIZE)));
+                if (snapshot.empty) break;
+                ultimo = snapshot.docs[snapshot.docs.length - 1];
+
+                for (const docSnapshot of snapshot.docs) {
+                    let subidas = false;
+                    try {
+                        const original = await (await fetch(docSnapshot.data().imageUrl)).blob();
+                        const thumbnail = await resizeImage(original, THUMBNAIL_MAX_DIMENSION, 0.7);
+                        subidas = true;
+                        const imageRefs = await uploadSpecimenImages(docSnapshot.id, original, thumbnail);
+                        await updateDoc(docSnapshot.ref, imageRefs);
+                    } catch (e) {
+                        failed++;
+                        console.error(`Error al migrar la imagen del análisis ${docSnapshot.id}:`, e);
+                        // El documento sigue con su data-URL: lo subido quedaría huérfano
+                        if (subidas) deleteSpecimenImages(storage, specimenImagePaths(activeProjectId, userId, docSnapshot.id));
+                    }
+                }
+            }
+        } catch (e) {
+            failed++;
+            console.error("Error al buscar los análisis con la imagen en el documento:", e);
+        }
+        setIsMigrating(false);
+        setCountsRevision(n => n + 1);
+        if (failed) setError({ clave: 'error.migrarImagenes', params: { n: failed } });
+    }, [getAnalysisCollectionRef, storage, uploadSpecimenImages, activeProjectId, userId]);
+
+    // 3. Crear un Evento de Muestreo
+    const createSamplingEvent = useCallback(async (eventData) => {
+        try {
+            const collectionRef = getEventsCollectionRef();
+            if (!collectionRef) throw new Error("Referencia de colección no disponible.");
+
+            const eventRef = await addDoc(collectionRef, {
+                ...eventData,
+                creadoPor: userId,
+                timestamp: serverTimestamp(),
+            });
+            setSelectedEventId(eventRef.id); // Los siguientes análisis se asocian al nuevo evento
+            return true;
+        } catch (e) {
+            console.error("Error al crear el evento de muestreo: ", e);
+            setError({ clave: 'error.crearEvento' });
+            return false;
+        }
+    }, [getEventsCollectionRef, userId]);
+
+    // 4. Cambiar la variante BMWP de un evento
+    const updateEventVariant = useCallback(async (eventId, variante) => {
+        const collectionRef = getEventsCollectionRef();
+        if (!collectionRef) return;
+
+        try {
+            await updateDoc(doc(collectionRef, eventId), { variante });
+        } catch (e) {
+            console.error("Error al actualizar el evento de muestreo: ", e);
+            setError({ clave: 'error.actualizarVariante' });
+        }
+    }, [getEventsCollectionRef]);
+
+    // 5. Editar identificación y anotaciones (con registro de cambios)
+    const saveAnalysisEdit = useCallback(async (item, form) => {
+        const collectionRef = getAnalysisCollectionRef();
+        if (!collectionRef) return;
+
+        const { update } = buildEditUpdate(item, form, { puedeConfirmar: permisos.puedeRevisar });
+        if (!update) {
+            setEditingId(null);
+            return;
+        }
+
+        try {
+            await updateDoc(doc(collectionRef, item.id), update);
+            setEditingId(null);
+            setCountsRevision(n => n + 1);
+        } catch (e) {
+            console.error("Error al editar el análisis: ", e);
+            setError({ clave: 'error.guardarCambios' });
+        }
+    }, [getAnalysisCollectionRef, permisos.puedeRevisar]);
+
+    // 5b. Colocar a mano un análisis sin ubicación (queda en el registro de cambios)
+    const setSpecimenLocation = useCallback(async (item, { latitud, longitud }) => {
+        const collectionRef = getAnalysisCollectionRef();
+        if (!collectionRef) return;
+
+        const ubicacion = { latitud, longitud, origen: 'manual' };
+        try {
+            await updateDoc(doc(collectionRef, item.id), {
+                ubicacion,
+                historialCambios: [...(item.historialCambios || []), {
+                    fecha: Timestamp.now(),
+                    cambios: [{ campo: 'ubicacion', anterior: item.ubicacion || null, nuevo: ubicacion }],
+                }].slice(-MAX_CAMBIOS_REGISTRADOS),
+            });
+            setPlacingId('');
+        } catch (e) {
+            console.error("Error al guardar la ubicación: ", e);
+            setError({ clave: 'error.guardarUbicacion' });
+        }
+    }, [getAnalysisCollectionRef]);
+
+    // 6. Eliminar con posibilidad de deshacer.
+    // El documento pasa a deletedAnalyses en el mismo lote que lo elimina; al vencer el plazo para
+    // deshacer se borran esa copia y las imágenes de Storage.
+    const purgeAnalysisImages = useCallback((data) => {
+        deleteSpecimenImages(storage, { imagePath: data.imagePath, thumbnailPath: data.thumbnailPath, editedImagePath: data.editedImagePath });
+    }, [storage]);
+
+    const finalizePendingDelete = useCallback(() => {
+        clearTimeout(pendingDeleteTimer.current);
+        if (pendingDeleteRef.current) {
+            const { data, deletedRef } = pendingDeleteRef.current;
+            purgeAnalysisImages(data);
+            deleteDoc(deletedRef).catch(e => console.warn("No se pudo vaciar la copia del análisis eliminado:", e));
+        }
+        pendingDeleteRef.current = null;
+        setPendingDelete(null);
+    }, [purgeAnalysisImages]);
+
+    const deleteAnalysis = useCallback(async (item) => {
+        const collectionRef = getAnalysisCollectionRef();
+        const deletedCollectionRef = getDeletedAnalysisCollectionRef();
+        if (!collectionRef || !deletedCollectionRef) return;
+
+        finalizePendingDelete(); // Solo se puede deshacer la última eliminación
+        const { id, ...data } = item;
+        const deletedRef = doc(deletedCollectionRef, id);
+        try {
+            const batch = writeBatch(db);
+            batch.delete(doc(collectionRef, id));
+            batch.set(deletedRef, { datos: data, eliminadoPor: userId, eliminadoEn: serverTimestamp() });
+            await batch.commit();
+            setConfirmDeleteId(null);
+            setCountsRevision(n => n + 1);
+            setSelectedIds(ids => ids.filter(x => x !== id));
+            pendingDeleteRef.current = { id, data, deletedRef };
+            setPendingDelete(pendingDeleteRef.current);
+            pendingDeleteTimer.current = setTimeout(finalizePendingDelete, UNDO_DELETE_MS);
+        } catch (e) {
+            console.error("Error al eliminar el análisis: ", e);
+            setError({ clave: 'error.eliminar' });
+        }
+    }, [db, userId, getAnalysisCollectionRef, getDeletedAnalysisCollectionRef, finalizePendingDelete]);
+
+    const undoDelete = useCallback(async () => {
+        const collectionRef = getAnalysisCollectionRef();
+        if (!collectionRef || !pendingDelete) return;
+
+        clearTimeout(pendingDeleteTimer.current);
+        try {
+            // Se restaura el documento con el mismo ID y su timestamp original, y se retira su copia
+            const batch = writeBatch(db);
+            batch.set(doc(collectionRef, pendingDelete.id), pendingDelete.data);
+            batch.delete(pendingDelete.deletedRef);
+            await batch.commit();
+            pendingDeleteRef.current = null;
+            setPendingDelete(null);
+            setCountsRevision(n => n + 1);
+        } catch (e) {
+            console.error("Error al restaurar el análisis: ", e);
+            setError({ clave: 'error.deshacer' });
+            pendingDeleteTimer.current = setTimeout(finalizePendingDelete, UNDO_DELETE_MS);
+        }
+    }, [db, getAnalysisCollectionRef, pendingDelete, finalizePendingDelete]);
+
+    // El temporizador no sobrevive al cierre de la pestaña ni al desmontaje: las imágenes de la
+    // eliminación pendiente se borran en ese momento, y con ello termina la posibilidad de deshacer
+    useEffect(() => {
+        window.addEventListener('pagehide', finalizePendingDelete);
+        return () => {
+            window.removeEventListener('pagehide', finalizePendingDelete);
+            finalizePendingDelete();
+        };
+    }, [finalizePendingDelete]);
+
+    // --- CAPTURAS PENDIENTES (SIN CONEXIÓN) ---
+
+    // Cada cuenta ve solo sus capturas: al cerrar sesión quedan en el dispositivo, fuera de la vista
+    // de la sesión anónima siguiente, hasta que su dueño vuelva a entrar
+    const refreshPendingCaptures = useCallback(async () => {
+        if (!userId) {
+            setPendingCaptures([]);
+            return;
+        }
+        try {
+            const captures = await listPendingCaptures();
+            setPendingCaptures(captures.filter(capture => isOwnPendingCapture(capture, userId)));
+        } catch (e) {
+            console.error("Error al leer las capturas pendientes:", e);
+        }
+    }, [userId]);
+
+    useEffect(() => {
+        refreshPendingCaptures();
+    }, [refreshPendingCaptures]);
+
+    // Guarda la foto (y el análisis y la ubicación elegida, si ya se hicieron) para sincronizarla más tarde
+    // Con original, file es la versión editada de esa foto
+    const queueOfflineCapture = useCallback(async (file, analysisRecord = null, captura = null, original = null) => {
+        try {
+            await putPendingCapture({ ...createPendingCapture(file, userId, selectedEventId, activeProjectId, locale), original, analysisRecord: toPendingRecord(analysisRecord), captura });
+            await refreshPendingCaptures();
+            return true;
+        } catch (e) {
+            console.error("Error al guardar la captura sin conexión:", e);
+            setError({ clave: 'error.guardarEnDispositivo' });
+            return false;
+        }
+    }, [userId, selectedEventId, activeProjectId, locale, refreshPendingCaptures]);
+
+    // Analiza y guarda las capturas pendientes una por una; se detiene si se vuelve a perder la red
+    const syncPendingCaptures = useCallback(async () => {
+        if (!navigator.onLine || !isAuthReady || !db || !storage || !userId || isSyncingRef.current) return;
+
+        isSyncingRef.current = true;
+        setIsSyncing(true);
+        try {
+            for (const capture of await listPendingCaptures()) {
+                if (capture.fallida || !isOwnPendingCapture(capture, userId)) continue;
+                try {
+                    const prepared = await prepareImage(capture.file);
+                    const record = fromPendingRecord(capture.analysisRecord)
+                        || buildAnalysisRecord(await identifyMacroinvertebrate(prepared.base64, prepared.mimeType, {
+                            idioma: capture.idioma,
+                            longitudMm: capture.captura?.medicion?.longitudEstimadaMm,
+                        }));
+                    const saved = await saveAnalysis(record, {
+                        original: capture.original || capture.file,
+                        edited: capture.original ? capture.file : null,
+                        thumbnail: prepared.thumbnail,
+                        captura: capture.captura || await readCaptureMetadata(capture.file),
+                        eventId: capture.eventId,
+                        projectId: capture.projectId ?? null,
+                        timestamp: Timestamp.fromMillis(Date.parse(capture.createdAt)),
+                    });
+                    if (!saved) throw Object.assign(new Error("No se pudo guardar en el historial."), { clave: 'error.guardarAnalisis' });
+                    await deletePendingCapture(capture.id);
+                } catch (e) {
+                    console.error(`Error al sincronizar ${capture.fileName}:`, e);
+                    if (isNetworkError(e)) break;
+                    // Se guarda lo necesario para mostrar el error en cualquier idioma (IndexedDB no conserva los Error)
+                    const attempts = capture.attempts + 1;
+                    await putPendingCapture({
+                        ...capture,
+                        attempts,
+                        fallida: attempts >= MAX_SYNC_ATTEMPTS,
+                        error: { clave: e.clave, codigo: e.codigo, detalle: e.detalle, message: e.message },
+                    });
+                }
+            }
+        } catch (e) {
+            console.error("Error al sincronizar las capturas pendientes:", e);
+        } finally {
+            isSyncingRef.current = false;
+            setIsSyncing(false);
+            refreshPendingCaptures();
+        }
+    }, [isAuthReady, db, storage, userId, saveAnalysis, refreshPendingCaptures]);
+
+    // Sincronizar al iniciar sesión y cada vez que vuelve la conexión
+    useEffect(() => {
+        if (isOnline && isAuthReady) syncPendingCaptures();
+    }, [isOnline, isAuthReady, syncPendingCaptures]);
+
+    const discardPendingCapture = useCallback(async (id) => {
+        await deletePendingCapture(id);
+        refreshPendingCaptures();
+    }, [refreshPendingCaptures]);
+
+    const discardFailedCaptures = useCallback(async () => {
+        for (const capture of pendingCaptures.filter(capture => capture.fallida)) {
+            await deletePendingCapture(capture.id);
+        }
+        refreshPendingCaptures();
+    }, [pendingCaptures, refreshPendingCaptures]);
+
+    // --- LÓGICA DE CARGA DE IMAGEN ---
+
+    // Prepara la imagen a analizar. Sin `captura` se leen los metadatos EXIF del archivo.
+    const loadImageFile = async (file, captura = null) => {
+        const loadId = ++imageLoadRef.current;
+        analysisAbortRef.current?.abort(); // El análisis en curso era de la foto anterior
+        setImageFile(null);
+        setBase64Image(null);
+        setThumbnailBlob(null);
+        setCaptureMetadata(EMPTY_CAPTURE_METADATA);
+        setIsPickingLocation(false);
+        setAnalysisResult(null); // Limpiar resultados anteriores
+        setIsResultSaved(false);
+        setImageHashes(null);
+        setDuplicateMatch(null);
+        setDuplicateOfId(null);
+
+        let prepared;
+        try {
+            // Reducir y re-codificar antes del análisis; el EXIF se lee del archivo original
+            let metadatos;
+            [prepared, metadatos] = await Promise.all([prepareImage(file), captura || readCaptureMetadata(file)]);
+            setImageFile(file);
+            setBase64Image(prepared.base64);
+            setThumbnailBlob(prepared.thumbnail);
+            setCaptureMetadata(metadatos);
+            setError(null);
+        } catch (e) {
+            console.error("Error al preparar la imagen:", e);
+            setError({ clave: 'error.leerImagen' });
+            return;
+        }
+
+        // Antes de gastar una llamada al modelo, comprobar si la foto ya está en el historial
+        setIsCheckingDuplicate(true);
+        try {
+            const hashes = await computeImageHashes(file, prepared.thumbnail);
+            const match = await findDuplicateAnalysis(hashes, activeProjectId);
+            if (loadId !== imageLoadRef.current) return;
+            setImageHashes(hashes);
+            setDuplicateMatch(match);
+        } catch (e) {
+            console.warn("No se pudieron calcular las huellas de la imagen:", e);
+        } finally {
+            if (loadId === imageLoadRef.current) setIsCheckingDuplicate(false);
+        }
+    };
+
+    const handleImageChange = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        setImageTool(null);
+        if (file.size > MAX_IMAGE_SIZE) {
+            imageLoadRef.current++;
+            setDuplicateMatch(null);
+            setIsCheckingDuplicate(false);
+            setSourceFile(null);
+            setImageFile(null);
+            setBase64Image(null);
+            setError({ clave: 'error.imagenGrande', params: { mb: MAX_IMAGE_SIZE / (1024 * 1024) } });
+            return;
+        }
+        setSourceFile(file);
+        loadImageFile(file);
+    };
+
+    // La cámara no escribe EXIF: la fecha de captura es el momento de la foto
+    const handleCameraCapture = (file) => {
+        const captura = { ...EMPTY_CAPTURE_METADATA, fechaCaptura: new Date().toISOString() };
+        setImageTool(null);
+        setSourceFile(file);
+        loadImageFile(file, captura);
+    };
+
+    // Cada edición parte del archivo sin editar, que es el que se guarda como original; se conservan
+    // fecha y ubicación de la captura
+    const handleImageEdited = (file, medicion) => {
+        setImageTool(null);
+        loadImageFile(file, { ...captureMetadata, medicion });
+    };
+
+    // --- LÓGICA DE CARGA POR LOTES ---
+
+    const updateBatchItem = useCallback((id, changes) => {
+        setBatchQueue(queue => queue.map(item => item.id === id ? { ...item, ...changes } : item));
+    }, []);
+
+    const enqueueFiles = useCallback((files) => {
+        // Las carpetas pueden traer otros archivos: solo se encolan imágenes
+        const items = files.filter(file => file.type.startsWith('image/')).map(file => {
+            const item = createBatchItem(file, activeProjectId);
+            if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+                return { ...item, status: 'failed', error: { clave: 'lote.formatoNoSoportado' } };
+            }
+            if (file.size > MAX_IMAGE_SIZE) {
+                return { ...item, status: 'failed', error: { clave: 'lote.imagenGrande', params: { mb: MAX_IMAGE_SIZE / (1024 * 1024) } } };
+            }
+            return item;
+        });
+        setBatchQueue(queue => [...queue, ...items]);
+    }, [activeProjectId]);
+
+    const handleBatchFilesChange = (event) => {
+        enqueueFiles(Array.from(event.target.files || []));
+        event.target.value = ''; // Permite volver a elegir la misma carpeta
+    };
+
+    const handleBatchDrop = async (event) => {
+        event.preventDefault();
+        setIsDragging(false);
+
+        const entries = Array.from(event.dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+
+        const files = entries.length
+            ? (await Promise.all(entries.map(collectDroppedFiles))).flat()
+            : Array.from(event.dataTransfer.files || []);
+        enqueueFiles(files);
+    };
+
+    // Analiza y guarda un elemento de la cola; un fallo solo afecta a ese elemento
+    const processBatchItem = useCallback(async (item) => {
+        // Se registra antes de cambiar el estado para que el planificador no lo lance dos veces
+        const controller = new AbortController();
+        batchAbortRef.current.set(item.id, controller);
+        updateBatchItem(item.id, { status: 'analyzing', error: null });
+        try {
+            const [prepared, captura] = await Promise.all([prepareImage(item.file), readCaptureMetadata(item.file)]);
+            const hashes = await computeImageHashes(item.file, prepared.thumbnail);
+            // Una foto ya analizada espera a que el usuario decida si repetir el análisis
+            if (!item.duplicate) {
+                const duplicate = await findDuplicateAnalysis(hashes, item.projectId);
+                if (duplicate) {
+                    updateBatchItem(item.id, { status: 'duplicate', duplicate });
+                    return;
+                }
+            }
+            const result = await identifyMacroinvertebrate(prepared.base64, prepared.mimeType, { idioma: locale }, { signal: controller.signal });
+            // Los lotes se guardan sin confirmar; se verifican después desde el historial
+            const record = { ...buildAnalysisRecord(result), duplicadoDe: item.duplicate?.analysis.id || null };
+            const saved = await saveAnalysis(record, { original: item.file, thumbnail: prepared.thumbnail, captura, hashes, projectId: item.projectId });
+            if (!saved) throw Object.assign(new Error("No se pudo guardar en el historial."), { clave: 'error.guardarAnalisis' });
+            updateBatchItem(item.id, { status: 'done', result });
+        } catch (e) {
+            if (isCancellation(e)) {
+                updateBatchItem(item.id, { status: 'cancelled', error: null });
+                return;
+            }
+            console.error(`Error al procesar ${item.file.name}:`, e);
+            // Sin red, la foto pasa a la cola persistente en lugar de perderse
+            if (isNetworkError(e) && await queueOfflineCapture(item.file)) {
+                updateBatchItem(item.id, { status: 'offline', error: null });
+                return;
+            }
+            updateBatchItem(item.id, { status: 'failed', error: e });
+        } finally {
+            batchAbortRef.current.delete(item.id);
+        }
+    }, [saveAnalysis, findDuplicateAnalysis, updateBatchItem, queueOfflineCapture, locale]);
+
+    // Planificador: lanza elementos pendientes mientras haya cupo de concurrencia.
+    // Los elementos en curso se cuentan desde batchAbortRef, que se actualiza al instante:
+    // el estado 'analyzing' aún no se ve si el efecto se repite (p. ej. en StrictMode)
+    useEffect(() => {
+        if (!isAuthReady) return;
+
+        const enCurso = batchAbortRef.current;
+        const slots = BATCH_CONCURRENCY - enCurso.size;
+        if (slots <= 0) return;
+
+        batchQueue
+            .filter(item => item.status === 'pending' && !enCurso.has(item.id))
+            .slice(0, slots)
+            .forEach(processBatchItem);
+    }, [batchQueue, isAuthReady, processBatchItem]);
+
+    const retryBatchItem = (id) => updateBatchItem(id, { status: 'pending', error: null });
+
+    // Los pendientes no se envían y se cortan las solicitudes en curso al proveedor
+    const cancelBatch = () => {
+        setBatchQueue(queue => queue.map(item => item.status === 'pending' ? { ...item, status: 'cancelled' } : item));
+        batchAbortRef.current.forEach(controller => controller.abort());
+    };
+
+    const clearFinishedBatchItems = () => {
+        setBatchQueue(queue => queue.filter(item => item.status === 'pending' || item.status === 'analyzing'));
+    };
+
+    const batchCounts = useMemo(() => batchQueue.reduce((counts, item) => {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+        return counts;
+    }, {}), [batchQueue]);
+
+    // --- LÓGICA DE ANÁLISIS (IMAGEN INDIVIDUAL) ---
+    // La identificación la resuelve el proveedor configurado (Gemini o simulado)
+
+    // Foto sin editar cuando la que se analiza salió del editor
+    const uneditedFile = sourceFile && imageFile && imageFile !== sourceFile ? sourceFile : null;
+
+    const analyzeImage = useCallback(async () => {
+        if (!base64Image || !isAuthReady) {
+            setError({ clave: 'error.sinImagen' });
+            return;
+        }
+
+        setIsLoading(true);
+        setError(null);
+        setOfflineNotice(null);
+        setAnalysisResult(null);
+
+        setIsResultSaved(false);
+
+        const controller = new AbortController();
+        analysisAbortRef.current = controller;
+
+        try {
+            if (!navigator.onLine) throw new TypeError("Sin conexión.");
+            const parsedJson = await identifyMacroinvertebrate(base64Image, PREPARED_MIME_TYPE, {
+                idioma: locale,
+                longitudMm: captureMetadata.medicion?.longitudEstimadaMm,
+            }, { signal: controller.signal });
+
+            // El resultado se guarda cuando el usuario lo confirma o corrige
+            setAnalysisResult(parsedJson);
+        } catch (e) {
+            if (isCancellation(e)) {
+                // Cancelado por el usuario o porque se cargó otra foto: no es un error
+            } else if (isNetworkError(e) && await queueOfflineCapture(imageFile, null, captureMetadata, uneditedFile)) {
+                setOfflineNotice('offline.fotoGuardada');
+            } else {
+                console.error("Error en la identificación:", e);
+                // Los errores clasificados tienen su propio mensaje; el resto se atribuye al proveedor
+                setError(e.codigo ? e : { clave: 'error.proveedor', params: { proveedor: identificationProvider.nombre, detalle: e.message || t('comun.errorDesconocido') } });
+            }
+        } finally {
+            if (analysisAbortRef.current === controller) {
+                analysisAbortRef.current = null;
+                setIsLoading(false);
+            }
+        }
+    }, [base64Image, imageFile, uneditedFile, captureMetadata, isAuthReady, queueOfflineCapture, locale, t]);
+
+    const cancelAnalysis = () => analysisAbortRef.current?.abort();
 
-// Componente principal de la aplicación
-const App = () => {
-    const { db, userId, isAuthReady } = useFirebase();
-    const [imageFile, setImageFile] = useState(null);
-    const [base64Image, setBase64Image] = useState(null);
-    const [analysisResult, setAnalysisResult] = useState(null);
-    const [history, setHistory] = useState([]);
-    const [isLoading, setIsLoading] = useState(false);
-    const [error, setError] = useState(null);
-    const [activeTab, setActiveTab] = useState('upload'); // 'upload' o 'history'
+    // Descarta la foto nueva y deja el análisis anterior como resultado
+    const reuseDuplicate = () => {
+        imageLoadRef.current++;
+        setSourceFile(null);
+        setImageFile(null);
+        setBase64Image(null);
+        setThumbnailBlob(null);
+        setImageHashes(null);
+        setCaptureMetadata(EMPTY_CAPTURE_METADATA);
+        setDuplicateMatch(match => ({ ...match, reutilizado: true }));
+    };
 
-    // Componente del logo: Usa la imagen cargada directamente
-    const MacroSearchLogo = () => (
-        <img
-            src={LOGO_URL}
-            alt="MacroSearch UTN-IMRH Logo"
-            className="h-12 w-auto" // Aumentado el tamaño para que sea más visible en la parte superior
-            onError={(e) => { e.target.onerror = null; e.target.src = "https://placehold.co/120x40/ffffff/0e7490?text=MacroSearch"; }}
-        />
-    );
+    // El nuevo análisis queda enlazado al anterior para poder excluirlo de los recuentos
+    const rerunDuplicate = () => {
+        setDuplicateOfId(duplicateMatch.analysis.id);
+        setDuplicateMatch(null);
+        analyzeImage();
+    };
 
-    // --- LÓGICA DE FIREBASE FIRESTORE ---
+    // Guarda el resultado actual con la identificación elegida (o sin confirmar si seleccion es null)
+    const saveReviewedResult = useCallback(async (seleccion) => {
+        if (!analysisResult) return;
+        const record = { ...buildAnalysisRecord(analysisResult, seleccion), duplicadoDe: duplicateOfId };
 
-    // Colección de análisis de usuario (ruta privada)
-    const getAnalysisCollectionRef = useCallback(() => {
-        if (db && userId) {
-            return collection(db, artifacts/${appId}/users/${userId}/analyses);
+        // Storage no encola subidas: sin red se guarda todo en el dispositivo
+        if (!navigator.onLine) {
+            if (await queueOfflineCapture(imageFile, record, captureMetadata, uneditedFile)) {
+                setOfflineNotice('offline.analisisGuardado');
+                setIsResultSaved(true);
+            }
+            return;
         }
-        return null;
-    }, [db, userId]);
 
-    // 1. Cargar Historial (Tiempo Real con onSnapshot)
-    useEffect(() => {
-        if (!isAuthReady || !db || !userId) return;
+        const saved = await saveAnalysis(record, {
+            original: uneditedFile || imageFile,
+            edited: uneditedFile ? imageFile : null,
+            thumbnail: thumbnailBlob,
+            captura: captureMetadata,
+            hashes: imageHashes,
+        });
+        if (saved) setIsResultSaved(true);
+    }, [analysisResult, imageFile, uneditedFile, thumbnailBlob, captureMetadata, imageHashes, duplicateOfId, saveAnalysis, queueOfflineCapture]);
 
+    // Confirma o corrige un análisis ya guardado
+    const confirmAnalysis = useCallback(async (item, seleccion) => {
         const collectionRef = getAnalysisCollectionRef();
         if (!collectionRef) return;
 
-        // Consultar ordenado por fecha descendente
-        const q = query(collectionRef, orderBy('timestamp', 'desc'));
+        try {
+            await updateDoc(doc(collectionRef, item.id), buildConfirmationUpdate(item, seleccion));
+            setReviewingId(null);
+            setCountsRevision(n => n + 1);
+        } catch (e) {
+            console.error("Error al confirmar el análisis: ", e);
+            setError({ clave: 'error.guardarConfirmacion' });
+        }
+    }, [getAnalysisCollectionRef]);
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const analyses = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setHistory(analyses);
-        }, (error) => {
-            console.error("Error al cargar el historial:", error);
-            setError("Error al cargar el historial de Firebase.");
-        });
+    // --- PROYECTOS DEL EQUIPO ---
 
-        return () => unsubscribe();
-    }, [isAuthReady, db, userId, getAnalysisCollectionRef]);
+    // Al cambiar de espacio se descartan filtros, selección y el deshacer pendiente del espacio anterior
+    const switchWorkspace = useCallback((projectId) => {
+        finalizePendingDelete();
+        setActiveProjectId(projectId || null);
+        if (projectId) localStorage.setItem(ACTIVE_PROJECT_STORAGE_KEY, projectId);
+        else localStorage.removeItem(ACTIVE_PROJECT_STORAGE_KEY);
+        setHistoryPages([]);
+        setHistoryCursors([]);
+        setSamplingEvents([]);
+        setMapItems([]);
+        setStatsItems([]);
+        setPlacingId('');
+        setHistoryFilters(EMPTY_HISTORY_FILTERS);
+        setSelectedIds([]);
+        setSelectedEventId('');
+        setEventSpecimens({});
+        setEditingId(null);
+        setReviewingId(null);
+        setConfirmDeleteId(null);
+        setDuplicateMatch(null); // Se comprobó contra el historial del otro espacio
+        setDuplicateOfId(null);
+    }, [finalizePendingDelete]);
 
-    // 2. Guardar un Análisis
-    const saveAnalysis = useCallback(async (analysisData, imageUrl) => {
-        if (!db || !userId) return;
+    // Si el usuario deja de ser miembro del proyecto activo, vuelve a su espacio personal
+    useEffect(() => {
+        if (projectsReady && activeProjectId && !activeProject) switchWorkspace(null);
+    }, [projectsReady, activeProjectId, activeProject, switchWorkspace]);
 
-        try {
-            const collectionRef = getAnalysisCollectionRef();
-            if (!collectionRef) throw new Error("Referencia de colección no disponible.");
+    const createProject = useCallback(async ({ nombre, descripcion, alias }) => {
+        const collectionRef = getProjectsCollectionRef();
+        if (!collectionRef || !userId) return false;
 
-            await addDoc(collectionRef, {
-                ...analysisData,
-                imageUrl: imageUrl, // Guardamos el Base64 para mostrar en el historial
-                timestamp: serverTimestamp(),
+        try {
+            const projectRef = await addDoc(collectionRef, {
+                nombre,
+                descripcion,
+                ownerId: userId,
+                miembrosIds: [userId],
+                roles: { [userId]: 'owner' },
+                nombres: { [userId]: alias },
+                creadoEn: serverTimestamp(),
             });
-            console.log("Análisis guardado exitosamente.");
+            switchWorkspace(projectRef.id);
+            return true;
         } catch (e) {
-            console.error("Error al guardar el análisis en Firestore: ", e);
-            // Mostrar un error en la interfaz si es crítico
-            setError("No se pudo guardar el análisis en el historial.");
+            console.error("Error al crear el proyecto: ", e);
+            setError({ clave: 'error.crearProyecto' });
+            return false;
         }
-    }, [db, userId, getAnalysisCollectionRef]);
+    }, [getProjectsCollectionRef, userId, switchWorkspace]);
 
-    // --- LÓGICA DE CARGA DE IMAGEN ---
+    // Las reglas solo permiten añadirse a uno mismo con el rol que indica una invitación vigente
+    const joinProject = useCallback(async (code, alias) => {
+        const invitationsRef = getInvitationsCollectionRef();
+        const projectsRef = getProjectsCollectionRef();
+        if (!invitationsRef || !projectsRef || !userId) return false;
 
-    const handleImageChange = (event) => {
-        const file = event.target.files[0];
-        if (file) {
-            if (file.size > 5 * 1024 * 1024) { // Limite de 5MB
-                setError("La imagen es demasiado grande. Por favor, usa un archivo menor a 5MB.");
-                setImageFile(null);
-                setBase64Image(null);
-                return;
+        try {
+            const invitationRef = doc(invitationsRef, code);
+            const invitationSnap = await getDoc(invitationRef);
+            const { projectId, rol, expiraEn, usadaPor = null } = invitationSnap.exists() ? invitationSnap.data() : {};
+            const yaEsMiembro = projects.some(project => project.id === projectId);
+            if (!projectId || (!yaEsMiembro && (expiraEn.toDate() < new Date() || usadaPor))) {
+                setError({ clave: 'error.invitacionInvalida' });
+                return false;
             }
 
-            setImageFile(file);
-            setAnalysisResult(null); // Limpiar resultados anteriores
+            // La invitación es de un solo uso: se marca en el mismo lote que añade al miembro
+            if (!yaEsMiembro) {
+                const batch = writeBatch(db);
+                batch.update(doc(projectsRef, projectId), {
+                    miembrosIds: arrayUnion(userId),
+                    [`roles.${userId}`]: rol,
+                    [`nombres.${userId}`]: alias,
+                    invitacionUsada: code,
+                });
+                batch.update(invitationRef, { usadaPor: userId, usadaEn: serverTimestamp() });
+                await batch.commit();
+            }
+            switchWorkspace(projectId);
+            setError(null);
+            return true;
+        } catch (e) {
+            console.error("Error al unirse al proyecto: ", e);
+            setError({ clave: 'error.unirseProyecto' });
+            return false;
+        }
+    }, [db, getInvitationsCollectionRef, getProjectsCollectionRef, userId, projects, switchWorkspace]);
+
+    const createInvitation = useCallback(async (rol) => {
+        const collectionRef = getInvitationsCollectionRef();
+        if (!collectionRef || !activeProject) return false;
 
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                const base64 = reader.result.split(',')[1];
-                setBase64Image(base64);
-            };
-            reader.readAsDataURL(file);
+        try {
+            await setDoc(doc(collectionRef, createInvitationCode()), {
+                projectId: activeProject.id,
+                rol,
+                creadoPor: userId,
+                creadoEn: serverTimestamp(),
+                expiraEn: Timestamp.fromMillis(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+            });
+            return true;
+        } catch (e) {
+            console.error("Error al crear la invitación: ", e);
+            setError({ clave: 'error.crearInvitacion' });
+            return false;
         }
-    };
+    }, [getInvitationsCollectionRef, activeProject, userId]);
 
-    // --- LÓGICA DE LA API GEMINI (VISION + ESTRUCTURADO) ---
+    const revokeInvitation = useCallback(async (code) => {
+        const collectionRef = getInvitationsCollectionRef();
+        if (!collectionRef) return;
 
-    const analyzeImage = useCallback(async () => {
-        if (!base64Image || !isAuthReady) {
-            setError("Por favor, sube una imagen primero.");
-            return;
+        try {
+            await deleteDoc(doc(collectionRef, code));
+        } catch (e) {
+            console.error("Error al revocar la invitación: ", e);
+            setError({ clave: 'error.revocarInvitacion' });
         }
+    }, [getInvitationsCollectionRef]);
 
-        setIsLoading(true);
-        setError(null);
-        setAnalysisResult(null);
+    const changeMemberRole = useCallback(async (uid, rol) => {
+        const collectionRef = getProjectsCollectionRef();
+        if (!collectionRef || !activeProject) return;
 
-        // Estructura de esquema JSON deseada para el análisis
-        const responseSchema = {
-            type: "OBJECT",
-            properties: {
-                nombreCientifico: { "type": "STRING", "description": "Nombre científico (ej. Ephemeroptera o el más específico posible)" },
-                nombreComun: { "type": "STRING", "description": "Nombre común (ej. Mosca de mayo, si aplica)" },
-                informacionBasica: { "type": "STRING", "description": "Una descripción concisa y relevante del macroinvertebrado, su hábitat y tamaño." },
-                clasificacion: {
-                    "type": "OBJECT",
-                    "properties": {
-                        "orden": { "type": "STRING" },
-                        "familia": { "type": "STRING" },
-                        "clase": { "type": "STRING" }
-                    },
-                    "description": "Clasificación taxonómica principal."
-                },
-                significadoEcologico: { "type": "STRING", "description": "Su rol como bioindicador de la calidad del agua (ej. Sensible a la contaminación, tolerante)." }
-            },
-            "required": ["nombreCientifico", "nombreComun", "informacionBasica", "clasificacion", "significadoEcologico"]
-        };
+        try {
+            await updateDoc(doc(collectionRef, activeProject.id), { [`roles.${uid}`]: rol });
+        } catch (e) {
+            console.error("Error al cambiar el rol: ", e);
+            setError({ clave: 'error.cambiarRol' });
+        }
+    }, [getProjectsCollectionRef, activeProject]);
 
-        const userPrompt = "Identifica el macroinvertebrado acuático en esta imagen. Proporciona su nombre, información básica, clasificación taxonómica y su significado como bioindicador. Formatea la respuesta como JSON estricto siguiendo el esquema proporcionado.";
+    const removeMember = useCallback(async (uid) => {
+        const collectionRef = getProjectsCollectionRef();
+        if (!collectionRef || !activeProject) return;
 
-        const payload = {
-            contents: [
-                {
-                    role: "user",
-                    parts: [
-                        { text: userPrompt },
-                        {
-                            inlineData: {
-                                mimeType: imageFile.type || "image/jpeg", // Usar el tipo de archivo real
-                                data: base64Image
-                            }
-                        }
-                    ]
-                }
-            ],
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: responseSchema
-            }
-        };
+        try {
+            await updateDoc(doc(collectionRef, activeProject.id), {
+                miembrosIds: arrayRemove(uid),
+                [`roles.${uid}`]: deleteField(),
+                [`nombres.${uid}`]: deleteField(),
+            });
+        } catch (e) {
+            console.error("Error al quitar al miembro: ", e);
+            setError({ clave: 'error.quitarMiembro' });
+        }
+    }, [getProjectsCollectionRef, activeProject]);
 
-        const apiKey = "";
-        const apiUrl = https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey};
-
-        // Implementación de reintento con retroceso exponencial
-        let lastError = null;
-        for (let attempt = 0; attempt < 3; attempt++) {
-            try {
-                const response = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload)
-                });
 
-                if (!response.ok) {
-                    throw new Error(HTTP error! status: ${response.status});
-                }
+    // Componente para renderizar el resultado del análisis
+    const AnalysisCard = ({ analysis, isHistory = false }) => {
+        const sugerencia = analysis.sugerenciaModelo || analysis;
+        const corregido = analysis.identificacionConfirmada && !analysis.identificacionConfirmada.coincideConModelo;
 
-                const result = await response.json();
-                const candidate = result.candidates?.[0];
+        return (
+            <div className={`p-6 rounded-2xl shadow-xl ${isHistory ? 'bg-white/90 border border-sky-100' : 'bg-sky-50 border border-sky-200'}`}>
+                <div className="flex flex-wrap gap-2 mb-2 text-xs">
+                    <span className={`px-2 py-0.5 rounded-full ${confidenceColor(sugerencia.confianza)}`}>
+                        {t('tarjeta.confianza', { valor: formatConfidence(sugerencia.confianza, t('comun.nd')) })}
+                    </span>
+                    {analysis.validacionTaxonomica && (
+                        <span className={`px-2 py-0.5 rounded-full ${ESTADOS_VALIDACION[analysis.validacionTaxonomica.estado].color}`}>
+                            {t(`taxonomia.estado.${analysis.validacionTaxonomica.estado}`)}
+                        </span>
+                    )}
+                    {isHistory && (esConfirmado(analysis) ? (
+                        <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-800">{t('tarjeta.confirmado')}</span>
+                    ) : (
+                        <span className="px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">{t('tarjeta.sinConfirmar')}</span>
+                    ))}
+                </div>
+                <h3 className="text-2xl font-extrabold text-sky-700 mb-2">
+                    {analysis.nombreCientifico}
+                </h3>
+                <p className="text-lg italic text-sky-500 mb-4">{analysis.nombreComun}</p>
+                {corregido && (
+                    <p className="text-sm text-gray-500 mb-4">
+                        {t('tarjeta.sugerenciaModelo')} <span className="italic">{sugerencia.nombreCientifico}</span> ({sugerencia.clasificacion?.familia || t('comun.na')})
+                    </p>
+                )}
 
-                if (candidate && candidate.content?.parts?.[0]?.text) {
-                    const jsonText = candidate.content.parts[0].text;
-                    const parsedJson = JSON.parse(jsonText);
+                <div className="space-y-4">
+                    {/* Información Básica */}
+                    <div>
+                        <h4 className="font-semibold text-sky-800 border-b pb-1 mb-1">{t('tarjeta.informacionBasica')}</h4>
+                        <p className="text-gray-700 leading-relaxed">{analysis.informacionBasica || t('tarjeta.sinDescripcion')}</p>
+                        {analysis.medicion && (
+                            <p className="text-sm text-gray-500 mt-1">
+                                {t('tarjeta.longitud', { mm: analysis.medicion.longitudEstimadaMm })}
+                            </p>
+                        )}
+                    </div>
 
-                    setAnalysisResult(parsedJson);
+                    {/* Clasificación */}
+                    <div>
+                        <h4 className="font-semibold text-sky-800 border-b pb-1 mb-1">{t('tarjeta.clasificacion')}</h4>
+                        <ul className="list-disc list-inside text-gray-700 ml-2">
+                            {NIVELES_TAXONOMICOS.map(campo => (
+                                <li key={campo}>*{t(`taxonomia.nivel.${campo}`)}:* {analysis.clasificacion?.[campo] || t('comun.na')}</li>
+                            ))}
+                        </ul>
+                        {analysis.validacionTaxonomica?.nombreComunCatalogo && (
+                            <p className="text-sm text-gray-500 mt-1">{t('tarjeta.nombreReferencia', { nombre: analysis.validacionTaxonomica.nombreComunCatalogo })}</p>
+                        )}
+                        {analysis.validacionTaxonomica?.correcciones?.length > 0 && (
+                            <p className="text-xs text-gray-500 mt-1">
+                                {t('tarjeta.normalizado')} {analysis.validacionTaxonomica.correcciones.map(c => `${c.original} → ${c.canonico}`).join(', ')}
+                            </p>
+                        )}
+                        {analysis.validacionTaxonomica?.avisos?.map((aviso, index) => (
+                            <p key={index} className="text-xs text-orange-700 mt-1">{aviso}</p>
+                        ))}
+                    </div>
 
-                    // Guardar en el historial
-                    const imageUrl = data:${imageFile.type};base64,${base64Image};
-                    await saveAnalysis(parsedJson, imageUrl);
+                    {/* Significado Ecológico */}
+                    <div>
+                        <h4 className="font-semibold text-sky-800 border-b pb-1 mb-1">{t('tarjeta.significadoEcologico')}</h4>
+                        <p className="text-gray-700 leading-relaxed">
+                            {analysis.significadoEcologico
+                                || t('tarjeta.categoriaFamilia', { categoria: t(`categoria.${categoriaBioindicador(analysis)}`) })}
+                        </p>
+                    </div>
 
-                    setIsLoading(true);
-                    return; // Éxito
-                } else {
-                    throw new Error("Respuesta de Gemini inválida o vacía.");
-                }
-            } catch (e) {
-                lastError = e;
-                console.error(Intento ${attempt + 1} fallido:, e);
-                    await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000)); // 1s, 2s
-                
-            }
-        }
+                    {/* Anotaciones de campo */}
+                    {analysis.anotaciones && (
+                        <div>
+                            <h4 className="font-semibold text-sky-800 border-b pb-1 mb-1">{t('tarjeta.anotaciones')}</h4>
+                            <ul className="text-sm text-gray-700 space-y-0.5">
+                                {analysis.anotaciones.numeroIndividuos !== null && <li>{t('campo.anotaciones.numeroIndividuos')}: {analysis.anotaciones.numeroIndividuos}</li>}
+                                {analysis.anotaciones.estadioVida && <li>{t('campo.anotaciones.estadioVida')}: {t(`estadio.${analysis.anotaciones.estadioVida}`)}</li>}
+                                {analysis.anotaciones.microhabitat && <li>{t('campo.anotaciones.microhabitat')}: {analysis.anotaciones.microhabitat}</li>}
+                                {analysis.anotaciones.colector && <li>{t('campo.anotaciones.colector')}: {analysis.anotaciones.colector}</li>}
+                                {analysis.anotaciones.notas && <li className="whitespace-pre-line">{t('campo.anotaciones.notas')}: {analysis.anotaciones.notas}</li>}
+                            </ul>
+                            {analysis.anotaciones.etiquetas?.length > 0 && (
+                                <div className="flex flex-wrap gap-1 mt-2">
+                                    {analysis.anotaciones.etiquetas.map(etiqueta => (
+                                        <span key={etiqueta} className="px-2 py-0.5 rounded-full bg-sky-100 text-sky-700 text-xs">{etiqueta}</span>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
 
-        setError(Error al comunicarse con Gemini: ${lastError.message || "Fallo después de múltiples reintentos."});
-        setIsLoading(false);
+                    {/* Registro de cambios hechos por personas */}
+                    {analysis.historialCambios?.length > 0 && (
+                        <details className="text-xs text-gray-500">
+                            <summary className="cursor-pointer">{t('tarjeta.editado', { n: analysis.historialCambios.length })}</summary>
+                            <ul className="mt-2 space-y-2">
+                                {analysis.historialCambios.slice().reverse().map((entrada, index) => (
+                                    <li key={index}>
+                                        <p className="font-medium">{entrada.fecha ? formatDateTime(entrada.fecha) : ''}</p>
+                                        {entrada.cambios.map(c => (
+                                            <p key={c.campo}>{t(`campo.${c.campo}`)}: {formatCambio(c.anterior)} → {formatCambio(c.nuevo)}</p>
+                                        ))}
+                                    </li>
+                                ))}
+                            </ul>
+                        </details>
+                    )}
+                </div>
+                {isHistory && (
+                    <p className="text-xs text-gray-400 mt-4 text-right">
+                        {t('tarjeta.analizadoEl', { fecha: analysis.timestamp ? formatDate(analysis.timestamp) : t('comun.na') })}
+                        {activeProject && analysis.creadoPor && ` · ${t('tarjeta.por', { nombre: nombreMiembro(activeProject, analysis.creadoPor, t) })}`}
+                        {analysis.idioma && analysis.idioma !== locale && ` · ${t('tarjeta.generadoEn', { idioma: IDIOMAS[analysis.idioma]?.nombre || analysis.idioma })}`}
+                    </p>
+                )}
+            </div>
+        );
+    };
 
-    }, [base64Image, imageFile, isAuthReady, saveAnalysis]);
+    // --- EXPORTACIÓN DEL HISTORIAL ---
 
+    const eventsById = useMemo(() => Object.fromEntries(samplingEvents.map(event => [event.id, event])), [samplingEvents]);
 
-    // Componente para renderizar el resultado del análisis
-    const AnalysisCard = ({ analysis, isHistory = false }) => (
-        <div className={p-6 rounded-2xl shadow-xl ${isHistory ? 'bg-white/90 border border-sky-100' : 'bg-sky-50 border border-sky-200'}}>
-            <h3 className="text-2xl font-extrabold text-sky-700 mb-2">
-                {analysis.nombreCientifico}
-            </h3>
-            <p className="text-lg italic text-sky-500 mb-4">{analysis.nombreComun}</p>
-
-            <div className="space-y-4">
-                {/* Información Básica */}
-                <div>
-                    <h4 className="font-semibold text-sky-800 border-b pb-1 mb-1">Información Básica</h4>
-                    <p className="text-gray-700 leading-relaxed">{analysis.informacionBasica}</p>
-                </div>
+    const filteredHistory = useMemo(() => (
+        history.filter(item => matchesClientFilters(item, historyFilters))
+    ), [history, historyFilters]);
 
-                {/* Clasificación */}
-                <div>
-                    <h4 className="font-semibold text-sky-800 border-b pb-1 mb-1">Clasificación Taxonómica</h4>
-                    <ul className="list-disc list-inside text-gray-700 ml-2">
-                        <li>*Clase:* {analysis.clasificacion?.clase || 'N/A'}</li>
-                        <li>*Orden:* {analysis.clasificacion?.orden || 'N/A'}</li>
-                        <li>*Familia:* {analysis.clasificacion?.familia || 'N/A'}</li>
-                    </ul>
-                </div>
+    // Los filtros de Firestore reinician la paginación; texto y categoría solo filtran lo cargado
+    const applyHistoryFilters = useCallback((changes) => {
+        setHistoryFilters(current => ({ ...current, ...changes }));
+        setHistoryPages([]);
+        setHistoryCursors([]);
+        setSelectedIds([]);
+    }, []);
 
-                {/* Significado Ecológico */}
-                <div>
-                    <h4 className="font-semibold text-sky-800 border-b pb-1 mb-1">Significado Ecológico (Bioindicador)</h4>
-                    <p className="text-gray-700 leading-relaxed">{analysis.significadoEcologico}</p>
-                </div>
-            </div>
-            {isHistory && (
-                <p className="text-xs text-gray-400 mt-4 text-right">
-                    Analizado el: {analysis.timestamp?.toDate ? analysis.timestamp.toDate().toLocaleDateString() : 'N/A'}
-                </p>
-            )}
-        </div>
-    );
+    const updateClientHistoryFilters = useCallback((changes) => {
+        setHistoryFilters(current => ({ ...current, ...changes }));
+    }, []);
+
+    const loadMoreHistory = useCallback(() => {
+        const cursor = lastHistoryDocRef.current;
+        if (!hasMoreHistory || !cursor) return;
+        // El observador puede dispararse de nuevo antes de que llegue la página nueva
+        lastHistoryDocRef.current = null;
+        setHistoryCursors(current => [...current, cursor]);
+    }, [hasMoreHistory]);
+
+    // Scroll infinito: pedir otra página cuando el final de la lista entra en pantalla
+    useEffect(() => {
+        if (!historySentinel || !hasMoreHistory) return;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) loadMoreHistory();
+        }, { rootMargin: '200px' });
+        observer.observe(historySentinel);
+        return () => observer.disconnect();
+    }, [historySentinel, hasMoreHistory, loadMoreHistory]);
+
+    const selectedItems = useMemo(() => (
+        filteredHistory.filter(item => selectedIds.includes(item.id))
+    ), [filteredHistory, selectedIds]);
+
+    // Se exportan los seleccionados; si no hay selección, todo lo filtrado, no solo las páginas cargadas
+    const fetchExportItems = useCallback(async () => {
+        if (selectedItems.length) return selectedItems;
+        const collectionRef = getAnalysisCollectionRef();
+        if (!collectionRef) return [];
+        const snapshot = await getDocs(query(collectionRef, ...buildHistoryConstraints(historyFilters)));
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(item => matchesClientFilters(item, historyFilters));
+    }, [selectedItems, getAnalysisCollectionRef, historyFilters]);
+
+    // Reúne los análisis y entrega el resultado a exportar; sin coincidencias no descarga nada
+    const runExport = useCallback(async (exportar) => {
+        setIsExporting(true);
+        try {
+            const items = await fetchExportItems();
+            if (items.length) exportar(items);
+            else setError({ clave: 'error.exportarVacio' });
+        } catch (e) {
+            console.error("Error al reunir los análisis para exportar:", e);
+            setError({ clave: 'error.exportar' });
+        } finally {
+            setIsExporting(false);
+        }
+    }, [fetchExportItems]);
+
+    const toggleSelected = useCallback((id) => {
+        setSelectedIds(ids => ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+    }, []);
+
+    const exportCSV = useCallback(() => runExport((items) => {
+        // BOM para que las hojas de cálculo reconozcan UTF-8 (tildes)
+        downloadFile(`macrosearch-${formatIsoDate(new Date())}.csv`, '\uFEFF' + toCSV(items, analysisCsvColumns(eventsById)), 'text/csv;charset=utf-8');
+    }), [runExport, eventsById]);
+
+    const exportDarwinCore = useCallback(() => runExport((items) => {
+        downloadFile(`occurrence-${formatIsoDate(new Date())}.csv`, toCSV(items, darwinCoreColumns(eventsById)), 'text/csv;charset=utf-8');
+    }), [runExport, eventsById]);
+
+    // La ventana se abre antes de consultar: los navegadores bloquean las ventanas que no siguen a un clic
+    const printReport = useCallback(() => {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            setError({ clave: 'error.ventanaInforme' });
+            return;
+        }
+        runExport((items) => {
+        // Esperar a que carguen las miniaturas antes de abrir el diálogo de impresión. El manejador va
+        // antes de escribir (si las imágenes están en caché, load se dispara durante close()) y después
+        // de open(), que borra los manejadores de la ventana
+            reportWindow.document.open();
+            reportWindow.onload = () => reportWindow.print();
+            reportWindow.document.write(buildPrintableReport(items, eventsById, i18n));
+            reportWindow.document.close();
+        }).finally(() => {
+            // Sin nada que imprimir (o si la consulta falló) la ventana quedaría en blanco
+            if (!reportWindow.closed && !reportWindow.document.body?.childElementCount) reportWindow.close();
+        });
+    }, [runExport, eventsById, i18n]);
+
+    // Qué tan seguido coincide el modelo con la identificación confirmada
+    const verificationStats = useMemo(() => ({
+        confirmados: historyCounts.confirmados,
+        aciertos: historyCounts.aciertos,
+        pendientes: historyCounts.total - historyCounts.confirmados,
+    }), [historyCounts]);
 
     // Renderizado del historial
     const HistoryView = useMemo(() => (
         <div className="p-4 sm:p-6 lg:p-8">
-            <h2 className="text-3xl font-bold text-sky-800 mb-6 border-b pb-2">Historial de Análisis ({history.length})</h2>
-            <p className='text-sm text-gray-500 mb-6'>
-                ID de Usuario: <span className='font-mono text-xs p-1 bg-gray-100 rounded'>{userId || 'Cargando...'}</span>
-            </p>
-            {isLoading && (<div className="text-center text-sky-600 my-4">Cargando historial...</div>)}
-            {!isAuthReady && (<div className="text-center text-red-500 my-4">Autenticando...</div>)}
-            {error && activeTab === 'history' && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{error}</div>}
+            <h2 className="text-3xl font-bold text-sky-800 mb-6 border-b pb-2">{t('historial.titulo', { n: historyCounts.total })}</h2>
+            <AccountPanel account={account} actions={accountActions} />
+            {verificationStats.confirmados > 0 && (
+                <p className='text-sm text-gray-500 mb-6'>
+                    {t('historial.verificacion', { n: verificationStats.confirmados, pct: Math.round(verificationStats.aciertos / verificationStats.confirmados * 100) })}
+                    {verificationStats.pendientes > 0 && ` · ${t('historial.pendientesConfirmar', { n: verificationStats.pendientes })}`}
+                </p>
+            )}
+            {isLoading && (<div className="text-center text-sky-600 my-4">{t('historial.cargando')}</div>)}
+            {!isAuthReady && (<div className="text-center text-red-500 my-4">{t('app.autenticando')}</div>)}
+            {error && activeTab === 'history' && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{uiErrorMessage(error, t)}</div>}
+            {legacyImageCount > 0 && permisos.puedeRevisar && (
+                <div className="flex flex-wrap items-center justify-between gap-2 bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded mb-4 text-sm">
+                    <span>{t('historial.imagenesAntiguas', { n: legacyImageCount })}</span>
+                    <button
+                        onClick={migrateLegacyImages}
+                        disabled={isMigrating}
+                        className="px-3 py-1 rounded-full bg-yellow-600 text-white font-medium hover:bg-yellow-700 disabled:bg-yellow-400"
+                    >
+                        {isMigrating ? t('historial.migrando') : t('historial.migrar')}
+                    </button>
+                </div>
+            )}
+
+            <HistoryFiltersBar
+                filters={historyFilters}
+                samplingEvents={samplingEvents}
+                onApply={applyHistoryFilters}
+                onChange={updateClientHistoryFilters}
+            />
+
+            {/* Exportación */}
+            <div className="flex flex-wrap items-center gap-3 bg-white p-4 rounded-xl shadow mb-6 text-sm">
+                <span className="text-gray-500">
+                    {selectedItems.length
+                        ? t('historial.seleccionados', { n: selectedItems.length })
+                        : `${t('historial.cargados', { n: filteredHistory.length })} · ${t('historial.exportaFiltrado')}`}
+                </span>
+                {selectedIds.length > 0 && (
+                    <button onClick={() => setSelectedIds([])} className="text-sky-600 hover:underline">{t('historial.quitarSeleccion')}</button>
+                )}
+                <div className="flex flex-wrap gap-2 ml-auto">
+                    <button onClick={exportCSV} disabled={!history.length || isExporting} className="px-3 py-2 rounded-full bg-sky-50 text-sky-700 font-medium hover:bg-sky-100 disabled:text-gray-300">CSV</button>
+                    <button onClick={exportDarwinCore} disabled={!history.length || isExporting} className="px-3 py-2 rounded-full bg-sky-50 text-sky-700 font-medium hover:bg-sky-100 disabled:text-gray-300">Darwin Core</button>
+                    <button onClick={printReport} disabled={!history.length || isExporting} className="px-3 py-2 rounded-full bg-sky-600 text-white font-medium hover:bg-sky-700 disabled:bg-sky-300">{t('historial.informePdf')}</button>
+                </div>
+            </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {history.map((item) => (
+                {filteredHistory.map((item) => (
                     <div key={item.id} className="flex flex-col bg-white rounded-xl shadow-lg hover:shadow-2xl transition duration-300">
-                        <div className="w-full h-40 bg-gray-100 rounded-t-xl overflow-hidden flex items-center justify-center border-b border-sky-100">
+                        <div className="relative w-full h-40 bg-gray-100 rounded-t-xl overflow-hidden flex items-center justify-center border-b border-sky-100">
+                            <input
+                                type="checkbox"
+                                checked={selectedIds.includes(item.id)}
+                                onChange={() => toggleSelected(item.id)}
+                                className="absolute top-2 left-2 h-5 w-5 accent-sky-600"
+                                aria-label={t('historial.seleccionarExportar')}
+                            />
                             <img
-                                src={item.imageUrl}
-                                alt="Imagen analizada"
+                                src={getThumbnailSrc(item)}
+                                loading="lazy"
+                                alt={t('historial.imagenAnalizada')}
                                 className="object-cover w-full h-full"
                                 onError={(e) => { e.target.onerror = null; e.target.src = "https://placehold.co/400x200/e0f2f7/0e7490?text=Macro+N/A"; }}
                             />
                         </div>
                         <div className='p-4'>
-                            <AnalysisCard analysis={item} isHistory={true} />
+                            {editingId === item.id ? (
+                                <AnalysisEditor
+                                    item={item}
+                                    onSave={(form) => saveAnalysisEdit(item, form)}
+                                    onCancel={() => setEditingId(null)}
+                                />
+                            ) : (
+                                <>
+                                    <AnalysisCard analysis={item} isHistory={true} />
+                                    {!esConfirmado(item) && permisos.puedeRevisar && (reviewingId === item.id ? (
+                                        <IdentificationReview
+                                            suggestion={item.sugerenciaModelo || extractModelSuggestion(item)}
+                                            onConfirm={(seleccion) => confirmAnalysis(item, seleccion)}
+                                            onCancel={() => setReviewingId(null)}
+                                        />
+                                    ) : (
+                                        <button onClick={() => setReviewingId(item.id)} className="w-full mt-3 px-4 py-2 rounded-xl text-sm font-medium text-sky-700 bg-sky-50 hover:bg-sky-100">
+                                            {t('historial.confirmarIdentificacion')}
+                                        </button>
+                                    ))}
+                                    {confirmDeleteId === item.id ? (
+                                        <div className="mt-3 p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700 flex items-center justify-between gap-2">
+                                            <span>{t('historial.eliminarPregunta')}</span>
+                                            <div className="space-x-2">
+                                                <button onClick={() => setConfirmDeleteId(null)} className="px-3 py-1 rounded-lg text-gray-600 hover:bg-white">{t('comun.cancelar')}</button>
+                                                <button onClick={() => deleteAnalysis(item)} className="px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700">{t('historial.eliminar')}</button>
+                                            </div>
+                                        </div>
+                                    ) : puedeModificarRegistro(permisos, item, userId) && (
+                                        <div className="flex justify-end gap-3 mt-3 text-sm">
+                                            <button onClick={() => setEditingId(item.id)} className="text-sky-600 hover:underline">{t('historial.editar')}</button>
+                                            <button onClick={() => setConfirmDeleteId(item.id)} className="text-red-600 hover:underline">{t('historial.eliminar')}</button>
+                                        </div>
+                                    )}
+                                </>
+                            )}
                         </div>
                     </div>
                 ))}
-                {history.length === 0 && isAuthReady && (
-                    <p className="text-gray-500 md:col-span-3 text-center py-12">Aún no tienes análisis. ¡Ve a la pestaña 'Analizar' para empezar!</p>
+                {history.length === 0 && isAuthReady && !hasServerFilters(historyFilters) && (
+                    <p className="text-gray-500 md:col-span-3 text-center py-12">{t('historial.vacio')}</p>
+                )}
+                {filteredHistory.length === 0 && isAuthReady && (history.length > 0 || hasServerFilters(historyFilters)) && !hasMoreHistory && (
+                    <p className="text-gray-500 md:col-span-3 text-center py-12">{t('historial.sinCoincidencias')}</p>
+                )}
+            </div>
+
+            {hasMoreHistory && (
+                <div ref={setHistorySentinel} className="text-center mt-8">
+                    <button onClick={loadMoreHistory} className="px-4 py-2 rounded-full bg-sky-50 text-sky-700 font-medium hover:bg-sky-100">
+                        {t('historial.cargarMas')}
+                    </button>
+                </div>
+            )}
+        </div>
+    ), [history, isLoading, isAuthReady, error, activeTab, userId, account, accountActions, legacyImageCount, isMigrating, migrateLegacyImages, verificationStats, reviewingId, confirmAnalysis,
+        samplingEvents, historyFilters, filteredHistory, selectedIds, selectedItems, isExporting, toggleSelected, exportCSV, exportDarwinCore, printReport,
+        historyCounts, hasMoreHistory, loadMoreHistory, applyHistoryFilters, updateClientHistoryFilters,
+        editingId, confirmDeleteId, saveAnalysisEdit, deleteAnalysis, activeProject, permisos, i18n]);
+
+
+    // Renderizado de los eventos de muestreo con sus índices BMWP/ASPT
+    const EventsView = useMemo(() => (
+        <div className="p-4 sm:p-6 lg:p-8 grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-1">
+                {permisos.puedeEscribir ? (
+                    <SamplingEventForm onCreate={createSamplingEvent} disabled={!isAuthReady} />
+                ) : (
+                    <p className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 text-sm text-gray-500">{t('eventos.soloLectura')}</p>
+                )}
+            </div>
+
+            <div className="lg:col-span-2 space-y-6">
+                <h2 className="text-3xl font-bold text-sky-800 border-b pb-2">{t('eventos.titulo', { n: samplingEvents.length })}</h2>
+                {error && activeTab === 'events' && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">{uiErrorMessage(error, t)}</div>}
+
+                {samplingEvents.map((event) => {
+                    const especimenes = eventSpecimens[event.id] || [];
+                    const variante = event.variante || 'colombia';
+                    const indice = calcularIndiceBMWP(especimenes, variante);
+
+                    return (
+                        <div key={event.id} className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100">
+                            <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+                                <div>
+                                    <h3 className="text-2xl font-extrabold text-sky-700">{event.sitio}</h3>
+                                    <p className="text-sky-500">{event.rio || t('eventos.rioNoEspecificado')} · {formatDate(event.fecha)}</p>
+                                    {typeof event.latitud === 'number' && <p className="text-xs text-gray-500">{formatCoordinates(event)}</p>}
+                                    {event.notasHabitat && <p className="text-sm text-gray-600 mt-2">{event.notasHabitat}</p>}
+                                </div>
+                                <select
+                                    className="border border-sky-200 rounded-lg px-3 py-1 text-sm"
+                                    value={variante}
+                                    onChange={(e) => updateEventVariant(event.id, e.target.value)}
+                                    disabled={!puedeModificarRegistro(permisos, event, userId)}
+                                >
+                                    {Object.keys(BMWP_VARIANTES).map(clave => (
+                                        <option key={clave} value={clave}>{t(`bmwp.variante.${clave}`)}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div className="grid grid-cols-3 gap-4 mb-4 text-center">
+                                <div className="bg-sky-50 rounded-xl p-3">
+                                    <p className="text-xs uppercase text-sky-600">BMWP</p>
+                                    <p className="text-3xl font-bold text-sky-800">{indice.bmwp}</p>
+                                </div>
+                                <div className="bg-sky-50 rounded-xl p-3">
+                                    <p className="text-xs uppercase text-sky-600">ASPT</p>
+                                    <p className="text-3xl font-bold text-sky-800">{formatNumber(indice.aspt, 2)}</p>
+                                </div>
+                                <div className={`rounded-xl p-3 ${indice.clase ? indice.clase.color : 'bg-gray-100 text-gray-500'}`}>
+                                    <p className="text-xs uppercase">{t('eventos.calidad')}</p>
+                                    <p className="text-lg font-bold">{indice.clase ? t('eventos.clase', { clase: indice.clase.clase }) : t('eventos.sinDatos')}</p>
+                                    {indice.clase && <p className="text-xs">{t(`bmwp.calidad.${variante}.${indice.clase.clase}`)}</p>}
+                                </div>
+                            </div>
+
+                            <h4 className="font-semibold text-sky-800 border-b pb-1 mb-2">{t('eventos.especimenes', { n: especimenes.length })}</h4>
+                            <ul className="divide-y divide-sky-50">
+                                {especimenes.map(item => {
+                                    const puntaje = esConfirmado(item) ? puntajeFamilia(item.clasificacion?.familia, variante) : null;
+                                    return (
+                                        <li key={item.id} className="flex items-center gap-3 py-2">
+                                            <img src={getThumbnailSrc(item)} alt={item.nombreCientifico} className="h-10 w-10 object-cover rounded" />
+                                            <div className="flex-1">
+                                                <p className="font-medium text-gray-800">{item.nombreCientifico}</p>
+                                                <p className="text-xs text-gray-500">
+                                                    {item.clasificacion?.orden || t('comun.na')} · {item.clasificacion?.familia || t('comun.na')}
+                                                    {!esConfirmado(item) && <span className="text-yellow-700"> · {t('eventos.sinConfirmar')}</span>}
+                                                </p>
+                                            </div>
+                                            <span className={`text-sm font-mono px-2 py-1 rounded ${puntaje === null ? 'bg-gray-100 text-gray-400' : 'bg-sky-100 text-sky-800'}`}>
+                                                {puntaje === null ? '—' : puntaje}
+                                            </span>
+                                        </li>
+                                    );
+                                })}
+                                {especimenes.length === 0 && (
+                                    <li className="py-4 text-sm text-gray-500">{t('eventos.sinEspecimenes')}</li>
+                                )}
+                            </ul>
+                            {indice.sinConfirmar > 0 && (
+                                <p className="text-xs text-yellow-700 mt-3">
+                                    {t('eventos.sinConfirmarAviso', { n: indice.sinConfirmar })}
+                                </p>
+                            )}
+                            {indice.familiasSinPuntaje.length > 0 && (
+                                <p className="text-xs text-gray-500 mt-3">
+                                    {t('eventos.familiasSinPuntaje', { variante: t(`bmwp.variante.${variante}`), familias: indice.familiasSinPuntaje.join(', ') })}
+                                </p>
+                            )}
+                        </div>
+                    );
+                })}
+                {samplingEvents.length === 0 && isAuthReady && (
+                    <p className="text-gray-500 text-center py-12">{t('eventos.vacio')}</p>
+                )}
+            </div>
+        </div>
+    ), [samplingEvents, eventSpecimens, isAuthReady, error, activeTab, createSamplingEvent, updateEventVariant, permisos, userId, i18n]);
+
+    // --- MAPA ---
+
+    const mapTaxonOptions = useMemo(() => (
+        [...new Set(mapItems.map(item => item.clasificacion?.[mapFilter.nivel]).filter(Boolean))].sort()
+    ), [mapItems, mapFilter.nivel]);
+
+    const mapPoints = useMemo(() => [
+        ...mapItems
+            .filter(item => !mapFilter.valor || item.clasificacion?.[mapFilter.nivel] === mapFilter.valor)
+            .map(item => ({
+                id: item.id,
+                latitud: item.ubicacion.latitud,
+                longitud: item.ubicacion.longitud,
+                color: MAP_POINT_COLORS[categoriaBioindicador(item)],
+                forma: 'circulo',
+                etiqueta: item.nombreCientifico,
+                detalle: [item.clasificacion?.orden, item.clasificacion?.familia, eventsById[item.eventId]?.sitio, formatDate(collectionDate(item, eventsById[item.eventId]))]
+                    .filter(Boolean).join(' · '),
+            })),
+        ...(mapFilter.sitios ? samplingEvents.filter(event => typeof event.latitud === 'number').map(event => ({
+            id: `sitio-${event.id}`,
+            latitud: event.latitud,
+            longitud: event.longitud,
+            color: MAP_POINT_COLORS.sitio,
+            forma: 'cuadrado',
+            etiqueta: event.sitio,
+            detalle: [event.rio, formatDate(event.fecha)].filter(Boolean).join(' · '),
+        })) : []),
+    ], [mapItems, mapFilter, samplingEvents, eventsById, formatDate]);
+
+    // Solo se ofrecen los análisis ya cargados en el historial que el usuario puede modificar
+    const unlocatedItems = useMemo(() => (
+        history.filter(item => !item.ubicacion && puedeModificarRegistro(permisos, item, userId))
+    ), [history, permisos, userId]);
+
+    const placingItem = unlocatedItems.find(item => item.id === placingId);
+
+    const MapView = useMemo(() => (
+        <div className="p-4 sm:p-6 lg:p-8 grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-2">
+                <h2 className="text-3xl font-bold text-sky-800 mb-6 border-b pb-2">{t('mapa.titulo', { n: mapPoints.length })}</h2>
+                {error && activeTab === 'map' && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{uiErrorMessage(error, t)}</div>}
+                <CoordinateMap
+                    points={mapPoints}
+                    onPick={placingItem ? (coords) => setSpecimenLocation(placingItem, coords) : undefined}
+                    pickHint={placingItem ? t('mapa.ubicarEspecimen', { nombre: placingItem.nombreCientifico }) : null}
+                />
+                {mapItems.length >= MAP_MAX_POINTS && (
+                    <p className="text-xs text-gray-500 mt-2">{t('mapa.limite', { n: MAP_MAX_POINTS })}</p>
+                )}
+            </div>
+
+            <div className="lg:col-span-1 space-y-6">
+                <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 space-y-3 text-sm">
+                    <h3 className="text-xl font-bold text-sky-800 mb-2">{t('mapa.filtrarTaxon')}</h3>
+                    <select
+                        className="w-full border border-sky-200 rounded-lg px-3 py-2"
+                        value={mapFilter.nivel}
+                        onChange={(e) => setMapFilter(current => ({ ...current, nivel: e.target.value, valor: '' }))}
+                    >
+                        {NIVELES_TAXONOMICOS.map(campo => <option key={campo} value={campo}>{t(`taxonomia.nivel.${campo}`)}</option>)}
+                    </select>
+                    <select
+                        className="w-full border border-sky-200 rounded-lg px-3 py-2"
+                        value={mapFilter.valor}
+                        onChange={(e) => setMapFilter(current => ({ ...current, valor: e.target.value }))}
+                    >
+                        <option value="">{t('mapa.todos')}</option>
+                        {mapTaxonOptions.map(valor => <option key={valor} value={valor}>{valor}</option>)}
+                    </select>
+                    <label className="flex items-center gap-2 text-gray-700">
+                        <input type="checkbox" className="accent-sky-600" checked={mapFilter.sitios} onChange={(e) => setMapFilter(current => ({ ...current, sitios: e.target.checked }))} />
+                        {t('mapa.mostrarSitios')}
+                    </label>
+                    <ul className="pt-2 space-y-1 text-xs text-gray-600">
+                        {Object.keys(CATEGORIAS_BIOINDICADOR).map(clave => (
+                            <li key={clave} className="flex items-center gap-2">
+                                <span className="inline-block h-3 w-3 rounded-full" style={{ backgroundColor: MAP_POINT_COLORS[clave] }} />
+                                {t(`categoria.${clave}`)}
+                            </li>
+                        ))}
+                        <li className="flex items-center gap-2">
+                            <span className="inline-block h-3 w-3" style={{ backgroundColor: MAP_POINT_COLORS.sitio }} />
+                            {t('mapa.sitioMuestreo')}
+                        </li>
+                    </ul>
+                </div>
+
+                {(unlocatedItems.length > 0 || hasMoreHistory) && (
+                    <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 space-y-3 text-sm">
+                        <h3 className="text-xl font-bold text-sky-800 mb-2">{t('mapa.sinUbicacion', { n: unlocatedItems.length })}</h3>
+                        <p className="text-gray-500">{t('mapa.sinUbicacionAyuda')}</p>
+                        {hasMoreHistory && <p className="text-xs text-gray-400">{t('mapa.sinUbicacionCargados')}</p>}
+                        <select className="w-full border border-sky-200 rounded-lg px-3 py-2" value={placingId} onChange={(e) => setPlacingId(e.target.value)}>
+                            <option value="">{t('mapa.ninguno')}</option>
+                            {unlocatedItems.map(item => (
+                                <option key={item.id} value={item.id}>
+                                    {item.nombreCientifico} · {formatDate(item.timestamp)}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
                 )}
             </div>
         </div>
-    ), [history, isLoading, isAuthReady, error, activeTab, userId]);
+    ), [mapPoints, mapItems, mapFilter, mapTaxonOptions, unlocatedItems, hasMoreHistory, placingId, placingItem, setSpecimenLocation, error, activeTab, i18n]);
+
+    // --- ESTADÍSTICAS ---
+
+    const statistics = useMemo(() => calcularEstadisticas(statsItems, eventsById, statsOptions, t), [statsItems, eventsById, statsOptions, t]);
+
+    const StatsView = useMemo(() => {
+        const formatPorcentaje = (valor) => `${formatNumber(valor, 1)}%`;
+        const archivo = (nombre) => `macrosearch-${nombre}-${formatIsoDate(new Date())}`;
+        const puntosMes = (campo) => statistics.porMes.map(g => ({ etiqueta: g.grupo, valor: g[campo] }));
+
+        return (
+            <div className="p-4 sm:p-6 lg:p-8 space-y-6">
+                <div className="flex flex-wrap justify-between items-end gap-4 border-b pb-2">
+                    <h2 className="text-3xl font-bold text-sky-800">{t('estadisticas.titulo')}</h2>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            className="accent-sky-600"
+                            checked={statsOptions.soloConfirmados}
+                            onChange={(e) => setStatsOptions(current => ({ ...current, soloConfirmados: e.target.checked }))}
+                        />
+                        {t('estadisticas.soloConfirmados')}
+                    </label>
+                </div>
+                {error && activeTab === 'stats' && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" role="alert">{uiErrorMessage(error, t)}</div>}
+
+                {statistics.analisis === 0 ? (
+                    <p className="text-gray-500">{t(statsOptions.soloConfirmados ? 'estadisticas.vacioConfirmados' : 'estadisticas.vacio')}</p>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            {[
+                                [t('estadisticas.analisis'), formatNumber(statistics.analisis)],
+                                [t('estadisticas.individuos'), formatNumber(statistics.individuos)],
+                                [t('estadisticas.riquezaEpt'), formatNumber(statistics.riqueza)],
+                                [t('estadisticas.porcentajeEpt'), formatPorcentaje(statistics.porcentaje)],
+                            ].map(([etiqueta, valor]) => (
+                                <div key={etiqueta} className="bg-white p-4 rounded-2xl shadow border border-sky-100">
+                                    <p className="text-xs text-gray-500">{etiqueta}</p>
+                                    <p className="text-2xl font-bold text-sky-800">{valor}</p>
+                                </div>
+                            ))}
+                        </div>
+                        {statsItems.length >= STATS_MAX_ANALYSES && (
+                            <p className="text-xs text-gray-500">{t('estadisticas.limite', { n: STATS_MAX_ANALYSES })}</p>
+                        )}
+
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                            <ChartCard titulo={t('estadisticas.grafico.categorias')} archivo={archivo('bioindicadores')} descripcion={t('estadisticas.grafico.categoriasDescripcion')}>
+                                <BarChart datos={statistics.porCategoria} />
+                            </ChartCard>
+                            <ChartCard titulo={t('estadisticas.grafico.clases')} archivo={archivo('clases')}>
+                                <BarChart datos={statistics.porClase} />
+                            </ChartCard>
+                            <ChartCard titulo={t('estadisticas.grafico.ordenes')} archivo={archivo('ordenes')}>
+                                <BarChart datos={statistics.porOrden} />
+                            </ChartCard>
+                            <ChartCard titulo={t('estadisticas.grafico.familias')} archivo={archivo('familias')}>
+                                <BarChart datos={statistics.porFamilia} />
+                            </ChartCard>
+
+                            {statistics.porMes.length > 0 && (
+                                <>
+                                    <ChartCard titulo={t('estadisticas.grafico.eptMes')} archivo={archivo('ept-porcentaje-mensual')} descripcion={t('estadisticas.grafico.eptMesDescripcion')}>
+                                        <LineChart puntos={puntosMes('porcentaje')} color={CHART_COLORS.ept} formato={formatPorcentaje} maximo={100} />
+                                    </ChartCard>
+                                    <ChartCard titulo={t('estadisticas.grafico.riquezaMes')} archivo={archivo('ept-riqueza-mensual')} descripcion={t('estadisticas.grafico.riquezaMesDescripcion')}>
+                                        <LineChart puntos={puntosMes('riqueza')} color={CHART_COLORS.riqueza} />
+                                    </ChartCard>
+                                </>
+                            )}
 
+                            {statistics.porSitio.length > 0 && (
+                                <>
+                                    <ChartCard titulo={t('estadisticas.grafico.eptSitio')} archivo={archivo('ept-porcentaje-sitios')} descripcion={t('estadisticas.grafico.eptSitioDescripcion')}>
+                                        <BarChart datos={statistics.porSitio.map(g => ({ etiqueta: g.grupo, valor: g.porcentaje }))} color={CHART_COLORS.ept} formato={formatPorcentaje} maximo={100} />
+                                    </ChartCard>
+                                    <ChartCard titulo={t('estadisticas.grafico.riquezaSitio')} archivo={archivo('ept-riqueza-sitios')}>
+                                        <BarChart datos={statistics.porSitio.map(g => ({ etiqueta: g.grupo, valor: g.riqueza }))} color={CHART_COLORS.riqueza} />
+                                    </ChartCard>
+                                </>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+        );
+    }, [statistics, statsItems, statsOptions, error, activeTab, i18n]);
 
     // Renderizado principal
     return (
-        <div className="min-h-screen bg-sky-50 font-sans antialiased text-gray-800">
-            {/* Header */}
-            <header className="bg-white shadow-md sticky top-0 z-10">
-                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
-                    <div className="flex items-center">
-                        <MacroSearchLogo />
-                        {/* El nombre del título ya está incluido en la imagen del logo, lo quitamos de aquí */}
-                        {/* <h1 className="text-3xl font-bold text-sky-800">MacroSearch</h1> */}
+        <I18nContext.Provider value={i18n}>
+            <div className="min-h-screen bg-sky-50 font-sans antialiased text-gray-800">
+                {/* Header */}
+                <header className="bg-white shadow-md sticky top-0 z-10">
+                    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+                        <div className="flex items-center gap-4">
+                            <MacroSearchLogo />
+                            {/* El nombre del título ya está incluido en la imagen del logo, lo quitamos de aquí */}
+                            {/* <h1 className="text-3xl font-bold text-sky-800">MacroSearch</h1> */}
+                            {/* Selector del espacio de trabajo */}
+                            <select
+                                className="border border-sky-200 rounded-lg px-3 py-1 text-sm text-sky-800 max-w-[12rem]"
+                                value={activeProjectId || ''}
+                                onChange={(e) => switchWorkspace(e.target.value)}
+                                disabled={!isAuthReady}
+                                aria-label={t('app.espacioTrabajo')}
+                            >
+                                <option value="">{t('app.espacioPersonal')}</option>
+                                {projects.map(project => (
+                                    <option key={project.id} value={project.id}>{project.nombre}</option>
+                                ))}
+                            </select>
+                            {activeProject && (
+                                <span className="hidden sm:inline px-2 py-0.5 rounded-full bg-sky-100 text-sky-700 text-xs">{t(`rol.${rolEnProyecto(activeProject, userId)}`)}</span>
+                            )}
+                        </div>
+                        <nav className="flex items-center space-x-4">
+                            {(!isOnline || isSyncing || pendingCaptures.length > 0) && (
+                                <span className={`px-3 py-1 rounded-full text-xs font-medium ${isOnline ? 'bg-purple-100 text-purple-700' : 'bg-gray-200 text-gray-700'}`}>
+                                    {!isOnline ? t('app.sinConexion') : isSyncing ? t('app.sincronizando') : t('app.pendientes', { n: pendingCaptures.length })}
+                                    {!isOnline && pendingCaptures.length > 0 && ` · ${t('app.pendientes', { n: pendingCaptures.length })}`}
+                                </span>
+                            )}
+                            <button
+                                onClick={() => setActiveTab('upload')}
+                                className={`px-4 py-2 rounded-full font-medium transition duration-300 ${
+                                    activeTab === 'upload' ? 'bg-sky-600 text-white shadow-lg' : 'text-sky-600 hover:bg-sky-100'
+                                }`}
+                            >
+                                {t('app.pestana.upload')}
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('history')}
+                                className={`px-4 py-2 rounded-full font-medium transition duration-300 ${
+                                    activeTab === 'history' ? 'bg-sky-600 text-white shadow-lg' : 'text-sky-600 hover:bg-sky-100'
+                                }`}
+                            >
+                                {t('app.pestana.history')}
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('map')}
+                                className={`px-4 py-2 rounded-full font-medium transition duration-300 ${
+                                    activeTab === 'map' ? 'bg-sky-600 text-white shadow-lg' : 'text-sky-600 hover:bg-sky-100'
+                                }`}
+                            >
+                                {t('app.pestana.map')}
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('stats')}
+                                className={`px-4 py-2 rounded-full font-medium transition duration-300 ${
+                                    activeTab === 'stats' ? 'bg-sky-600 text-white shadow-lg' : 'text-sky-600 hover:bg-sky-100'
+                                }`}
+                            >
+                                {t('app.pestana.stats')}
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('events')}
+                                className={`px-4 py-2 rounded-full font-medium transition duration-300 ${
+                                    activeTab === 'events' ? 'bg-sky-600 text-white shadow-lg' : 'text-sky-600 hover:bg-sky-100'
+                                }`}
+                            >
+                                {t('app.pestana.events')}
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('team')}
+                                className={`px-4 py-2 rounded-full font-medium transition duration-300 ${
+                                    activeTab === 'team' ? 'bg-sky-600 text-white shadow-lg' : 'text-sky-600 hover:bg-sky-100'
+                                }`}
+                            >
+                                {t('app.pestana.team')}
+                            </button>
+                            <select
+                                className="border border-sky-200 rounded-lg px-2 py-1 text-sm text-sky-800"
+                                value={locale}
+                                onChange={(e) => changeLocale(e.target.value)}
+                                aria-label={t('app.idioma')}
+                            >
+                                {Object.entries(IDIOMAS).map(([clave, idioma]) => (
+                                    <option key={clave} value={clave}>{idioma.nombre}</option>
+                                ))}
+                            </select>
+                        </nav>
                     </div>
-                    <nav className="flex space-x-4">
-                        <button
-                            onClick={() => setActiveTab('upload')}
-                            className={`px-4 py-2 rounded-full font-medium transition duration-300 ${
-                                activeTab === 'upload' ? 'bg-sky-600 text-white shadow-lg' : 'text-sky-600 hover:bg-sky-100'
-                            }`}
-                        >
-                            Analizar
-                        </button>
-                        <button
-                            onClick={() => setActiveTab('history')}
-                            className={`px-4 py-2 rounded-full font-medium transition duration-300 ${
-                                activeTab === 'history' ? 'bg-sky-600 text-white shadow-lg' : 'text-sky-600 hover:bg-sky-100'
-                            }`}
-                        >
-                            Historial
-                        </button>
-                    </nav>
-                </div>
-            </header>
+                </header>
 
-            <main className="max-w-7xl mx-auto pb-12">
-                {activeTab === 'upload' && (
-                    <div className="p-4 sm:p-6 lg:p-8 grid grid-cols-1 lg:grid-cols-3 gap-8">
-                        {/* Columna de Carga y Resultados */}
-                        <div className="lg:col-span-1 space-y-8">
-                            <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100">
-                                <h2 className="text-2xl font-bold text-sky-800 mb-4">1. Cargar Imagen</h2>
+                {/* Sin sesión no se puede leer ni guardar nada: se ofrece reintentar */}
+                {authError && !userId && (
+                    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-4">
+                        <div className="flex flex-wrap items-center justify-between gap-2 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">
+                            <span>{t('app.errorSesion', { detalle: authErrorMessage(authError, t) })}</span>
+                            <button onClick={retrySignIn} className="px-3 py-1 rounded-full bg-red-600 text-white font-medium hover:bg-red-700">{t('app.reintentar')}</button>
+                        </div>
+                    </div>
+                )}
+                <main className="max-w-7xl mx-auto pb-12">
+                    {activeTab === 'upload' && !permisos.puedeEscribir && (
+                        <div className="p-4 sm:p-6 lg:p-8">
+                            <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 text-gray-600">
+                                {t('app.soloLectura', { proyecto: activeProject?.nombre || t('app.esteProyecto') })}
+                            </div>
+                        </div>
+                    )}
+                    {activeTab === 'upload' && permisos.puedeEscribir && (
+                        <div className="p-4 sm:p-6 lg:p-8 grid grid-cols-1 lg:grid-cols-3 gap-8">
+                            {/* Columna de Carga y Resultados */}
+                            <div className="lg:col-span-1 space-y-8">
+                                <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100">
+                                    <h2 className="text-2xl font-bold text-sky-800 mb-4">{t('app.cargarImagen')}</h2>
 
-                                {!isAuthReady && (
-                                    <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-4 text-sm">
-                                        Conectando a Firebase...
-                                    </div>
-                                )}
+                                    {!isAuthReady && (
+                                        <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-4 text-sm">
+                                            {t('app.conectando')}
+                                        </div>
+                                    )}
+                                    {identificationProvider.configError && (
+                                        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm" role="alert">
+                                            {t('identificacion.error.config')} ({identificationProvider.configError})
+                                        </div>
+                                    )}
+
+                                    <label className="block text-sm font-medium text-sky-800 mb-1">{t('app.eventoMuestreo')}</label>
+                                    <select
+                                        className="w-full border border-sky-200 rounded-lg px-3 py-2 text-sm mb-4"
+                                        value={selectedEventId}
+                                        onChange={(e) => setSelectedEventId(e.target.value)}
+                                        disabled={!isAuthReady}
+                                    >
+                                        <option value="">{t('app.sinEvento')}</option>
+                                        {samplingEvents.map(event => (
+                                            <option key={event.id} value={event.id}>{event.sitio} · {formatDate(event.fecha)}</option>
+                                        ))}
+                                    </select>
 
-                                <div className="flex flex-col items-center justify-center border-2 border-sky-300 border-dashed rounded-xl p-8 transition duration-300 hover:bg-sky-50/50">
-                                    {base64Image ? (
-                                        <img src={data:${imageFile.type};base64,${base64Image}} alt="Preview" className="max-h-64 w-auto rounded-lg shadow-md mb-4 object-contain" />
+                                    {imageTool === 'camera' ? (
+                                        <CameraCapture onCapture={handleCameraCapture} onCancel={() => setImageTool(null)} />
+                                    ) : imageTool === 'editor' && sourceFile ? (
+                                        <ImageEditor file={sourceFile} onApply={handleImageEdited} onCancel={() => setImageTool(null)} />
                                     ) : (
-                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 text-sky-400 mb-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-9-2h.01M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-                                        </svg>
+                                        <>
+                                            <div className="flex flex-col items-center justify-center border-2 border-sky-300 border-dashed rounded-xl p-8 transition duration-300 hover:bg-sky-50/50">
+                                                {base64Image ? (
+                                                    <img src={`data:${PREPARED_MIME_TYPE};base64,${base64Image}`} alt={t('app.vistaPrevia')} className="max-h-64 w-auto rounded-lg shadow-md mb-4 object-contain" />
+                                                ) : (
+                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 text-sky-400 mb-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-9-2h.01M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                                                    </svg>
+                                                )}
+                                                <input
+                                                    type="file"
+                                                    accept="image/png, image/jpeg"
+                                                    onChange={handleImageChange}
+                                                    className="text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-sky-50 file:text-sky-700 hover:file:bg-sky-100"
+                                                    disabled={!isAuthReady}
+                                                />
+                                            </div>
+                                            <div className="flex flex-wrap gap-2 justify-center mt-3">
+                                                <button
+                                                    onClick={() => setImageTool('camera')}
+                                                    disabled={!isAuthReady}
+                                                    className="px-4 py-2 rounded-full bg-sky-50 text-sky-700 text-sm font-semibold hover:bg-sky-100 disabled:opacity-50"
+                                                >
+                                                    {t('app.usarCamara')}
+                                                </button>
+                                                {sourceFile && base64Image && (
+                                                    <button
+                                                        onClick={() => setImageTool('editor')}
+                                                        className="px-4 py-2 rounded-full bg-sky-50 text-sky-700 text-sm font-semibold hover:bg-sky-100"
+                                                    >
+                                                        {t('app.editarImagen')}
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </>
                                     )}
-                                    <input
-                                        type="file"
-                                        accept="image/png, image/jpeg"
-                                        onChange={handleImageChange}
-                                        className="text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-sky-50 file:text-sky-700 hover:file:bg-sky-100"
-                                        disabled={!isAuthReady}
-                                    />
-                                </div>
 
-                                <button
-                                    onClick={analyzeImage}
-                                    className="w-full mt-6 flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 shadow-lg transition duration-300 transform hover:scale-[1.01]"
-                                    disabled={!base64Image || isLoading || !isAuthReady}
-                                >
-                                    {isLoading ? (
-                                        <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                        </svg>
-                                    ) : 'Analizar Macroinvertebrado'}
-                                </button>
-                                {error && <div className="mt-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{error}</div>}
-                            </div>
-                        </div>
+                                    {/* Fecha y ubicación de la foto (EXIF) o marcada a mano */}
+                                    {base64Image && !imageTool && (
+                                        <div className="mt-4 text-sm space-y-2">
+                                            {captureMetadata.fechaCaptura && (
+                                                <p className="text-gray-600">{t('app.tomadaEl', { fecha: formatDateTime(captureMetadata.fechaCaptura) })}</p>
+                                            )}
+                                            {captureMetadata.medicion && (
+                                                <p className="text-gray-600">
+                                                    {t('app.longitudEstimada', { mm: captureMetadata.medicion.longitudEstimadaMm, referencia: captureMetadata.medicion.referenciaMm })}
+                                                </p>
+                                            )}
+                                            {captureMetadata.ubicacion ? (
+                                                <p className="text-gray-600">
+                                                    {t('app.ubicacion')} {formatCoordinates(captureMetadata.ubicacion)} ({t(`ubicacion.origen.${captureMetadata.ubicacion.origen}`)})
+                                                    <button onClick={() => setIsPickingLocation(picking => !picking)} className="ml-2 text-sky-600 hover:underline">{t('app.cambiar')}</button>
+                                                    <button onClick={() => setCaptureMetadata(current => ({ ...current, ubicacion: null }))} className="ml-2 text-red-600 hover:underline">{t('app.quitar')}</button>
+                                                </p>
+                                            ) : (
+                                                <p className="text-yellow-700">
+                                                    {t('app.sinGps')}
+                                                    <button onClick={() => setIsPickingLocation(picking => !picking)} className="ml-2 text-sky-600 hover:underline">{t('app.marcarEnMapa')}</button>
+                                                </p>
+                                            )}
+                                            {isPickingLocation && (
+                                                <CoordinateMap
+                                                    points={captureMetadata.ubicacion ? [{ ...captureMetadata.ubicacion, id: 'captura', color: MAP_POINT_COLORS.sensible, etiqueta: t('app.puntoColecta') }] : []}
+                                                    initialPoints={typeof eventsById[selectedEventId]?.latitud === 'number' ? [eventsById[selectedEventId]] : undefined}
+                                                    onPick={(coords) => {
+                                                        setCaptureMetadata(current => ({ ...current, ubicacion: { ...coords, origen: 'manual' } }));
+                                                        setIsPickingLocation(false);
+                                                    }}
+                                                    pickHint={t('app.puntoColectaAyuda')}
+                                                />
+                                            )}
+                                        </div>
+                                    )}
 
-                        {/* Columna de Resultados del Análisis */}
-                        <div className="lg:col-span-2">
-                            <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 min-h-[400px]">
-                                <h2 className="text-2xl font-bold text-sky-800 mb-6">2. Resultados de la Identificación</h2>
-                                {analysisResult ? (
-                                    <AnalysisCard analysis={analysisResult} isHistory={false} />
-                                ) : isLoading ? (
-                                    <div className="flex flex-col items-center justify-center h-full pt-16">
-                                        <svg className="animate-spin h-8 w-8 text-sky-600 mb-3" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                        </svg>
-                                        <p className="text-sky-600">Analizando imagen y generando informe...</p>
-                                    </div>
-                                ) : (
-                                    <div className="flex flex-col items-center justify-center h-full pt-16 text-center text-gray-400">
-                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="1.5">
-                                            <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                                            <path strokeLinecap="round" strokeLinejoin="round" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                                        </svg>
-                                        <p>Sube una imagen de un macroinvertebrado para iniciar el análisis.</p>
-                                        <p className="mt-2 text-sm">El resultado aparecerá aquí y se guardará automáticamente en el historial.</p>
+                                    <button
+                                        onClick={analyzeImage}
+                                        className="w-full mt-6 flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-xl text-white bg-sky-600 hover:bg-sky-700 disabled:bg-sky-400 shadow-lg transition duration-300 transform hover:scale-[1.01]"
+                                        disabled={!base64Image || isLoading || !isAuthReady || Boolean(identificationProvider.configError) || Boolean(imageTool) || isCheckingDuplicate || Boolean(duplicateMatch)}
+                                    >
+                                        {isLoading ? (
+                                            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                            </svg>
+                                        ) : isCheckingDuplicate ? t('app.buscandoDuplicados') : t('app.analizar')}
+                                    </button>
+                                    {isLoading && (
+                                        <button onClick={cancelAnalysis} className="w-full mt-2 px-4 py-2 rounded-xl text-red-600 hover:bg-red-50 text-sm font-medium">
+                                            {t('app.cancelarAnalisis')}
+                                        </button>
+                                    )}
+                                    {error && <div className="mt-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm" role="alert">{uiErrorMessage(error, t)}</div>}
+                                    {offlineNotice && !analysisResult && <div className="mt-4 bg-purple-100 border border-purple-300 text-purple-700 px-4 py-3 rounded text-sm">{t(offlineNotice)}</div>}
+                                </div>
+
+                                {/* Capturas guardadas en el dispositivo a la espera de conexión */}
+                                {pendingCaptures.length > 0 && (
+                                    <div className="bg-white p-6 rounded-2xl shadow-xl border border-purple-200">
+                                        <div className="flex justify-between items-center mb-3">
+                                            <h2 className="text-xl font-bold text-purple-800">{t('app.pendientesSincronizar', { n: pendingCaptures.length })}</h2>
+                                            {pendingCaptures.some(capture => capture.fallida) && (
+                                                <button onClick={discardFailedCaptures} className="text-sm text-red-600 hover:underline ml-auto mr-4">
+                                                    {t('app.descartarFallidas')}
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={syncPendingCaptures}
+                                                disabled={!isOnline || isSyncing}
+                                                className="text-sm text-purple-700 hover:underline disabled:text-gray-300 disabled:no-underline"
+                                            >
+                                                {isSyncing ? t('app.sincronizando') : t('app.sincronizarAhora')}
+                                            </button>
+                                        </div>
+                                        <ul className="divide-y divide-purple-50 text-sm">
+                                            {pendingCaptures.map(capture => (
+                                                <li key={capture.id} className="flex items-center gap-2 py-2">
+                                                    <div className="flex-1 min-w-0">
+                                                        <p className="truncate text-gray-700">{capture.fileName}</p>
+                                                        <p className="text-xs text-gray-500">
+                                                            {formatDateTime(capture.createdAt)}
+                                                            {capture.analysisRecord && ` · ${t('app.yaAnalizada')}`}
+                                                            {capture.attempts > 0 && ` · ${t('app.intentos', { n: capture.attempts })}`}
+                                                        </p>
+                                                        {capture.fallida && <p className="text-xs font-medium text-red-700">{t('app.sincronizacionFallida', { n: capture.attempts })}</p>}
+                                                        {capture.error && <p className="truncate text-xs text-red-600">{pendingCaptureError(capture.error, t)}</p>}
+                                                    </div>
+                                                    <button onClick={() => discardPendingCapture(capture.id)} className="text-xs text-red-600 hover:underline">{t('app.descartar')}</button>
+                                                </li>
+                                            ))}
+                                        </ul>
                                     </div>
                                 )}
+
+                                {/* Carga por lotes */}
+                                <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100">
+                                    <h2 className="text-2xl font-bold text-sky-800 mb-4">{t('lote.titulo')}</h2>
+
+                                    <div
+                                        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                                        onDragLeave={() => setIsDragging(false)}
+                                        onDrop={handleBatchDrop}
+                                        className={`flex flex-col items-center justify-center border-2 border-dashed rounded-xl p-6 text-center text-sm transition duration-300 ${
+                                            isDragging ? 'border-sky-500 bg-sky-50' : 'border-sky-300'
+                                        }`}
+                                    >
+                                        <p className="text-gray-500 mb-3">{t('lote.arrastrar')}</p>
+                                        <div className="flex flex-wrap gap-2 justify-center">
+                                            <label className="cursor-pointer px-4 py-2 rounded-full bg-sky-50 text-sky-700 font-semibold hover:bg-sky-100">
+                                                {t('lote.elegirFotos')}
+                                                <input type="file" accept="image/png, image/jpeg" multiple className="hidden" onChange={handleBatchFilesChange} disabled={!isAuthReady} />
+                                            </label>
+                                            <label className="cursor-pointer px-4 py-2 rounded-full bg-sky-50 text-sky-700 font-semibold hover:bg-sky-100">
+                                                {t('lote.elegirCarpeta')}
+                                                <input type="file" webkitdirectory="" directory="" multiple className="hidden" onChange={handleBatchFilesChange} disabled={!isAuthReady} />
+                                            </label>
+                                        </div>
+                                    </div>
+
+                                    {batchQueue.length > 0 && (
+                                        <div className="mt-4">
+                                            <div className="flex justify-between items-center text-xs text-gray-500 mb-2">
+                                                <span>
+                                                    {t('lote.listos', { n: batchCounts.done || 0, total: batchQueue.length })}
+                                                    {batchCounts.failed ? ` · ${t('lote.fallidos', { n: batchCounts.failed })}` : ''}
+                                                    {batchCounts.duplicate ? ` · ${t('lote.yaAnalizadas', { n: batchCounts.duplicate })}` : ''}
+                                                </span>
+                                                <div className="space-x-2">
+                                                    <button onClick={cancelBatch} disabled={!batchCounts.pending && !batchCounts.analyzing} className="text-red-600 hover:underline disabled:text-gray-300 disabled:no-underline">{t('comun.cancelar')}</button>
+                                                    <button onClick={clearFinishedBatchItems} className="text-sky-600 hover:underline">{t('lote.limpiar')}</button>
+                                                </div>
+                                            </div>
+                                            <ul className="max-h-72 overflow-y-auto divide-y divide-sky-50">
+                                                {batchQueue.map(item => (
+                                                    <li key={item.id} className="flex items-center gap-2 py-2 text-sm">
+                                                        <div className="flex-1 min-w-0">
+                                                            <p className="truncate text-gray-700">{item.file.name}</p>
+                                                            {item.result && <p className="truncate text-xs text-sky-600">{item.result.nombreCientifico}</p>}
+                                                            {item.status === 'duplicate' && (
+                                                                <p className="truncate text-xs text-orange-700">
+                                                                    {t(item.duplicate.exacto ? 'lote.mismaFoto' : 'lote.fotoCasiIdentica')} <span className="italic">{item.duplicate.analysis.nombreCientifico}</span>
+                                                                </p>
+                                                            )}
+                                                            {item.error && <p className="truncate text-xs text-red-600">{uiErrorMessage(item.error, t)}</p>}
+                                                        </div>
+                                                        <span className={`px-2 py-0.5 rounded-full text-xs ${BATCH_STATUS_COLORS[item.status]}`}>
+                                                            {t(`lote.estado.${item.status}`)}
+                                                        </span>
+                                                        {(item.status === 'failed' || item.status === 'cancelled') && ACCEPTED_IMAGE_TYPES.includes(item.file.type) && item.file.size <= MAX_IMAGE_SIZE && (
+                                                            <button onClick={() => retryBatchItem(item.id)} className="text-xs text-sky-600 hover:underline">{t('app.reintentar')}</button>
+                                                        )}
+                                                        {item.status === 'duplicate' && (
+                                                            <button onClick={() => retryBatchItem(item.id)} className="text-xs text-sky-600 hover:underline">{t('lote.analizarIgualmente')}</button>
+                                                        )}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+
+                            {/* Columna de Resultados del Análisis */}
+                            <div className="lg:col-span-2">
+                                <div className="bg-white p-6 rounded-2xl shadow-xl border border-sky-100 min-h-[400px]">
+                                    <h2 className="text-2xl font-bold text-sky-800 mb-6">{t('app.resultados')}</h2>
+                                    {analysisResult ? (
+                                        <>
+                                            <AnalysisCard analysis={analysisResult} isHistory={false} />
+                                            {isResultSaved ? (
+                                                <div className="mt-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded text-sm">
+                                                    {t(offlineNotice || 'app.analisisGuardado')}
+                                                </div>
+                                            ) : permisos.puedeRevisar ? (
+                                                <IdentificationReview
+                                                    suggestion={analysisResult}
+                                                    onConfirm={saveReviewedResult}
+                                                    onCancel={() => saveReviewedResult(null)}
+                                                    confirmLabel={t('app.confirmarGuardar')}
+                                                    cancelLabel={t('app.guardarSinConfirmar')}
+                                                />
+                                            ) : (
+                                                // Los colaboradores guardan sin confirmar; un revisor lo verifica desde el Historial
+                                                <button
+                                                    onClick={() => saveReviewedResult(null)}
+                                                    className="w-full mt-4 px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 font-medium shadow"
+                                                >
+                                                    {t('app.guardarParaRevision')}
+                                                </button>
+                                            )}
+                                        </>
+                                    ) : duplicateMatch ? (
+                                        // La foto ya estaba en el historial: se muestra el análisis anterior sin llamar al modelo
+                                        <>
+                                            <div className="mb-4 bg-orange-50 border border-orange-200 text-orange-800 px-4 py-3 rounded text-sm">
+                                                {duplicateMatch.reutilizado
+                                                    ? t('duplicado.reutilizado')
+                                                    : duplicateMatch.exacto
+                                                        ? t('duplicado.exacto')
+                                                        : t('duplicado.similar', { distancia: duplicateMatch.distancia })}
+                                                {duplicateMatch.analysis.eventId && eventsById[duplicateMatch.analysis.eventId] && ` · ${eventsById[duplicateMatch.analysis.eventId].sitio}`}
+                                            </div>
+                                            {getThumbnailSrc(duplicateMatch.analysis) && (
+                                                <img src={getThumbnailSrc(duplicateMatch.analysis)} alt={t('duplicado.fotoAnterior')} className="h-24 w-24 object-cover rounded-lg mb-4" />
+                                            )}
+                                            <AnalysisCard analysis={duplicateMatch.analysis} isHistory={true} />
+                                            {!duplicateMatch.reutilizado && (
+                                                <div className="flex gap-2 mt-4">
+                                                    <button onClick={reuseDuplicate} className="flex-1 px-4 py-2 rounded-xl text-white bg-sky-600 hover:bg-sky-700 font-medium shadow">
+                                                        {t('duplicado.usarExistente')}
+                                                    </button>
+                                                    <button onClick={rerunDuplicate} className="flex-1 px-4 py-2 rounded-xl text-sky-700 bg-sky-50 hover:bg-sky-100 font-medium">
+                                                        {t('duplicado.analizarDeNuevo')}
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </>
+                                    ) : isLoading ? (
+                                        <div className="flex flex-col items-center justify-center h-full pt-16">
+                                            <svg className="animate-spin h-8 w-8 text-sky-600 mb-3" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                            </svg>
+                                            <p className="text-sky-600">{t('app.analizando')}</p>
+                                        </div>
+                                    ) : (
+                                        <div className="flex flex-col items-center justify-center h-full pt-16 text-center text-gray-400">
+                                            <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="1.5">
+                                                <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                                                <path strokeLinecap="round" strokeLinejoin="round" d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                                            </svg>
+                                            <p>{t('app.vacio')}</p>
+                                            <p className="mt-2 text-sm">{t('app.vacioAyuda')}</p>
+                                        </div>
+                                    )}
+                                </div>
                             </div>
                         </div>
+                    )}
+                    {activeTab === 'history' && HistoryView}
+                    {activeTab === 'map' && MapView}
+                    {activeTab === 'stats' && StatsView}
+                    {activeTab === 'events' && EventsView}
+                    {activeTab === 'team' && (
+                        <div className="p-4 sm:p-6 lg:p-8">
+                            <h2 className="text-3xl font-bold text-sky-800 mb-6 border-b pb-2">{t('app.equipoTitulo')}</h2>
+                            {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{uiErrorMessage(error, t)}</div>}
+                            <WorkspacePanel
+                                project={activeProject}
+                                userId={userId}
+                                defaultAlias={account?.displayName || account?.email || ''}
+                                invitations={projectInvitations}
+                                onCreateProject={createProject}
+                                onJoinProject={joinProject}
+                                onCreateInvitation={createInvitation}
+                                onRevokeInvitation={revokeInvitation}
+                                onChangeRole={changeMemberRole}
+                                onRemoveMember={removeMember}
+                                disabled={!isAuthReady}
+                            />
+                        </div>
+                    )}
+                </main>
+                {/* Aviso para deshacer la última eliminación */}
+                {pendingDelete && (
+                    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-20 flex items-center gap-4 bg-gray-900 text-white text-sm px-5 py-3 rounded-xl shadow-2xl">
+                        <span>{t('app.analisisEliminado')} <span className="italic">{pendingDelete.data.nombreCientifico}</span></span>
+                        <button onClick={undoDelete} className="font-semibold text-sky-300 hover:text-sky-200">{t('app.deshacer')}</button>
                     </div>
                 )}
-                {activeTab === 'history' && HistoryView}
-            </main>
-            {/* Footer con info de Usuario/App */}
-            <footer className="bg-sky-900 text-white text-xs p-3 text-center">
-                <p>MacroSearch UTN & IMRH</p>
-            </footer>
-        </div>
+                {/* Footer con info de Usuario/App */}
+                <footer className="bg-sky-900 text-white text-xs p-3 text-center">
+                    <p>MacroSearch UTN & IMRH · {t('app.identificacion', { proveedor: identificationProvider.nombre })}</p>
+                </footer>
+            </div>
+        </I18nContext.Provider>
     );
 };
 
 export default App;
+
+// Para las pruebas de tests/unit
+export {
+    postJsonWithRetry,
+    createGeminiProvider,
+    createMockProvider,
+    analysisToEditForm,
+    buildEditUpdate,
+    calcularIndiceBMWP,
+    ALIAS_TAXONOMICOS,
+    buscarTaxon,
+    validarTaxonomia,
+    parseExif,
+    readExifMetadata,
+    hammingDistance,
+    pickDuplicateMatch,
+    perceptualHashBlocks,
+    toCSV,
+    analysisCsvColumns,
+    darwinCoreColumns,
+    calcularEstadisticas,
+};
@@ -0,0 +1,219 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { arrayUnion, deleteDoc, doc, getDoc, serverTimestamp, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { analisis, confirmado, crearEntorno, invitacion, INVITATIONS_PATH, muestreo, proyecto, PROJECT_PATH, sembrar } from './proyecto.js';
+
+let testEnv;
+
+const dbDe = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+const analisisPath = (id) => `${PROJECT_PATH}/analyses/${id}`;
+const copiaPath = (id) => `${PROJECT_PATH}/deletedAnalyses/${id}`;
+const muestreoPath = (id) => `${PROJECT_PATH}/samplingEvents/${id}`;
+
+beforeAll(async () => {
+    testEnv = await crearEntorno(['firestore']);
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await sembrar(testEnv, {
+        [PROJECT_PATH]: proyecto(),
+        [analisisPath('del-colaborador')]: analisis('contributor'),
+        [analisisPath('confirmado-del-colaborador')]: confirmado('contributor'),
+        [analisisPath('del-revisor')]: analisis('reviewer'),
+        [muestreoPath('del-colaborador')]: muestreo('contributor'),
+        [muestreoPath('del-revisor')]: muestreo('reviewer'),
+        [`${INVITATIONS_PATH}/VIGENTE`]: invitacion(),
+        [`${INVITATIONS_PATH}/USADA`]: invitacion({ usadaPor: 'otro', usadaEn: invitacion().creadoEn }),
+        [`${INVITATIONS_PATH}/CADUCADA`]: invitacion({ expiraEn: invitacion().creadoEn }),
+    });
+});
+
+describe('proyectos', () => {
+    it('solo los miembros leen el proyecto', async () => {
+        await assertSucceeds(getDoc(doc(dbDe('viewer'), PROJECT_PATH)));
+        await assertFails(getDoc(doc(dbDe('ajeno'), PROJECT_PATH)));
+        await assertFails(getDoc(doc(dbDe(null), PROJECT_PATH)));
+    });
+
+    it('el responsable cambia roles, pero no nombra a otro responsable', async () => {
+        const db = dbDe('owner');
+        await assertSucceeds(updateDoc(doc(db, PROJECT_PATH), { 'roles.viewer': 'reviewer' }));
+        await assertFails(updateDoc(doc(db, PROJECT_PATH), { 'roles.reviewer': 'owner' }));
+        await assertFails(updateDoc(doc(db, PROJECT_PATH), { 'roles.owner': 'reviewer' }));
+        await assertFails(updateDoc(doc(db, PROJECT_PATH), { ownerId: 'reviewer' }));
+    });
+
+    it('los demás roles no gestionan miembros', async () => {
+        for (const uid of ['reviewer', 'contributor', 'viewer']) {
+            await assertFails(updateDoc(doc(dbDe(uid), PROJECT_PATH), { 'roles.viewer': 'reviewer' }));
+        }
+    });
+});
+
+describe('invitaciones', () => {
+    // Lo mismo que joinProject en Macrosearch.jsx
+    const unirse = (uid, code, { marcar = true, rol = 'contributor' } = {}) => {
+        const db = dbDe(uid);
+        const batch = writeBatch(db);
+        batch.update(doc(db, PROJECT_PATH), {
+            miembrosIds: arrayUnion(uid),
+            [`roles.${uid}`]: rol,
+            [`nombres.${uid}`]: uid,
+            invitacionUsada: code,
+        });
+        if (marcar) batch.update(doc(db, `${INVITATIONS_PATH}/${code}`), { usadaPor: uid, usadaEn: serverTimestamp() });
+        return batch.commit();
+    };
+
+    it('se acepta una invitación vigente y queda usada', async () => {
+        await assertSucceeds(unirse('nuevo', 'VIGENTE'));
+        await assertFails(unirse('tercero', 'VIGENTE'));
+    });
+
+    it('no se acepta sin marcarla como usada', async () => {
+        await assertFails(unirse('nuevo', 'VIGENTE', { marcar: false }));
+    });
+
+    it('no se aceptan invitaciones usadas o caducadas, ni con otro rol', async () => {
+        await assertFails(unirse('nuevo', 'USADA'));
+        await assertFails(unirse('nuevo', 'CADUCADA'));
+        await assertFails(unirse('nuevo', 'VIGENTE', { rol: 'owner' }));
+    });
+
+    it('no se marca como usada sin unirse al proyecto', async () => {
+        await assertFails(updateDoc(doc(dbDe('nuevo'), `${INVITATIONS_PATH}/VIGENTE`), { usadaPor: 'nuevo', usadaEn: serverTimestamp() }));
+    });
+
+    it('solo el responsable crea invitaciones, y nunca de responsable', async () => {
+        await assertSucceeds(setDoc(doc(dbDe('owner'), `${INVITATIONS_PATH}/NUEVA`), invitacion()));
+        await assertFails(setDoc(doc(dbDe('owner'), `${INVITATIONS_PATH}/NUEVA`), invitacion({ rol: 'owner' })));
+        await assertFails(setDoc(doc(dbDe('reviewer'), `${INVITATIONS_PATH}/NUEVA`), invitacion({ creadoPor: 'reviewer' })));
+    });
+});
+
+describe('análisis', () => {
+    it('todos los miembros leen; nadie de fuera', async () => {
+        for (const uid of ['owner', 'reviewer', 'contributor', 'viewer']) {
+            await assertSucceeds(getDoc(doc(dbDe(uid), analisisPath('del-revisor'))));
+        }
+        await assertFails(getDoc(doc(dbDe('ajeno'), analisisPath('del-revisor'))));
+    });
+
+    it('el lector no crea análisis', async () => {
+        await assertFails(setDoc(doc(dbDe('viewer'), analisisPath('nuevo')), analisis('viewer')));
+    });
+
+    it('el colaborador crea análisis propios y pendientes', async () => {
+        const db = dbDe('contributor');
+        await assertSucceeds(setDoc(doc(db, analisisPath('nuevo')), analisis('contributor')));
+        await assertFails(setDoc(doc(db, analisisPath('otro')), confirmado('contributor')));
+        await assertFails(setDoc(doc(db, analisisPath('otro')), analisis('reviewer')));
+    });
+
+    it('el revisor crea análisis confirmados', async () => {
+        await assertSucceeds(setDoc(doc(dbDe('reviewer'), analisisPath('nuevo')), confirmado('reviewer')));
+    });
+
+    it('el colaborador edita lo suyo sin confirmarlo', async () => {
+        const db = dbDe('contributor');
+        await assertSucceeds(updateDoc(doc(db, analisisPath('del-colaborador')), { nombreComun: 'Efímera' }));
+        await assertFails(updateDoc(doc(db, analisisPath('del-colaborador')), { estadoVerificacion: 'confirmado' }));
+        await assertFails(updateDoc(doc(db, analisisPath('del-revisor')), { nombreComun: 'Efímera' }));
+    });
+
+    it('el revisor edita y confirma cualquier análisis', async () => {
+        await assertSucceeds(updateDoc(doc(dbDe('reviewer'), analisisPath('del-colaborador')), confirmado('contributor')));
+    });
+
+    it('nadie cambia el autor de un análisis', async () => {
+        await assertFails(updateDoc(doc(dbDe('reviewer'), analisisPath('del-revisor')), { creadoPor: 'contributor' }));
+        await assertFails(updateDoc(doc(dbDe('owner'), analisisPath('del-colaborador')), { creadoPor: 'owner' }));
+        await assertFails(updateDoc(doc(dbDe('contributor'), analisisPath('del-colaborador')), { creadoPor: 'viewer' }));
+    });
+
+    it('el colaborador solo elimina lo suyo; el lector nada', async () => {
+        await assertFails(deleteDoc(doc(dbDe('contributor'), analisisPath('del-revisor'))));
+        await assertFails(deleteDoc(doc(dbDe('viewer'), analisisPath('del-colaborador'))));
+        await assertSucceeds(deleteDoc(doc(dbDe('contributor'), analisisPath('del-colaborador'))));
+    });
+});
+
+describe('muestreos', () => {
+    it('el colaborador crea muestreos propios', async () => {
+        await assertSucceeds(setDoc(doc(dbDe('contributor'), muestreoPath('nuevo')), muestreo('contributor')));
+        await assertFails(setDoc(doc(dbDe('contributor'), muestreoPath('otro')), muestreo('reviewer')));
+        await assertFails(setDoc(doc(dbDe('viewer'), muestreoPath('otro')), muestreo('viewer')));
+    });
+
+    it('el colaborador cambia sus muestreos, no los ajenos', async () => {
+        const db = dbDe('contributor');
+        await assertSucceeds(updateDoc(doc(db, muestreoPath('del-colaborador')), { variante: 'iberia' }));
+        await assertFails(updateDoc(doc(db, muestreoPath('del-revisor')), { variante: 'iberia' }));
+    });
+
+    it('el revisor cambia cualquier muestreo', async () => {
+        await assertSucceeds(updateDoc(doc(dbDe('reviewer'), muestreoPath('del-colaborador')), { variante: 'iberia' }));
+    });
+
+    it('nadie cambia el autor de un muestreo', async () => {
+        await assertFails(updateDoc(doc(dbDe('contributor'), muestreoPath('del-colaborador')), { creadoPor: 'reviewer' }));
+        await assertFails(updateDoc(doc(dbDe('owner'), muestreoPath('del-revisor')), { creadoPor: 'contributor' }));
+    });
+});
+
+// Lo mismo que deleteAnalysis y undoDelete en Macrosearch.jsx
+describe('deshacer una eliminación', () => {
+    const eliminar = async (uid, id) => {
+        const db = dbDe(uid);
+        const datos = (await getDoc(doc(db, analisisPath(id)))).data();
+        const batch = writeBatch(db);
+        batch.delete(doc(db, analisisPath(id)));
+        batch.set(doc(db, copiaPath(id)), { datos, eliminadoPor: uid, eliminadoEn: serverTimestamp() });
+        await batch.commit();
+        return datos;
+    };
+
+    const restaurar = (uid, id, datos, { retirarCopia = true } = {}) => {
+        const db = dbDe(uid);
+        const batch = writeBatch(db);
+        batch.set(doc(db, analisisPath(id)), datos);
+        if (retirarCopia) batch.delete(doc(db, copiaPath(id)));
+        return batch.commit();
+    };
+
+    it('el colaborador restaura su análisis confirmado', async () => {
+        const datos = await assertSucceeds(eliminar('contributor', 'confirmado-del-colaborador'));
+        await assertSucceeds(restaurar('contributor', 'confirmado-del-colaborador', datos));
+    });
+
+    it('el revisor restaura un análisis ajeno que eliminó', async () => {
+        const datos = await assertSucceeds(eliminar('reviewer', 'del-colaborador'));
+        await assertSucceeds(restaurar('reviewer', 'del-colaborador', datos));
+    });
+
+    it('no se restaura algo distinto de lo eliminado', async () => {
+        const datos = await eliminar('contributor', 'confirmado-del-colaborador');
+        await assertFails(restaurar('contributor', 'confirmado-del-colaborador', { ...datos, nombreCientifico: 'Perlidae' }));
+        await assertFails(restaurar('contributor', 'confirmado-del-colaborador', datos, { retirarCopia: false }));
+    });
+
+    it('solo restaura quien eliminó', async () => {
+        const datos = await eliminar('reviewer', 'del-colaborador');
+        await assertFails(restaurar('contributor', 'del-colaborador', datos));
+    });
+
+    it('la copia solo se crea al eliminar, con el contenido exacto', async () => {
+        const db = dbDe('contributor');
+        const copia = (datos) => ({ datos, eliminadoPor: 'contributor', eliminadoEn: serverTimestamp() });
+        await assertFails(setDoc(doc(db, copiaPath('nuevo')), copia(confirmado('contributor'))));
+        await assertFails(setDoc(doc(db, copiaPath('del-colaborador')), copia(analisis('contributor'))));
+
+        const batch = writeBatch(db);
+        batch.delete(doc(db, analisisPath('del-colaborador')));
+        batch.set(doc(db, copiaPath('del-colaborador')), copia(confirmado('contributor')));
+        await assertFails(batch.commit());
+    });
+});
@@ -0,0 +1,71 @@
+// Proyecto de prueba compartido por las pruebas de firestore.rules y storage.rules
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc, Timestamp } from 'firebase/firestore';
+
+export const APP_ID = 'macrosearch-test';
+export const PROJECT_ID = 'p1';
+export const PROJECT_PATH = `artifacts/${APP_ID}/projects/${PROJECT_ID}`;
+export const INVITATIONS_PATH = `artifacts/${APP_ID}/invitations`;
+
+export const ROLES = { owner: 'owner', reviewer: 'reviewer', contributor: 'contributor', viewer: 'viewer' };
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+export const proyecto = () => ({
+    nombre: 'Quebrada La Vieja',
+    descripcion: '',
+    ownerId: 'owner',
+    miembrosIds: Object.keys(ROLES),
+    roles: { ...ROLES },
+    nombres: Object.fromEntries(Object.keys(ROLES).map(uid => [uid, uid])),
+    creadoEn: Timestamp.fromMillis(Date.now() - DIA_MS),
+});
+
+export const analisis = (creadoPor, cambios = {}) => ({
+    nombreCientifico: 'Baetidae',
+    clasificacion: { clase: 'Insecta', orden: 'Ephemeroptera', familia: 'Baetidae' },
+    estadoVerificacion: 'pendiente',
+    identificacionConfirmada: null,
+    creadoPor,
+    timestamp: Timestamp.fromMillis(Date.now() - DIA_MS),
+    ...cambios,
+});
+
+export const confirmado = (creadoPor) => analisis(creadoPor, {
+    estadoVerificacion: 'confirmado',
+    identificacionConfirmada: { nombreCientifico: 'Baetidae', origen: 'modelo', coincideConModelo: true, confirmadoEn: Timestamp.fromMillis(Date.now() - DIA_MS) },
+});
+
+export const muestreo = (creadoPor) => ({
+    sitio: 'Puente de la quebrada',
+    rio: 'La Vieja',
+    fecha: '2026-03-14',
+    variante: 'colombia',
+    creadoPor,
+    timestamp: Timestamp.fromMillis(Date.now() - DIA_MS),
+});
+
+export const invitacion = (cambios = {}) => ({
+    projectId: PROJECT_ID,
+    rol: 'contributor',
+    creadoPor: 'owner',
+    creadoEn: Timestamp.fromMillis(Date.now() - DIA_MS),
+    expiraEn: Timestamp.fromMillis(Date.now() + DIA_MS),
+    ...cambios,
+});
+
+// Las direcciones de los emuladores las pone `firebase emulators:exec` en las variables de entorno
+export const crearEntorno = (servicios) => initializeTestEnvironment({
+    projectId: 'demo-macrosearch',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    ...(servicios.includes('storage') && { storage: { rules: readFileSync('storage.rules', 'utf8') } }),
+});
+
+// Escribe documentos sin pasar por las reglas: { ruta: datos }
+export const sembrar = (testEnv, documentos) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [ruta, datos] of Object.entries(documentos)) {
+        await setDoc(doc(db, ruta), datos);
+    }
+});
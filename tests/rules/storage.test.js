@@ -0,0 +1,81 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteObject, getBytes, ref, uploadBytes } from 'firebase/storage';
+import { doc, getDoc, serverTimestamp, writeBatch } from 'firebase/firestore';
+import { analisis, crearEntorno, proyecto, PROJECT_PATH, sembrar } from './proyecto.js';
+
+let testEnv;
+
+const JPEG = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+const imagenDe = (uid, analysisId) => ref(testEnv.authenticatedContext(uid).storage(), `${PROJECT_PATH}/images/${analysisId}/original`);
+
+beforeAll(async () => {
+    testEnv = await crearEntorno(['firestore', 'storage']);
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await sembrar(testEnv, {
+        [PROJECT_PATH]: proyecto(),
+        [`${PROJECT_PATH}/analyses/del-colaborador`]: analisis('contributor'),
+        [`${PROJECT_PATH}/analyses/del-revisor`]: analisis('reviewer'),
+    });
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        for (const id of ['del-colaborador', 'del-revisor']) {
+            await uploadBytes(ref(context.storage(), `${PROJECT_PATH}/images/${id}/original`), JPEG);
+        }
+    });
+});
+
+describe('imágenes de los análisis del proyecto', () => {
+    it('los miembros las ven; nadie de fuera', async () => {
+        await assertSucceeds(getBytes(imagenDe('viewer', 'del-revisor')));
+        await assertFails(getBytes(imagenDe('ajeno', 'del-revisor')));
+    });
+
+    it('el colaborador sube las de un análisis nuevo o propio', async () => {
+        await assertSucceeds(uploadBytes(imagenDe('contributor', 'todavia-sin-documento'), JPEG));
+        await assertSucceeds(uploadBytes(imagenDe('contributor', 'del-colaborador'), JPEG));
+    });
+
+    it('el colaborador no toca las de análisis ajenos', async () => {
+        await assertFails(uploadBytes(imagenDe('contributor', 'del-revisor'), JPEG));
+        await assertFails(deleteObject(imagenDe('contributor', 'del-revisor')));
+    });
+
+    it('el revisor y el responsable escriben las de cualquier análisis', async () => {
+        await assertSucceeds(uploadBytes(imagenDe('reviewer', 'del-colaborador'), JPEG));
+        await assertSucceeds(deleteObject(imagenDe('owner', 'del-colaborador')));
+    });
+
+    // Lo mismo que deleteAnalysis en Macrosearch.jsx: el documento pasa a deletedAnalyses y las imágenes
+    // esperan a que venza el plazo para deshacer
+    const eliminar = (uid, id) => testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        const analisisRef = doc(db, `${PROJECT_PATH}/analyses/${id}`);
+        const datos = (await getDoc(analisisRef)).data();
+        const batch = writeBatch(db);
+        batch.delete(analisisRef);
+        batch.set(doc(db, `${PROJECT_PATH}/deletedAnalyses/${id}`), { datos, eliminadoPor: uid, eliminadoEn: serverTimestamp() });
+        await batch.commit();
+    });
+
+    it('mientras se puede deshacer, el colaborador no toca las imágenes de un análisis ajeno eliminado', async () => {
+        await eliminar('reviewer', 'del-revisor');
+        await assertFails(uploadBytes(imagenDe('contributor', 'del-revisor'), JPEG));
+        await assertFails(deleteObject(imagenDe('contributor', 'del-revisor')));
+    });
+
+    it('quien eliminó su análisis borra sus imágenes al vencer el plazo', async () => {
+        await eliminar('contributor', 'del-colaborador');
+        await assertSucceeds(deleteObject(imagenDe('contributor', 'del-colaborador')));
+    });
+
+    it('el lector no escribe', async () => {
+        await assertFails(uploadBytes(imagenDe('viewer', 'todavia-sin-documento'), JPEG));
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { calcularIndiceBMWP } from '../../Macrosearch.jsx';
+
+const especimen = (familia, estadoVerificacion = 'confirmado') => ({ clasificacion: { familia }, estadoVerificacion });
+const confirmados = (...familias) => familias.map(familia => especimen(familia));
+
+// Familias de 10 puntos en BMWP/Col
+const DIEZ = ['Perlidae', 'Gomphidae', 'Psephenidae', 'Polythoridae', 'Odontoceridae', 'Hydridae', 'Lampyridae', 'Oligoneuriidae', 'Calamoceratidae', 'Blephariceridae'];
+
+describe('calcularIndiceBMWP', () => {
+    it('cada familia puntúa una sola vez', () => {
+        const indice = calcularIndiceBMWP(confirmados('Perlidae', 'Perlidae', 'perlidae ', 'Baetidae', 'Chironomidae'));
+
+        expect(indice.bmwp).toBe(10 + 7 + 2);
+        expect(indice.familiasPuntuadas.map(f => f.puntaje)).toEqual([10, 7, 2]);
+        expect(indice.aspt).toBeCloseTo(19 / 3);
+    });
+
+    it('no cuenta las identificaciones sin confirmar', () => {
+        const indice = calcularIndiceBMWP([especimen('Perlidae'), especimen('Gomphidae', 'pendiente'), { clasificacion: { familia: 'Psephenidae' } }]);
+
+        expect(indice.bmwp).toBe(10);
+        expect(indice.sinConfirmar).toBe(2);
+    });
+
+    it('lista las familias que la variante no puntúa y las deja fuera del ASPT', () => {
+        const indice = calcularIndiceBMWP(confirmados('Perlidae', 'Hyalellidae', 'Familiadesconocida', 'Familiadesconocida', ''));
+
+        expect(indice.familiasSinPuntaje).toEqual(['Familiadesconocida']);
+        expect(indice.bmwp).toBe(17);
+        expect(indice.aspt).toBe(8.5);
+    });
+
+    it('usa la tabla de la variante elegida', () => {
+        expect(calcularIndiceBMWP(confirmados('Baetidae'), 'colombia').bmwp).toBe(7);
+        expect(calcularIndiceBMWP(confirmados('Baetidae'), 'iberia').bmwp).toBe(4);
+        expect(calcularIndiceBMWP(confirmados('Hyalellidae'), 'iberia').familiasSinPuntaje).toEqual(['Hyalellidae']);
+    });
+
+    it.each([
+        [DIEZ, 100, 'II'],
+        [[...DIEZ, 'Tubificidae'], 101, 'I'],
+        [DIEZ.slice(0, 6), 60, 'III'],
+        [[...DIEZ.slice(0, 6), 'Tubificidae'], 61, 'II'],
+        [[...DIEZ.slice(0, 3), 'Belostomatidae'], 35, 'IV'],
+        [[...DIEZ.slice(0, 3), 'Belostomatidae', 'Tubificidae'], 36, 'III'],
+        [['Perlidae', 'Belostomatidae'], 15, 'V'],
+        [['Perlidae', 'Belostomatidae', 'Tubificidae'], 16, 'IV'],
+    ])('los límites de clase son exclusivos (%#: BMWP %i)', (familias, bmwp, clase) => {
+        const indice = calcularIndiceBMWP(confirmados(...familias));
+
+        expect(indice.bmwp).toBe(bmwp);
+        expect(indice.clase.clase).toBe(clase);
+    });
+
+    it('ambas variantes comparten las clases de calidad', () => {
+        expect(calcularIndiceBMWP(confirmados('Perlidae', 'Tubificidae'), 'iberia').clase.clase).toBe('V');
+    });
+
+    it('sin familias puntuadas no hay ASPT ni clase', () => {
+        for (const analisis of [[], [especimen('Perlidae', 'pendiente')], confirmados('Familiadesconocida')]) {
+            const indice = calcularIndiceBMWP(analisis);
+            expect(indice).toMatchObject({ bmwp: 0, aspt: 0, clase: null, familiasPuntuadas: [] });
+        }
+    });
+});
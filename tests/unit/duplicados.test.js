@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { hammingDistance, perceptualHashBlocks, pickDuplicateMatch } from '../../Macrosearch.jsx';
+
+const HASH = '0123456789abcdef';
+
+// Cambia n bits del último carácter hacia atrás, uno por carácter
+const cambiarBits = (hash, n) => {
+    const caracteres = [...hash];
+    for (let i = 0; i < n; i++) {
+        const posicion = caracteres.length - 1 - i;
+        caracteres[posicion] = (parseInt(caracteres[posicion], 16) ^ 1).toString(16);
+    }
+    return caracteres.join('');
+};
+
+describe('hammingDistance', () => {
+    it('cuenta los bits distintos entre dos hashes hexadecimales', () => {
+        expect(hammingDistance(HASH, HASH)).toBe(0);
+        expect(hammingDistance('0', 'f')).toBe(4);
+        expect(hammingDistance('ff00', '00ff')).toBe(16);
+        expect(hammingDistance(HASH, cambiarBits(HASH, 3))).toBe(3);
+    });
+});
+
+describe('perceptualHashBlocks', () => {
+    it('parte el hash en cuatro bloques con su posición', () => {
+        expect(perceptualHashBlocks(HASH)).toEqual(['0:0123', '1:4567', '2:89ab', '3:cdef']);
+    });
+
+    it('con una distancia de hasta 3 queda al menos un bloque idéntico', () => {
+        // El peor caso: cada bit distinto en un bloque diferente
+        const caracteres = [...HASH];
+        [0, 4, 8].forEach(posicion => { caracteres[posicion] = (parseInt(caracteres[posicion], 16) ^ 8).toString(16); });
+        const casiIgual = caracteres.join('');
+
+        expect(hammingDistance(HASH, casiIgual)).toBe(3);
+        expect(perceptualHashBlocks(casiIgual).filter(bloque => perceptualHashBlocks(HASH).includes(bloque))).toEqual(['3:cdef']);
+    });
+});
+
+describe('pickDuplicateMatch', () => {
+    const hashes = { sha256: 'abc', perceptual: HASH };
+    const candidato = (id, bits) => ({ id, hashPerceptual: cambiarBits(HASH, bits) });
+
+    it('la copia exacta gana aunque haya candidatos perceptuales', () => {
+        const exacto = { id: 'exacto' };
+        expect(pickDuplicateMatch(hashes, [exacto], [candidato('igual', 0)])).toEqual({ analysis: exacto, exacto: true, distancia: 0 });
+    });
+
+    it('elige el candidato más cercano dentro del umbral', () => {
+        const match = pickDuplicateMatch(hashes, [], [candidato('lejano', 3), candidato('cercano', 1), candidato('medio', 2)]);
+        expect(match).toMatchObject({ analysis: { id: 'cercano' }, exacto: false, distancia: 1 });
+    });
+
+    it('acepta la distancia 3 y descarta la 4', () => {
+        expect(pickDuplicateMatch(hashes, [], [candidato('limite', 3)])).toMatchObject({ analysis: { id: 'limite' }, distancia: 3 });
+        expect(pickDuplicateMatch(hashes, [], [candidato('fuera', 4)])).toBeNull();
+    });
+
+    it('ignora los candidatos sin hash perceptual', () => {
+        expect(pickDuplicateMatch(hashes, [], [{ id: 'antiguo' }])).toBeNull();
+        expect(pickDuplicateMatch(hashes, [], [])).toBeNull();
+    });
+});
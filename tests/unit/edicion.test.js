@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { analysisToEditForm, buildEditUpdate } from '../../Macrosearch.jsx';
+
+const SUGERENCIA = {
+    nombreCientifico: 'Chironomus sp.',
+    nombreComun: 'Gusano rojo',
+    clasificacion: { clase: 'Insecta', orden: 'Diptera', familia: 'Chironomidae' },
+    confianza: 0.6,
+    razonamiento: '',
+    alternativas: [],
+    validacionTaxonomica: null,
+};
+
+// Análisis cuya identificación corrigió una persona: sin textos del modelo y con la categoría de la familia
+const corregido = () => ({
+    nombreCientifico: 'Perlidae',
+    nombreComun: '',
+    informacionBasica: '',
+    significadoEcologico: '',
+    categoriaBioindicador: 'sensible',
+    clasificacion: { clase: 'Insecta', orden: 'Plecoptera', familia: 'Perlidae' },
+    sugerenciaModelo: SUGERENCIA,
+    estadoVerificacion: 'confirmado',
+    anotaciones: { notas: '' },
+});
+
+// Análisis tal como lo dejó el modelo
+const delModelo = () => ({
+    ...SUGERENCIA,
+    significadoEcologico: 'Muy tolerante a la contaminación orgánica.',
+    categoriaBioindicador: 'tolerante',
+    estadoVerificacion: 'pendiente',
+});
+
+const editar = (item, cambios, opciones) => buildEditUpdate(item, { ...analysisToEditForm(item), ...cambios }, opciones);
+
+describe('buildEditUpdate', () => {
+    it('sin cambios no hay nada que guardar', () => {
+        expect(editar(corregido(), {}).update).toBeNull();
+    });
+
+    it('editar solo las anotaciones de un análisis corregido conserva su categoría', () => {
+        const { update, cambios } = editar(corregido(), { notas: 'bajo piedras', numeroIndividuos: '3' });
+
+        expect(cambios.map(c => c.campo)).toEqual(['anotaciones.numeroIndividuos', 'anotaciones.notas']);
+        expect(update).not.toHaveProperty('categoriaBioindicador');
+        expect(update).not.toHaveProperty('significadoEcologico');
+        expect(update).not.toHaveProperty('nombreComun');
+        expect(update.anotaciones).toMatchObject({ notas: 'bajo piedras', numeroIndividuos: 3 });
+    });
+
+    it('el significado escrito a mano fija la categoría', () => {
+        const { update } = editar(corregido(), { significadoEcologico: 'Tolerante a aguas turbias.' });
+
+        expect(update).toMatchObject({ significadoEcologico: 'Tolerante a aguas turbias.', categoriaBioindicador: 'tolerante' });
+    });
+
+    it('vaciar el significado deja la categoría de la familia, no sin_dato', () => {
+        const item = { ...delModelo(), clasificacion: { clase: 'Insecta', orden: 'Plecoptera', familia: 'Perlidae' } };
+        const { update } = editar(item, { significadoEcologico: '' });
+
+        expect(update).toMatchObject({ significadoEcologico: '', categoriaBioindicador: 'sensible' });
+    });
+
+    it('corregir la familia vacía los textos del modelo y toma la categoría de la nueva familia', () => {
+        const { update } = editar(delModelo(), { nombreCientifico: 'Perlidae', orden: 'Plecoptera', familia: 'Perlidae' });
+
+        expect(update).toMatchObject({
+            nombreCientifico: 'Perlidae',
+            significadoEcologico: '',
+            categoriaBioindicador: 'sensible',
+            estadoVerificacion: 'confirmado',
+        });
+    });
+
+    it('sin permiso para confirmar, la corrección queda pendiente con la misma categoría', () => {
+        const { update } = editar(delModelo(), { orden: 'Plecoptera', familia: 'Perlidae' }, { puedeConfirmar: false });
+
+        expect(update).toMatchObject({ categoriaBioindicador: 'sensible', estadoVerificacion: 'pendiente', identificacionConfirmada: null });
+    });
+});
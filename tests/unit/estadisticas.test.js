@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import { calcularEstadisticas } from '../../Macrosearch.jsx';
+
+// Rótulos reconocibles en lugar de los textos del catálogo
+const t = (clave, params) => (params ? `${clave}:${JSON.stringify(params)}` : clave);
+
+const EVENTOS = {
+    e1: { sitio: 'Alto', fecha: '2024-03-14' },
+    e2: { sitio: 'Bajo', fecha: '2024-01-20' },
+};
+
+const analisis = (orden, familia, cambios = {}) => ({
+    clasificacion: { clase: 'Insecta', orden, familia },
+    estadoVerificacion: 'confirmado',
+    eventId: 'e1',
+    ...cambios,
+});
+
+const calcular = (items, opciones = { soloConfirmados: false }) => calcularEstadisticas(items, EVENTOS, opciones, t);
+
+describe('calcularEstadisticas', () => {
+    it('la riqueza EPT cuenta familias distintas, o el orden si falta la familia', () => {
+        const stats = calcular([
+            analisis('Ephemeroptera', 'Baetidae'),
+            analisis('Ephemeroptera', 'baetidae'),
+            analisis('Plecoptera', 'Perlidae'),
+            analisis('Trichoptera', ''),
+            analisis('Diptera', 'Chironomidae'),
+        ]);
+
+        expect(stats.riqueza).toBe(3);
+        expect(stats.analisis).toBe(5);
+    });
+
+    it('el porcentaje EPT se calcula sobre individuos, no sobre análisis', () => {
+        const stats = calcular([
+            analisis('Ephemeroptera', 'Baetidae', { anotaciones: { numeroIndividuos: 3 } }),
+            analisis('Diptera', 'Chironomidae', { anotaciones: { numeroIndividuos: 6 } }),
+            analisis('Diptera', 'Simuliidae', { anotaciones: { numeroIndividuos: 0 } }),
+        ]);
+
+        // Sin número de individuos (o con 0) el análisis cuenta como uno
+        expect(stats.individuos).toBe(10);
+        expect(stats.porcentaje).toBe(30);
+    });
+
+    it('deja fuera los análisis repetidos a propósito', () => {
+        const stats = calcular([
+            analisis('Ephemeroptera', 'Baetidae'),
+            analisis('Plecoptera', 'Perlidae', { duplicadoDe: 'otro' }),
+            analisis('Diptera', 'Chironomidae', { duplicadoDe: 'otro', anotaciones: { numeroIndividuos: 50 } }),
+        ]);
+
+        expect(stats).toMatchObject({ analisis: 1, individuos: 1, riqueza: 1, porcentaje: 100 });
+        expect(stats.porFamilia).toEqual([{ etiqueta: 'Baetidae', valor: 1 }]);
+    });
+
+    it('con soloConfirmados descarta los pendientes', () => {
+        const items = [analisis('Ephemeroptera', 'Baetidae'), analisis('Diptera', 'Chironomidae', { estadoVerificacion: 'pendiente' })];
+
+        expect(calcular(items).analisis).toBe(2);
+        expect(calcular(items, { soloConfirmados: true })).toMatchObject({ analisis: 1, porcentaje: 100 });
+    });
+
+    it('sin análisis no divide por cero', () => {
+        expect(calcular([])).toMatchObject({ analisis: 0, individuos: 0, riqueza: 0, porcentaje: 0, porMes: [], porSitio: [] });
+    });
+
+    it('agrupa por mes de colecta en orden cronológico y por sitio', () => {
+        const stats = calcular([
+            analisis('Ephemeroptera', 'Baetidae', { eventId: 'e1' }),
+            analisis('Diptera', 'Chironomidae', { eventId: 'e1' }),
+            analisis('Plecoptera', 'Perlidae', { eventId: 'e2' }),
+            // Sin muestreo ni fecha de la foto no tiene mes ni sitio
+            analisis('Plecoptera', 'Perlidae', { eventId: null }),
+        ]);
+
+        expect(stats.porMes).toEqual([
+            { grupo: '2024-01', individuos: 1, riqueza: 1, porcentaje: 100 },
+            { grupo: '2024-03', individuos: 2, riqueza: 1, porcentaje: 50 },
+        ]);
+        expect(stats.porSitio.map(s => s.grupo)).toEqual(['Alto', 'Bajo']);
+    });
+
+    it('cuenta individuos por taxón de mayor a menor y agrupa la cola larga', () => {
+        const familias = Array.from({ length: 20 }, (_, i) => analisis('Diptera', `Familia${String(i).padStart(2, '0')}`, { anotaciones: { numeroIndividuos: 20 - i } }));
+        const stats = calcular([...familias, analisis('Diptera', '')]);
+
+        expect(stats.porOrden).toEqual([{ etiqueta: 'Diptera', valor: 211 }]);
+        expect(stats.porFamilia).toHaveLength(15);
+        expect(stats.porFamilia[0]).toEqual({ etiqueta: 'Familia00', valor: 20 });
+        // Las 6 familias restantes y el análisis sin familia, con 6+5+4+3+2+1+1 individuos
+        expect(stats.porFamilia[14]).toEqual({ etiqueta: 'estadisticas.otros:{"n":7}', valor: 22 });
+    });
+
+    it('reparte los individuos por categoría de bioindicador', () => {
+        const stats = calcular([
+            analisis('Plecoptera', 'Perlidae', { categoriaBioindicador: 'sensible', anotaciones: { numeroIndividuos: 4 } }),
+            analisis('Diptera', 'Chironomidae', { significadoEcologico: 'Muy tolerante a la contaminación.' }),
+            analisis('Diptera', 'Simuliidae'),
+        ]);
+
+        expect(Object.fromEntries(stats.porCategoria.map(c => [c.etiqueta, c.valor]))).toEqual({
+            'categoria.sensible': 4,
+            'categoria.moderado': 0,
+            'categoria.tolerante': 1,
+            'categoria.sin_dato': 1,
+        });
+    });
+});
@@ -0,0 +1,145 @@
+import { describe, expect, it } from 'vitest';
+import { parseExif, readExifMetadata } from '../../Macrosearch.jsx';
+
+const TIPO = { ascii: 2, long: 4, rational: 5 };
+const TAG = { fechaHora: 0x0132, exifIfd: 0x8769, gpsIfd: 0x8825, fechaOriginal: 0x9003, latitudRef: 1, latitud: 2, longitudRef: 3, longitud: 4 };
+
+// TIFF mínimo: IFD0 en 8, IFD Exif en 200, IFD GPS en 400 y los valores largos desde 1024
+const construirTiff = ({ little = false, ifd0 = [], exif = [], gps = [] }) => {
+    const buffer = new ArrayBuffer(2048);
+    const view = new DataView(buffer);
+    view.setUint16(0, little ? 0x4949 : 0x4D4D);
+    view.setUint16(2, 42, little);
+    view.setUint32(4, 8, little);
+    let datos = 1024;
+
+    const escribirIfd = (offset, entradas) => {
+        view.setUint16(offset, entradas.length, little);
+        entradas.forEach(({ tag, tipo, valor }, i) => {
+            const p = offset + 2 + i * 12;
+            view.setUint16(p, tag, little);
+            view.setUint16(p + 2, tipo, little);
+            if (tipo === TIPO.ascii) {
+                const bytes = [...valor].map(c => c.charCodeAt(0)).concat(0);
+                view.setUint32(p + 4, bytes.length, little);
+                const destino = bytes.length > 4 ? datos : p + 8;
+                if (bytes.length > 4) {
+                    view.setUint32(p + 8, datos, little);
+                    datos += bytes.length;
+                }
+                bytes.forEach((b, j) => view.setUint8(destino + j, b));
+            } else if (tipo === TIPO.rational) {
+                view.setUint32(p + 4, valor.length, little);
+                view.setUint32(p + 8, datos, little);
+                valor.forEach(([numerador, denominador]) => {
+                    view.setUint32(datos, numerador, little);
+                    view.setUint32(datos + 4, denominador, little);
+                    datos += 8;
+                });
+            } else {
+                view.setUint32(p + 4, 1, little);
+                view.setUint32(p + 8, valor, little);
+            }
+        });
+        view.setUint32(offset + 2 + entradas.length * 12, 0, little);
+    };
+
+    escribirIfd(8, [
+        ...ifd0,
+        ...(exif.length ? [{ tag: TAG.exifIfd, tipo: TIPO.long, valor: 200 }] : []),
+        ...(gps.length ? [{ tag: TAG.gpsIfd, tipo: TIPO.long, valor: 400 }] : []),
+    ]);
+    if (exif.length) escribirIfd(200, exif);
+    if (gps.length) escribirIfd(400, gps);
+    return new Uint8Array(buffer);
+};
+
+// JPEG con el TIFF en un bloque APP1 "Exif"
+const jpegConExif = (tiff) => {
+    const longitud = 2 + 6 + tiff.length;
+    const bytes = new Uint8Array([
+        0xFF, 0xD8,
+        0xFF, 0xE1, longitud >> 8, longitud & 0xFF, 0x45, 0x78, 0x69, 0x66, 0, 0,
+        ...tiff,
+        0xFF, 0xDA, 0, 2,
+    ]);
+    return new Blob([bytes], { type: 'image/jpeg' });
+};
+
+const fecha = (tag, valor) => ({ tag, tipo: TIPO.ascii, valor });
+const coordenadas = (latitudRef, latitud, longitudRef, longitud) => [
+    { tag: TAG.latitudRef, tipo: TIPO.ascii, valor: latitudRef },
+    { tag: TAG.latitud, tipo: TIPO.rational, valor: latitud },
+    { tag: TAG.longitudRef, tipo: TIPO.ascii, valor: longitudRef },
+    { tag: TAG.longitud, tipo: TIPO.rational, valor: longitud },
+];
+
+const leerTiff = (opciones) => parseExif(new DataView(construirTiff(opciones).buffer), 0);
+
+describe('parseExif', () => {
+    it('convierte grados, minutos y segundos racionales a decimales, con signo por el hemisferio', () => {
+        const { ubicacion } = leerTiff({ gps: coordenadas('N', [[4, 1], [36, 1], [3600, 100]], 'W', [[74, 1], [4, 1], [30, 1]]) });
+
+        expect(ubicacion).toEqual({ latitud: 4.61, longitud: -74.075, origen: 'exif' });
+    });
+
+    it('lee igual los TIFF little endian', () => {
+        const { ubicacion } = leerTiff({ little: true, gps: coordenadas('S', [[33, 1], [27, 1], [0, 1]], 'E', [[151, 1], [12, 1], [3600, 1000]]) });
+
+        expect(ubicacion).toEqual({ latitud: -33.45, longitud: 151.201, origen: 'exif' });
+    });
+
+    it('un denominador cero cuenta como cero', () => {
+        const { ubicacion } = leerTiff({ gps: coordenadas('N', [[4, 1], [30, 1], [7, 0]], 'E', [[10, 1], [0, 1], [0, 1]]) });
+
+        expect(ubicacion).toMatchObject({ latitud: 4.5, longitud: 10 });
+    });
+
+    it('descarta 0,0, las coordenadas fuera de rango y las incompletas', () => {
+        expect(leerTiff({ gps: coordenadas('N', [[0, 1], [0, 1], [0, 1]], 'E', [[0, 1], [0, 1], [0, 1]]) }).ubicacion).toBeNull();
+        expect(leerTiff({ gps: coordenadas('N', [[95, 1], [0, 1], [0, 1]], 'E', [[10, 1], [0, 1], [0, 1]]) }).ubicacion).toBeNull();
+        expect(leerTiff({ gps: coordenadas('N', [[4, 1], [30, 1]], 'E', [[10, 1], [0, 1], [0, 1]]) }).ubicacion).toBeNull();
+        expect(leerTiff({}).ubicacion).toBeNull();
+    });
+
+    it('prefiere la fecha original a la de modificación y la deja en hora local sin zona', () => {
+        const resultado = leerTiff({
+            ifd0: [fecha(TAG.fechaHora, '2024:06:01 08:00:00')],
+            exif: [fecha(TAG.fechaOriginal, '2024:05:12 10:31:00')],
+        });
+
+        expect(resultado.fechaCaptura).toBe('2024-05-12T10:31:00');
+    });
+
+    it('usa la fecha de IFD0 si no hay fecha original', () => {
+        expect(leerTiff({ little: true, ifd0: [fecha(TAG.fechaHora, '2024:06:01 08:00:00')] }).fechaCaptura).toBe('2024-06-01T08:00:00');
+    });
+
+    it('ignora las fechas mal formadas o imposibles', () => {
+        expect(leerTiff({ exif: [fecha(TAG.fechaOriginal, '    :  :     :  :  ')] }).fechaCaptura).toBeNull();
+        expect(leerTiff({ exif: [fecha(TAG.fechaOriginal, '2024:13:45 10:00:00')] }).fechaCaptura).toBeNull();
+        expect(leerTiff({}).fechaCaptura).toBeNull();
+    });
+});
+
+describe('readExifMetadata', () => {
+    it('encuentra el bloque Exif de un JPEG', async () => {
+        const tiff = construirTiff({
+            exif: [fecha(TAG.fechaOriginal, '2024:05:12 10:31:00')],
+            gps: coordenadas('N', [[4, 1], [36, 1], [0, 1]], 'W', [[74, 1], [6, 1], [0, 1]]),
+        });
+
+        await expect(readExifMetadata(jpegConExif(tiff))).resolves.toEqual({
+            ubicacion: { latitud: 4.6, longitud: -74.1, origen: 'exif' },
+            fechaCaptura: '2024-05-12T10:31:00',
+        });
+    });
+
+    it('no lee nada de otros formatos ni de un JPEG sin Exif', async () => {
+        const tiff = construirTiff({ exif: [fecha(TAG.fechaOriginal, '2024:05:12 10:31:00')] });
+
+        await expect(readExifMetadata(new Blob([jpegConExif(tiff)], { type: 'image/png' }))).resolves.toBeNull();
+        await expect(readExifMetadata(new Blob([new Uint8Array([0xFF, 0xD8, 0xFF, 0xDA, 0, 2])], { type: 'image/jpeg' }))).resolves.toBeNull();
+        await expect(readExifMetadata(new Blob([new Uint8Array([0x89, 0x50, 0x4E, 0x47])], { type: 'image/jpeg' }))).resolves.toBeNull();
+    });
+});
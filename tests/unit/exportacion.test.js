@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { analysisCsvColumns, darwinCoreColumns, toCSV } from '../../Macrosearch.jsx';
+
+const EVENTO = { id: 'e1', sitio: 'Puente', rio: 'La Vieja', fecha: '2024-03-14', latitud: 4.5, longitud: -75.7, notasHabitat: 'Rápidos' };
+const eventsById = { e1: EVENTO };
+
+const analisis = (cambios = {}) => ({
+    id: 'a1',
+    nombreCientifico: 'Baetis sp.',
+    nombreComun: 'Efímera',
+    clasificacion: { clase: 'Insecta', orden: 'Ephemeroptera', familia: 'Baetidae' },
+    estadoVerificacion: 'confirmado',
+    timestamp: Timestamp.fromDate(new Date(2024, 4, 20, 9, 0)),
+    imageUrl: 'https://example.org/a1.jpg',
+    ...cambios,
+});
+
+// Filas del CSV como objetos { encabezado: valor }; sirve mientras ningún valor lleve comas
+const filas = (csv) => {
+    const [encabezados, ...resto] = csv.split('\r\n').map(linea => linea.split(','));
+    return resto.map(valores => Object.fromEntries(encabezados.map((h, i) => [h, valores[i]])));
+};
+
+describe('toCSV', () => {
+    const columnas = [{ header: 'a', value: (item) => item.a }, { header: 'b', value: (item) => item.b }];
+
+    it('separa con comas y termina las líneas con CRLF', () => {
+        expect(toCSV([{ a: 1, b: 'x' }, { a: 2, b: 'y' }], columnas)).toBe('a,b\r\n1,x\r\n2,y');
+    });
+
+    it('entrecomilla los valores con comas, comillas o saltos de línea y duplica las comillas', () => {
+        const csv = toCSV([{ a: 'uno, dos', b: 'dijo "hola"' }, { a: 'línea\nnueva', b: 'retorno\r' }], columnas);
+
+        expect(csv).toBe('a,b\r\n"uno, dos","dijo ""hola"""\r\n"línea\nnueva","retorno\r"');
+    });
+
+    it('deja vacíos null y undefined, pero no el cero', () => {
+        expect(toCSV([{ a: null, b: 0 }, { b: undefined }], columnas)).toBe('a,b\r\n,0\r\n,');
+    });
+
+    it('solo el encabezado si no hay análisis', () => {
+        expect(toCSV([], columnas)).toBe('a,b');
+    });
+});
+
+describe('columnas de análisis', () => {
+    it('usa la ubicación del espécimen antes que la del sitio', () => {
+        const [conGps, sinGps] = filas(toCSV([
+            analisis({ eventId: 'e1', ubicacion: { latitud: 4.61, longitud: -74.07, origen: 'exif' } }),
+            analisis({ id: 'a2', eventId: 'e1' }),
+        ], analysisCsvColumns(eventsById)));
+
+        expect(conGps).toMatchObject({ latitud: '4.61', longitud: '-74.07', origenUbicacion: 'exif', sitio: 'Puente', fechaMuestreo: '2024-03-14' });
+        expect(sinGps).toMatchObject({ latitud: '4.5', longitud: '-75.7', origenUbicacion: 'sitio' });
+        expect(conGps.fechaAnalisis).toBe('2024-05-20');
+    });
+
+    it('no exporta las imágenes guardadas como data-URL', () => {
+        const [fila] = filas(toCSV([analisis({ imageUrl: 'data:image/jpeg;base64,AAAA' })], analysisCsvColumns({})));
+        expect(fila.imageUrl).toBe('');
+    });
+});
+
+describe('columnas Darwin Core', () => {
+    const dwc = (items) => filas(toCSV(items, darwinCoreColumns(eventsById)));
+
+    it('eventDate es la fecha del muestreo, o si no la de la foto en hora local', () => {
+        const [delMuestreo, deLaFoto, sinFecha] = dwc([
+            analisis({ eventId: 'e1', fechaCaptura: Timestamp.fromDate(new Date(2024, 1, 2, 23, 30)) }),
+            analisis({ id: 'a2', fechaCaptura: Timestamp.fromDate(new Date(2024, 1, 2, 23, 30)) }),
+            analisis({ id: 'a3' }),
+        ]);
+
+        expect(delMuestreo.eventDate).toBe('2024-03-14');
+        expect(deLaFoto.eventDate).toBe('2024-02-02');
+        // La fecha del análisis no sustituye a la de colecta
+        expect(sinFecha.eventDate).toBe('');
+    });
+
+    it('coordenadas decimales con WGS84 solo cuando hay ubicación', () => {
+        const [conGps, delSitio, sinUbicacion] = dwc([
+            analisis({ ubicacion: { latitud: -33.45, longitud: 151.2, origen: 'manual' } }),
+            analisis({ id: 'a2', eventId: 'e1' }),
+            analisis({ id: 'a3' }),
+        ]);
+
+        expect(conGps).toMatchObject({ decimalLatitude: '-33.45', decimalLongitude: '151.2', geodeticDatum: 'WGS84' });
+        expect(delSitio).toMatchObject({ decimalLatitude: '4.5', decimalLongitude: '-75.7', geodeticDatum: 'WGS84', locality: 'Puente', waterBody: 'La Vieja' });
+        expect(sinUbicacion).toMatchObject({ decimalLatitude: '', decimalLongitude: '', geodeticDatum: '' });
+    });
+
+    it('el nombre y el rango son los del nivel más bajo identificado', () => {
+        const [familia, orden] = dwc([
+            analisis(),
+            analisis({ id: 'a2', estadoVerificacion: 'pendiente', clasificacion: { clase: 'Insecta', orden: 'Plecoptera', familia: '' } }),
+        ]);
+
+        expect(familia).toMatchObject({ scientificName: 'Baetidae', taxonRank: 'family', phylum: 'Arthropoda', identificationVerificationStatus: 'verified' });
+        expect(orden).toMatchObject({ scientificName: 'Plecoptera', taxonRank: 'order', identificationVerificationStatus: 'unverified' });
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { createMockProvider } from '../../Macrosearch.jsx';
+
+const simulado = createMockProvider({ delay: 0 });
+const IMAGENES = ['A', 'AB', 'ABC'];
+
+describe('proveedor simulado', () => {
+    it('responde en el idioma pedido, con los mismos taxones', async () => {
+        for (const imagen of IMAGENES) {
+            const es = await simulado.identify(imagen, 'image/jpeg', { idioma: 'es' });
+            for (const idioma of ['en', 'pt']) {
+                const traducida = await simulado.identify(imagen, 'image/jpeg', { idioma });
+                expect(traducida.nombreCientifico).toBe(es.nombreCientifico);
+                expect(traducida.clasificacion).toEqual(es.clasificacion);
+                expect(traducida.alternativas.map(alt => alt.nombreCientifico)).toEqual(es.alternativas.map(alt => alt.nombreCientifico));
+                for (const campo of ['nombreComun', 'informacionBasica', 'significadoEcologico', 'razonamiento']) {
+                    expect(traducida[campo]).toBeTruthy();
+                    expect(traducida[campo]).not.toBe(es[campo]);
+                }
+                traducida.alternativas.forEach((alt, i) => {
+                    expect(alt.razonamiento).toBeTruthy();
+                    expect(alt.razonamiento).not.toBe(es.alternativas[i].razonamiento);
+                });
+            }
+        }
+    });
+
+    it('responde en español sin idioma o con uno desconocido', async () => {
+        const es = await simulado.identify('A', 'image/jpeg', { idioma: 'es' });
+        await expect(simulado.identify('A', 'image/jpeg')).resolves.toEqual(es);
+        await expect(simulado.identify('A', 'image/jpeg', { idioma: 'fr' })).resolves.toEqual(es);
+    });
+});
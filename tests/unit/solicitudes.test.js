@@ -0,0 +1,186 @@
+import { createServer } from 'node:http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createGeminiProvider, postJsonWithRetry } from '../../Macrosearch.jsx';
+
+// Servidor HTTP local que contesta cada POST con la siguiente respuesta de la cola
+let servidor;
+let url;
+let respuestas;
+let recibidas;
+
+const responder = (status, cuerpo, cabeceras = {}) => (req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...cabeceras });
+    res.end(typeof cuerpo === 'string' ? cuerpo : JSON.stringify(cuerpo));
+};
+
+// No contesta nunca: el intento solo termina por tiempo límite o cancelación
+const colgar = () => () => {};
+
+beforeAll(async () => {
+    servidor = createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            recibidas.push(req.url);
+            const siguiente = respuestas.shift() || responder(500, { error: { message: 'sin respuesta preparada' } });
+            siguiente(req, res);
+        });
+    });
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+afterAll(() => {
+    servidor.closeAllConnections();
+    return new Promise(resolve => servidor.close(resolve));
+});
+
+beforeEach(() => {
+    respuestas = [];
+    recibidas = [];
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+const enviar = (opciones = {}) => postJsonWithRetry(`${url}/prueba`, { hola: 'mundo' }, { timeoutMs: 2000, ...opciones });
+
+describe('postJsonWithRetry', () => {
+    it('devuelve el cuerpo JSON de una respuesta correcta', async () => {
+        respuestas.push(responder(200, { ok: true }));
+        await expect(enviar()).resolves.toEqual({ ok: true });
+        expect(recibidas).toHaveLength(1);
+    });
+
+    it('reintenta un 429 tras esperar lo que indica Retry-After', async () => {
+        respuestas.push(responder(429, { error: { message: 'cuota agotada' } }, { 'Retry-After': '1' }));
+        respuestas.push(responder(200, { ok: true }));
+
+        const inicio = Date.now();
+        await expect(enviar()).resolves.toEqual({ ok: true });
+        expect(Date.now() - inicio).toBeGreaterThanOrEqual(1000);
+        expect(recibidas).toHaveLength(2);
+    });
+
+    it('informa la cuota si el 429 persiste', async () => {
+        for (let i = 0; i < 2; i++) respuestas.push(responder(429, { error: { message: 'cuota agotada' } }, { 'Retry-After': '0' }));
+
+        await expect(enviar({ maxAttempts: 2 })).rejects.toMatchObject({ codigo: 'quota', status: 429, detalle: 'cuota agotada' });
+        expect(recibidas).toHaveLength(2);
+    });
+
+    it('no espera si Retry-After pide más de lo razonable', async () => {
+        respuestas.push(responder(429, {}, { 'Retry-After': '3600' }));
+
+        await expect(enviar()).rejects.toMatchObject({ codigo: 'quota', retryAfterMs: 3600 * 1000 });
+        expect(recibidas).toHaveLength(1);
+    });
+
+    it('reintenta los 5xx hasta agotar los intentos', async () => {
+        respuestas.push(responder(503, { error: { message: 'sobrecargado' } }, { 'Retry-After': '0' }));
+        respuestas.push(responder(500, {}, { 'Retry-After': '0' }));
+        respuestas.push(responder(200, { ok: true }));
+
+        await expect(enviar({ maxAttempts: 3 })).resolves.toEqual({ ok: true });
+        expect(recibidas).toHaveLength(3);
+
+        respuestas.push(responder(502, {}, { 'Retry-After': '0' }));
+        respuestas.push(responder(502, {}, { 'Retry-After': '0' }));
+        await expect(enviar({ maxAttempts: 2 })).rejects.toMatchObject({ codigo: 'server', status: 502 });
+        expect(recibidas).toHaveLength(5);
+    });
+
+    it('no reintenta un 400', async () => {
+        respuestas.push(responder(400, { error: { message: 'Invalid argument' } }));
+        respuestas.push(responder(200, { ok: true }));
+
+        await expect(enviar()).rejects.toMatchObject({ codigo: 'http', status: 400, reintentable: false });
+        expect(recibidas).toHaveLength(1);
+    });
+
+    it('distingue un 400 por la imagen', async () => {
+        respuestas.push(responder(400, { error: { message: 'Unsupported MIME type: image/heic' } }));
+
+        await expect(enviar()).rejects.toMatchObject({ codigo: 'invalid_image', status: 400 });
+        expect(recibidas).toHaveLength(1);
+    });
+
+    it('informa de inmediato un cuerpo que no es JSON', async () => {
+        respuestas.push(responder(200, '<html>no es JSON</html>'));
+        respuestas.push(responder(200, { ok: true }));
+
+        await expect(enviar()).rejects.toMatchObject({ codigo: 'malformed' });
+        expect(recibidas).toHaveLength(1);
+    });
+
+    it('corta cada intento al agotar su tiempo y lo reintenta', async () => {
+        respuestas.push(colgar());
+        respuestas.push(responder(200, { ok: true }));
+
+        await expect(enviar({ timeoutMs: 200 })).resolves.toEqual({ ok: true });
+        expect(recibidas).toHaveLength(2);
+    });
+
+    it('informa el tiempo agotado si ningún intento responde', async () => {
+        respuestas.push(colgar());
+
+        await expect(enviar({ timeoutMs: 200, maxAttempts: 1 })).rejects.toMatchObject({ codigo: 'timeout', reintentable: true });
+        expect(recibidas).toHaveLength(1);
+    });
+
+    it('se cancela durante un intento', async () => {
+        respuestas.push(colgar());
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+
+        await expect(enviar({ signal: controller.signal })).rejects.toMatchObject({ codigo: 'cancelled' });
+        expect(recibidas).toHaveLength(1);
+    });
+
+    it('se cancela durante la espera entre intentos, sin volver a enviar', async () => {
+        respuestas.push(responder(503, {}, { 'Retry-After': '5' }));
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 300);
+
+        const inicio = Date.now();
+        await expect(enviar({ signal: controller.signal })).rejects.toMatchObject({ codigo: 'cancelled' });
+        expect(Date.now() - inicio).toBeLessThan(5000);
+        expect(recibidas).toHaveLength(1);
+    });
+
+    it('no envía nada si ya estaba cancelada', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(enviar({ signal: controller.signal })).rejects.toMatchObject({ codigo: 'cancelled' });
+        expect(recibidas).toHaveLength(0);
+    });
+});
+
+describe('proveedor Gemini', () => {
+    const gemini = () => createGeminiProvider({ endpoint: url, model: 'modelo-prueba', apiKey: 'clave', timeoutMs: 2000 });
+    const candidato = (text, finishReason = 'STOP') => ({ candidates: [{ finishReason, content: { parts: [{ text }] } }] });
+
+    it('envía la imagen a {endpoint}/{model}:generateContent y devuelve el JSON del modelo', async () => {
+        respuestas.push(responder(200, candidato(JSON.stringify({ nombreCientifico: 'Baetidae' }))));
+
+        await expect(gemini().identify('AAAA', 'image/jpeg', { idioma: 'es' })).resolves.toEqual({ nombreCientifico: 'Baetidae' });
+        expect(recibidas).toEqual(['/modelo-prueba:generateContent?key=clave']);
+    });
+
+    it('informa un texto del modelo que no es JSON', async () => {
+        respuestas.push(responder(200, candidato('Parece una efímera')));
+
+        await expect(gemini().identify('AAAA', 'image/jpeg', {})).rejects.toMatchObject({ codigo: 'malformed' });
+    });
+
+    it('informa una respuesta truncada', async () => {
+        respuestas.push(responder(200, candidato('{"nombreCientifico": "Bae', 'MAX_TOKENS')));
+
+        await expect(gemini().identify('AAAA', 'image/jpeg', {})).rejects.toMatchObject({ codigo: 'malformed' });
+    });
+
+    it('informa un bloqueo de seguridad sin reintentar', async () => {
+        respuestas.push(responder(200, { promptFeedback: { blockReason: 'SAFETY' } }));
+
+        await expect(gemini().identify('AAAA', 'image/jpeg', {})).rejects.toMatchObject({ codigo: 'safety', detalle: 'SAFETY' });
+        expect(recibidas).toHaveLength(1);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { ALIAS_TAXONOMICOS, buscarTaxon, validarTaxonomia } from '../../Macrosearch.jsx';
+
+describe('buscarTaxon', () => {
+    it('reconoce el nombre canónico sin importar mayúsculas, tildes ni espacios', () => {
+        for (const nombre of ['Insecta', 'insecta', ' INSECTA ', 'Insécta']) {
+            expect(buscarTaxon('clase', nombre)).toMatchObject({ nombre: 'Insecta', filo: 'Arthropoda', coincidencia: 'exacta' });
+        }
+    });
+
+    it('reconoce los alias y el nombre común de Insecta', () => {
+        for (const nombre of ['Insectos', 'insecto', 'Hexapoda']) {
+            expect(buscarTaxon('clase', nombre)).toMatchObject({ nombre: 'Insecta', coincidencia: 'alias' });
+        }
+    });
+
+    it('corrige errores de escritura leves', () => {
+        expect(buscarTaxon('clase', 'Insekta')).toMatchObject({ nombre: 'Insecta', coincidencia: 'aproximada' });
+        expect(buscarTaxon('clase', 'Insectta')).toMatchObject({ nombre: 'Insecta', coincidencia: 'aproximada' });
+        expect(buscarTaxon('familia', 'Baetydae')).toMatchObject({ nombre: 'Baetidae', orden: 'Ephemeroptera', coincidencia: 'aproximada' });
+    });
+
+    it('no adivina si el nombre queda lejos', () => {
+        expect(buscarTaxon('clase', 'Inskt')).toBeNull();
+        expect(buscarTaxon('clase', '')).toBeNull();
+        expect(buscarTaxon('familia', 'Insecta')).toBeNull();
+    });
+
+    it('cada alias lleva a un taxón del catálogo en su mismo nivel', () => {
+        for (const [nivel, alias] of Object.entries(ALIAS_TAXONOMICOS)) {
+            for (const [clave, canonico] of Object.entries(alias)) {
+                expect(buscarTaxon(nivel, canonico), `${nivel}: ${canonico}`).toMatchObject({ nombre: canonico, coincidencia: 'exacta' });
+                expect(buscarTaxon(nivel, clave)?.nombre, `${nivel}: ${clave}`).toBe(canonico);
+            }
+        }
+    });
+});
+
+describe('validarTaxonomia', () => {
+    it('verifica una clasificación coherente y completa los niveles superiores', () => {
+        const resultado = validarTaxonomia({ familia: 'Baetidae' });
+
+        expect(resultado).toMatchObject({
+            estado: 'verificado',
+            clasificacion: { clase: 'Insecta', orden: 'Ephemeroptera', familia: 'Baetidae' },
+            correcciones: [],
+            avisos: [],
+        });
+    });
+
+    it('normaliza las grafías y registra cada corrección', () => {
+        const resultado = validarTaxonomia({ clase: 'insectos', orden: 'Ephemeroptera', familia: 'Baetydae' });
+
+        expect(resultado.estado).toBe('verificado');
+        expect(resultado.clasificacion).toEqual({ clase: 'Insecta', orden: 'Ephemeroptera', familia: 'Baetidae' });
+        expect(resultado.correcciones).toEqual([
+            { campo: 'clase', original: 'insectos', canonico: 'Insecta' },
+            { campo: 'familia', original: 'Baetydae', canonico: 'Baetidae' },
+        ]);
+    });
+
+    it('avisa de una familia que no pertenece al orden', () => {
+        const resultado = validarTaxonomia({ clase: 'Insecta', orden: 'Diptera', familia: 'Baetidae' });
+
+        expect(resultado.estado).toBe('inconsistente');
+        expect(resultado.avisos).toEqual(['La familia Baetidae pertenece al orden Ephemeroptera, no a Diptera.']);
+    });
+
+    it('avisa de un orden que no pertenece a la clase', () => {
+        const resultado = validarTaxonomia({ clase: 'Gastropoda', orden: 'Ephemeroptera' });
+
+        expect(resultado.estado).toBe('inconsistente');
+        expect(resultado.avisos).toEqual(['El orden Ephemeroptera pertenece a la clase Insecta, no a Gastropoda.']);
+        expect(resultado.clasificacion).toEqual({ clase: 'Gastropoda', orden: 'Ephemeroptera' });
+    });
+
+    it('redacta los avisos en el idioma del análisis', () => {
+        expect(validarTaxonomia({ orden: 'Diptera', familia: 'Baetidae' }, 'en').avisos)
+            .toEqual(['The family Baetidae belongs to the order Ephemeroptera, not to Diptera.']);
+    });
+
+    it('deja sin verificar lo que no está en el catálogo o viene vacío', () => {
+        const resultado = validarTaxonomia({ clase: 'Insecta', familia: 'Inventadidae' });
+
+        expect(resultado.estado).toBe('no_verificado');
+        expect(resultado.avisos).toHaveLength(1);
+        expect(resultado.avisos[0]).toContain('"Inventadidae"');
+        expect(resultado.clasificacion.familia).toBe('Inventadidae');
+
+        expect(validarTaxonomia({}).estado).toBe('no_verificado');
+        expect(validarTaxonomia({ clase: '', orden: '', familia: '' }).estado).toBe('no_verificado');
+    });
+});